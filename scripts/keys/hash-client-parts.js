@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Replace split-key client parts that are still stored in plaintext
+ * with a salted hash (only the key owner keeps the client part itself)
+ *
+ * Safe to re-run: rows that are already hashed are skipped. Keys whose
+ * previous client part is still in its rotation grace period are left
+ * alone until the grace period has ended.
+ *
+ * Usage:
+ *   node scripts/keys/hash-client-parts.js
+ *   node scripts/keys/hash-client-parts.js --dry-run
+ *   node scripts/keys/hash-client-parts.js --batch-size=500
+ */
+
+const splitKeyService = require('../../src/services/splitKey');
+
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+function getOption(name, fallback) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : fallback;
+}
+
+async function main() {
+  const dryRun = hasFlag('dry-run');
+  const batchSize = parseInt(getOption('batch-size', '100'));
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    console.error('--batch-size must be a positive integer');
+    process.exit(1);
+  }
+
+  try {
+    const { hashed, skipped } = await splitKeyService.hashPlaintextClientParts({ batchSize, dryRun });
+
+    console.log(dryRun
+      ? `ℹ️  ${hashed} split key client part(s) would be hashed`
+      : `✅ Hashed ${hashed} split key client part(s)`);
+
+    if (skipped > 0) {
+      console.log(`⏳ ${skipped} key(s) skipped until their rotation grace period ends; re-run afterwards`);
+    }
+  } catch (err) {
+    console.error('Hash error:', err.message || err);
+    process.exitCode = 2;
+  } finally {
+    try { await splitKeyService.disconnect(); } catch (_) {}
+  }
+}
+
+main();
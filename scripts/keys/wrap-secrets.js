@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Wrap split-key decryption secrets that are still stored in plaintext
+ * with the master key-encryption key (MASTER_KEY / MASTER_KEY_FILE), and
+ * re-wrap app signing keys still wrapped with an older master key version
+ *
+ * Safe to re-run: rows that are already wrapped (with the current version, for apps) are skipped.
+ *
+ * Usage:
+ *   node scripts/keys/wrap-secrets.js
+ *   node scripts/keys/wrap-secrets.js --dry-run
+ *   node scripts/keys/wrap-secrets.js --batch-size=500
+ */
+
+const splitKeyService = require('../../src/services/splitKey');
+const KeyEncryptionService = require('../../src/services/keyEncryption');
+const AppModel = require('../../src/models/App');
+
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+function getOption(name, fallback) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : fallback;
+}
+
+async function main() {
+  const dryRun = hasFlag('dry-run');
+  const batchSize = parseInt(getOption('batch-size', '100'));
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    console.error('--batch-size must be a positive integer');
+    process.exit(1);
+  }
+
+  try {
+    const { wrapped, failed: splitKeyFailures } = await splitKeyService.wrapPlaintextSecrets({ batchSize, dryRun });
+    const apps = await AppModel.rewrapSigningKeys(KeyEncryptionService.getCurrentVersion(), { dryRun });
+    const failed = [...splitKeyFailures, ...apps.failed];
+
+    console.log(dryRun
+      ? `ℹ️  ${wrapped} split key secret(s) would be wrapped and ${apps.wrapped} app signing key(s) re-wrapped`
+      : `✅ Wrapped ${wrapped} split key secret(s), re-wrapped ${apps.wrapped} app signing key(s)`);
+
+    if (failed.length > 0) {
+      failed.forEach(({ keyId, error }) => console.error(`❌ ${keyId}: ${error}`));
+      process.exitCode = 2;
+    }
+  } catch (err) {
+    console.error('Wrap error:', err.message || err);
+    process.exitCode = 2;
+  } finally {
+    try { await splitKeyService.disconnect(); } catch (_) {}
+  }
+}
+
+main();
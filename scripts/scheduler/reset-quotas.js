@@ -9,6 +9,7 @@
  */
 
 const UserModel = require('../../src/models/User');
+const webhookService = require('../../src/services/webhook');
 
 function hasFlag(name) {
   const key = `--${name}`;
@@ -26,12 +27,14 @@ async function main() {
 
   try {
     if (doDaily) {
-      await UserModel.resetDailyCounters();
+      const { count } = await UserModel.resetDailyCounters();
       console.log('✅ Daily counters reset');
+      await webhookService.trigger('quota.reset', { period: 'daily', usersReset: count });
     }
     if (doMonthly) {
-      await UserModel.resetMonthlyCounters();
+      const { count } = await UserModel.resetMonthlyCounters();
       console.log('✅ Monthly counters reset');
+      await webhookService.trigger('quota.reset', { period: 'monthly', usersReset: count });
     }
   } catch (err) {
     console.error('Reset error:', err.message || err);
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Move the comma-separated `events` list of webhooks created before event
+ * subscriptions into WebhookSubscription rows
+ *
+ * Safe to re-run: migrated webhooks have their legacy list cleared and keep
+ * the subscriptions they already have. Unknown event names are dropped and
+ * reported. Until this has run, legacy lists are still honoured.
+ *
+ * Usage:
+ *   node scripts/webhooks/migrate-events.js
+ *   node scripts/webhooks/migrate-events.js --dry-run
+ *   node scripts/webhooks/migrate-events.js --batch-size=500
+ */
+
+const webhookService = require('../../src/services/webhook');
+
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+function getOption(name, fallback) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : fallback;
+}
+
+async function main() {
+  const dryRun = hasFlag('dry-run');
+  const batchSize = parseInt(getOption('batch-size', '100'));
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    console.error('--batch-size must be a positive integer');
+    process.exit(1);
+  }
+
+  try {
+    const { migrated, subscriptions, dropped } = await webhookService.migrateLegacyEvents({ batchSize, dryRun });
+
+    console.log(dryRun
+      ? `ℹ️  ${migrated} webhook(s) would be migrated (${subscriptions} subscription(s))`
+      : `✅ Migrated ${migrated} webhook(s) (${subscriptions} subscription(s) created)`);
+
+    if (dropped.length > 0) {
+      console.log(`⚠️  Unknown events dropped: ${dropped.join(', ')}`);
+    }
+  } catch (err) {
+    console.error('Migration error:', err.message || err);
+    process.exitCode = 2;
+  } finally {
+    try { await require('../../src/db/client').$disconnect(); } catch (_) {}
+  }
+}
+
+main();
@@ -229,6 +229,112 @@ const apiHeaders = {
   })
 };
 
+// Cheap authenticated GET per provider used to check a key before it is split
+// Providers without an entry are stored with validationStatus 'unsupported'
+const keyValidationEndpoints = {
+  openai: '/models',
+  gemini: '/models',
+  claude: '/models',
+  groq: '/models',
+  mistral: '/models',
+  deepseek: '/models',
+  together: '/models',
+  openrouter: '/key',
+  fireworks: '/models',
+  replicate: '/account',
+  stability: '/v1/user/account',
+  elevenlabs: '/user',
+  deepl: '/usage'
+};
+
+// Request-body policies per provider and endpoint
+// Endpoint keys match exactly or as a suffix (longest wins); '*' applies to every endpoint of the provider.
+// Field rules (dot paths for nested fields):
+//   { max, min, action }   numeric bounds - action 'clamp' rewrites the value, 'reject' returns 400
+//   { maxItems, action }   array length (e.g. messages) - 'clamp' keeps the most recent items;
+//                          allowString: a plain string is also accepted (one item)
+// Values of the wrong type (e.g. "200000" for max_tokens) are always rejected.
+// maxPayloadBytes caps the JSON size of the forwarded body (always rejects).
+const openaiChatPolicy = {
+  maxPayloadBytes: 1024 * 1024,
+  fields: {
+    max_tokens: { min: 1, max: 16384, action: 'clamp' },
+    max_completion_tokens: { min: 1, max: 32768, action: 'clamp' },
+    n: { min: 1, max: 4, action: 'reject' },
+    temperature: { min: 0, max: 2, action: 'reject' },
+    messages: { maxItems: 256, action: 'reject' }
+  }
+};
+
+const geminiGeneratePolicy = {
+  maxPayloadBytes: 1024 * 1024,
+  fields: {
+    'generationConfig.maxOutputTokens': { min: 1, max: 32768, action: 'clamp' },
+    'generationConfig.candidateCount': { min: 1, max: 4, action: 'reject' },
+    'generationConfig.temperature': { min: 0, max: 2, action: 'reject' },
+    contents: { maxItems: 256, action: 'reject' }
+  }
+};
+
+const bodyPolicies = {
+  openai: {
+    '/chat/completions': openaiChatPolicy,
+    '/completions': openaiChatPolicy,
+    '/embeddings': { maxPayloadBytes: 1024 * 1024, fields: { input: { maxItems: 2048, allowString: true, action: 'reject' } } }
+  },
+  groq: { '/chat/completions': openaiChatPolicy },
+  mistral: { '/chat/completions': openaiChatPolicy },
+  zai: { '/chat/completions': openaiChatPolicy },
+  deepseek: { '/chat/completions': openaiChatPolicy },
+  perplexity: { '/chat/completions': openaiChatPolicy },
+  together: { '/chat/completions': openaiChatPolicy },
+  openrouter: { '/chat/completions': openaiChatPolicy },
+  fireworks: { '/chat/completions': openaiChatPolicy },
+  github: { '/v1/chat/completions': openaiChatPolicy },
+
+  claude: {
+    '/messages': {
+      maxPayloadBytes: 1024 * 1024,
+      fields: {
+        max_tokens: { min: 1, max: 32000, action: 'clamp' },
+        temperature: { min: 0, max: 1, action: 'reject' },
+        messages: { maxItems: 256, action: 'reject' }
+      }
+    }
+  },
+
+  gemini: {
+    ':generateContent': geminiGeneratePolicy,
+    ':streamGenerateContent': geminiGeneratePolicy
+  }
+};
+
+/**
+ * Merged body policy for a provider endpoint (null when none applies)
+ */
+const getBodyPolicy = (api, endpoint) => {
+  const policies = bodyPolicies[api];
+  if (!policies || !endpoint) {
+    return null;
+  }
+
+  const path = endpoint.split('?')[0];
+  const match = Object.keys(policies)
+    .filter(key => key !== '*' && (path === key || path.endsWith(key)))
+    .sort((a, b) => b.length - a.length)[0];
+
+  const base = policies['*'];
+  const specific = match ? policies[match] : null;
+  if (!base && !specific) {
+    return null;
+  }
+
+  return {
+    maxPayloadBytes: (specific && specific.maxPayloadBytes) || (base && base.maxPayloadBytes) || null,
+    fields: { ...(base && base.fields), ...(specific && specific.fields) }
+  };
+};
+
 // Check if endpoint is allowed for specific API
 const isEndpointAllowed = (api, endpoint) => {
   if (!allowedEndpoints[api]) {
@@ -241,8 +347,85 @@ const isEndpointAllowed = (api, endpoint) => {
   );
 };
 
+// Model-prefix routing for the unified OpenAI-compatible endpoint (/v1/chat/completions)
+// format: request/response schema the provider speaks (openai | claude | gemini)
+// A model can also be addressed explicitly as '<provider>/<model>' (e.g. 'groq/llama-3.3-70b-versatile')
+const modelRoutes = [
+  { prefix: 'gpt-', api: 'openai', format: 'openai' },
+  { prefix: 'o1', api: 'openai', format: 'openai' },
+  { prefix: 'o3', api: 'openai', format: 'openai' },
+  { prefix: 'o4', api: 'openai', format: 'openai' },
+  { prefix: 'chatgpt-', api: 'openai', format: 'openai' },
+  { prefix: 'claude-', api: 'claude', format: 'claude' },
+  { prefix: 'gemini-', api: 'gemini', format: 'gemini' },
+  { prefix: 'mistral-', api: 'mistral', format: 'openai' },
+  { prefix: 'deepseek-', api: 'deepseek', format: 'openai' },
+  { prefix: 'glm-', api: 'zai', format: 'openai' },
+  { prefix: 'sonar', api: 'perplexity', format: 'openai' }
+];
+
+// Chat endpoint per schema (Gemini endpoints depend on the model)
+const chatEndpoints = {
+  openai: () => '/chat/completions',
+  claude: () => '/messages',
+  gemini: (model, stream) => `/models/${model}:${stream ? 'streamGenerateContent' : 'generateContent'}`
+};
+
+// Providers whose chat endpoint differs from the OpenAI default
+const openaiChatEndpointOverrides = {
+  github: '/v1/chat/completions'
+};
+
+/**
+ * Resolve a model name to the provider that serves it
+ * @returns {{ api: string, model: string, format: string, endpoint: string } | null}
+ */
+const resolveModelRoute = (model, stream = false) => {
+  if (!model || typeof model !== 'string') {
+    return null;
+  }
+
+  let route = null;
+
+  // Explicit provider prefix: 'groq/llama-3.3-70b-versatile'
+  const slash = model.indexOf('/');
+  if (slash > 0) {
+    const provider = model.slice(0, slash);
+    if (allowedEndpoints[provider]) {
+      const format = provider === 'claude' || provider === 'gemini' ? provider : 'openai';
+      route = { api: provider, model: model.slice(slash + 1), format };
+    }
+  }
+
+  if (!route) {
+    const match = modelRoutes.find(r => model.startsWith(r.prefix));
+    if (match) {
+      route = { api: match.api, model, format: match.format };
+    }
+  }
+
+  if (!route || !route.model) {
+    return null;
+  }
+
+  const endpoint = route.format === 'openai'
+    ? (openaiChatEndpointOverrides[route.api] || chatEndpoints.openai())
+    : chatEndpoints[route.format](route.model, stream);
+
+  if (!isEndpointAllowed(route.api, endpoint)) {
+    return null;
+  }
+
+  return { ...route, endpoint };
+};
+
 module.exports = {
   allowedEndpoints,
   apiHeaders,
-  isEndpointAllowed
+  bodyPolicies,
+  getBodyPolicy,
+  isEndpointAllowed,
+  keyValidationEndpoints,
+  modelRoutes,
+  resolveModelRoute
 };
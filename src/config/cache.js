@@ -0,0 +1,55 @@
+// Response cache for idempotent proxy calls
+// Identical embeddings / model-list requests are served from cache instead of going upstream.
+//
+// Enable with RESPONSE_CACHE_ENABLED=true. TTLs (seconds) are matched on the endpoint suffix,
+// longest suffix wins. Override or extend with a JSON object in RESPONSE_CACHE_TTLS
+// (e.g. {"/embeddings": 3600, "/models": 0}); a TTL of 0 disables caching for that endpoint.
+
+const config = require('./env');
+
+const defaultCacheTtls = {
+  '/embeddings': 24 * 60 * 60,          // OpenAI-compatible + GitHub /v1/embeddings
+  ':embedContent': 24 * 60 * 60,        // Gemini
+  ':batchEmbedContents': 24 * 60 * 60,  // Gemini
+  '/models': 60 * 60                    // Model listings
+};
+
+const loadCacheTtls = () => {
+  if (!config.responseCache.ttls) {
+    return defaultCacheTtls;
+  }
+
+  try {
+    const ttls = JSON.parse(config.responseCache.ttls);
+    if (!ttls || typeof ttls !== 'object' || Array.isArray(ttls)) {
+      throw new Error('RESPONSE_CACHE_TTLS must be a JSON object');
+    }
+    return { ...defaultCacheTtls, ...ttls };
+  } catch (error) {
+    console.warn(`⚠️  Invalid RESPONSE_CACHE_TTLS, using defaults: ${error.message}`);
+    return defaultCacheTtls;
+  }
+};
+
+const cacheTtls = loadCacheTtls();
+
+/**
+ * TTL in seconds for an endpoint, or 0 when it is not cacheable
+ */
+const getCacheTtl = (endpoint) => {
+  if (!endpoint) {
+    return 0;
+  }
+
+  const path = endpoint.split('?')[0];
+  const match = Object.keys(cacheTtls)
+    .filter(suffix => path.endsWith(suffix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? Math.max(0, parseInt(cacheTtls[match]) || 0) : 0;
+};
+
+module.exports = {
+  cacheTtls,
+  getCacheTtl
+};
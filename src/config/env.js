@@ -1,5 +1,19 @@
 require('dotenv').config();
 
+/**
+ * Server keys of a provider: <PROVIDER>_API_KEY plus an optional comma-separated
+ * <PROVIDER>_API_KEYS list (see services/serverKeys.js)
+ * apiKey stays the first key, so "is this provider configured" checks are unchanged.
+ */
+const serverKeys = (single, list) => {
+  const apiKeys = [single, ...(list ? list.split(',') : [])]
+    .map(key => key && key.trim())
+    .filter(Boolean)
+    .filter((key, index, keys) => keys.indexOf(key) === index);
+
+  return { apiKey: apiKeys[0], apiKeys };
+};
+
 const config = {
   // Server
   port: process.env.PORT || 3000,
@@ -7,40 +21,45 @@ const config = {
 
   // JWT
   jwtSecret: process.env.JWT_SECRET || 'default-secret-change-in-production',
-  jwtExpiresIn: '7d',
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m', // Access tokens; clients renew them with a refresh token
+
+  // Refresh tokens (see services/refreshToken.js): rotated on every use, stored hashed
+  refreshToken: {
+    ttlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30 // From the last rotation
+  },
 
   // OpenAI
   openai: {
-    apiKey: process.env.OPENAI_API_KEY,
+    ...serverKeys(process.env.OPENAI_API_KEY, process.env.OPENAI_API_KEYS),
     baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
   },
 
   // Google Gemini
   gemini: {
-    apiKey: process.env.GEMINI_API_KEY,
+    ...serverKeys(process.env.GEMINI_API_KEY, process.env.GEMINI_API_KEYS),
     baseUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta'
   },
 
   // Anthropic Claude
   claude: {
-    apiKey: process.env.CLAUDE_API_KEY,
+    ...serverKeys(process.env.CLAUDE_API_KEY, process.env.CLAUDE_API_KEYS),
     baseUrl: process.env.CLAUDE_BASE_URL || 'https://api.anthropic.com/v1'
   },
 
   // Other LLM APIs (optional)
   groq: {
-    apiKey: process.env.GROQ_API_KEY,
+    ...serverKeys(process.env.GROQ_API_KEY, process.env.GROQ_API_KEYS),
     baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1'
   },
 
   mistral: {
-    apiKey: process.env.MISTRAL_API_KEY,
+    ...serverKeys(process.env.MISTRAL_API_KEY, process.env.MISTRAL_API_KEYS),
     baseUrl: process.env.MISTRAL_BASE_URL || 'https://api.mistral.ai/v1'
   },
 
   // Z.ai GLM (OpenAI-compatible chat completions)
   zai: {
-    apiKey: process.env.ZAI_API_KEY,
+    ...serverKeys(process.env.ZAI_API_KEY, process.env.ZAI_API_KEYS),
     // Example GLM-4.6 endpoint:
     // https://api.z.ai/api/paas/v4/chat/completions
     baseUrl: process.env.ZAI_BASE_URL || 'https://api.z.ai/api/paas/v4'
@@ -48,81 +67,150 @@ const config = {
 
   // Additional LLM providers
   deepseek: {
-    apiKey: process.env.DEEPSEEK_API_KEY,
+    ...serverKeys(process.env.DEEPSEEK_API_KEY, process.env.DEEPSEEK_API_KEYS),
     baseUrl: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com'
   },
 
   perplexity: {
-    apiKey: process.env.PERPLEXITY_API_KEY,
+    ...serverKeys(process.env.PERPLEXITY_API_KEY, process.env.PERPLEXITY_API_KEYS),
     baseUrl: process.env.PERPLEXITY_BASE_URL || 'https://api.perplexity.ai'
   },
 
   together: {
-    apiKey: process.env.TOGETHER_API_KEY,
+    ...serverKeys(process.env.TOGETHER_API_KEY, process.env.TOGETHER_API_KEYS),
     baseUrl: process.env.TOGETHER_BASE_URL || 'https://api.together.xyz/v1'
   },
 
   openrouter: {
-    apiKey: process.env.OPENROUTER_API_KEY,
+    ...serverKeys(process.env.OPENROUTER_API_KEY, process.env.OPENROUTER_API_KEYS),
     baseUrl: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1'
   },
 
   fireworks: {
-    apiKey: process.env.FIREWORKS_API_KEY,
+    ...serverKeys(process.env.FIREWORKS_API_KEY, process.env.FIREWORKS_API_KEYS),
     baseUrl: process.env.FIREWORKS_BASE_URL || 'https://api.fireworks.ai/inference/v1'
   },
 
   // GitHub Models (OpenAI-compatible)
   github: {
-    apiKey: process.env.GITHUB_MODELS_API_KEY || process.env.GITHUB_TOKEN,
+    ...serverKeys(process.env.GITHUB_MODELS_API_KEY || process.env.GITHUB_TOKEN, process.env.GITHUB_MODELS_API_KEYS),
     // Example base from usage.txt: https://models.github.ai/inference
     baseUrl: process.env.GITHUB_MODELS_BASE_URL || 'https://models.github.ai/inference'
   },
 
   // Image / video providers
   replicate: {
-    apiKey: process.env.REPLICATE_API_KEY,
+    ...serverKeys(process.env.REPLICATE_API_KEY, process.env.REPLICATE_API_KEYS),
     baseUrl: process.env.REPLICATE_BASE_URL || 'https://api.replicate.com/v1'
   },
 
   stability: {
-    apiKey: process.env.STABILITY_API_KEY,
+    ...serverKeys(process.env.STABILITY_API_KEY, process.env.STABILITY_API_KEYS),
     baseUrl: process.env.STABILITY_BASE_URL || 'https://api.stability.ai'
   },
 
   fal: {
-    apiKey: process.env.FAL_API_KEY,
+    ...serverKeys(process.env.FAL_API_KEY, process.env.FAL_API_KEYS),
     baseUrl: process.env.FAL_BASE_URL || 'https://fal.ai/api'
   },
 
   // Audio
   elevenlabs: {
-    apiKey: process.env.ELEVENLABS_API_KEY,
+    ...serverKeys(process.env.ELEVENLABS_API_KEY, process.env.ELEVENLABS_API_KEYS),
     baseUrl: process.env.ELEVENLABS_BASE_URL || 'https://api.elevenlabs.io/v1'
   },
 
   // Other APIs
   brave: {
-    apiKey: process.env.BRAVE_API_KEY,
+    ...serverKeys(process.env.BRAVE_API_KEY, process.env.BRAVE_API_KEYS),
     baseUrl: process.env.BRAVE_BASE_URL || 'https://api.search.brave.com/res/v1'
   },
 
   deepl: {
-    apiKey: process.env.DEEPL_API_KEY,
+    ...serverKeys(process.env.DEEPL_API_KEY, process.env.DEEPL_API_KEYS),
     baseUrl: process.env.DEEPL_BASE_URL || 'https://api-free.deepl.com/v2'
   },
 
   openmeteo: {
-    apiKey: process.env.OPENMETEO_API_KEY,
+    ...serverKeys(process.env.OPENMETEO_API_KEY, process.env.OPENMETEO_API_KEYS),
     baseUrl: process.env.OPENMETEO_BASE_URL || 'https://api.open-meteo.com/v1'
   },
 
+  // Selection among several server keys of a provider
+  // SERVER_KEY_STRATEGY: round_robin (default) or least_rate_limited
+  serverKeys: {
+    strategy: process.env.SERVER_KEY_STRATEGY || 'round_robin',
+    cooldownMs: parseInt(process.env.SERVER_KEY_COOLDOWN_MS) || 60000 // Bench after a 429 without Retry-After
+  },
+
+  // Upstream retries (see utils/upstreamRetry.js)
+  upstreamRetry: {
+    enabled: process.env.UPSTREAM_RETRY_ENABLED === 'true',
+    maxRetries: parseInt(process.env.UPSTREAM_RETRY_MAX) || 2, // Retries per client request
+    baseDelayMs: parseInt(process.env.UPSTREAM_RETRY_BASE_DELAY_MS) || 500,
+    maxDelayMs: parseInt(process.env.UPSTREAM_RETRY_MAX_DELAY_MS) || 8000,
+    budgetMs: parseInt(process.env.UPSTREAM_RETRY_BUDGET_MS) || 15000 // Total waiting per client request
+  },
+
+  // Per-provider circuit breaker (see services/circuitBreaker.js)
+  circuitBreaker: {
+    enabled: process.env.CIRCUIT_BREAKER_ENABLED === 'true',
+    windowMs: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MS) || 60000,
+    minRequests: parseInt(process.env.CIRCUIT_BREAKER_MIN_REQUESTS) || 10, // Calls in the window before it can open
+    failureRate: parseFloat(process.env.CIRCUIT_BREAKER_FAILURE_RATE) || 0.5, // 0-1
+    openMs: parseInt(process.env.CIRCUIT_BREAKER_OPEN_MS) || 30000 // Fail fast this long, then probe
+  },
+
+  // Revoked tokens (see services/tokenBlacklist.js): 'memory' or 'database' (shared between instances)
+  tokenRevocation: {
+    store: process.env.TOKEN_REVOCATION_STORE === 'database' ? 'database' : 'memory'
+  },
+
+  // Webhook delivery queue (see services/webhook.js)
+  webhookDelivery: {
+    intervalMs: parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 10000, // How often due retries are sent
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000, // First retry delay, doubled per attempt
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 3600000,
+    batchSize: parseInt(process.env.WEBHOOK_DISPATCH_BATCH_SIZE) || 50,
+    retentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 7 // Delivered rows are then removed
+  },
+
   // Rate Limiting
   rateLimiting: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 3600000, // 1 hour
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
   },
 
+  // Provider fallback chains (see config/fallbacks.js)
+  fallback: {
+    enabled: process.env.FALLBACK_ENABLED === 'true',
+    chains: process.env.FALLBACK_CHAINS || null // Optional JSON override
+  },
+
+  // App registration: /auth/token requires a registered app secret or signature
+  // Opt-in, so deployments upgrading with unregistered appIds keep issuing tokens
+  appAuth: {
+    required: process.env.APP_AUTH_REQUIRED === 'true',
+    signatureToleranceSeconds: parseInt(process.env.APP_SIGNATURE_TOLERANCE_SECONDS) || 300
+  },
+
+  // Response cache for idempotent calls (see config/cache.js)
+  responseCache: {
+    enabled: process.env.RESPONSE_CACHE_ENABLED === 'true',
+    maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 1000,
+    ttls: process.env.RESPONSE_CACHE_TTLS || null // Optional JSON override
+  },
+
+  // Master key-encryption key for split-key secrets (see services/keyEncryption.js)
+  // MASTER_KEY is 32 bytes as hex or base64; MASTER_KEY_FILE points to a file containing it
+  keyEncryption: {
+    masterKey: process.env.MASTER_KEY || null,
+    masterKeyFile: process.env.MASTER_KEY_FILE || null,
+    masterKeyVersion: parseInt(process.env.MASTER_KEY_VERSION) || null,
+    // Keys still needed to decrypt during a rotation, JSON {"<version>": "<key>"}
+    previousMasterKeys: process.env.MASTER_KEY_PREVIOUS || null
+  },
+
   // CORS
   allowedOrigins: process.env.ALLOWED_ORIGINS
     ? (process.env.ALLOWED_ORIGINS === 'none'
@@ -171,6 +259,10 @@ const validateConfig = () => {
   if (!hasApiKey) {
     console.warn('⚠️  Warning: No API keys configured. Please add at least one API key to .env file');
   }
+
+  if (config.nodeEnv === 'production' && !config.appAuth.required) {
+    console.warn('⚠️  Warning: APP_AUTH_REQUIRED is not set; /auth/token issues tokens for unregistered appIds without an app secret');
+  }
 };
 
 validateConfig();
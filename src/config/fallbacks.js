@@ -0,0 +1,103 @@
+// Provider fallback chains
+// When the primary provider returns 5xx or times out, the proxy retries the request
+// against the next provider in the chain (server keys only, never BYOK keys).
+//
+// Enable with FALLBACK_ENABLED=true. Chains can be replaced with a JSON array in FALLBACK_CHAINS.
+
+const config = require('./env');
+const { isEndpointAllowed } = require('./apis');
+
+const defaultFallbackChains = [
+  {
+    name: 'chat-completions',
+    endpoint: '/chat/completions',
+    providers: ['openai', 'groq', 'together'],
+    // Per-model mapping: primary model -> model to use on each fallback provider
+    modelMap: {
+      'gpt-4o': {
+        groq: 'llama-3.3-70b-versatile',
+        together: 'meta-llama/Llama-3.3-70B-Instruct-Turbo'
+      },
+      'gpt-4o-mini': {
+        groq: 'llama-3.1-8b-instant',
+        together: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo'
+      }
+    },
+    // Used when the requested model has no entry in modelMap
+    defaultModels: {
+      groq: 'llama-3.3-70b-versatile',
+      together: 'meta-llama/Llama-3.3-70B-Instruct-Turbo'
+    },
+    // Optional per-provider endpoint override (e.g. github uses /v1/chat/completions)
+    endpoints: {}
+  }
+];
+
+const loadFallbackChains = () => {
+  if (!config.fallback.chains) {
+    return defaultFallbackChains;
+  }
+
+  try {
+    const chains = JSON.parse(config.fallback.chains);
+    if (!Array.isArray(chains)) {
+      throw new Error('FALLBACK_CHAINS must be a JSON array');
+    }
+    return chains;
+  } catch (error) {
+    console.warn(`⚠️  Invalid FALLBACK_CHAINS, using defaults: ${error.message}`);
+    return defaultFallbackChains;
+  }
+};
+
+const fallbackChains = loadFallbackChains();
+
+/**
+ * Upstream statuses that should move on to the next provider
+ */
+const isFallbackStatus = (status) => status >= 500 && status < 600;
+
+/**
+ * Upstream errors (no response) that should move on to the next provider
+ */
+const isFallbackError = (error) => !error.response && !!error.request;
+
+/**
+ * Get the fallback providers for a request, in order
+ * @returns {Array<{ api: string, endpoint: string, model: string|null }>}
+ */
+const getFallbackCandidates = (api, endpoint, model = null) => {
+  if (!config.fallback.enabled) {
+    return [];
+  }
+
+  const chain = fallbackChains.find(c =>
+    c.endpoint === endpoint && Array.isArray(c.providers) && c.providers[0] === api
+  );
+  if (!chain) {
+    return [];
+  }
+
+  return chain.providers.slice(1)
+    .map(provider => {
+      const providerEndpoint = (chain.endpoints && chain.endpoints[provider]) || endpoint;
+      const mappedModel =
+        (model && chain.modelMap && chain.modelMap[model] && chain.modelMap[model][provider]) ||
+        (chain.defaultModels && chain.defaultModels[provider]) ||
+        model;
+
+      return { api: provider, endpoint: providerEndpoint, model: mappedModel };
+    })
+    .filter(candidate =>
+      config[candidate.api] &&
+      config[candidate.api].apiKey &&
+      isEndpointAllowed(candidate.api, candidate.endpoint)
+    );
+};
+
+module.exports = {
+  fallbackChains,
+  isFallbackStatus,
+  isFallbackError,
+  getFallbackCandidates
+};
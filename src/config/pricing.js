@@ -0,0 +1,74 @@
+// Default pricing catalog (USD per 1K tokens)
+// Used when no admin-managed price exists in the database for a provider/model.
+// Model names are matched by longest prefix, so 'gpt-4o-mini-2024-07-18' resolves to 'gpt-4o-mini'.
+
+const defaultModelPrices = {
+  openai: {
+    'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+    'gpt-4o': { input: 0.0025, output: 0.01 },
+    'gpt-4-turbo': { input: 0.01, output: 0.03 },
+    'gpt-4': { input: 0.03, output: 0.06 },
+    'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+    'text-embedding-3-small': { input: 0.00002, output: 0 },
+    'text-embedding-3-large': { input: 0.00013, output: 0 }
+  },
+
+  claude: {
+    'claude-opus-4': { input: 0.015, output: 0.075 },
+    'claude-sonnet-4': { input: 0.003, output: 0.015 },
+    'claude-3-7-sonnet': { input: 0.003, output: 0.015 },
+    'claude-3-5-sonnet': { input: 0.003, output: 0.015 },
+    'claude-3-5-haiku': { input: 0.0008, output: 0.004 },
+    'claude-3-opus': { input: 0.015, output: 0.075 },
+    'claude-3-haiku': { input: 0.00025, output: 0.00125 }
+  },
+
+  gemini: {
+    'gemini-2.5-pro': { input: 0.00125, output: 0.01 },
+    'gemini-2.5-flash-lite': { input: 0.0001, output: 0.0004 },
+    'gemini-2.5-flash': { input: 0.0003, output: 0.0025 },
+    'gemini-2.0-flash-lite': { input: 0.000075, output: 0.0003 },
+    'gemini-2.0-flash': { input: 0.0001, output: 0.0004 },
+    'gemini-1.5-pro': { input: 0.00125, output: 0.005 },
+    'gemini-1.5-flash': { input: 0.000075, output: 0.0003 }
+  }
+};
+
+// Flat per-provider fallback rates (used when the model is unknown)
+const defaultProviderPrices = {
+  openai: { input: 0.01, output: 0.01 },
+  gemini: { input: 0.0005, output: 0.0005 },
+  claude: { input: 0.008, output: 0.008 },
+  groq: { input: 0.001, output: 0.001 },
+  mistral: { input: 0.001, output: 0.001 },
+  zai: { input: 0.001, output: 0.001 },
+  deepseek: { input: 0.001, output: 0.001 },
+  perplexity: { input: 0.001, output: 0.001 },
+  together: { input: 0.001, output: 0.001 },
+  openrouter: { input: 0.001, output: 0.001 },
+  fireworks: { input: 0.001, output: 0.001 },
+  github: { input: 0.001, output: 0.001 }
+};
+
+/**
+ * Find the entry whose model name is the longest prefix of `model`
+ */
+const matchModelPrice = (entries, model) => {
+  if (!model) return null;
+
+  let best = null;
+  for (const entry of entries) {
+    if (model === entry.model || model.startsWith(entry.model)) {
+      if (!best || entry.model.length > best.model.length) {
+        best = entry;
+      }
+    }
+  }
+  return best;
+};
+
+module.exports = {
+  defaultModelPrices,
+  defaultProviderPrices,
+  matchModelPrice
+};
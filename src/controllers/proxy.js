@@ -1,13 +1,21 @@
-const axios = require('axios');
 const config = require('../config/env');
-const { isEndpointAllowed, apiHeaders } = require('../config/apis');
+const { isEndpointAllowed } = require('../config/apis');
+const { getFallbackCandidates, isFallbackStatus, isFallbackError } = require('../config/fallbacks');
 const { handleProxyError } = require('../utils/errorHandler');
-const { validateEndpoint, sanitizeBody } = require('../utils/validator');
+const { validateEndpoint, sanitizeBody, enforceBodyPolicy } = require('../utils/validator');
 const UsageTrackingService = require('../services/usage');
+const PricingService = require('../services/pricing');
+const ResponseCacheService = require('../services/responseCache');
+const ModelPolicyModel = require('../models/ModelPolicy');
 const webhookService = require('../services/webhook');
+const splitKeyService = require('../services/splitKey');
+const KeyPoolService = require('../services/keyPool');
+const ServerKeyService = require('../services/serverKeys');
+const UpstreamService = require('../services/upstream');
 const { logSecurityEvent } = require('../utils/securityLogger');
 const prisma = require('../db/client');
-const { decryptKey } = require('../utils/crypto');
+const { createStreamUsageTap } = require('../utils/streamUsage');
+const { createRetryBudget, discardResponse } = require('../utils/upstreamRetry');
 
 /**
  * Main Proxy Controller
@@ -22,12 +30,13 @@ const { decryptKey } = require('../utils/crypto');
  */
 const proxyRequest = async (req, res) => {
   const startTime = Date.now();
+  let upstreamAttempts = 0;
 
   try {
     const { api } = req.params;
     const isGet = req.method === 'GET';
     const endpoint = (req.body && req.body.endpoint) || req.query.endpoint;
-    const requestData = sanitizeBody(req.body || {});
+    let requestData = sanitizeBody(req.body || {});
 
     // Get user from middleware (set by auth + quota check)
     const userId = req.user.userId;
@@ -54,6 +63,24 @@ const proxyRequest = async (req, res) => {
       });
     }
 
+    // Request-body policy (config/apis.js): clamp or reject out-of-bounds parameters
+    if (!isGet) {
+      const bodyPolicy = enforceBodyPolicy(req, api, endpoint, requestData);
+      if (bodyPolicy.violation) {
+        return res.status(400).json({
+          error: 'Request Policy Violation',
+          message: bodyPolicy.violation.message,
+          field: bodyPolicy.violation.field,
+          limit: bodyPolicy.violation.limit,
+          api
+        });
+      }
+      if (bodyPolicy.clamped.length > 0) {
+        res.setHeader('X-Policy-Clamped', bodyPolicy.clamped.join(', '));
+      }
+      requestData = bodyPolicy.body;
+    }
+
     // Determine API key based on headers (BYOK Split Key) or server config
     let apiKey;
     let keySource;
@@ -75,7 +102,7 @@ const proxyRequest = async (req, res) => {
           });
         }
 
-        if (splitKeyRecord.clientPart !== clientPart) {
+        if (!splitKeyService.matchesClientPart(splitKeyRecord, clientPart)) {
           return res.status(401).json({
             error: 'Invalid Split Key',
             message: 'Invalid X-Partial-Key or X-Partial-Key-Id combination'
@@ -83,12 +110,7 @@ const proxyRequest = async (req, res) => {
         }
 
         try {
-          apiKey = decryptKey(
-            splitKeyRecord.serverPart,
-            splitKeyRecord.decryptionSecret,
-            splitKeyRecord.apiProvider,
-            clientPart
-          );
+          apiKey = await splitKeyService.decryptWithClientPart(splitKeyRecord, clientPart);
         } catch (decryptError) {
           console.error('Failed to decrypt API key:', decryptError);
           return res.status(401).json({
@@ -112,10 +134,31 @@ const proxyRequest = async (req, res) => {
           message: 'Unable to validate split key'
         });
       }
+    } else if (authMethod === 'KEY_POOL') {
+      // Method C: Team key pool shared with this user or app
+      try {
+        req.keyPool = await KeyPoolService.acquireKey(
+          req.headers['x-key-pool-id'],
+          { userId, appId: req.user.appId },
+          api
+        );
+      } catch (poolError) {
+        if (poolError.code !== 'KEY_POOL') {
+          console.error('Key pool lookup error:', poolError);
+        }
+        return res.status(poolError.status || 500).json({
+          error: 'Key Pool Unavailable',
+          message: poolError.code === 'KEY_POOL' ? poolError.message : 'Unable to select a key from the pool',
+          poolId: req.headers['x-key-pool-id']
+        });
+      }
+
+      apiKey = req.keyPool.apiKey;
+      keySource = 'KEY_POOL';
     } else {
-      // Method A: Server Key from configuration / .env
-      const apiConfig = config[api];
-      if (!apiConfig || !apiConfig.apiKey) {
+      // Method A: Server Key from configuration / .env (one of several when <PROVIDER>_API_KEYS is set)
+      const serverKey = ServerKeyService.selectKey(api);
+      if (!serverKey) {
         return res.status(503).json({
           error: 'Service Not Available',
           message: `${api.toUpperCase()} API is not configured. Please add the API key to .env file`,
@@ -123,22 +166,11 @@ const proxyRequest = async (req, res) => {
           authMethod: 'SERVER_KEY'
         });
       }
-      apiKey = apiConfig.apiKey;
+      apiKey = serverKey.apiKey;
       keySource = 'SERVER_KEY';
+      req.serverKey = { api, keyId: serverKey.keyId };
     }
 
-    // Build request URL
-    let targetUrl = `${config[api].baseUrl}${endpoint}`;
-
-    // Special handling for Gemini (API key in query parameter)
-    if (api === 'gemini') {
-      const separator = targetUrl.includes('?') ? '&' : '?';
-      targetUrl = `${targetUrl}${separator}key=${apiKey}`;
-    }
-
-    // Prepare headers
-    const headers = apiHeaders[api](apiKey);
-
     // Log the proxied request with authentication method
     console.log(`🔄 Proxying ${req.method} request to ${api.toUpperCase()}: ${endpoint} (${keySource})`);
 
@@ -150,31 +182,117 @@ const proxyRequest = async (req, res) => {
     const acceptHeader = req.headers['accept'] || '';
     const wantsStream = acceptHeader.includes('text/event-stream') || requestData.stream === true;
 
-    // Prepare axios config
-    const timeoutMs = parseInt(process.env.UPSTREAM_TIMEOUT_MS || '0') || (process.env.LIGHT_MODE === 'true' ? 30000 : 60000);
-    const axiosConfig = {
-      method: req.method,
-      url: targetUrl,
-      headers: {
-        ...headers,
-        ...(req.headers['user-agent'] && { 'User-Agent': req.headers['user-agent'] })
-      },
-      timeout: timeoutMs,
-      validateStatus: (status) => status < 600,
-      ...(wantsStream && { responseType: 'stream' })
-    };
+    // OpenAI only reports usage for streams when asked to
+    const injectStreamOptions = wantsStream && api === 'openai' && requestData.stream === true && !requestData.stream_options;
+    const primaryData = injectStreamOptions
+      ? { ...requestData, stream_options: { include_usage: true } }
+      : requestData;
+
+    // Response cache (opt-in, idempotent endpoints only)
+    const cacheTtl = ResponseCacheService.getTtl(req, endpoint, wantsStream);
+    let cacheKey = null;
 
-    // For GET requests, pass remaining query params through (excluding endpoint)
-    if (isGet) {
+    if (cacheTtl > 0) {
       const { endpoint: _ep, ...queryRest } = req.query || {};
-      // For Gemini, API key already appended; include other query params
-      axiosConfig.params = queryRest;
-    } else {
-      axiosConfig.data = requestData;
+      cacheKey = ResponseCacheService.buildKey(
+        api,
+        endpoint,
+        isGet ? queryRest : requestData,
+        keySource === 'BYOK_SPLIT_KEY' ? `byok:${partialKeyId}`
+          : keySource === 'KEY_POOL' ? `pool:${req.keyPool.poolId}` : 'server'
+      );
+
+      const cached = await ResponseCacheService.get(cacheKey);
+      if (cached) {
+        console.log(`💾 Cache hit for ${api.toUpperCase()}: ${endpoint}`);
+
+        // Cache hits are recorded with zero tokens and zero cost
+        UsageTrackingService.trackRequest({
+          userId,
+          api,
+          endpoint,
+          method: req.method,
+          statusCode: cached.status,
+          success: true,
+          responseTime: Date.now() - startTime,
+          req,
+          responseData: cached.data,
+          model: PricingService.resolveModel(api, endpoint, requestData, cached.data),
+          cached: true,
+          attempts: 0
+        }).catch(err => console.error('Usage tracking error:', err));
+
+        res.setHeader('X-Cache', 'HIT');
+        res.setHeader('Age', Math.floor((Date.now() - cached.cachedAt) / 1000));
+        res.setHeader('X-Upstream-Provider', api);
+        return res.status(cached.status).json(cached.data);
+      }
+
+      res.setHeader('X-Cache', 'MISS');
     }
 
     // Make the request to external API
-    const response = await axios(axiosConfig);
+    // Retryable failures are retried within one budget per request (utils/upstreamRetry.js)
+    const retryBudget = createRetryBudget();
+
+    const sendUpstream = (target) => UpstreamService.send(req, target, {
+      apiKey,
+      keySource,
+      retryBudget,
+      isGet,
+      wantsStream
+    });
+
+    let servedApi = api;
+    let servedEndpoint = endpoint;
+    let servedData = primaryData;
+
+    let { response, error: lastError, attempts } = await sendUpstream({ api, endpoint, data: primaryData });
+    upstreamAttempts = attempts;
+
+    // Provider fallback chain (server keys only - a BYOK key never leaves its provider)
+    const primaryFailed = response
+      ? isFallbackStatus(response.status)
+      : isFallbackError(lastError) || lastError.code === 'CIRCUIT_OPEN';
+    if (primaryFailed && keySource === 'SERVER_KEY' && !isGet) {
+      // Never fall back to a model the user's app/user policy blocks
+      const candidates = getFallbackCandidates(api, endpoint, requestData.model || null)
+        .filter(candidate => ModelPolicyModel.evaluate(req.modelPolicyRules || [], candidate.api, candidate.model).allowed);
+
+      for (const candidate of candidates) {
+        discardResponse(response);
+        console.warn(`↪️  ${servedApi.toUpperCase()} failed, falling back to ${candidate.api.toUpperCase()}: ${candidate.endpoint}`);
+
+        const candidateData = { ...requestData, ...(candidate.model && { model: candidate.model }) };
+        servedApi = candidate.api;
+        servedEndpoint = candidate.endpoint;
+        servedData = candidateData;
+
+        ({ response, error: lastError, attempts } = await sendUpstream({
+          api: candidate.api,
+          endpoint: candidate.endpoint,
+          data: candidateData
+        }));
+        upstreamAttempts += attempts;
+
+        if (response && !isFallbackStatus(response.status)) break;
+      }
+    }
+
+    if (!response) {
+      throw lastError;
+    }
+
+    res.setHeader('X-Upstream-Provider', servedApi);
+    if (servedApi !== api) {
+      res.setHeader('X-Fallback-From', api);
+    }
+    if (upstreamAttempts > 1) {
+      res.setHeader('X-Upstream-Attempts', upstreamAttempts);
+    }
+    if (response.status === 429 && response.headers && response.headers['retry-after']) {
+      res.setHeader('Retry-After', response.headers['retry-after']);
+    }
 
     const responseTime = Date.now() - startTime;
     const success = response.status >= 200 && response.status < 400;
@@ -189,44 +307,68 @@ const proxyRequest = async (req, res) => {
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
 
-      // Track usage without tokens (unknown for stream)
-      UsageTrackingService.trackRequest({
-        userId,
-        api,
-        endpoint,
-        method: req.method,
-        statusCode: response.status,
-        success,
-        responseTime,
-        req,
-        responseData: null,
-        metadata: {
-          authMethod,
-          keySource,
-          ...(authMethod === 'BYOK_SPLIT_KEY' && { keyId: req.splitKey?.keyId })
-        }
-      }).catch(err => console.error('Usage tracking error:', err));
+      // Track usage once the stream ends (tokens are read from SSE events as they pass through)
+      const usageTap = createStreamUsageTap(servedApi, (streamUsage) => {
+        UsageTrackingService.trackRequest({
+          userId,
+          api: servedApi,
+          endpoint: servedEndpoint,
+          method: req.method,
+          statusCode: response.status,
+          success,
+          responseTime: Date.now() - startTime,
+          req,
+          responseData: streamUsage,
+          attempts: upstreamAttempts,
+          model: PricingService.resolveModel(servedApi, servedEndpoint, servedData, streamUsage),
+          metadata: {
+            authMethod,
+            keySource,
+            streamed: true,
+            ...(servedApi !== api && { fallbackFrom: api }),
+            ...(authMethod === 'BYOK_SPLIT_KEY' && { keyId: req.splitKey?.keyId }),
+            ...(keySource === 'KEY_POOL' && { poolId: req.keyPool.poolId })
+          }
+        }).catch(err => console.error('Usage tracking error:', err));
+      });
 
-      response.data.pipe(res);
+      // Client disconnected before the upstream finished: record what was seen so far
+      res.on('close', () => usageTap.finish());
+
+      response.data.pipe(usageTap).pipe(res);
     } else {
       // Track usage (async, don't wait)
       UsageTrackingService.trackRequest({
         userId,
-        api,
-        endpoint,
+        api: servedApi,
+        endpoint: servedEndpoint,
         method: req.method,
         statusCode: response.status,
         success,
         responseTime,
         req,
         responseData: response.data,
+        attempts: upstreamAttempts,
+        model: PricingService.resolveModel(servedApi, servedEndpoint, servedData, response.data),
         metadata: {
           authMethod,
           keySource,
-          ...(authMethod === 'BYOK_SPLIT_KEY' && { keyId: req.splitKey?.keyId })
+          ...(servedApi !== api && { fallbackFrom: api }),
+          ...(authMethod === 'BYOK_SPLIT_KEY' && { keyId: req.splitKey?.keyId }),
+          ...(keySource === 'KEY_POOL' && { poolId: req.keyPool.poolId })
         }
       }).catch(err => console.error('Usage tracking error:', err));
 
+      // Only cache what the requested provider itself served
+      if (cacheKey && servedApi === api) {
+        ResponseCacheService.set(cacheKey, {
+          status: response.status,
+          data: response.data,
+          api,
+          endpoint
+        }, cacheTtl);
+      }
+
       // Forward the response
       res.status(response.status).json(response.data);
     }
@@ -245,19 +387,25 @@ const proxyRequest = async (req, res) => {
         statusCode: errorResponse.status,
         success: false,
         responseTime,
-        req
+        req,
+        attempts: upstreamAttempts
       }).catch(err => console.error('Usage tracking error:', err));
 
-      // Trigger error webhook
-      webhookService.trigger('api.error', {
-        userId: req.user.userId,
-        api: req.params.api,
-        endpoint: req.body.endpoint,
-        error: errorResponse.message,
-        statusCode: errorResponse.status
-      }).catch(err => console.error('Webhook error:', err));
+      // Trigger error webhook (an open circuit is reported once, as provider.down)
+      if (error.code !== 'CIRCUIT_OPEN') {
+        webhookService.trigger('api.error', {
+          userId: req.user.userId,
+          api: req.params.api,
+          endpoint: req.body.endpoint,
+          error: errorResponse.message,
+          statusCode: errorResponse.status
+        }).catch(err => console.error('Webhook error:', err));
+      }
     }
 
+    if (errorResponse.retryAfter) {
+      res.setHeader('Retry-After', errorResponse.retryAfter);
+    }
     res.status(errorResponse.status).json(errorResponse);
   }
 };
@@ -323,9 +471,12 @@ const healthCheck = async (req, res) => {
     const status = {};
     apis.forEach(api => {
       const apiConfig = config[api];
+      const serverKeys = ServerKeyService.getProviderHealth(api);
       status[api] = {
-        configured: !!(apiConfig && apiConfig.apiKey),
-        baseUrl: apiConfig?.baseUrl || 'Not configured'
+        configured: serverKeys.length > 0,
+        baseUrl: apiConfig?.baseUrl || 'Not configured',
+        ...(serverKeys.length > 0 && { serverKeys }),
+        circuit: CircuitBreakerService.getState(api)
       };
     });
 
@@ -366,13 +517,17 @@ const healthCheck = async (req, res) => {
 
   apis.forEach(api => {
     const apiConfig = config[api];
+    const serverKeys = ServerKeyService.getProviderHealth(api);
     status[api] = {
-      configured: !!(apiConfig && apiConfig.apiKey),
-      baseUrl: apiConfig?.baseUrl || 'Not configured'
+      configured: serverKeys.length > 0,
+      baseUrl: apiConfig?.baseUrl || 'Not configured',
+      ...(serverKeys.length > 0 && { serverKeys }),
+      circuit: CircuitBreakerService.getState(api)
     };
   });
 
   const configuredCount = Object.values(status).filter(s => s.configured).length;
+  const providersDown = apis.filter(api => status[api].circuit.state !== 'closed');
 
   // Test database connectivity
   let dbStatus = 'unknown';
@@ -402,6 +557,7 @@ const healthCheck = async (req, res) => {
         latency: `${dbLatency}ms`
       }
     },
+    providersDown,
     summary: `${configuredCount}/${apis.length} APIs configured`
   });
 };
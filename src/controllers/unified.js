@@ -0,0 +1,276 @@
+const { resolveModelRoute } = require('../config/apis');
+const { handleProxyError } = require('../utils/errorHandler');
+const { sanitizeBody, checkModelPolicy, enforceBodyPolicy } = require('../utils/validator');
+const {
+  toClaudeRequest,
+  fromClaudeResponse,
+  toGeminiRequest,
+  fromGeminiResponse,
+  toOpenAIError,
+  createChunkTranslator
+} = require('../utils/openaiTranslator');
+const { createStreamUsageTap } = require('../utils/streamUsage');
+const { createRetryBudget } = require('../utils/upstreamRetry');
+const UsageTrackingService = require('../services/usage');
+const splitKeyService = require('../services/splitKey');
+const KeyPoolService = require('../services/keyPool');
+const ServerKeyService = require('../services/serverKeys');
+const UpstreamService = require('../services/upstream');
+const webhookService = require('../services/webhook');
+
+/**
+ * Unified Chat Completions Controller
+ * Accepts the OpenAI chat completion schema and routes by model prefix to
+ * OpenAI-compatible providers, Claude /messages or Gemini generateContent
+ */
+
+/**
+ * Build the upstream request body for the routed provider
+ */
+const buildUpstreamBody = (route, body) => {
+  if (route.format === 'claude') {
+    return toClaudeRequest(body, route.model);
+  }
+
+  if (route.format === 'gemini') {
+    return toGeminiRequest(body);
+  }
+
+  const upstreamBody = { ...body, model: route.model };
+
+  // OpenAI only reports usage for streams when asked to
+  if (route.api === 'openai' && body.stream === true && !body.stream_options) {
+    upstreamBody.stream_options = { include_usage: true };
+  }
+
+  return upstreamBody;
+};
+
+/**
+ * Translate a non-streaming upstream response to the OpenAI schema
+ */
+const translateResponse = (route, data) => {
+  if (route.format === 'claude') return fromClaudeResponse(data, route.model);
+  if (route.format === 'gemini') return fromGeminiResponse(data, route.model);
+  return data;
+};
+
+/**
+ * Read a (small) upstream error stream into a parsed body
+ */
+const readStream = (stream) => new Promise((resolve) => {
+  let raw = '';
+  stream.on('data', (chunk) => { raw += chunk; });
+  stream.on('end', () => {
+    try {
+      resolve(JSON.parse(raw));
+    } catch (error) {
+      resolve(raw);
+    }
+  });
+  stream.on('error', () => resolve(raw));
+});
+
+/**
+ * Resolve the API key for the routed provider (BYOK split key, key pool or server key)
+ */
+const resolveApiKey = async (req, api) => {
+  if (req.authMethod === 'BYOK_SPLIT_KEY' && req.reconstructedApiKey) {
+    const info = await splitKeyService.getSplitKeyInfo(req.splitKey.keyId);
+    if (info.apiProvider !== api) {
+      return { error: `Split key ${req.splitKey.keyId} is for ${info.apiProvider}, but the model is served by ${api}` };
+    }
+    return { apiKey: req.reconstructedApiKey, keySource: 'BYOK_SPLIT_KEY' };
+  }
+
+  if (req.authMethod === 'KEY_POOL') {
+    try {
+      req.keyPool = await KeyPoolService.acquireKey(
+        req.headers['x-key-pool-id'],
+        { userId: req.user.userId, appId: req.user.appId },
+        api
+      );
+    } catch (error) {
+      if (error.code !== 'KEY_POOL') {
+        throw error;
+      }
+      return { error: error.message, status: error.status };
+    }
+    return { apiKey: req.keyPool.apiKey, keySource: 'KEY_POOL' };
+  }
+
+  const serverKey = ServerKeyService.selectKey(api);
+  if (!serverKey) {
+    return { error: `${api.toUpperCase()} API is not configured`, status: 503 };
+  }
+
+  req.serverKey = { api, keyId: serverKey.keyId };
+  return { apiKey: serverKey.apiKey, keySource: 'SERVER_KEY' };
+};
+
+/**
+ * POST /v1/chat/completions
+ */
+const chatCompletions = async (req, res) => {
+  const startTime = Date.now();
+  const body = sanitizeBody(req.body || {});
+  const userId = req.user.userId;
+
+  if (!body.model || !Array.isArray(body.messages) || body.messages.length === 0) {
+    return res.status(400).json({
+      error: {
+        message: 'model and a non-empty messages array are required',
+        type: 'invalid_request_error',
+        code: null
+      }
+    });
+  }
+
+  const wantsStream = body.stream === true;
+  const route = resolveModelRoute(body.model, wantsStream);
+
+  if (!route) {
+    return res.status(400).json({
+      error: {
+        message: `No provider route for model '${body.model}'`,
+        type: 'invalid_request_error',
+        code: 'model_not_found'
+      }
+    });
+  }
+
+  const { api } = route;
+  let upstreamAttempts = 0;
+
+  try {
+    const policy = await checkModelPolicy(req, api, route.model);
+    if (!policy.allowed) {
+      return res.status(403).json({
+        error: { message: policy.reason, type: 'invalid_request_error', code: 'model_not_allowed' }
+      });
+    }
+
+    // Request-body policy is applied to the provider-native body
+    const bodyPolicy = enforceBodyPolicy(req, api, route.endpoint, buildUpstreamBody(route, body));
+    if (bodyPolicy.violation) {
+      return res.status(400).json({
+        error: { message: bodyPolicy.violation.message, type: 'invalid_request_error', code: 'policy_violation', param: bodyPolicy.violation.field }
+      });
+    }
+    if (bodyPolicy.clamped.length > 0) {
+      res.setHeader('X-Policy-Clamped', bodyPolicy.clamped.join(', '));
+    }
+
+    const { apiKey, keySource, error: keyError, status: keyStatus } = await resolveApiKey(req, api);
+    if (keyError) {
+      return res.status(keyStatus || 400).json({
+        error: { message: keyError, type: 'invalid_request_error', code: 'provider_unavailable' }
+      });
+    }
+
+    console.log(`🔄 Unified chat completion for ${body.model} via ${api.toUpperCase()}: ${route.endpoint} (${keySource})`);
+
+    // Circuit breaker, retries within the request's budget and server key reselection (services/upstream.js)
+    const { response, error: upstreamError, attempts } = await UpstreamService.send(req, {
+      api,
+      endpoint: api === 'gemini' && wantsStream ? `${route.endpoint}?alt=sse` : route.endpoint,
+      data: bodyPolicy.body,
+      method: 'POST'
+    }, {
+      apiKey,
+      keySource,
+      retryBudget: createRetryBudget(),
+      wantsStream
+    });
+
+    upstreamAttempts = attempts;
+    if (!response) {
+      throw upstreamError;
+    }
+
+    const success = response.status >= 200 && response.status < 400;
+    const trackUsage = (responseData) => UsageTrackingService.trackRequest({
+      userId,
+      api,
+      endpoint: route.endpoint,
+      method: 'POST',
+      statusCode: response.status,
+      success,
+      responseTime: Date.now() - startTime,
+      req,
+      responseData,
+      attempts,
+      model: route.model
+    }).catch(err => console.error('Usage tracking error:', err));
+
+    res.setHeader('X-Upstream-Provider', api);
+    if (attempts > 1) {
+      res.setHeader('X-Upstream-Attempts', attempts);
+    }
+
+    if (!success) {
+      const errorData = wantsStream ? await readStream(response.data) : response.data;
+      trackUsage(null);
+      return res.status(response.status).json(toOpenAIError(response.status, errorData, api));
+    }
+
+    if (!wantsStream) {
+      trackUsage(response.data);
+      return res.status(response.status).json(translateResponse(route, response.data));
+    }
+
+    // Streaming: count tokens on the provider's stream, then translate to OpenAI chunks
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    const usageTap = createStreamUsageTap(api, trackUsage);
+    res.on('close', () => usageTap.finish());
+
+    const includeUsage = !!(body.stream_options && body.stream_options.include_usage);
+    const output = route.format === 'openai'
+      ? response.data.pipe(usageTap)
+      : response.data.pipe(usageTap).pipe(createChunkTranslator(route.format, { model: route.model, includeUsage }));
+
+    output.pipe(res);
+
+  } catch (error) {
+    const errorResponse = handleProxyError(error, api);
+
+    UsageTrackingService.trackRequest({
+      userId,
+      api,
+      endpoint: route.endpoint,
+      method: 'POST',
+      statusCode: errorResponse.status,
+      success: false,
+      responseTime: Date.now() - startTime,
+      req,
+      attempts: upstreamAttempts,
+      model: route.model
+    }).catch(err => console.error('Usage tracking error:', err));
+
+    // An open circuit is reported once, as provider.down
+    if (error.code !== 'CIRCUIT_OPEN') {
+      webhookService.trigger('api.error', {
+        userId,
+        api,
+        endpoint: route.endpoint,
+        error: errorResponse.message,
+        statusCode: errorResponse.status
+      }).catch(err => console.error('Webhook error:', err));
+    }
+
+    if (errorResponse.retryAfter) {
+      res.setHeader('Retry-After', errorResponse.retryAfter);
+    }
+    res.status(errorResponse.status).json(
+      toOpenAIError(errorResponse.status, { message: errorResponse.message }, api)
+    );
+  }
+};
+
+module.exports = {
+  chatCompletions
+};
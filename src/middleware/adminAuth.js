@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const { logFailedAuth, logAdminOperation } = require('../utils/securityLogger');
 const { trackFailedAuth, isLockedOut } = require('./securityMonitor');
+const { timingSafeCompare } = require('../utils/crypto');
 
 /**
  * Enhanced Admin Authentication Middleware
@@ -20,25 +21,18 @@ const hashAdminKey = (key) => {
 };
 
 /**
- * Timing-safe string comparison
- * Prevents timing attacks by ensuring constant-time comparison
+ * Trigger the admin.auth_failed webhook (the presented key is never included)
+ * Required lazily so the key helpers stay usable without a database
  */
-const timingSafeCompare = (a, b) => {
-  if (!a || !b) return false;
-
-  // Ensure same length (pad shorter one)
-  const maxLen = Math.max(a.length, b.length);
-  const bufferA = Buffer.alloc(maxLen);
-  const bufferB = Buffer.alloc(maxLen);
-
-  bufferA.write(a);
-  bufferB.write(b);
-
-  try {
-    return crypto.timingSafeEqual(bufferA, bufferB);
-  } catch (error) {
-    return false;
-  }
+const notifyAuthFailed = (req, ip, reason, attempts) => {
+  const webhookService = require('../services/webhook');
+  webhookService.trigger('admin.auth_failed', {
+    ip,
+    reason,
+    attempts,
+    method: req.method,
+    path: req.originalUrl
+  }).catch(err => console.error('Webhook error:', err));
 };
 
 /**
@@ -63,6 +57,7 @@ const adminAuth = (req, res, next) => {
   if (!adminKey) {
     const attempts = trackFailedAuth(ip);
     logFailedAuth('admin', 'no-key', ip, 'Missing admin key');
+    notifyAuthFailed(req, ip, 'missing_key', attempts);
 
     return res.status(401).json({
       error: 'Unauthorized',
@@ -88,6 +83,7 @@ const adminAuth = (req, res, next) => {
     const keyHash = hashAdminKey(adminKey);
 
     logFailedAuth('admin', keyHash, ip, `Invalid admin key (attempt ${attempts})`);
+    notifyAuthFailed(req, ip, 'invalid_key', attempts);
 
     return res.status(401).json({
       error: 'Unauthorized',
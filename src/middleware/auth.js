@@ -1,6 +1,8 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../config/env');
 const tokenBlacklist = require('../services/tokenBlacklist');
+const AppModel = require('../models/App');
 const { logFailedAuth } = require('../utils/securityLogger');
 
 /**
@@ -24,8 +26,18 @@ const authenticateToken = async (req, res, next) => {
     });
   }
 
-  // Check if token is blacklisted (logout/revoked)
-  const isBlacklisted = await tokenBlacklist.isBlacklisted(token);
+  // Check if token is blacklisted (logout/revoked); fail closed when the revocation store is unavailable
+  let isBlacklisted;
+  try {
+    isBlacklisted = await tokenBlacklist.isBlacklisted(token);
+  } catch (blacklistError) {
+    console.error('Token blacklist check error:', blacklistError);
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Token revocation status could not be checked. Please retry.'
+    });
+  }
+
   if (isBlacklisted) {
     logFailedAuth('jwt', 'blacklisted', ip, 'Token has been revoked (user logged out)');
     return res.status(401).json({
@@ -35,7 +47,7 @@ const authenticateToken = async (req, res, next) => {
   }
 
   // Verify token
-  jwt.verify(token, config.jwtSecret, (err, user) => {
+  jwt.verify(token, config.jwtSecret, async (err, user) => {
     if (err) {
       logFailedAuth('jwt', user?.userId || 'unknown', ip, `Token verification failed: ${err.message}`);
       return res.status(403).json({
@@ -44,6 +56,27 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens of disabled/unregistered apps, or issued before the app's tokens were revoked, are no longer valid
+    if (user.appId) {
+      try {
+        const app = await AppModel.findCached(user.appId);
+        const valid = app ? AppModel.isTokenValid(app, user) : !config.appAuth.required;
+        if (!valid) {
+          logFailedAuth('jwt', user.userId, ip, `Token invalidated for app ${user.appId}`);
+          return res.status(401).json({
+            error: 'Token Revoked',
+            message: 'Tokens for this app have been revoked. Please request a new token.'
+          });
+        }
+      } catch (appError) {
+        console.error('App lookup error:', appError);
+        return res.status(500).json({
+          error: 'Internal Server Error',
+          message: 'Failed to validate token'
+        });
+      }
+    }
+
     req.user = user;
     req.token = token; // Attach token for logout
 
@@ -53,9 +86,13 @@ const authenticateToken = async (req, res, next) => {
       'x-partial-key': req.headers['x-partial-key']
     };
 
-    req.authMethod = splitKeyHeaders['x-partial-key-id'] && splitKeyHeaders['x-partial-key']
-      ? 'BYOK_SPLIT_KEY'
-      : 'SERVER_KEY';
+    if (splitKeyHeaders['x-partial-key-id'] && splitKeyHeaders['x-partial-key']) {
+      req.authMethod = 'BYOK_SPLIT_KEY';
+    } else if (req.headers['x-key-pool-id']) {
+      req.authMethod = 'KEY_POOL';
+    } else {
+      req.authMethod = 'SERVER_KEY';
+    }
 
     next();
   });
@@ -64,10 +101,12 @@ const authenticateToken = async (req, res, next) => {
 /**
  * Generate JWT Token
  * Used by the auth endpoint to create tokens for clients
+ * Each token gets a unique jti so it can be revoked on its own
  */
 const generateToken = (payload) => {
   return jwt.sign(payload, config.jwtSecret, {
-    expiresIn: config.jwtExpiresIn
+    expiresIn: config.jwtExpiresIn,
+    jwtid: crypto.randomUUID()
   });
 };
 
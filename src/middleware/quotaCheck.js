@@ -3,7 +3,7 @@ const webhookService = require('../services/webhook');
 
 /**
  * Quota Check Middleware
- * Verifies user hasn't exceeded their quota
+ * Verifies user hasn't exceeded their request, token or cost quota
  */
 
 const quotaCheck = async (req, res, next) => {
@@ -12,7 +12,7 @@ const quotaCheck = async (req, res, next) => {
     const { userId } = req.user;
 
     // Check quota
-    const { exceeded, reason, user } = await UserModel.checkQuota(userId);
+    const { exceeded, reason, budget, period, user } = await UserModel.checkQuota(userId);
 
     if (exceeded) {
       // Trigger rate limit webhook
@@ -20,6 +20,8 @@ const quotaCheck = async (req, res, next) => {
         await webhookService.trigger('user.rate_limited', {
           userId,
           reason,
+          budget,
+          period,
           timestamp: new Date().toISOString()
         });
       }
@@ -27,11 +29,21 @@ const quotaCheck = async (req, res, next) => {
       return res.status(429).json({
         error: 'Quota Exceeded',
         message: reason,
+        budget: budget || null,
+        period: period || null,
         quotaInfo: user ? {
           dailyQuota: user.dailyQuota,
           dailyUsed: user.requestsToday,
           monthlyQuota: user.monthlyQuota,
-          monthlyUsed: user.requestsMonth
+          monthlyUsed: user.requestsMonth,
+          dailyTokenQuota: user.dailyTokenQuota,
+          dailyTokensUsed: user.tokensToday,
+          monthlyTokenQuota: user.monthlyTokenQuota,
+          monthlyTokensUsed: user.tokensMonth,
+          dailyCostQuota: user.dailyCostQuota,
+          dailyCostUsed: user.costToday,
+          monthlyCostQuota: user.monthlyCostQuota,
+          monthlyCostUsed: user.costMonth
         } : null
       });
     }
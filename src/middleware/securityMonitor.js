@@ -20,7 +20,7 @@ setInterval(() => {
       failedAuthAttempts.delete(ip);
     }
   }
-}, 5 * 60 * 1000); // Clean every 5 minutes
+}, 5 * 60 * 1000).unref(); // Clean every 5 minutes
 
 /**
  * Track failed auth attempt
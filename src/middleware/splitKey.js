@@ -1,5 +1,7 @@
 const splitKeyService = require('../services/splitKey');
-const { logFailedAuth } = require('../utils/securityLogger');
+const { resolveModelRoute } = require('../config/apis');
+const { logFailedAuth, logSecurityEvent } = require('../utils/securityLogger');
+const { trackFailedAuth, isLockedOut } = require('./securityMonitor');
 
 /**
  * Split Key Middleware
@@ -7,6 +9,46 @@ const { logFailedAuth } = require('../utils/securityLogger');
  * This middleware handles the second layer of security for BYOK functionality
  */
 
+const getClientIp = (req) => req.clientIp || req.ip || req.headers['x-forwarded-for'] || 'unknown';
+
+// Failed split key lookups are counted apart from failed admin logins (same window and threshold)
+const lockoutKey = (ip) => `split:${ip}`;
+
+/**
+ * Answer 429 for an IP locked out after too many failed split key lookups
+ */
+const sendLockedOut = (res, ip) => {
+  logFailedAuth('split_key', 'locked-out', ip, 'IP temporarily locked due to multiple failed attempts');
+  return res.status(429).json({
+    error: 'Too Many Requests',
+    message: 'Too many failed authentication attempts. Please try again later.',
+    retryAfter: '15 minutes'
+  });
+};
+
+/**
+ * Count a failed split key lookup (unknown key or wrong client part) towards the IP lockout
+ * @returns {number} Failed attempts of this IP in the current window
+ */
+const trackFailedSplitKeyAuth = (req, keyId, reason) => {
+  const ip = getClientIp(req);
+  const attempts = trackFailedAuth(lockoutKey(ip));
+  logFailedAuth('split_key', keyId || 'unknown', ip, `${reason} (attempt ${attempts})`);
+  return attempts;
+};
+
+/**
+ * Middleware rejecting IPs locked out after failed split key lookups
+ * For split key management routes that take X-Partial-Key outside of validateSplitKey
+ */
+const splitKeyLockout = (req, res, next) => {
+  const ip = getClientIp(req);
+  if (isLockedOut(lockoutKey(ip))) {
+    return sendLockedOut(res, ip);
+  }
+  next();
+};
+
 /**
  * Middleware to validate Split Key headers and reconstruct the API key
  */
@@ -16,7 +58,12 @@ const validateSplitKey = async (req, res, next) => {
     return next();
   }
 
-  const ip = req.clientIp || req.ip || req.headers['x-forwarded-for'] || 'unknown';
+  const ip = getClientIp(req);
+
+  // Too many failed split key lookups from this IP
+  if (isLockedOut(lockoutKey(ip))) {
+    return sendLockedOut(res, ip);
+  }
 
   try {
     // Validate split key headers
@@ -51,6 +98,20 @@ const validateSplitKey = async (req, res, next) => {
   }
 };
 
+/**
+ * Upstream endpoint of the request, checked against the split key's endpoint allowlist
+ * Proxy routes name it in the body or query; /v1 routes derive it from the model
+ */
+const resolveEndpoint = (req) => {
+  const endpoint = (req.body && req.body.endpoint) || (req.query && req.query.endpoint);
+  if (endpoint) {
+    return endpoint;
+  }
+
+  const route = req.body && req.body.model ? resolveModelRoute(req.body.model, req.body.stream === true) : null;
+  return route ? route.endpoint : null;
+};
+
 /**
  * Middleware to reconstruct the original API key from split parts
  * This should be called after validateSplitKey and before the proxy request
@@ -61,14 +122,15 @@ const reconstructApiKey = async (req, res, next) => {
     return next();
   }
 
-  const ip = req.clientIp || req.ip || req.headers['x-forwarded-for'] || 'unknown';
+  const ip = getClientIp(req);
   const userId = req.user?.userId || 'unknown';
 
   try {
     // Reconstruct the original API key
     const originalApiKey = await splitKeyService.reconstructApiKey(
       req.splitKey.keyId,
-      req.splitKey.clientPart
+      req.splitKey.clientPart,
+      { endpoint: resolveEndpoint(req) }
     );
 
     // Attach the reconstructed key to the request
@@ -82,12 +144,40 @@ const reconstructApiKey = async (req, res, next) => {
     next();
 
   } catch (error) {
-    logFailedAuth('split_key', 'reconstruction_failed', ip,
-      `Key reconstruction failed for ${req.splitKey?.keyId}: ${error.message}`);
+    // Valid key used outside its expiry, usage/spend caps or endpoint allowlist
+    if (error.code === 'SPLIT_KEY_LIMIT') {
+      logSecurityEvent('SPLIT_KEY_LIMIT_REACHED', {
+        keyId: req.splitKey.keyId,
+        userId,
+        ip,
+        limit: error.limit
+      });
 
-    return res.status(401).json({
-      error: 'Split Key authentication failed',
-      message: 'Unable to reconstruct API key from split parts',
+      return res.status(403).json({
+        error: 'Split Key limit reached',
+        message: error.message,
+        limit: error.limit,
+        keyId: req.splitKey.keyId
+      });
+    }
+
+    // Unknown key or wrong client part
+    if (error.code === 'SPLIT_KEY_INVALID') {
+      const attempts = trackFailedSplitKeyAuth(req, req.splitKey.keyId, `Key reconstruction failed: ${error.message}`);
+
+      return res.status(401).json({
+        error: 'Split Key authentication failed',
+        message: 'Unable to reconstruct API key from split parts',
+        attemptsRemaining: Math.max(0, 5 - attempts),
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+
+    // Database or master key failure: not the client's fault, so not counted towards the lockout
+    console.error('Split key reconstruction error:', error.message);
+    return res.status(500).json({
+      error: 'Split Key reconstruction failed',
+      message: 'Unable to reconstruct API key due to a server error',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -150,6 +240,8 @@ const addSplitKeySecurityHeaders = (req, res, next) => {
 module.exports = {
   validateSplitKey,
   reconstructApiKey,
+  splitKeyLockout,
+  trackFailedSplitKeyAuth,
   requireSplitKey,
   forbidSplitKey,
   addSplitKeySecurityHeaders
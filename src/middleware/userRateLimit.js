@@ -0,0 +1,96 @@
+const UserModel = require('../models/User');
+const UserRateLimitService = require('../services/userRateLimit');
+const webhookService = require('../services/webhook');
+const { resolveModelRoute } = require('../config/apis');
+const { logRateLimitExceeded } = require('../utils/securityLogger');
+
+/**
+ * User Rate Limit Middleware
+ * Enforces per-user, per-provider requests-per-minute and tokens-per-minute limits
+ * Must run after authenticateToken (and quotaCheck, which loads req.dbUser)
+ */
+
+/**
+ * Provider of the current request (proxy path param, or the model route on /v1)
+ */
+const resolveApi = (req) => {
+  if (req.params && req.params.api) {
+    return req.params.api;
+  }
+
+  const route = req.body && req.body.model ? resolveModelRoute(req.body.model) : null;
+  return route ? route.api : null;
+};
+
+const userRateLimit = async (req, res, next) => {
+  try {
+    const api = resolveApi(req);
+    if (!api) {
+      return next();
+    }
+
+    const user = req.dbUser || await UserModel.findByUserId(req.user.userId);
+    if (!user) {
+      return next();
+    }
+
+    const limits = UserRateLimitService.getLimits(user, api);
+    if (limits.rpm === null && limits.tpm === null) {
+      return next();
+    }
+
+    const key = UserRateLimitService.getKey(req.user, api, user.rateLimitPerApp);
+    const result = UserRateLimitService.consume(key, limits);
+
+    // Standard RateLimit-* headers describe the request limit (or the token limit when only that is set)
+    const primary = result.requests || result.tokens;
+    res.setHeader('RateLimit-Policy', [
+      result.requests && `${result.requests.limit};w=60`,
+      result.tokens && `${result.tokens.limit};w=60;comment="tokens"`
+    ].filter(Boolean).join(', '));
+    res.setHeader('RateLimit-Limit', primary.limit);
+    res.setHeader('RateLimit-Remaining', primary.remaining);
+    res.setHeader('RateLimit-Reset', result.resetSeconds);
+    if (result.tokens) {
+      res.setHeader('X-RateLimit-Limit-Tokens', result.tokens.limit);
+      res.setHeader('X-RateLimit-Remaining-Tokens', result.tokens.remaining);
+    }
+
+    if (!result.allowed) {
+      const limit = result.exceeded === 'requests' ? limits.rpm : limits.tpm;
+
+      logRateLimitExceeded(req.user.userId, req.ip, `${api}:${result.exceeded}-per-minute`);
+
+      webhookService.trigger('user.rate_limited', {
+        userId: req.user.userId,
+        reason: `${api} ${result.exceeded} per minute limit exceeded`,
+        api,
+        budget: result.exceeded,
+        period: 'minute',
+        timestamp: new Date().toISOString()
+      }).catch(err => console.error('Webhook error:', err));
+
+      res.setHeader('Retry-After', result.resetSeconds);
+      return res.status(429).json({
+        error: 'Rate Limit Exceeded',
+        message: `You have exceeded ${limit} ${result.exceeded} per minute for ${api.toUpperCase()}`,
+        api,
+        limit: result.exceeded,
+        retryAfter: result.resetSeconds
+      });
+    }
+
+    // Tokens are added to the window once the response is tracked
+    req.rateLimitKey = key;
+
+    next();
+  } catch (error) {
+    console.error('User rate limit error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to check rate limit'
+    });
+  }
+};
+
+module.exports = userRateLimit;
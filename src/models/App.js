@@ -0,0 +1,362 @@
+const prisma = require('../db/client');
+const crypto = require('crypto');
+const KeyEncryptionService = require('../services/keyEncryption');
+
+/**
+ * App Model
+ * Registered client applications, their secrets and default user quotas
+ *
+ * The secret is stored twice: as a SHA-256 hash to check X-App-Secret, and wrapped with the
+ * master key (signingKey) to check HMAC-signed token requests, which are keyed with the secret itself.
+ */
+
+const CACHE_TTL_MS = 30 * 1000;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// appId -> { expiresAt, app }
+const cache = new Map();
+
+// `${appId}:${nonce}` -> expiry (ms) of nonces of accepted signed requests (per instance)
+const usedNonces = new Map();
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const SECRET_PREFIX = 'as_';
+
+const generateSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+const signingKeyAad = (appId) => `app:${appId}`;
+
+/**
+ * Wrap the random part of a secret with the master key, bound to the app
+ */
+const wrapSigningKey = async (appId, secret) =>
+  (await KeyEncryptionService.wrapSecret(secret.substring(SECRET_PREFIX.length), signingKeyAad(appId))).wrapped;
+
+/**
+ * Apps whose signing key is not yet wrapped with the given master key version
+ */
+const rewrapFilter = (toVersion) => ({
+  signingKey: { not: null },
+  NOT: { signingKey: { startsWith: `kek:${toVersion}:` } }
+});
+
+const DEFAULT_QUOTA_FIELDS = [
+  'defaultDailyQuota',
+  'defaultMonthlyQuota',
+  'defaultDailyTokenQuota',
+  'defaultMonthlyTokenQuota',
+  'defaultDailyCostQuota',
+  'defaultMonthlyCostQuota'
+];
+
+class AppModel {
+  /**
+   * Register an app
+   * @returns {Promise<{ app: object, secret: string }>} The plain secret is only returned here
+   */
+  static async create({ appId, name = null, ...defaults }) {
+    const secret = generateSecret();
+    const data = {
+      appId,
+      name,
+      secretHash: hashSecret(secret),
+      secretPrefix: secret.substring(0, 10),
+      signingKey: await wrapSigningKey(appId, secret),
+      ...this.pickDefaults(defaults)
+    };
+
+    // Registering a deleted appId again reuses its row; tokensValidAfter keeps its old tokens invalid
+    const app = await prisma.app.upsert({
+      where: { appId },
+      create: data,
+      update: { ...data, active: true, deletedAt: null }
+    });
+
+    this.clearCache(appId);
+    return { app, secret };
+  }
+
+  /**
+   * Find app by appId
+   */
+  static async findByAppId(appId) {
+    return await prisma.app.findUnique({
+      where: { appId }
+    });
+  }
+
+  /**
+   * Find app by appId (cached briefly, used on every authenticated request)
+   */
+  static async findCached(appId) {
+    const cached = cache.get(appId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.app;
+    }
+
+    const app = await this.findByAppId(appId);
+    cache.set(appId, { app, expiresAt: Date.now() + CACHE_TTL_MS });
+    return app;
+  }
+
+  /**
+   * Get all apps
+   */
+  static async getAll() {
+    return await prisma.app.findMany({
+      where: { deletedAt: null },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Update name and default quotas
+   */
+  static async update(appId, { name, ...defaults }) {
+    const app = await prisma.app.update({
+      where: { appId, deletedAt: null },
+      data: {
+        name,
+        ...this.pickDefaults(defaults)
+      }
+    });
+
+    this.clearCache(appId);
+    return app;
+  }
+
+  /**
+   * Issue a new secret (the old one stops working immediately)
+   */
+  static async rotateSecret(appId) {
+    const secret = generateSecret();
+
+    const app = await prisma.app.update({
+      where: { appId, deletedAt: null },
+      data: {
+        secretHash: hashSecret(secret),
+        secretPrefix: secret.substring(0, 10),
+        signingKey: await wrapSigningKey(appId, secret)
+      }
+    });
+
+    this.clearCache(appId);
+    return { app, secret };
+  }
+
+  /**
+   * Re-wrap signing keys under a master key version (key rotation)
+   * Disabled apps are included, so they can still verify signatures once enabled again.
+   * A row whose secret was rotated meanwhile is left alone: its new key is already current.
+   * @param {number} toVersion
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only count apps that would be re-wrapped
+   * @returns {Promise<{ wrapped: number, failed: Array<{ keyId: string, error: string }> }>}
+   */
+  static async rewrapSigningKeys(toVersion, { dryRun = false } = {}) {
+    const summary = { wrapped: 0, failed: [] };
+
+    const apps = await prisma.app.findMany({
+      where: rewrapFilter(toVersion),
+      select: { appId: true, signingKey: true }
+    });
+
+    if (dryRun) {
+      return { ...summary, wrapped: apps.length };
+    }
+
+    for (const app of apps) {
+      try {
+        const hex = await KeyEncryptionService.unwrapSecret(app.signingKey, signingKeyAad(app.appId));
+        const { wrapped } = await KeyEncryptionService.wrapSecret(hex, signingKeyAad(app.appId));
+        const result = await prisma.app.updateMany({
+          where: { appId: app.appId, signingKey: app.signingKey },
+          data: { signingKey: wrapped }
+        });
+        summary.wrapped += result.count;
+        this.clearCache(app.appId);
+      } catch (error) {
+        summary.failed.push({ keyId: `app:${app.appId}`, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Apps whose signing key is not yet wrapped with the given master key version
+   */
+  static async countSigningKeysToRewrap(toVersion) {
+    return await prisma.app.count({ where: rewrapFilter(toVersion) });
+  }
+
+  /**
+   * Number of app signing keys per master key version
+   * @returns {Promise<Object<number, number>>}
+   */
+  static async countByKeyVersion() {
+    const apps = await prisma.app.findMany({
+      where: { signingKey: { not: null } },
+      select: { signingKey: true }
+    });
+
+    return apps.reduce((acc, app) => {
+      const version = KeyEncryptionService.getVersion(app.signingKey);
+      acc[version] = (acc[version] || 0) + 1;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Enable or disable an app
+   * Disabling also invalidates every token issued to the app so far
+   */
+  static async setActive(appId, active) {
+    const app = await prisma.app.update({
+      where: { appId, deletedAt: null },
+      data: {
+        active,
+        ...(!active && { tokensValidAfter: new Date() })
+      }
+    });
+
+    this.clearCache(appId);
+    return app;
+  }
+
+  /**
+   * Delete app
+   * The row is kept, disabled and without a signing key: a removed row would turn the appId into an
+   * unregistered app, which (without APP_AUTH_REQUIRED) accepts anyone and revives its old tokens.
+   */
+  static async delete(appId) {
+    const app = await prisma.app.update({
+      where: { appId, deletedAt: null },
+      data: {
+        active: false,
+        tokensValidAfter: new Date(),
+        signingKey: null,
+        deletedAt: new Date()
+      }
+    });
+
+    this.clearCache(appId);
+    return app;
+  }
+
+  /**
+   * Check a plain app secret
+   */
+  static verifySecret(app, secret) {
+    if (!app || typeof secret !== 'string' || !secret) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(
+      Buffer.from(hashSecret(secret), 'hex'),
+      Buffer.from(app.secretHash, 'hex')
+    );
+  }
+
+  /**
+   * Check an HMAC-signed token request
+   * signature = hex(HMAC-SHA256(key = app secret, `${timestamp}.${nonce}.${userId}.${appId}`))
+   * Each nonce is accepted once per app within the tolerance window.
+   * Apps registered before signing keys were stored need a rotated secret to sign.
+   */
+  static async verifySignature(app, { timestamp, nonce, signature, userId, appId }, toleranceSeconds = 300) {
+    if (!app || !app.signingKey || !timestamp || typeof nonce !== 'string' || !NONCE_PATTERN.test(nonce) ||
+        typeof signature !== 'string' || !/^[a-f0-9]{64}$/i.test(signature)) {
+      return false;
+    }
+
+    const ts = parseInt(timestamp);
+    const now = Date.now();
+    if (!Number.isFinite(ts) || Math.abs(Math.floor(now / 1000) - ts) > toleranceSeconds) {
+      return false;
+    }
+
+    const secret = SECRET_PREFIX + await KeyEncryptionService.unwrapSecret(app.signingKey, signingKeyAad(app.appId));
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${ts}.${nonce}.${userId}.${appId}`)
+      .digest('hex');
+
+    if (!crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(signature.toLowerCase(), 'hex'))) {
+      return false;
+    }
+
+    // Replay protection: the signature is only valid while the timestamp is, so remember nonces that long
+    const nonceKey = `${app.appId}:${nonce}`;
+    if (usedNonces.get(nonceKey) > now) {
+      return false;
+    }
+    usedNonces.set(nonceKey, (ts + toleranceSeconds) * 1000);
+
+    return true;
+  }
+
+  /**
+   * Whether a decoded JWT issued for this app is still valid
+   * `iat` has one-second resolution, so tokensValidAfter is rounded up: tokens issued in its second are invalid too
+   */
+  static isTokenValid(app, decoded) {
+    if (!app.active) {
+      return false;
+    }
+
+    if (app.tokensValidAfter && decoded.iat < Math.ceil(new Date(app.tokensValidAfter).getTime() / 1000)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Default quotas to apply to users created through this app
+   */
+  static getUserDefaults(app) {
+    if (!app) {
+      return {};
+    }
+
+    return {
+      dailyQuota: app.defaultDailyQuota,
+      monthlyQuota: app.defaultMonthlyQuota,
+      dailyTokenQuota: app.defaultDailyTokenQuota,
+      monthlyTokenQuota: app.defaultMonthlyTokenQuota,
+      dailyCostQuota: app.defaultDailyCostQuota,
+      monthlyCostQuota: app.defaultMonthlyCostQuota
+    };
+  }
+
+  static pickDefaults(values) {
+    return DEFAULT_QUOTA_FIELDS.reduce((acc, field) => {
+      if (values[field] !== undefined) {
+        acc[field] = values[field];
+      }
+      return acc;
+    }, {});
+  }
+
+  static clearCache(appId = null) {
+    if (appId) {
+      cache.delete(appId);
+    } else {
+      cache.clear();
+    }
+  }
+}
+
+// periodic cleanup of expired nonces
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, expiresAt] of usedNonces.entries()) {
+    if (expiresAt <= now) {
+      usedNonces.delete(key);
+    }
+  }
+}, 60 * 1000).unref();
+
+module.exports = AppModel;
@@ -0,0 +1,132 @@
+const prisma = require('../db/client');
+
+/**
+ * Model Policy Model
+ * Manages model allowlists and denylists per app and per user
+ *
+ * Evaluation: a matching deny rule (app or user) always blocks. When an app or a user
+ * has allow rules, the model must match at least one of them at that level.
+ */
+
+const SCOPES = ['app', 'user'];
+const TYPES = ['allow', 'deny'];
+
+/**
+ * Match a model against a rule pattern ('*' matches any run of characters)
+ */
+const matchesPattern = (pattern, model) => {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i').test(model);
+};
+
+class ModelPolicyModel {
+  /**
+   * Add an allow or deny rule
+   */
+  static async add({ scope, subject, type, pattern, provider = null, reason = null, addedBy = null }) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error('Scope must be app or user');
+    }
+
+    if (!TYPES.includes(type)) {
+      throw new Error('Type must be allow or deny');
+    }
+
+    return await prisma.modelPolicy.create({
+      data: {
+        scope,
+        subject,
+        type,
+        pattern,
+        provider,
+        reason,
+        addedBy
+      }
+    });
+  }
+
+  /**
+   * Get all rules (optionally filtered by scope/subject)
+   */
+  static async getAll({ scope = null, subject = null } = {}) {
+    return await prisma.modelPolicy.findMany({
+      where: {
+        ...(scope && { scope }),
+        ...(subject && { subject })
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Active rules that apply to a user and their app
+   */
+  static async getRulesFor({ userId, appId }) {
+    return await prisma.modelPolicy.findMany({
+      where: {
+        active: true,
+        OR: [
+          { scope: 'user', subject: userId },
+          ...(appId ? [{ scope: 'app', subject: appId }] : [])
+        ]
+      }
+    });
+  }
+
+  /**
+   * Remove a rule
+   */
+  static async remove(id) {
+    return await prisma.modelPolicy.deleteMany({
+      where: { id }
+    });
+  }
+
+  /**
+   * Evaluate rules for a provider/model
+   * @returns {{ allowed: boolean, reason: string|null, rule: object|null }}
+   */
+  static evaluate(rules, api, model) {
+    if (!model) {
+      return { allowed: true, reason: null, rule: null };
+    }
+
+    const applicable = rules.filter(rule => !rule.provider || rule.provider === api);
+
+    const deny = applicable.find(rule => rule.type === 'deny' && matchesPattern(rule.pattern, model));
+    if (deny) {
+      return {
+        allowed: false,
+        reason: `Model '${model}' is denied for this ${deny.scope}`,
+        rule: deny
+      };
+    }
+
+    for (const scope of SCOPES) {
+      const allows = applicable.filter(rule => rule.scope === scope && rule.type === 'allow');
+      if (allows.length > 0 && !allows.some(rule => matchesPattern(rule.pattern, model))) {
+        return {
+          allowed: false,
+          reason: `Model '${model}' is not in the ${scope} allowlist`,
+          rule: null
+        };
+      }
+    }
+
+    return { allowed: true, reason: null, rule: null };
+  }
+
+  /**
+   * Check whether a user (JWT payload) may use a model
+   */
+  static async isAllowed(tokenUser, api, model) {
+    const rules = await this.getRulesFor(tokenUser);
+    return { ...this.evaluate(rules, api, model), rules };
+  }
+}
+
+module.exports = ModelPolicyModel;
+module.exports.matchesPattern = matchesPattern;
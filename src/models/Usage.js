@@ -16,8 +16,17 @@ class UsageModel {
     method = 'POST',
     statusCode,
     success = true,
+    model = null,
     tokensUsed = 0,
+    inputTokens = 0,
+    outputTokens = 0,
     estimatedCost = 0,
+    inputPricePer1K = null,
+    outputPricePer1K = null,
+    priceVersion = null,
+    cached = false,
+    attempts = 1,
+    serverKeyId = null,
     responseTime,
     ipAddress = null,
     userAgent = null
@@ -30,8 +39,17 @@ class UsageModel {
         method,
         statusCode,
         success,
+        model,
         tokensUsed,
+        inputTokens,
+        outputTokens,
         estimatedCost,
+        inputPricePer1K,
+        outputPricePer1K,
+        priceVersion,
+        cached,
+        attempts,
+        serverKeyId,
         responseTime,
         ipAddress,
         userAgent
@@ -10,7 +10,16 @@ class UserModel {
   /**
    * Create a new user with auto-generated API key
    */
-  static async create({ userId, appId, dailyQuota = 100, monthlyQuota = 3000 }) {
+  static async create({
+    userId,
+    appId,
+    dailyQuota = 100,
+    monthlyQuota = 3000,
+    dailyTokenQuota = null,
+    monthlyTokenQuota = null,
+    dailyCostQuota = null,
+    monthlyCostQuota = null
+  }) {
     const apiKey = crypto.randomBytes(32).toString('hex');
 
     return await prisma.user.create({
@@ -19,7 +28,11 @@ class UserModel {
         appId,
         apiKey,
         dailyQuota,
-        monthlyQuota
+        monthlyQuota,
+        dailyTokenQuota,
+        monthlyTokenQuota,
+        dailyCostQuota,
+        monthlyCostQuota
       }
     });
   }
@@ -44,12 +57,13 @@ class UserModel {
 
   /**
    * Find or create user (for auto user creation)
+   * New users get the registering app's default quotas
    */
-  static async findOrCreate({ userId, appId }) {
+  static async findOrCreate({ userId, appId, defaults = {} }) {
     let user = await this.findByUserId(userId);
 
     if (!user) {
-      user = await this.create({ userId, appId });
+      user = await this.create({ userId, appId, ...defaults });
     }
 
     return user;
@@ -57,26 +71,66 @@ class UserModel {
 
   /**
    * Update user quotas
+   * Token and cost budgets accept null to remove the limit
    */
-  static async updateQuotas(userId, { dailyQuota, monthlyQuota }) {
+  static async updateQuotas(userId, {
+    dailyQuota,
+    monthlyQuota,
+    dailyTokenQuota,
+    monthlyTokenQuota,
+    dailyCostQuota,
+    monthlyCostQuota
+  }) {
     return await prisma.user.update({
       where: { userId },
       data: {
         dailyQuota,
-        monthlyQuota
+        monthlyQuota,
+        dailyTokenQuota,
+        monthlyTokenQuota,
+        dailyCostQuota,
+        monthlyCostQuota
+      }
+    });
+  }
+
+  /**
+   * Update per-minute rate limits
+   * providerRateLimits is an object keyed by provider ({ openai: { rpm, tpm } }); null removes a limit
+   */
+  static async updateRateLimits(userId, {
+    requestsPerMinute,
+    tokensPerMinute,
+    providerRateLimits,
+    rateLimitPerApp
+  }) {
+    return await prisma.user.update({
+      where: { userId },
+      data: {
+        requestsPerMinute,
+        tokensPerMinute,
+        providerRateLimits: providerRateLimits === undefined || providerRateLimits === null
+          ? providerRateLimits
+          : JSON.stringify(providerRateLimits),
+        rateLimitPerApp
       }
     });
   }
 
   /**
    * Increment request counters
+   * Tokens and cost are added to the daily/monthly budget counters
    */
-  static async incrementRequests(userId) {
+  static async incrementRequests(userId, { tokensUsed = 0, estimatedCost = 0 } = {}) {
     return await prisma.user.update({
       where: { userId },
       data: {
         requestsToday: { increment: 1 },
         requestsMonth: { increment: 1 },
+        tokensToday: { increment: tokensUsed },
+        tokensMonth: { increment: tokensUsed },
+        costToday: { increment: estimatedCost },
+        costMonth: { increment: estimatedCost },
         lastUsedAt: new Date()
       }
     });
@@ -88,7 +142,9 @@ class UserModel {
   static async resetDailyCounters() {
     return await prisma.user.updateMany({
       data: {
-        requestsToday: 0
+        requestsToday: 0,
+        tokensToday: 0,
+        costToday: 0
       }
     });
   }
@@ -99,7 +155,9 @@ class UserModel {
   static async resetMonthlyCounters() {
     return await prisma.user.updateMany({
       data: {
-        requestsMonth: 0
+        requestsMonth: 0,
+        tokensMonth: 0,
+        costMonth: 0
       }
     });
   }
@@ -126,6 +184,7 @@ class UserModel {
 
   /**
    * Check if user has exceeded quota
+   * Request counts are always enforced; token and cost budgets only when set
    */
   static async checkQuota(userId) {
     const user = await this.findByUserId(userId);
@@ -138,12 +197,25 @@ class UserModel {
       return { exceeded: true, reason: 'User is inactive' };
     }
 
-    if (user.requestsToday >= user.dailyQuota) {
-      return { exceeded: true, reason: 'Daily quota exceeded' };
-    }
-
-    if (user.requestsMonth >= user.monthlyQuota) {
-      return { exceeded: true, reason: 'Monthly quota exceeded' };
+    const budgets = [
+      { budget: 'requests', period: 'daily', used: user.requestsToday, limit: user.dailyQuota, reason: 'Daily quota exceeded' },
+      { budget: 'requests', period: 'monthly', used: user.requestsMonth, limit: user.monthlyQuota, reason: 'Monthly quota exceeded' },
+      { budget: 'tokens', period: 'daily', used: user.tokensToday, limit: user.dailyTokenQuota, reason: 'Daily token quota exceeded' },
+      { budget: 'tokens', period: 'monthly', used: user.tokensMonth, limit: user.monthlyTokenQuota, reason: 'Monthly token quota exceeded' },
+      { budget: 'cost', period: 'daily', used: user.costToday, limit: user.dailyCostQuota, reason: 'Daily cost quota exceeded' },
+      { budget: 'cost', period: 'monthly', used: user.costMonth, limit: user.monthlyCostQuota, reason: 'Monthly cost quota exceeded' }
+    ];
+
+    const exhausted = budgets.find(b => b.limit !== null && b.limit !== undefined && (b.used || 0) >= b.limit);
+
+    if (exhausted) {
+      return {
+        exceeded: true,
+        reason: exhausted.reason,
+        budget: exhausted.budget,
+        period: exhausted.period,
+        user
+      };
     }
 
     return { exceeded: false, user };
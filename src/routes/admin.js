@@ -2,16 +2,25 @@ const express = require('express');
 const router = express.Router();
 const UserModel = require('../models/User');
 const IpRuleModel = require('../models/IpRule');
+const ModelPolicyModel = require('../models/ModelPolicy');
+const AppModel = require('../models/App');
 const webhookService = require('../services/webhook');
 const prisma = require('../db/client');
 const { authenticateToken } = require('../middleware/auth');
 const { adminAuth, adminLimiter } = require('../middleware/adminAuth');
 const auditLogService = require('../services/auditLog');
+const PricingService = require('../services/pricing');
+const ResponseCacheService = require('../services/responseCache');
+const UserRateLimitService = require('../services/userRateLimit');
+const KeyRotationService = require('../services/keyRotation');
+const tokenBlacklist = require('../services/tokenBlacklist');
+const { allowedEndpoints } = require('../config/apis');
 const { validateURL } = require('../utils/urlValidator');
+const { generateWebhookSecret } = require('../utils/webhookSignature');
 
 /**
  * Admin Routes
- * Manage users, IP rules, webhooks, audit logs
+ * Manage users, IP rules, webhooks, pricing, audit logs
  *
  * Security Features:
  * - Timing-safe authentication
@@ -23,6 +32,26 @@ const { validateURL } = require('../utils/urlValidator');
 // Apply admin rate limiter to all admin routes
 router.use(adminLimiter);
 
+/**
+ * Parse the optional `before` of a token revocation (ISO date, defaults to now, not in the future)
+ * @returns {{ before?: Date, error?: string }}
+ */
+const parseRevocationCutoff = (value) => {
+  if (value === undefined || value === null) {
+    return { before: new Date() };
+  }
+
+  const before = new Date(value);
+  if (typeof value !== 'string' || isNaN(before.getTime())) {
+    return { error: 'before must be an ISO 8601 date' };
+  }
+  if (before > new Date()) {
+    return { error: 'before cannot be in the future' };
+  }
+
+  return { before };
+};
+
 // ==================== USER MANAGEMENT ====================
 
 /**
@@ -67,13 +96,26 @@ router.get('/users/:userId', adminAuth, async (req, res) => {
  */
 router.post('/users', adminAuth, async (req, res) => {
   try {
-    const { userId, appId, dailyQuota, monthlyQuota } = req.body;
+    const {
+      userId,
+      appId,
+      dailyQuota,
+      monthlyQuota,
+      dailyTokenQuota,
+      monthlyTokenQuota,
+      dailyCostQuota,
+      monthlyCostQuota
+    } = req.body;
 
     const user = await UserModel.create({
       userId,
       appId,
       dailyQuota,
-      monthlyQuota
+      monthlyQuota,
+      dailyTokenQuota,
+      monthlyTokenQuota,
+      dailyCostQuota,
+      monthlyCostQuota
     });
 
     // Audit log
@@ -83,7 +125,7 @@ router.post('/users', adminAuth, async (req, res) => {
       req.admin.ip,
       req.headers['user-agent'],
       userId,
-      { appId, dailyQuota, monthlyQuota }
+      { appId, dailyQuota, monthlyQuota, dailyTokenQuota, monthlyTokenQuota, dailyCostQuota, monthlyCostQuota }
     );
 
     res.status(201).json(user);
@@ -101,15 +143,27 @@ router.post('/users', adminAuth, async (req, res) => {
 
 /**
  * PUT /admin/users/:userId/quota
- * Update user quotas
+ * Update user quotas (requests, tokens, cost)
+ * Send null for a token/cost quota to remove the limit
  */
 router.put('/users/:userId/quota', adminAuth, async (req, res) => {
   try {
-    const { dailyQuota, monthlyQuota } = req.body;
+    const {
+      dailyQuota,
+      monthlyQuota,
+      dailyTokenQuota,
+      monthlyTokenQuota,
+      dailyCostQuota,
+      monthlyCostQuota
+    } = req.body;
 
     const user = await UserModel.updateQuotas(req.params.userId, {
       dailyQuota,
-      monthlyQuota
+      monthlyQuota,
+      dailyTokenQuota,
+      monthlyTokenQuota,
+      dailyCostQuota,
+      monthlyCostQuota
     });
 
     // Audit log
@@ -119,7 +173,7 @@ router.put('/users/:userId/quota', adminAuth, async (req, res) => {
       req.admin.ip,
       req.headers['user-agent'],
       req.params.userId,
-      { dailyQuota, monthlyQuota }
+      { dailyQuota, monthlyQuota, dailyTokenQuota, monthlyTokenQuota, dailyCostQuota, monthlyCostQuota }
     );
 
     res.json(user);
@@ -135,6 +189,157 @@ router.put('/users/:userId/quota', adminAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/users/:userId/revoke-tokens
+ * Revoke every token of the user issued before a timestamp (across all instances with the database store)
+ * Body: { before?: ISO date (default now), reason? }
+ */
+router.post('/users/:userId/revoke-tokens', adminAuth, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const { before, error } = parseRevocationCutoff((req.body || {}).before);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid revocation', message: error });
+    }
+
+    await tokenBlacklist.revokeSubjectTokens('user', req.params.userId, before, reason || 'admin');
+
+    // Audit log
+    await auditLogService.logUserManagement(
+      'revoke_tokens',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      req.params.userId,
+      { before, reason }
+    );
+
+    res.json({
+      message: 'User tokens revoked successfully',
+      userId: req.params.userId,
+      revokedBefore: before
+    });
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'user.revoke_tokens',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/users/:userId/rate-limits
+ * Per-minute rate limits and current window usage per provider
+ */
+router.get('/users/:userId/rate-limits', adminAuth, async (req, res) => {
+  try {
+    const user = await UserModel.findByUserId(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const providerRateLimits = user.providerRateLimits ? JSON.parse(user.providerRateLimits) : {};
+
+    res.json({
+      userId: user.userId,
+      requestsPerMinute: user.requestsPerMinute,
+      tokensPerMinute: user.tokensPerMinute,
+      providerRateLimits,
+      rateLimitPerApp: user.rateLimitPerApp,
+      effective: Object.keys(allowedEndpoints).reduce((acc, api) => {
+        const limits = UserRateLimitService.getLimits(user, api);
+        if (limits.rpm !== null || limits.tpm !== null) {
+          acc[api] = limits;
+        }
+        return acc;
+      }, {}),
+      currentUsage: UserRateLimitService.getUserUsage(user.userId)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /admin/users/:userId/rate-limits
+ * Update per-minute rate limits
+ * Body: { requestsPerMinute, tokensPerMinute, providerRateLimits: { openai: { rpm, tpm } }, rateLimitPerApp }
+ * Send null to remove a limit
+ */
+router.put('/users/:userId/rate-limits', adminAuth, async (req, res) => {
+  try {
+    const { requestsPerMinute, tokensPerMinute, providerRateLimits, rateLimitPerApp } = req.body;
+
+    const isLimit = (value) => value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+
+    if (!isLimit(requestsPerMinute) || !isLimit(tokensPerMinute)) {
+      return res.status(400).json({
+        error: 'Invalid rate limit',
+        message: 'requestsPerMinute and tokensPerMinute must be non-negative integers or null'
+      });
+    }
+
+    if (providerRateLimits !== undefined && providerRateLimits !== null) {
+      const entries = typeof providerRateLimits === 'object' && !Array.isArray(providerRateLimits)
+        ? Object.entries(providerRateLimits)
+        : null;
+      const invalid = !entries || entries.some(([api, limits]) =>
+        !allowedEndpoints[api] || !limits || typeof limits !== 'object' || !isLimit(limits.rpm) || !isLimit(limits.tpm)
+      );
+
+      if (invalid) {
+        return res.status(400).json({
+          error: 'Invalid provider rate limits',
+          message: 'providerRateLimits must map supported providers to { rpm, tpm } non-negative integers or null'
+        });
+      }
+    }
+
+    if (rateLimitPerApp !== undefined && typeof rateLimitPerApp !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid rate limit scope',
+        message: 'rateLimitPerApp must be a boolean'
+      });
+    }
+
+    const user = await UserModel.updateRateLimits(req.params.userId, {
+      requestsPerMinute,
+      tokensPerMinute,
+      providerRateLimits,
+      rateLimitPerApp
+    });
+
+    // Start fresh windows under the new limits/scope
+    UserRateLimitService.reset(req.params.userId);
+
+    // Audit log
+    await auditLogService.logUserManagement(
+      'update_rate_limits',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      req.params.userId,
+      { requestsPerMinute, tokensPerMinute, providerRateLimits, rateLimitPerApp }
+    );
+
+    res.json(user);
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'user.update_rate_limits',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /admin/users/:userId
  * Delete user
@@ -165,51 +370,94 @@ router.delete('/users/:userId', adminAuth, async (req, res) => {
   }
 });
 
-// ==================== IP RULES ====================
+// ==================== APPS ====================
 
 /**
- * GET /admin/ip-rules
- * List all IP rules
+ * Strip the secret hash and signing key from an app before returning it
  */
-router.get('/ip-rules', adminAuth, async (req, res) => {
+const toPublicApp = ({ secretHash, signingKey, ...app }) => app;
+
+const appDefaultsFrom = (body) => ({
+  defaultDailyQuota: body.defaultDailyQuota,
+  defaultMonthlyQuota: body.defaultMonthlyQuota,
+  defaultDailyTokenQuota: body.defaultDailyTokenQuota,
+  defaultMonthlyTokenQuota: body.defaultMonthlyTokenQuota,
+  defaultDailyCostQuota: body.defaultDailyCostQuota,
+  defaultMonthlyCostQuota: body.defaultMonthlyCostQuota
+});
+
+/**
+ * GET /admin/apps
+ * List registered apps
+ */
+router.get('/apps', adminAuth, async (req, res) => {
   try {
-    const { type } = req.query;
-    const rules = await IpRuleModel.getAll(type);
-    res.json(rules);
+    const apps = await AppModel.getAll();
+    res.json({ apps: apps.map(toPublicApp), count: apps.length });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /admin/ip-rules
- * Add new IP rule
+ * GET /admin/apps/:appId
+ * Get specific app
  */
-router.post('/ip-rules', adminAuth, async (req, res) => {
+router.get('/apps/:appId', adminAuth, async (req, res) => {
   try {
-    const { ipAddress, type, reason } = req.body;
+    const app = await AppModel.findByAppId(req.params.appId);
 
-    const rule = await IpRuleModel.add({
-      ipAddress,
-      type,
-      reason,
-      addedBy: req.admin.keyHash
-    });
+    if (!app || app.deletedAt) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    res.json(toPublicApp(app));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/apps
+ * Register an app - the secret is only returned in this response
+ */
+router.post('/apps', adminAuth, async (req, res) => {
+  try {
+    const { appId, name } = req.body;
+
+    if (!appId || typeof appId !== 'string' || appId.length < 3) {
+      return res.status(400).json({
+        error: 'Invalid appId',
+        message: 'appId must be a string with at least 3 characters'
+      });
+    }
+
+    const existing = await AppModel.findByAppId(appId);
+    if (existing && !existing.deletedAt) {
+      return res.status(409).json({ error: 'App already exists' });
+    }
+
+    const defaults = appDefaultsFrom(req.body);
+    const { app, secret } = await AppModel.create({ appId, name, ...defaults });
 
     // Audit log
-    await auditLogService.logIPRuleManagement(
-      'add',
+    await auditLogService.logAppManagement(
+      'create',
       req.admin.keyHash,
       req.admin.ip,
       req.headers['user-agent'],
-      ipAddress,
-      { type, reason }
+      appId,
+      { name, ...defaults }
     );
 
-    res.status(201).json(rule);
+    res.status(201).json({
+      ...toPublicApp(app),
+      secret,
+      message: 'Store the app secret now - it cannot be retrieved again'
+    });
   } catch (error) {
     await auditLogService.logFailedOperation(
-      'ip_rule.add',
+      'app.create',
       req.admin.keyHash,
       req.admin.ip,
       req.headers['user-agent'],
@@ -220,26 +468,28 @@ router.post('/ip-rules', adminAuth, async (req, res) => {
 });
 
 /**
- * DELETE /admin/ip-rules/:ip
- * Remove IP rule
+ * PUT /admin/apps/:appId
+ * Update app name and default quotas for new users
  */
-router.delete('/ip-rules/:ip', adminAuth, async (req, res) => {
+router.put('/apps/:appId', adminAuth, async (req, res) => {
   try {
-    await IpRuleModel.remove(req.params.ip);
+    const defaults = appDefaultsFrom(req.body);
+    const app = await AppModel.update(req.params.appId, { name: req.body.name, ...defaults });
 
     // Audit log
-    await auditLogService.logIPRuleManagement(
-      'remove',
+    await auditLogService.logAppManagement(
+      'update',
       req.admin.keyHash,
       req.admin.ip,
       req.headers['user-agent'],
-      req.params.ip
+      req.params.appId,
+      { name: req.body.name, ...defaults }
     );
 
-    res.json({ message: 'IP rule removed successfully' });
+    res.json(toPublicApp(app));
   } catch (error) {
     await auditLogService.logFailedOperation(
-      'ip_rule.remove',
+      'app.update',
       req.admin.keyHash,
       req.admin.ip,
       req.headers['user-agent'],
@@ -249,73 +499,91 @@ router.delete('/ip-rules/:ip', adminAuth, async (req, res) => {
   }
 });
 
-// ==================== WEBHOOKS ====================
-
 /**
- * GET /admin/webhooks
- * List all webhooks
+ * POST /admin/apps/:appId/rotate-secret
+ * Issue a new app secret (the old secret stops working immediately)
  */
-router.get('/webhooks', adminAuth, async (req, res) => {
+router.post('/apps/:appId/rotate-secret', adminAuth, async (req, res) => {
   try {
-    const webhooks = await prisma.webhook.findMany();
-    res.json(webhooks);
+    const { app, secret } = await AppModel.rotateSecret(req.params.appId);
+
+    // Audit log
+    await auditLogService.logAppManagement(
+      'rotate_secret',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      req.params.appId
+    );
+
+    res.json({
+      ...toPublicApp(app),
+      secret,
+      message: 'Store the app secret now - it cannot be retrieved again'
+    });
   } catch (error) {
+    await auditLogService.logFailedOperation(
+      'app.rotate_secret',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /admin/webhooks
- * Create new webhook
- * Now with SSRF protection
+ * POST /admin/apps/:appId/disable
+ * Disable an app and invalidate all tokens issued to it
  */
-router.post('/webhooks', adminAuth, async (req, res) => {
+router.post('/apps/:appId/disable', adminAuth, async (req, res) => {
   try {
-    const { url, events, secret, headers, retryCount, timeout } = req.body;
+    const app = await AppModel.setActive(req.params.appId, false);
 
-    // Validate URL for SSRF protection
-    const urlValidation = validateURL(url, req.admin.ip);
-    if (!urlValidation.valid) {
-      await auditLogService.logFailedOperation(
-        'webhook.create',
-        req.admin.keyHash,
-        req.admin.ip,
-        req.headers['user-agent'],
-        new Error(`SSRF protection: ${urlValidation.error}`)
-      );
+    // Audit log
+    await auditLogService.logAppManagement(
+      'disable',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      req.params.appId
+    );
 
-      return res.status(400).json({
-        error: 'Invalid Webhook URL',
-        message: urlValidation.error,
-        security: 'SSRF protection enabled'
-      });
-    }
+    res.json(toPublicApp(app));
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'app.disable',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const webhook = await prisma.webhook.create({
-      data: {
-        url,
-        events,
-        secret,
-        headers,
-        retryCount,
-        timeout
-      }
-    });
+/**
+ * POST /admin/apps/:appId/enable
+ * Re-enable an app (previously issued tokens stay invalid)
+ */
+router.post('/apps/:appId/enable', adminAuth, async (req, res) => {
+  try {
+    const app = await AppModel.setActive(req.params.appId, true);
 
     // Audit log
-    await auditLogService.logWebhookManagement(
-      'create',
+    await auditLogService.logAppManagement(
+      'enable',
       req.admin.keyHash,
       req.admin.ip,
       req.headers['user-agent'],
-      webhook.id,
-      { url, events }
+      req.params.appId
     );
 
-    res.status(201).json(webhook);
+    res.json(toPublicApp(app));
   } catch (error) {
     await auditLogService.logFailedOperation(
-      'webhook.create',
+      'app.enable',
       req.admin.keyHash,
       req.admin.ip,
       req.headers['user-agent'],
@@ -326,26 +594,42 @@ router.post('/webhooks', adminAuth, async (req, res) => {
 });
 
 /**
- * POST /admin/webhooks/:id/test
- * Test webhook
+ * POST /admin/apps/:appId/revoke-tokens
+ * Invalidate all tokens issued to the app before a timestamp (the app stays enabled)
+ * Body: { before?: ISO date (default now), reason? }
  */
-router.post('/webhooks/:id/test', adminAuth, async (req, res) => {
+router.post('/apps/:appId/revoke-tokens', adminAuth, async (req, res) => {
   try {
-    await webhookService.test(req.params.id);
+    const { reason } = req.body || {};
+    const { before, error } = parseRevocationCutoff((req.body || {}).before);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid revocation', message: error });
+    }
+
+    const app = await AppModel.findByAppId(req.params.appId);
+    if (!app || app.deletedAt) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    await tokenBlacklist.revokeSubjectTokens('app', req.params.appId, before, reason || 'admin');
 
     // Audit log
-    await auditLogService.logWebhookManagement(
-      'test',
+    await auditLogService.logAppManagement(
+      'revoke_tokens',
       req.admin.keyHash,
       req.admin.ip,
       req.headers['user-agent'],
-      req.params.id
+      req.params.appId,
+      { before, reason }
     );
 
-    res.json({ message: 'Test webhook sent' });
+    res.json({
+      message: 'App tokens revoked successfully',
+      tokensValidAfter: before
+    });
   } catch (error) {
     await auditLogService.logFailedOperation(
-      'webhook.test',
+      'app.revoke_tokens',
       req.admin.keyHash,
       req.admin.ip,
       req.headers['user-agent'],
@@ -356,28 +640,882 @@ router.post('/webhooks/:id/test', adminAuth, async (req, res) => {
 });
 
 /**
- * DELETE /admin/webhooks/:id
- * Delete webhook
+ * DELETE /admin/apps/:appId
+ * Delete app registration
+ * The appId stays reserved (disabled) and every token issued to it is revoked;
+ * POST /admin/apps can register it again with a new secret
  */
-router.delete('/webhooks/:id', adminAuth, async (req, res) => {
+router.delete('/apps/:appId', adminAuth, async (req, res) => {
   try {
-    await prisma.webhook.delete({
-      where: { id: req.params.id }
-    });
+    const app = await AppModel.findByAppId(req.params.appId);
+    if (!app || app.deletedAt) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    await AppModel.delete(req.params.appId);
+    await tokenBlacklist.revokeSubjectTokens('app', req.params.appId, new Date(), 'app_deleted');
 
     // Audit log
-    await auditLogService.logWebhookManagement(
+    await auditLogService.logAppManagement(
       'delete',
       req.admin.keyHash,
       req.admin.ip,
       req.headers['user-agent'],
-      req.params.id
+      req.params.appId
     );
 
-    res.json({ message: 'Webhook deleted successfully' });
+    res.json({ message: 'App deleted successfully' });
   } catch (error) {
     await auditLogService.logFailedOperation(
-      'webhook.delete',
+      'app.delete',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== IP RULES ====================
+
+/**
+ * GET /admin/ip-rules
+ * List all IP rules
+ */
+router.get('/ip-rules', adminAuth, async (req, res) => {
+  try {
+    const { type } = req.query;
+    const rules = await IpRuleModel.getAll(type);
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/ip-rules
+ * Add new IP rule
+ */
+router.post('/ip-rules', adminAuth, async (req, res) => {
+  try {
+    const { ipAddress, type, reason } = req.body;
+
+    const rule = await IpRuleModel.add({
+      ipAddress,
+      type,
+      reason,
+      addedBy: req.admin.keyHash
+    });
+
+    // Audit log
+    await auditLogService.logIPRuleManagement(
+      'add',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      ipAddress,
+      { type, reason }
+    );
+
+    webhookService.trigger('ip_rule.changed', {
+      action: 'added',
+      ipAddress,
+      type,
+      reason: reason || null
+    }).catch(err => console.error('Webhook error:', err));
+
+    res.status(201).json(rule);
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'ip_rule.add',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/ip-rules/:ip
+ * Remove IP rule
+ */
+router.delete('/ip-rules/:ip', adminAuth, async (req, res) => {
+  try {
+    await IpRuleModel.remove(req.params.ip);
+
+    // Audit log
+    await auditLogService.logIPRuleManagement(
+      'remove',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      req.params.ip
+    );
+
+    webhookService.trigger('ip_rule.changed', {
+      action: 'removed',
+      ipAddress: req.params.ip
+    }).catch(err => console.error('Webhook error:', err));
+
+    res.json({ message: 'IP rule removed successfully' });
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'ip_rule.remove',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== MODEL POLICIES ====================
+
+/**
+ * GET /admin/model-policies
+ * List model allow/deny rules (optionally filtered by ?scope=app|user&subject=)
+ */
+router.get('/model-policies', adminAuth, async (req, res) => {
+  try {
+    const rules = await ModelPolicyModel.getAll({
+      scope: req.query.scope || null,
+      subject: req.query.subject || null
+    });
+    res.json({ rules, count: rules.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/model-policies
+ * Add a model rule
+ * Body: { scope: 'app'|'user', subject, type: 'allow'|'deny', pattern: 'gpt-4o*', provider?, reason? }
+ */
+router.post('/model-policies', adminAuth, async (req, res) => {
+  try {
+    const { scope, subject, type, pattern, provider, reason } = req.body;
+
+    if (!scope || !subject || !type || !pattern) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'scope, subject, type and pattern are required'
+      });
+    }
+
+    if (provider && !allowedEndpoints[provider]) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        message: `Provider must be one of: ${Object.keys(allowedEndpoints).join(', ')}`
+      });
+    }
+
+    const rule = await ModelPolicyModel.add({
+      scope,
+      subject,
+      type,
+      pattern,
+      provider: provider || null,
+      reason,
+      addedBy: req.admin.keyHash
+    });
+
+    // Audit log
+    await auditLogService.logModelPolicyManagement(
+      'add',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      rule.id,
+      { scope, subject, type, pattern, provider: provider || null, reason }
+    );
+
+    res.status(201).json(rule);
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'model_policy.add',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/model-policies/:id
+ * Remove a model rule
+ */
+router.delete('/model-policies/:id', adminAuth, async (req, res) => {
+  try {
+    const { count } = await ModelPolicyModel.remove(req.params.id);
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Model policy not found' });
+    }
+
+    // Audit log
+    await auditLogService.logModelPolicyManagement(
+      'remove',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      req.params.id
+    );
+
+    res.json({ message: 'Model policy removed successfully' });
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'model_policy.remove',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/users/:userId/model-policy
+ * Effective model policy for a user (their own rules plus their app's rules)
+ * Optional ?api=&model= evaluates a specific model
+ */
+router.get('/users/:userId/model-policy', adminAuth, async (req, res) => {
+  try {
+    const user = await UserModel.findByUserId(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const rules = await ModelPolicyModel.getRulesFor({ userId: user.userId, appId: user.appId });
+    const summarize = (scope) => ({
+      allow: rules.filter(r => r.scope === scope && r.type === 'allow'),
+      deny: rules.filter(r => r.scope === scope && r.type === 'deny')
+    });
+
+    const response = {
+      userId: user.userId,
+      appId: user.appId,
+      app: summarize('app'),
+      user: summarize('user')
+    };
+
+    if (req.query.model) {
+      const { allowed, reason } = ModelPolicyModel.evaluate(rules, req.query.api || null, req.query.model);
+      response.check = { api: req.query.api || null, model: req.query.model, allowed, reason };
+    }
+
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== WEBHOOKS ====================
+
+/**
+ * GET /admin/webhooks
+ * List all webhooks
+ */
+router.get('/webhooks', adminAuth, async (req, res) => {
+  try {
+    const webhooks = await prisma.webhook.findMany({
+      include: { subscriptions: true }
+    });
+
+    // Signing secrets are only shown when created or rotated
+    res.json(webhooks.map(webhook => webhookService.formatWebhook(webhook)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/webhooks
+ * Create new webhook
+ * Now with SSRF protection
+ * Body: { url, events, filters?, secret?, headers?, retryCount?, timeout? }
+ * events: event names or patterns (`user.*`, `*`), as an array or comma-separated
+ * filters: { userId?, appId?, api? } - only events about these (string or array each)
+ */
+router.post('/webhooks', adminAuth, async (req, res) => {
+  try {
+    const { url, events, filters, secret, headers, retryCount, timeout } = req.body;
+
+    const subscription = webhookService.parseSubscription({ events, filters });
+    if (subscription.error) {
+      return res.status(400).json({
+        error: 'Invalid webhook subscription',
+        message: subscription.error,
+        validEvents: webhookService.EVENT_TYPES
+      });
+    }
+
+    // Validate URL for SSRF protection
+    const urlValidation = validateURL(url, req.admin.ip);
+    if (!urlValidation.valid) {
+      await auditLogService.logFailedOperation(
+        'webhook.create',
+        req.admin.keyHash,
+        req.admin.ip,
+        req.headers['user-agent'],
+        new Error(`SSRF protection: ${urlValidation.error}`)
+      );
+
+      return res.status(400).json({
+        error: 'Invalid Webhook URL',
+        message: urlValidation.error,
+        security: 'SSRF protection enabled'
+      });
+    }
+
+    // Payloads are always signed; a secret is generated when none is given
+    const webhook = await prisma.webhook.create({
+      data: {
+        url,
+        filters: subscription.filters ? JSON.stringify(subscription.filters) : null,
+        subscriptions: {
+          create: subscription.patterns.map(pattern => ({ pattern }))
+        },
+        secret: secret || generateWebhookSecret(),
+        headers,
+        retryCount,
+        timeout
+      },
+      include: { subscriptions: true }
+    });
+
+    // Audit log
+    await auditLogService.logWebhookManagement(
+      'create',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      webhook.id,
+      { url, events: subscription.patterns, filters: subscription.filters }
+    );
+
+    // The generated secret is only returned here
+    res.status(201).json({
+      ...webhookService.formatWebhook(webhook),
+      secret: webhook.secret
+    });
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'webhook.create',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /admin/webhooks/:id/subscriptions
+ * Replace the events a webhook subscribes to and its filters
+ * Body: { events, filters? } (filters are removed when not given)
+ */
+router.put('/webhooks/:id/subscriptions', adminAuth, async (req, res) => {
+  try {
+    const { events, filters } = req.body || {};
+
+    const subscription = webhookService.parseSubscription({ events, filters });
+    if (subscription.error) {
+      return res.status(400).json({
+        error: 'Invalid webhook subscription',
+        message: subscription.error,
+        validEvents: webhookService.EVENT_TYPES
+      });
+    }
+
+    const webhook = await webhookService.setSubscriptions(req.params.id, subscription);
+
+    // Audit log
+    await auditLogService.logWebhookManagement(
+      'update_subscriptions',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      req.params.id,
+      { events: subscription.patterns, filters: subscription.filters }
+    );
+
+    res.json(webhookService.formatWebhook(webhook));
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'webhook.update_subscriptions',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/webhooks/:id/test
+ * Test webhook
+ */
+router.post('/webhooks/:id/test', adminAuth, async (req, res) => {
+  try {
+    await webhookService.test(req.params.id);
+
+    // Audit log
+    await auditLogService.logWebhookManagement(
+      'test',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      req.params.id
+    );
+
+    res.json({ message: 'Test webhook sent' });
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'webhook.test',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/webhooks/:id/rotate-secret
+ * Replace the signing secret; payloads are signed with both secrets during the grace period
+ * Body: { gracePeriodSeconds? } (default 86400, max 604800)
+ */
+router.post('/webhooks/:id/rotate-secret', adminAuth, async (req, res) => {
+  try {
+    const { gracePeriodSeconds } = req.body || {};
+    const grace = gracePeriodSeconds === undefined ? undefined : Number(gracePeriodSeconds);
+
+    if (grace !== undefined && (!Number.isInteger(grace) || grace < 0 || grace > 7 * 24 * 60 * 60)) {
+      return res.status(400).json({
+        error: 'Invalid gracePeriodSeconds',
+        message: 'gracePeriodSeconds must be an integer between 0 and 604800'
+      });
+    }
+
+    const { webhook, secret } = await webhookService.rotateSecret(req.params.id, grace);
+
+    // Audit log (the secret itself is never logged)
+    await auditLogService.logWebhookManagement(
+      'rotate_secret',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      req.params.id,
+      { previousSecretExpiresAt: webhook.previousSecretExpiresAt }
+    );
+
+    res.json({
+      id: webhook.id,
+      secret,
+      previousSecretExpiresAt: webhook.previousSecretExpiresAt,
+      message: 'Store the new secret now; it will not be shown again'
+    });
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'webhook.rotate_secret',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/webhooks/deliveries
+ * List queued webhook deliveries, newest first (defaults to failed ones)
+ * Query: status (pending, delivering, delivered, failed, all), webhookId, event, take (max 200)
+ */
+router.get('/webhooks/deliveries', adminAuth, async (req, res) => {
+  try {
+    const { status = 'failed', webhookId, event, take = 50 } = req.query;
+
+    if (!['pending', 'delivering', 'delivered', 'failed', 'all'].includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: 'status must be one of: pending, delivering, delivered, failed, all'
+      });
+    }
+
+    const deliveries = await webhookService.listDeliveries({
+      status: status === 'all' ? null : status,
+      webhookId,
+      event,
+      limit: Math.min(parseInt(take) || 50, 200)
+    });
+
+    res.json({
+      deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/webhooks/deliveries/:deliveryId
+ * Get a delivery with its payload and attempt history
+ */
+router.get('/webhooks/deliveries/:deliveryId', adminAuth, async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.params.deliveryId);
+    res.json(delivery);
+  } catch (error) {
+    res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/webhooks/deliveries/redeliver-failed
+ * Queue all failed deliveries again; the dispatcher sends them
+ * Body: { webhookId? } to limit it to one webhook
+ */
+router.post('/webhooks/deliveries/redeliver-failed', adminAuth, async (req, res) => {
+  try {
+    const { webhookId } = req.body || {};
+    const queued = await webhookService.redeliverFailed({ webhookId });
+
+    // Audit log
+    await auditLogService.logWebhookManagement(
+      'redeliver_failed',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      webhookId || null,
+      { queued }
+    );
+
+    res.json({
+      queued,
+      message: `${queued} failed deliveries queued for redelivery`
+    });
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'webhook.redeliver_failed',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/webhooks/deliveries/:deliveryId/redeliver
+ * Send a failed or delivered delivery again (same event ID, new round of retries)
+ */
+router.post('/webhooks/deliveries/:deliveryId/redeliver', adminAuth, async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.deliveryId);
+
+    // Audit log
+    await auditLogService.logWebhookManagement(
+      'redeliver',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      delivery.webhookId,
+      { deliveryId: delivery.id, eventId: delivery.eventId }
+    );
+
+    res.json(delivery);
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'webhook.redeliver',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    const status = error.status || (error.message.includes('not found') ? 404 : 500);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/webhooks/:id
+ * Delete webhook
+ */
+router.delete('/webhooks/:id', adminAuth, async (req, res) => {
+  try {
+    await prisma.webhook.delete({
+      where: { id: req.params.id }
+    });
+
+    // Audit log
+    await auditLogService.logWebhookManagement(
+      'delete',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      req.params.id
+    );
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'webhook.delete',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== PRICING ====================
+
+/**
+ * GET /admin/pricing
+ * List the current pricing catalog (optionally filtered by ?provider=)
+ */
+router.get('/pricing', adminAuth, async (req, res) => {
+  try {
+    const catalog = await PricingService.listPrices(req.query.provider || null);
+    res.json(catalog);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/pricing/:provider/:model/history
+ * Get all price versions for a model
+ */
+router.get('/pricing/:provider/:model/history', adminAuth, async (req, res) => {
+  try {
+    const history = await PricingService.getHistory(req.params.provider, req.params.model);
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /admin/pricing/:provider/:model
+ * Set input/output price (USD per 1K tokens) - creates a new version
+ */
+router.put('/pricing/:provider/:model', adminAuth, async (req, res) => {
+  try {
+    const { provider, model } = req.params;
+    const { inputPricePer1K, outputPricePer1K } = req.body;
+
+    if (typeof inputPricePer1K !== 'number' || typeof outputPricePer1K !== 'number' ||
+        inputPricePer1K < 0 || outputPricePer1K < 0) {
+      return res.status(400).json({
+        error: 'Invalid price',
+        message: 'inputPricePer1K and outputPricePer1K must be non-negative numbers'
+      });
+    }
+
+    const price = await PricingService.setPrice(provider, model, {
+      inputPricePer1K,
+      outputPricePer1K,
+      updatedBy: req.admin.keyHash
+    });
+
+    // Audit log
+    await auditLogService.logPricingManagement(
+      'set',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      provider,
+      model,
+      { inputPricePer1K, outputPricePer1K, version: price.version }
+    );
+
+    res.json(price);
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'pricing.set',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/pricing/:provider/:model
+ * Remove admin-managed price (falls back to built-in defaults)
+ */
+router.delete('/pricing/:provider/:model', adminAuth, async (req, res) => {
+  try {
+    const { provider, model } = req.params;
+    const removed = await PricingService.removePrice(provider, model);
+
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Price not found' });
+    }
+
+    // Audit log
+    await auditLogService.logPricingManagement(
+      'remove',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      provider,
+      model
+    );
+
+    res.json({ message: 'Price removed successfully' });
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'pricing.remove',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== RESPONSE CACHE ====================
+
+/**
+ * GET /admin/cache
+ * Response cache statistics
+ */
+router.get('/cache', adminAuth, async (req, res) => {
+  try {
+    const stats = await ResponseCacheService.getStats();
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/cache
+ * Drop all cached responses
+ */
+router.delete('/cache', adminAuth, async (req, res) => {
+  try {
+    await ResponseCacheService.clear();
+
+    // Audit log
+    await auditLogService.createAuditLog({
+      action: 'cache.clear',
+      adminKeyHash: req.admin.keyHash,
+      ipAddress: req.admin.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Response cache cleared successfully' });
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'cache.clear',
+      req.admin.keyHash,
+      req.admin.ip,
+      req.headers['user-agent'],
+      error
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== KEY ROTATION ====================
+
+/**
+ * GET /admin/key-rotations
+ * Master key versions and recent rotations
+ */
+router.get('/key-rotations', adminAuth, async (req, res) => {
+  try {
+    const versions = await KeyRotationService.getVersionInfo();
+    const rotations = await KeyRotationService.list();
+
+    res.json({ ...versions, rotations });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/key-rotations/:id
+ * Rotation progress
+ */
+router.get('/key-rotations/:id', adminAuth, async (req, res) => {
+  try {
+    const rotation = await KeyRotationService.getStatus(req.params.id);
+
+    if (!rotation) {
+      return res.status(404).json({ error: 'Rotation not found' });
+    }
+
+    res.json(rotation);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/key-rotations
+ * Re-wrap all active split keys under the current master key version
+ * Body: { batchSize?: number, force?: boolean } - force abandons a rotation left running by a crashed process
+ */
+router.post('/key-rotations', adminAuth, async (req, res) => {
+  try {
+    const { batchSize = 100, force = false } = req.body;
+
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 1000) {
+      return res.status(400).json({
+        error: 'Invalid batchSize',
+        message: 'batchSize must be an integer between 1 and 1000'
+      });
+    }
+
+    const running = await KeyRotationService.getRunning();
+    if (running && !force) {
+      return res.status(409).json({
+        error: 'Rotation already running',
+        rotationId: running.id
+      });
+    }
+
+    if (running) {
+      await KeyRotationService.abandonRunning();
+    }
+
+    const rotation = await KeyRotationService.start({
+      adminKeyHash: req.admin.keyHash,
+      ip: req.admin.ip,
+      userAgent: req.headers['user-agent'],
+      batchSize
+    });
+
+    res.status(202).json({
+      ...rotation,
+      message: `Rotation to master key version ${rotation.toVersion} started`
+    });
+  } catch (error) {
+    await auditLogService.logFailedOperation(
+      'key_rotation.start',
       req.admin.keyHash,
       req.admin.ip,
       req.headers['user-agent'],
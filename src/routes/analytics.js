@@ -115,6 +115,32 @@ router.get('/errors', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /analytics/server-keys
+ * Get usage and health per server key (keys are identified by id, never shown)
+ */
+router.get('/server-keys', authenticateToken, async (req, res) => {
+  try {
+    // Admin-only endpoint
+    const adminKey = req.headers['x-admin-key'];
+    if (!adminKey || adminKey !== process.env.ADMIN_API_KEY) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin key required for server key analytics'
+      });
+    }
+    const { startDate, endDate } = req.query;
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+
+    const serverKeys = await AnalyticsService.getServerKeyStats(start, end);
+
+    res.json(serverKeys);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /analytics/my-stats
  * Get current user's own statistics
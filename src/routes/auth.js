@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { generateToken } = require('../middleware/auth');
+const config = require('../config/env');
 const { validateAuthRequest } = require('../utils/validator');
 const { authLimiter } = require('../middleware/rateLimiter');
 const UserModel = require('../models/User');
+const AppModel = require('../models/App');
 const webhookService = require('../services/webhook');
+const RefreshTokenService = require('../services/refreshToken');
+const { logFailedAuth } = require('../utils/securityLogger');
 
 /**
  * Authentication Routes
@@ -15,19 +18,37 @@ const webhookService = require('../services/webhook');
  * POST /auth/token
  * Generate a new JWT token for the client
  * Automatically creates user if doesn't exist
+ * Returns a short-lived access token and a refresh token for POST /auth/refresh
  *
  * Body:
  * {
  *   "userId": "unique-user-id",
  *   "appId": "android-app-id"
  * }
+ *
+ * Headers (registered apps):
+ *   X-App-Secret: <APP_SECRET>
+ *   or X-App-Timestamp: <unix seconds> + X-App-Nonce: <unique, 16-128 chars> + X-App-Signature: <HMAC-SHA256 hex>
  */
 router.post('/token', authLimiter, validateAuthRequest, async (req, res) => {
   try {
     const { userId, appId } = req.body;
 
-    // Find or create user (auto user creation)
-    const user = await UserModel.findOrCreate({ userId, appId });
+    // Find or create user (auto user creation, with the app's default quotas)
+    const user = await UserModel.findOrCreate({
+      userId,
+      appId,
+      defaults: AppModel.getUserDefaults(req.registeredApp)
+    });
+
+    // A user belongs to the app that created it; other apps cannot mint tokens for it
+    if (user.appId !== appId) {
+      logFailedAuth('app', appId, req.clientIp || req.ip || 'unknown', `User ${userId} belongs to another app`);
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This user belongs to another app'
+      });
+    }
 
     // Check if this is a new user
     const isNewUser = user.createdAt.getTime() > Date.now() - 1000; // Created in last second
@@ -45,20 +66,17 @@ router.post('/token', authLimiter, validateAuthRequest, async (req, res) => {
       });
     }
 
-    // Create token payload
-    const payload = {
-      userId,
-      appId,
-      createdAt: Date.now()
-    };
-
-    // Generate token
-    const token = generateToken(payload);
+    // Generate access token + refresh token (new token family)
+    const ip = req.clientIp || req.ip || req.headers['x-forwarded-for'] || 'unknown';
+    const issued = await RefreshTokenService.issue({ userId, appId, ip });
 
     res.json({
       success: true,
-      token,
-      expiresIn: '7 days',
+      token: issued.accessToken,
+      expiresIn: config.jwtExpiresIn,
+      expiresAt: issued.accessExpiresAt,
+      refreshToken: issued.refreshToken,
+      refreshTokenExpiresAt: issued.refreshExpiresAt,
       tokenType: 'Bearer',
       user: {
         userId: user.userId,
@@ -82,6 +100,57 @@ router.post('/token', authLimiter, validateAuthRequest, async (req, res) => {
   }
 });
 
+/**
+ * POST /auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * The presented refresh token can only be used once; reusing it revokes the whole token family
+ *
+ * Body:
+ * {
+ *   "refreshToken": "rt_..."
+ * }
+ */
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    const ip = req.clientIp || req.ip || req.headers['x-forwarded-for'] || 'unknown';
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['refreshToken']
+      });
+    }
+
+    const issued = await RefreshTokenService.rotate(refreshToken, ip);
+
+    res.json({
+      success: true,
+      token: issued.accessToken,
+      expiresIn: config.jwtExpiresIn,
+      expiresAt: issued.accessExpiresAt,
+      refreshToken: issued.refreshToken,
+      refreshTokenExpiresAt: issued.refreshExpiresAt,
+      tokenType: 'Bearer'
+    });
+
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({
+        error: error.code === 'REFRESH_TOKEN_REUSED' ? 'Refresh Token Reused' : 'Invalid Refresh Token',
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Token Refresh Failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /auth/verify
  * Verify if the current token is valid (requires authentication)
@@ -97,23 +166,40 @@ router.get('/verify', require('../middleware/auth').authenticateToken, (req, res
 /**
  * POST /auth/logout
  * Logout current user by blacklisting their token
+ * Also revokes the refresh tokens of the login (the token family), so the session cannot be renewed
  * Requires authentication
+ *
+ * Body (optional):
+ * {
+ *   "refreshToken": "rt_..."  // for tokens issued without a family
+ * }
  */
 router.post('/logout', require('../middleware/auth').authenticateToken, async (req, res) => {
   try {
     const { token } = req;
-    const { userId } = req.user;
+    const { userId, fid } = req.user;
+    const { refreshToken } = req.body || {};
     const ip = req.clientIp || req.ip || req.headers['x-forwarded-for'] || 'unknown';
 
     // Add token to blacklist
     const tokenBlacklist = require('../services/tokenBlacklist');
     const success = await tokenBlacklist.addToBlacklist(token, userId, ip);
 
+    // Revoke the refresh token chain
+    let refreshTokensRevoked = 0;
+    if (fid) {
+      refreshTokensRevoked += await RefreshTokenService.revokeFamily(fid, 'logout', ip);
+    }
+    if (refreshToken) {
+      refreshTokensRevoked += await RefreshTokenService.revokeByToken(refreshToken, userId, ip);
+    }
+
     if (success) {
       res.json({
         success: true,
         message: 'Logged out successfully. Token has been revoked.',
-        userId
+        userId,
+        refreshTokensRevoked
       });
     } else {
       res.status(500).json({
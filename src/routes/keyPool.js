@@ -0,0 +1,337 @@
+const express = require('express');
+const router = express.Router();
+const KeyPoolService = require('../services/keyPool');
+const { authenticateToken } = require('../middleware/auth');
+const { apiHeaders } = require('../config/apis');
+const { logSecurityEvent } = require('../utils/securityLogger');
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Rate limiting for key pool management
+ */
+const keyPoolLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20, // 20 requests per minute
+  message: {
+    error: 'Too many key pool operations',
+    retryAfter: '60 seconds'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handlePoolError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('Not authorized')) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Only the pool owner can manage this key pool'
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message
+  });
+};
+
+/**
+ * Validate a member reference from body or params
+ */
+const parseMember = ({ memberType, memberId }) => {
+  if (!KeyPoolService.MEMBER_TYPES.includes(memberType)) {
+    return { error: `memberType must be one of: ${KeyPoolService.MEMBER_TYPES.join(', ')}` };
+  }
+
+  if (!memberId || typeof memberId !== 'string' || memberId.length > 128) {
+    return { error: 'memberId must be a userId or appId' };
+  }
+
+  return { member: { memberType, memberId } };
+};
+
+/**
+ * Create a key pool
+ * POST /api/key-pools
+ * Body: { name, apiProvider, description? }
+ */
+router.post('/', authenticateToken, keyPoolLimiter, async (req, res) => {
+  try {
+    const { name, apiProvider, description } = req.body || {};
+    const userId = req.user.userId;
+
+    if (!name || typeof name !== 'string' || !apiProvider) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['name', 'apiProvider']
+      });
+    }
+
+    const validProviders = Object.keys(apiHeaders);
+    if (!validProviders.includes(String(apiProvider).toLowerCase())) {
+      return res.status(400).json({
+        error: 'Invalid API provider',
+        validProviders
+      });
+    }
+
+    const pool = await KeyPoolService.createPool({
+      name,
+      apiProvider: apiProvider.toLowerCase(),
+      description: description || null,
+      ownerId: userId
+    });
+
+    logSecurityEvent('key_pool_created', {
+      userId,
+      ip: req.ip,
+      poolId: pool.poolId,
+      apiProvider: pool.apiProvider
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...pool,
+        instructions: {
+          method: 'KEY_POOL',
+          headers: {
+            'Authorization': 'Bearer <JWT_TOKEN>',
+            'X-Key-Pool-Id': pool.poolId
+          }
+        }
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create key pool',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List pools the user owns or is a member of
+ * GET /api/key-pools
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const pools = await KeyPoolService.listPools({
+      userId: req.user.userId,
+      appId: req.user.appId
+    });
+
+    res.json({
+      success: true,
+      data: pools,
+      count: pools.length
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to list key pools',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get pool details (owner only): keys without key material, and members
+ * GET /api/key-pools/:poolId
+ */
+router.get('/:poolId', authenticateToken, async (req, res) => {
+  try {
+    const pool = await KeyPoolService.getPoolDetails(req.params.poolId, req.user.userId);
+
+    res.json({
+      success: true,
+      data: pool
+    });
+
+  } catch (error) {
+    handlePoolError(res, error, 'Failed to get key pool');
+  }
+});
+
+/**
+ * Deactivate a pool
+ * DELETE /api/key-pools/:poolId
+ */
+router.delete('/:poolId', authenticateToken, async (req, res) => {
+  try {
+    await KeyPoolService.deactivatePool(req.params.poolId, req.user.userId);
+
+    logSecurityEvent('key_pool_deactivated', {
+      userId: req.user.userId,
+      ip: req.ip,
+      poolId: req.params.poolId
+    });
+
+    res.json({
+      success: true,
+      message: 'Key pool deactivated'
+    });
+
+  } catch (error) {
+    handlePoolError(res, error, 'Failed to deactivate key pool');
+  }
+});
+
+/**
+ * Add a provider key to a pool
+ * POST /api/key-pools/:poolId/keys
+ * Body: { apiKey, label? }
+ */
+router.post('/:poolId/keys', authenticateToken, keyPoolLimiter, async (req, res) => {
+  try {
+    const { apiKey, label } = req.body || {};
+
+    if (!apiKey || typeof apiKey !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['apiKey']
+      });
+    }
+
+    const key = await KeyPoolService.addKey(req.params.poolId, req.user.userId, {
+      apiKey,
+      label: label || null
+    });
+
+    logSecurityEvent('key_pool_key_added', {
+      userId: req.user.userId,
+      ip: req.ip,
+      poolId: req.params.poolId,
+      keyId: key.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: key
+    });
+
+  } catch (error) {
+    handlePoolError(res, error, 'Failed to add key to pool');
+  }
+});
+
+/**
+ * Remove (deactivate) a provider key of a pool
+ * DELETE /api/key-pools/:poolId/keys/:keyId
+ */
+router.delete('/:poolId/keys/:keyId', authenticateToken, async (req, res) => {
+  try {
+    await KeyPoolService.removeKey(req.params.poolId, req.user.userId, req.params.keyId);
+
+    logSecurityEvent('key_pool_key_removed', {
+      userId: req.user.userId,
+      ip: req.ip,
+      poolId: req.params.poolId,
+      keyId: req.params.keyId
+    });
+
+    res.json({
+      success: true,
+      message: 'Key removed from pool'
+    });
+
+  } catch (error) {
+    handlePoolError(res, error, 'Failed to remove key from pool');
+  }
+});
+
+/**
+ * Grant a user or app access to a pool
+ * POST /api/key-pools/:poolId/members
+ * Body: { memberType: 'user' | 'app', memberId }
+ */
+router.post('/:poolId/members', authenticateToken, keyPoolLimiter, async (req, res) => {
+  try {
+    const { member, error: memberError } = parseMember(req.body || {});
+    if (memberError) {
+      return res.status(400).json({
+        error: 'Invalid member',
+        message: memberError
+      });
+    }
+
+    const result = await KeyPoolService.grantMember(req.params.poolId, req.user.userId, member);
+
+    logSecurityEvent('key_pool_member_granted', {
+      userId: req.user.userId,
+      ip: req.ip,
+      poolId: req.params.poolId,
+      ...member
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    handlePoolError(res, error, 'Failed to grant pool access');
+  }
+});
+
+/**
+ * Revoke a member's access without rotating the pool's keys
+ * DELETE /api/key-pools/:poolId/members/:memberType/:memberId
+ */
+router.delete('/:poolId/members/:memberType/:memberId', authenticateToken, async (req, res) => {
+  try {
+    const { member, error: memberError } = parseMember(req.params);
+    if (memberError) {
+      return res.status(400).json({
+        error: 'Invalid member',
+        message: memberError
+      });
+    }
+
+    await KeyPoolService.revokeMember(req.params.poolId, req.user.userId, member);
+
+    logSecurityEvent('key_pool_member_revoked', {
+      userId: req.user.userId,
+      ip: req.ip,
+      poolId: req.params.poolId,
+      ...member
+    });
+
+    res.json({
+      success: true,
+      message: 'Pool access revoked'
+    });
+
+  } catch (error) {
+    handlePoolError(res, error, 'Failed to revoke pool access');
+  }
+});
+
+/**
+ * Per-member usage of a pool (owner only)
+ * GET /api/key-pools/:poolId/usage
+ */
+router.get('/:poolId/usage', authenticateToken, async (req, res) => {
+  try {
+    const usage = await KeyPoolService.getMemberUsage(req.params.poolId, req.user.userId);
+
+    res.json({
+      success: true,
+      data: usage
+    });
+
+  } catch (error) {
+    handlePoolError(res, error, 'Failed to get pool usage');
+  }
+});
+
+module.exports = router;
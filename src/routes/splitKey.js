@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const splitKeyService = require('../services/splitKey');
+const KeyValidationService = require('../services/keyValidation');
+const webhookService = require('../services/webhook');
 const { authenticateToken } = require('../middleware/auth');
+const { splitKeyLockout, trackFailedSplitKeyAuth } = require('../middleware/splitKey');
 const { logSecurityEvent } = require('../utils/securityLogger');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
@@ -20,6 +23,37 @@ const splitKeyLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Longest time a rotated-out client part may stay valid
+const MAX_ROTATION_GRACE_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Current client part for management routes that decrypt the key
+ * (the server only stores its hash)
+ */
+const requireClientPart = (req, res) => {
+  const clientPart = req.headers['x-partial-key'];
+  if (!clientPart || typeof clientPart !== 'string') {
+    res.status(400).json({
+      error: 'Missing X-Partial-Key header',
+      message: 'The current client part is required for this operation'
+    });
+    return null;
+  }
+  return clientPart;
+};
+
+/**
+ * 401 for a wrong client part, counted towards the failed-auth lockout
+ */
+const rejectClientPart = (req, res) => {
+  const attempts = trackFailedSplitKeyAuth(req, req.params.keyId, 'Invalid client part');
+  return res.status(401).json({
+    error: 'Invalid client part',
+    message: 'X-Partial-Key does not match this split key',
+    attemptsRemaining: Math.max(0, 5 - attempts)
+  });
+};
+
 /**
  * Generate a keyId based on userId, appId and a random suffix.
  * Example: sk-android-app-user123-9f3a1c0b
@@ -38,13 +72,53 @@ const generateKeyId = (userId, appId) => {
   return `sk-${safeAppId}-${safeUserId}-${randomSuffix}`;
 };
 
+/**
+ * Validate optional split key limits from the request body
+ * @returns {{ limits?: Object, error?: string }}
+ */
+const parseKeyLimits = ({ expiresAt, maxUses, dailySpendCap, allowedEndpoints }) => {
+  const limits = {};
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime()) || date <= new Date()) {
+      return { error: 'expiresAt must be a future ISO 8601 date' };
+    }
+    limits.expiresAt = date;
+  }
+
+  if (maxUses !== undefined && maxUses !== null) {
+    if (!Number.isInteger(maxUses) || maxUses < 1) {
+      return { error: 'maxUses must be a positive integer' };
+    }
+    limits.maxUses = maxUses;
+  }
+
+  if (dailySpendCap !== undefined && dailySpendCap !== null) {
+    if (typeof dailySpendCap !== 'number' || !(dailySpendCap > 0)) {
+      return { error: 'dailySpendCap must be a positive number (USD per day)' };
+    }
+    limits.dailySpendCap = dailySpendCap;
+  }
+
+  if (allowedEndpoints !== undefined && allowedEndpoints !== null) {
+    if (!Array.isArray(allowedEndpoints) || allowedEndpoints.length === 0 || allowedEndpoints.length > 50 ||
+        !allowedEndpoints.every(e => typeof e === 'string' && e.startsWith('/'))) {
+      return { error: 'allowedEndpoints must be a non-empty array (max 50) of endpoint paths starting with /' };
+    }
+    limits.allowedEndpoints = allowedEndpoints;
+  }
+
+  return { limits };
+};
+
 /**
  * Split a new API key
  * POST /api/split-key/split
  */
 router.post('/split', authenticateToken, splitKeyLimiter, async (req, res) => {
   try {
-    let { originalKey, apiProvider, keyId, description } = req.body;
+    let { originalKey, apiProvider, keyId, description, validate = false } = req.body;
     const userId = req.user.userId;
     const appId = req.user.appId;
 
@@ -85,6 +159,15 @@ router.post('/split', authenticateToken, splitKeyLimiter, async (req, res) => {
       });
     }
 
+    // Optional expiry, usage cap, daily spend cap and endpoint allowlist
+    const { limits, error: limitsError } = parseKeyLimits(req.body);
+    if (limitsError) {
+      return res.status(400).json({
+        error: 'Invalid split key limits',
+        message: limitsError
+      });
+    }
+
     // If keyId is not provided, generate one from userId + appId + random suffix
     if (!keyId || typeof keyId !== 'string' || !keyId.trim()) {
       keyId = generateKeyId(userId, appId);
@@ -108,12 +191,29 @@ router.post('/split', authenticateToken, splitKeyLimiter, async (req, res) => {
       // Key doesn't exist, which is good
     }
 
+    // Optional upstream check, so a mistyped key is rejected before it is stored
+    let validation = null;
+    if (validate === true) {
+      validation = await KeyValidationService.validate(apiProvider.toLowerCase(), originalKey);
+
+      if (validation.status === 'invalid') {
+        return res.status(400).json({
+          error: 'API key rejected by provider',
+          message: validation.message,
+          validationStatus: validation.status,
+          upstreamStatus: validation.statusCode
+        });
+      }
+    }
+
     const result = await splitKeyService.splitApiKey(
       originalKey,
       apiProvider.toLowerCase(),
       keyId,
       userId,
-      description
+      description,
+      limits,
+      validation
     );
 
     // Log the key splitting operation
@@ -123,6 +223,14 @@ router.post('/split', authenticateToken, splitKeyLimiter, async (req, res) => {
       description
     });
 
+    webhookService.trigger('split_key.created', {
+      keyId: result.keyId,
+      userId,
+      appId,
+      api: apiProvider.toLowerCase(),
+      description: description || null
+    }).catch(err => console.error('Webhook error:', err));
+
     res.status(201).json({
       success: true,
       message: 'API key successfully split for BYOK usage',
@@ -225,13 +333,20 @@ router.delete('/:keyId', authenticateToken, async (req, res) => {
     const { keyId } = req.params;
     const userId = req.user.userId;
 
-    await splitKeyService.deactivateSplitKey(keyId, userId);
+    const { apiProvider } = await splitKeyService.deactivateSplitKey(keyId, userId);
 
     // Log the deactivation
     logSecurityEvent('split_key_deactivated', userId, req.ip, {
       keyId
     });
 
+    webhookService.trigger('split_key.deleted', {
+      keyId,
+      userId,
+      appId: req.user.appId,
+      api: apiProvider
+    }).catch(err => console.error('Webhook error:', err));
+
     res.json({
       success: true,
       message: 'Split key successfully deactivated'
@@ -259,11 +374,157 @@ router.delete('/:keyId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Rotate the client part of a split key
+ * POST /api/split-key/:keyId/rotate
+ * Headers: X-Partial-Key - the current client part
+ * Body: { gracePeriodSeconds?: number } - keep the old client part valid for up to 7 days
+ */
+router.post('/:keyId/rotate', authenticateToken, splitKeyLockout, splitKeyLimiter, async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const userId = req.user.userId;
+    const { gracePeriodSeconds = 0 } = req.body || {};
+
+    if (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0 || gracePeriodSeconds > MAX_ROTATION_GRACE_SECONDS) {
+      return res.status(400).json({
+        error: 'Invalid gracePeriodSeconds',
+        message: `gracePeriodSeconds must be an integer between 0 and ${MAX_ROTATION_GRACE_SECONDS}`
+      });
+    }
+
+    const clientPart = requireClientPart(req, res);
+    if (!clientPart) {
+      return;
+    }
+
+    const result = await splitKeyService.rotateClientPart(keyId, userId, clientPart, gracePeriodSeconds);
+
+    logSecurityEvent('split_key_rotated', {
+      userId,
+      ip: req.ip,
+      keyId,
+      gracePeriodSeconds
+    });
+
+    res.json({
+      success: true,
+      message: gracePeriodSeconds > 0
+        ? `Client part rotated; the previous client part stays valid until ${result.previousClientPartExpiresAt.toISOString()}`
+        : 'Client part rotated; the previous client part is no longer valid',
+      data: {
+        ...result,
+        instructions: {
+          method: 'BYOK_SPLIT_KEY',
+          headers: {
+            'Authorization': 'Bearer <JWT_TOKEN>',
+            'X-Partial-Key-Id': result.keyId,
+            'X-Partial-Key': result.clientPart
+          }
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Split key not found',
+        keyId: req.params.keyId
+      });
+    }
+
+    if (error.message.includes('Not authorized')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only rotate your own split keys'
+      });
+    }
+
+    if (error.message.includes('Invalid client part')) {
+      return rejectClientPart(req, res);
+    }
+
+    if (error.message.includes('inactive')) {
+      return res.status(409).json({
+        error: 'Split key is inactive',
+        keyId: req.params.keyId
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to rotate split key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Re-validate the stored provider key upstream
+ * POST /api/split-key/:keyId/revalidate
+ * Headers: X-Partial-Key - the current client part
+ */
+router.post('/:keyId/revalidate', authenticateToken, splitKeyLockout, splitKeyLimiter, async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const userId = req.user.userId;
+
+    const clientPart = requireClientPart(req, res);
+    if (!clientPart) {
+      return;
+    }
+
+    const result = await splitKeyService.revalidateKey(keyId, userId, clientPart);
+
+    logSecurityEvent('split_key_revalidated', {
+      userId,
+      ip: req.ip,
+      keyId,
+      validationStatus: result.validationStatus
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Split key not found',
+        keyId: req.params.keyId
+      });
+    }
+
+    if (error.message.includes('Not authorized')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only validate your own split keys'
+      });
+    }
+
+    if (error.message.includes('Invalid client part')) {
+      return rejectClientPart(req, res);
+    }
+
+    if (error.message.includes('inactive')) {
+      return res.status(409).json({
+        error: 'Split key is inactive',
+        keyId: req.params.keyId
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to validate split key',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Validate split key headers (testing endpoint)
  * POST /api/split-key/validate
  */
-router.post('/validate', authenticateToken, async (req, res) => {
+router.post('/validate', authenticateToken, splitKeyLockout, async (req, res) => {
   try {
     const headers = req.headers;
     const validation = splitKeyService.validateSplitKeyHeaders(headers);
@@ -290,6 +551,12 @@ router.post('/validate', authenticateToken, async (req, res) => {
       });
 
     } catch (reconstructError) {
+      if (reconstructError.code === 'SPLIT_KEY_INVALID') {
+        trackFailedSplitKeyAuth(req, validation.keyId, 'Split key validation failed');
+      } else if (reconstructError.code !== 'SPLIT_KEY_LIMIT') {
+        throw reconstructError;
+      }
+
       res.status(400).json({
         valid: false,
         error: 'Split key reconstruction failed',
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { chatCompletions } = require('../controllers/unified');
+const { asyncHandler } = require('../utils/errorHandler');
+const quotaCheck = require('../middleware/quotaCheck');
+const userRateLimit = require('../middleware/userRateLimit');
+const ipCheck = require('../middleware/ipCheck');
+const { validateSplitKey, reconstructApiKey, addSplitKeySecurityHeaders } = require('../middleware/splitKey');
+
+/**
+ * Unified OpenAI-compatible Routes
+ * Lets clients speak only the OpenAI schema; the bridge translates to Claude and Gemini
+ */
+
+/**
+ * POST /v1/chat/completions
+ * OpenAI chat completion request (messages, tools, stream)
+ * The provider is chosen by model prefix (gpt-*, claude-*, gemini-*, ...) or '<provider>/<model>'
+ *
+ * Headers:
+ *   Authorization: Bearer <JWT_TOKEN>
+ *   X-Partial-Key-Id / X-Partial-Key (optional, BYOK for the routed provider)
+ */
+router.post(
+  '/chat/completions',
+  ipCheck,
+  authenticateToken,
+  quotaCheck,
+  validateSplitKey,
+  reconstructApiKey,
+  userRateLimit,
+  addSplitKeySecurityHeaders,
+  asyncHandler(chatCompletions)
+);
+
+module.exports = router;
@@ -17,7 +17,10 @@ const proxyRoutes = require('./routes/proxy');
 const adminRoutes = require('./routes/admin');
 const analyticsRoutes = require('./routes/analytics');
 const splitKeyRoutes = require('./routes/splitKey');
+const keyPoolRoutes = require('./routes/keyPool');
+const unifiedRoutes = require('./routes/unified');
 const { healthCheck } = require('./controllers/proxy');
+const webhookService = require('./services/webhook');
 
 // Initialize Express app
 const app = express();
@@ -59,6 +62,7 @@ app.use(securityMonitor);
 
 // Rate limiting applied only to API routes (exclude '/' and '/health')
 app.use('/api', limiter);
+app.use('/v1', limiter);
 
 // Health check endpoint (no auth required)
 app.get('/', (req, res) => {
@@ -76,8 +80,10 @@ app.get('/health', healthCheck);
 app.use('/auth', authRoutes);
 app.use('/api', proxyRoutes);
 app.use('/api/split-key', splitKeyRoutes);
+app.use('/api/key-pools', keyPoolRoutes);
 app.use('/admin', adminRoutes);
 app.use('/analytics', analyticsRoutes);
+app.use('/v1', unifiedRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -99,19 +105,23 @@ const server = app.listen(PORT, () => {
   console.log('  GET  /           - Service info');
   console.log('  GET  /health     - Health check');
   console.log('  POST /auth/token - Generate JWT token (auto-creates user)');
+  console.log('  POST /auth/refresh - Exchange a refresh token for new tokens');
   console.log('  GET  /auth/verify - Verify JWT token');
   console.log('  POST /api/:api/proxy - Proxy to AI API (supports both Server Key & BYOK)');
   console.log('  GET  /api/:api/endpoints - Get allowed endpoints');
+  console.log('  POST /v1/chat/completions - OpenAI-compatible chat (routes to OpenAI, Claude, Gemini, ...)');
   console.log('  POST /api/split-key/split - Split API key for BYOK usage');
   console.log('  GET  /api/split-key - List split keys');
   console.log('  GET  /api/split-key/:keyId - Get split key info');
   console.log('  DELETE /api/split-key/:keyId - Deactivate split key');
   console.log('  POST /api/split-key/validate - Validate split key headers');
+  console.log('  *    /api/key-pools/* - Team key pools (shared provider keys)');
   console.log('  GET  /analytics/* - Usage analytics');
   console.log('  * /admin/* - Admin panel (requires X-Admin-Key)');
   console.log('\n🔐 Authentication Methods:');
   console.log('  • Server Key: Use API keys from server .env file');
   console.log('  • BYOK Split Key: Users bring their own split API keys');
+  console.log('  • Key Pool: Team-owned provider keys shared with users or apps (X-Key-Pool-Id)');
   console.log('\n🤖 Supported APIs:');
   console.log(`  - OpenAI: ${config.openai.apiKey ? '✅ Configured' : '❌ Not configured'}`);
   console.log(`  - Gemini: ${config.gemini.apiKey ? '✅ Configured' : '❌ Not configured'}`);
@@ -125,6 +135,9 @@ const server = app.listen(PORT, () => {
   console.log(`  - Request Timeout: ${process.env.REQUEST_TIMEOUT_MS || 30000}ms`);
   console.log(`  - Body Size Limit: 2MB`);
   console.log('='.repeat(50) + '\n');
+
+  // Send queued webhook deliveries and retries
+  webhookService.startDispatcher();
 });
 
 // Configure HTTP keep-alive for better connection reuse (tuned for Render)
@@ -162,6 +175,9 @@ const gracefulShutdown = async (signal) => {
   isShuttingDown = true;
   console.log(`\n⚠️  ${signal} received. Starting graceful shutdown...`);
 
+  // Stop picking up webhook retries (pending deliveries stay queued)
+  webhookService.stopDispatcher();
+
   // Stop accepting new connections
   server.close(async () => {
     console.log('✅ Server stopped accepting new connections');
@@ -1,5 +1,6 @@
 const UsageModel = require('../models/Usage');
 const prisma = require('../db/client');
+const ServerKeyService = require('./serverKeys');
 
 /**
  * Analytics Service
@@ -146,7 +147,7 @@ class AnalyticsService {
   }
 
   /**
-   * Get cost breakdown by API
+   * Get cost breakdown by API and model
    */
   static async getCostBreakdown(startDate = null, endDate = null) {
     const where = startDate && endDate ? {
@@ -171,6 +172,22 @@ class AnalyticsService {
       }
     });
 
+    const byModel = await prisma.apiUsage.groupBy({
+      by: ['api', 'model'],
+      where,
+      _count: true,
+      _sum: {
+        estimatedCost: true,
+        inputTokens: true,
+        outputTokens: true
+      },
+      orderBy: {
+        _sum: {
+          estimatedCost: 'desc'
+        }
+      }
+    });
+
     const total = breakdown.reduce((sum, item) => sum + (item._sum.estimatedCost || 0), 0);
 
     return {
@@ -181,6 +198,14 @@ class AnalyticsService {
         tokens: item._sum.tokensUsed || 0,
         percentage: total > 0 ? ((item._sum.estimatedCost || 0) / total * 100).toFixed(2) : 0
       })),
+      byModel: byModel.map(item => ({
+        api: item.api,
+        model: item.model || 'unknown',
+        requests: item._count,
+        cost: item._sum.estimatedCost || 0,
+        inputTokens: item._sum.inputTokens || 0,
+        outputTokens: item._sum.outputTokens || 0
+      })),
       total
     };
   }
@@ -211,6 +236,67 @@ class AnalyticsService {
       errorRate: parseFloat(errorRate)
     };
   }
+
+  /**
+   * Get recorded usage per server key, merged with each key's live health
+   */
+  static async getServerKeyStats(startDate = null, endDate = null) {
+    const where = {
+      serverKeyId: { not: null },
+      ...(startDate && endDate && {
+        createdAt: {
+          gte: startDate,
+          lte: endDate
+        }
+      })
+    };
+
+    const [usage, rateLimited] = await Promise.all([
+      prisma.apiUsage.groupBy({
+        by: ['api', 'serverKeyId'],
+        where,
+        _count: true,
+        _sum: {
+          tokensUsed: true,
+          estimatedCost: true
+        },
+        _avg: {
+          responseTime: true
+        }
+      }),
+      prisma.apiUsage.groupBy({
+        by: ['serverKeyId'],
+        where: { ...where, statusCode: 429 },
+        _count: true
+      })
+    ]);
+
+    const rateLimitedByKey = new Map(rateLimited.map(item => [item.serverKeyId, item._count]));
+    const health = ServerKeyService.getHealth();
+
+    const keys = usage.map(item => {
+      const live = (health.providers[item.api] || []).find(key => key.keyId === item.serverKeyId);
+
+      return {
+        api: item.api,
+        keyId: item.serverKeyId,
+        configured: !!live,
+        requests: item._count,
+        rateLimited: rateLimitedByKey.get(item.serverKeyId) || 0,
+        tokens: item._sum.tokensUsed || 0,
+        cost: item._sum.estimatedCost || 0,
+        avgResponseTime: Math.round(item._avg.responseTime || 0),
+        health: live || null
+      };
+    });
+
+    return {
+      strategy: health.strategy,
+      cooldownMs: health.cooldownMs,
+      keys,
+      live: health.providers
+    };
+  }
 }
 
 module.exports = AnalyticsService;
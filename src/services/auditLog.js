@@ -53,7 +53,7 @@ const createAuditLog = async ({
  */
 const logUserManagement = async (action, adminKeyHash, ip, userAgent, userId, details = {}) => {
   return createAuditLog({
-    action: `user.${action}`, // user.create, user.update, user.delete
+    action: `user.${action}`, // user.create, user.update, user.delete, user.revoke_tokens
     adminKeyHash,
     ipAddress: ip,
     userAgent,
@@ -87,7 +87,7 @@ const logIPRuleManagement = async (action, adminKeyHash, ip, userAgent, ruleIp,
  */
 const logWebhookManagement = async (action, adminKeyHash, ip, userAgent, webhookId, details = {}) => {
   return createAuditLog({
-    action: `webhook.${action}`, // webhook.create, webhook.delete, webhook.test
+    action: `webhook.${action}`, // webhook.create, webhook.update_subscriptions, webhook.delete, webhook.test, webhook.rotate_secret, webhook.redeliver, webhook.redeliver_failed
     adminKeyHash,
     ipAddress: ip,
     userAgent,
@@ -99,6 +99,75 @@ const logWebhookManagement = async (action, adminKeyHash, ip, userAgent, webhook
   });
 };
 
+/**
+ * Log admin pricing catalog management
+ */
+const logPricingManagement = async (action, adminKeyHash, ip, userAgent, provider, model, details = {}) => {
+  return createAuditLog({
+    action: `pricing.${action}`, // pricing.set, pricing.remove
+    adminKeyHash,
+    ipAddress: ip,
+    userAgent,
+    details: {
+      provider,
+      model,
+      ...details
+    },
+    success: true
+  });
+};
+
+/**
+ * Log admin app management
+ */
+const logAppManagement = async (action, adminKeyHash, ip, userAgent, appId, details = {}) => {
+  return createAuditLog({
+    action: `app.${action}`, // app.create, app.update, app.disable, app.rotate_secret, ...
+    adminKeyHash,
+    ipAddress: ip,
+    userAgent,
+    details: {
+      appId,
+      ...details
+    },
+    success: true
+  });
+};
+
+/**
+ * Log admin model policy management
+ */
+const logModelPolicyManagement = async (action, adminKeyHash, ip, userAgent, policyId, details = {}) => {
+  return createAuditLog({
+    action: `model_policy.${action}`, // model_policy.add, model_policy.remove
+    adminKeyHash,
+    ipAddress: ip,
+    userAgent,
+    details: {
+      policyId,
+      ...details
+    },
+    success: true
+  });
+};
+
+/**
+ * Log master key rotation
+ */
+const logKeyRotation = async (action, adminKeyHash, ip, userAgent, rotationId, details = {}, success = true) => {
+  return createAuditLog({
+    action: `key_rotation.${action}`, // key_rotation.start, key_rotation.complete
+    adminKeyHash,
+    ipAddress: ip,
+    userAgent,
+    details: {
+      rotationId,
+      ...details
+    },
+    success
+  });
+};
+
 /**
  * Log failed admin operation
  */
@@ -237,6 +306,10 @@ module.exports = {
   logUserManagement,
   logIPRuleManagement,
   logWebhookManagement,
+  logPricingManagement,
+  logModelPolicyManagement,
+  logAppManagement,
+  logKeyRotation,
   logFailedOperation,
   getAuditLogs,
   getAuditLogsByAdmin,
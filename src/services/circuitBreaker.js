@@ -0,0 +1,206 @@
+const config = require('../config/env');
+const webhookService = require('./webhook');
+
+/**
+ * Circuit Breaker Service
+ * Fails fast for providers that are down instead of waiting for every request to time out
+ *
+ * - closed: requests pass; outcomes are counted over a sliding window.
+ * - open: once the window has CIRCUIT_BREAKER_MIN_REQUESTS calls and the failure rate reaches
+ *   CIRCUIT_BREAKER_FAILURE_RATE, requests are rejected with 503 + Retry-After for CIRCUIT_BREAKER_OPEN_MS.
+ * - half_open: after that, one probe request is let through; success closes the circuit,
+ *   failure opens it again.
+ *
+ * Failures are network errors (including timeouts) and 5xx responses; 429 and other 4xx are not.
+ * Opening and closing trigger the `provider.down` / `provider.recovered` webhooks.
+ * State is kept in-process.
+ */
+
+const BUCKET_MS = 1000;
+
+// api -> { state, buckets: [{ at, requests, failures }], openedAt, retryAt, probeStartedAt, downSince }
+const circuits = new Map();
+
+const getCircuit = (api) => {
+  if (!circuits.has(api)) {
+    circuits.set(api, {
+      state: 'closed',
+      buckets: [],
+      openedAt: null,
+      retryAt: null,
+      probeStartedAt: null,
+      downSince: null
+    });
+  }
+  return circuits.get(api);
+};
+
+/**
+ * Drop buckets that left the window and sum the rest
+ */
+const getWindow = (circuit, now) => {
+  const cutoff = now - config.circuitBreaker.windowMs;
+  circuit.buckets = circuit.buckets.filter(bucket => bucket.at > cutoff);
+
+  return circuit.buckets.reduce((acc, bucket) => ({
+    requests: acc.requests + bucket.requests,
+    failures: acc.failures + bucket.failures
+  }), { requests: 0, failures: 0 });
+};
+
+const isFailure = (response) => !response || response.status >= 500;
+
+class CircuitBreakerService {
+  /**
+   * Check whether a request to a provider may be sent
+   * @returns {Error|null} null when allowed; otherwise an error with code CIRCUIT_OPEN,
+   *   status 503 and retryAfter (seconds)
+   */
+  static checkRequest(api, now = Date.now()) {
+    if (!config.circuitBreaker.enabled) {
+      return null;
+    }
+
+    const circuit = getCircuit(api);
+
+    if (circuit.state === 'open' && now >= circuit.retryAt) {
+      circuit.state = 'half_open';
+      circuit.probeStartedAt = null;
+    }
+
+    if (circuit.state === 'half_open') {
+      // One probe at a time; a probe that never reported is replaced after the open period
+      const probeStale = circuit.probeStartedAt && now - circuit.probeStartedAt >= config.circuitBreaker.openMs;
+      if (!circuit.probeStartedAt || probeStale) {
+        circuit.probeStartedAt = now;
+        return null;
+      }
+    }
+
+    if (circuit.state === 'closed') {
+      return null;
+    }
+
+    const retryAfter = Math.max(1, Math.ceil(((circuit.retryAt || now) - now) / 1000));
+    return Object.assign(
+      new Error(`${api.toUpperCase()} API is temporarily unavailable (circuit open)`),
+      { code: 'CIRCUIT_OPEN', status: 503, retryAfter, api }
+    );
+  }
+
+  /**
+   * Record the outcome of an upstream call
+   * @param {string} api - Provider
+   * @param {Object|null} response - Upstream response; null for network errors
+   */
+  static recordResult(api, response, now = Date.now()) {
+    if (!config.circuitBreaker.enabled) {
+      return;
+    }
+
+    const circuit = getCircuit(api);
+    const failed = isFailure(response);
+
+    if (circuit.state === 'half_open') {
+      if (failed) {
+        this.open(api, circuit, now);
+      } else {
+        this.close(api, circuit, now);
+      }
+      return;
+    }
+
+    const bucketAt = Math.floor(now / BUCKET_MS) * BUCKET_MS;
+    let bucket = circuit.buckets[circuit.buckets.length - 1];
+    if (!bucket || bucket.at !== bucketAt) {
+      bucket = { at: bucketAt, requests: 0, failures: 0 };
+      circuit.buckets.push(bucket);
+    }
+    bucket.requests++;
+    if (failed) bucket.failures++;
+
+    if (circuit.state === 'closed' && failed) {
+      const { requests, failures } = getWindow(circuit, now);
+      if (requests >= config.circuitBreaker.minRequests &&
+          failures / requests >= config.circuitBreaker.failureRate) {
+        this.open(api, circuit, now, { requests, failures });
+      }
+    }
+  }
+
+  /**
+   * Open (or re-open) a provider's circuit
+   */
+  static open(api, circuit, now, stats = null) {
+    const wasClosed = circuit.state === 'closed';
+
+    circuit.state = 'open';
+    circuit.openedAt = now;
+    circuit.retryAt = now + config.circuitBreaker.openMs;
+    circuit.probeStartedAt = null;
+
+    if (!wasClosed) {
+      return;
+    }
+
+    circuit.downSince = now;
+    console.warn(`🔌 Circuit opened for ${api.toUpperCase()}: ${stats.failures}/${stats.requests} failed`);
+
+    webhookService.trigger('provider.down', {
+      api,
+      requests: stats.requests,
+      failures: stats.failures,
+      failureRate: parseFloat((stats.failures / stats.requests).toFixed(2)),
+      retryAt: new Date(circuit.retryAt).toISOString()
+    }).catch(err => console.error('Webhook error:', err));
+  }
+
+  /**
+   * Close a provider's circuit after a successful probe
+   */
+  static close(api, circuit, now) {
+    const downSince = circuit.downSince;
+
+    circuit.state = 'closed';
+    circuit.buckets = [];
+    circuit.openedAt = null;
+    circuit.retryAt = null;
+    circuit.probeStartedAt = null;
+    circuit.downSince = null;
+
+    console.log(`🔌 Circuit closed for ${api.toUpperCase()}: provider recovered`);
+
+    webhookService.trigger('provider.recovered', {
+      api,
+      downSince: downSince ? new Date(downSince).toISOString() : null,
+      downtimeSeconds: downSince ? Math.round((now - downSince) / 1000) : null
+    }).catch(err => console.error('Webhook error:', err));
+  }
+
+  /**
+   * Circuit state of a provider
+   */
+  static getState(api, now = Date.now()) {
+    const circuit = getCircuit(api);
+    const { requests, failures } = getWindow(circuit, now);
+    const state = circuit.state === 'open' && now >= circuit.retryAt ? 'half_open' : circuit.state;
+
+    return {
+      state,
+      requests,
+      failures,
+      failureRate: requests > 0 ? parseFloat((failures / requests).toFixed(2)) : 0,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      retryAt: state === 'open' ? new Date(circuit.retryAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Forget all in-process state (tests)
+   */
+  static reset() {
+    circuits.clear();
+  }
+}
+
+module.exports = CircuitBreakerService;
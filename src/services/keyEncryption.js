@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config/env');
+
+/**
+ * Key Encryption Service
+ * Envelope encryption for split-key decryption secrets (and app signing keys)
+ *
+ * Each SplitKey row keeps its per-key decryptionSecret wrapped by a master
+ * key-encryption key (KEK), so a database dump alone cannot rebuild BYOK keys.
+ * Wrapped values are stored as `kek:<version>:<ciphertext>`.
+ *
+ * The KEK backend is pluggable: any object implementing the provider interface
+ * below can replace the local provider via setProvider() (e.g. a cloud KMS client).
+ *
+ *   provider.version                                  -> current KEK version (int)
+ *   provider.versions                                 -> versions it can decrypt (optional)
+ *   async provider.encrypt(plaintext, aad)            -> ciphertext string
+ *   async provider.decrypt(ciphertext, aad, version)  -> plaintext Buffer
+ */
+
+const WRAPPED_PREFIX = 'kek:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH_BYTES = 12;
+const TAG_LENGTH_BYTES = 16;
+const DEV_MASTER_KEY = 'default-master-key-change-in-production';
+
+/**
+ * Parse a 32-byte master key given as hex or base64
+ */
+const parseMasterKey = (value) => {
+  const trimmed = String(value).trim();
+  const key = /^[a-f0-9]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('Master key must be 32 bytes (64 hex characters or base64)');
+  }
+
+  return key;
+};
+
+/**
+ * Parse a version -> key map (JSON object or already-parsed object)
+ */
+const parseKeyMap = (value) => {
+  const map = typeof value === 'string' ? JSON.parse(value) : value;
+
+  return Object.entries(map || {}).reduce((acc, [version, key]) => {
+    acc.set(parseInt(version), parseMasterKey(key));
+    return acc;
+  }, new Map());
+};
+
+/**
+ * Local KEK provider (default backend)
+ * AES-256-GCM with a master key from MASTER_KEY or MASTER_KEY_FILE.
+ * Previous versions stay available for decryption while a rotation is running.
+ */
+class LocalKeyProvider {
+  constructor({ masterKey, version = 1, previousKeys = {} }) {
+    this.keys = parseKeyMap(previousKeys);
+    this.keys.set(version, parseMasterKey(masterKey));
+    this.version = version;
+  }
+
+  get masterKey() {
+    return this.keys.get(this.version);
+  }
+
+  /**
+   * Versions this provider can decrypt
+   */
+  get versions() {
+    return [...this.keys.keys()].sort((a, b) => a - b);
+  }
+
+  async encrypt(plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.masterKey, iv);
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+
+    const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    // Layout: [iv][tag][ciphertext]
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+  }
+
+  async decrypt(ciphertext, aad, version) {
+    const key = this.keys.get(version);
+    if (!key) {
+      throw new Error(`Master key version ${version} is not available`);
+    }
+
+    const buffer = Buffer.from(ciphertext, 'base64');
+    if (buffer.length <= IV_LENGTH_BYTES + TAG_LENGTH_BYTES) {
+      throw new Error('Invalid wrapped secret length');
+    }
+
+    const iv = buffer.subarray(0, IV_LENGTH_BYTES);
+    const tag = buffer.subarray(IV_LENGTH_BYTES, IV_LENGTH_BYTES + TAG_LENGTH_BYTES);
+    const encrypted = buffer.subarray(IV_LENGTH_BYTES + TAG_LENGTH_BYTES);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  }
+}
+
+/**
+ * Build the local provider from configuration
+ * MASTER_KEY_FILE may hold a single key or a JSON map of {"<version>": "<key>"};
+ * with a map the highest version (or MASTER_KEY_VERSION) is the current one.
+ * Outside production a fixed development key is used when none is configured.
+ */
+const createLocalProvider = () => {
+  const { masterKey, masterKeyFile, masterKeyVersion, previousMasterKeys } = config.keyEncryption;
+  const previousKeys = previousMasterKeys ? JSON.parse(previousMasterKeys) : {};
+
+  if (masterKey) {
+    return new LocalKeyProvider({ masterKey, version: masterKeyVersion || 1, previousKeys });
+  }
+
+  if (masterKeyFile) {
+    const contents = fs.readFileSync(masterKeyFile, 'utf8').trim();
+
+    if (contents.startsWith('{')) {
+      const keys = JSON.parse(contents);
+      const version = masterKeyVersion || Math.max(...Object.keys(keys).map(v => parseInt(v)));
+      return new LocalKeyProvider({ masterKey: keys[version], version, previousKeys: { ...previousKeys, ...keys } });
+    }
+
+    return new LocalKeyProvider({ masterKey: contents, version: masterKeyVersion || 1, previousKeys });
+  }
+
+  if (config.nodeEnv === 'production') {
+    throw new Error('MASTER_KEY or MASTER_KEY_FILE must be set in production');
+  }
+
+  console.warn('⚠️  Warning: No MASTER_KEY configured. Using an insecure development key for split-key secrets');
+  return new LocalKeyProvider({
+    masterKey: crypto.createHash('sha256').update(DEV_MASTER_KEY).digest('hex'),
+    version: masterKeyVersion || 1
+  });
+};
+
+let provider = null;
+
+class KeyEncryptionService {
+  /**
+   * Replace the KEK backend (e.g. with a KMS-backed provider)
+   */
+  static setProvider(newProvider) {
+    provider = newProvider;
+  }
+
+  static getProvider() {
+    if (!provider) {
+      provider = createLocalProvider();
+    }
+    return provider;
+  }
+
+  /**
+   * Version new secrets are wrapped with
+   */
+  static getCurrentVersion() {
+    return this.getProvider().version;
+  }
+
+  /**
+   * Whether a stored decryptionSecret is already wrapped
+   */
+  static isWrapped(storedSecret) {
+    return typeof storedSecret === 'string' && storedSecret.startsWith(WRAPPED_PREFIX);
+  }
+
+  /**
+   * Parse the KEK version from a wrapped secret (null for plaintext rows)
+   */
+  static getVersion(storedSecret) {
+    if (!this.isWrapped(storedSecret)) {
+      return null;
+    }
+    return parseInt(storedSecret.split(':')[1]);
+  }
+
+  /**
+   * Wrap a hex decryption secret with the current KEK
+   * The keyId is bound as AAD so wrapped secrets cannot be moved between rows
+   * @returns {Promise<{ wrapped: string, version: number }>}
+   */
+  static async wrapSecret(decryptionSecret, keyId) {
+    const kek = this.getProvider();
+    const ciphertext = await kek.encrypt(Buffer.from(decryptionSecret, 'hex'), keyId);
+
+    return {
+      wrapped: `${WRAPPED_PREFIX}${kek.version}:${ciphertext}`,
+      version: kek.version
+    };
+  }
+
+  /**
+   * Unwrap a stored decryption secret back to hex
+   * Plaintext rows from before envelope encryption are returned unchanged
+   */
+  static async unwrapSecret(storedSecret, keyId) {
+    if (!this.isWrapped(storedSecret)) {
+      return storedSecret;
+    }
+
+    const [, version, ciphertext] = storedSecret.split(':');
+    const plaintext = await this.getProvider().decrypt(ciphertext, keyId, parseInt(version));
+
+    return plaintext.toString('hex');
+  }
+}
+
+module.exports = KeyEncryptionService;
+module.exports.LocalKeyProvider = LocalKeyProvider;
@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const prisma = require('../db/client');
+const KeyEncryptionService = require('./keyEncryption');
+
+/**
+ * Key Pool Service
+ * Team-owned pools of provider keys shared with named users or apps
+ *
+ * - The owner uploads provider keys once; they are wrapped with the master KEK
+ *   (bound to the pool key's id) and never returned.
+ * - Members (users or apps) send X-Key-Pool-Id; each request is served by the
+ *   least recently used active key of the pool.
+ * - Usage is counted per member, and revoking a member does not touch the keys.
+ */
+
+const MEMBER_TYPES = ['user', 'app'];
+
+/**
+ * Error carrying the HTTP status the proxy answers with
+ */
+const poolError = (status, message) => Object.assign(new Error(message), { code: 'KEY_POOL', status });
+
+const generatePoolId = () => `kp-${crypto.randomBytes(8).toString('hex')}`;
+
+// AAD binding a wrapped provider key to its row
+const keyAad = (id) => `keypool:${id}`;
+
+// Pool key fields that are safe to return
+const KEY_FIELDS = {
+  id: true,
+  label: true,
+  keyHint: true,
+  keyVersion: true,
+  active: true,
+  usageCount: true,
+  lastUsed: true,
+  createdAt: true
+};
+
+class KeyPoolService {
+  static get MEMBER_TYPES() {
+    return MEMBER_TYPES;
+  }
+
+  /**
+   * Create a pool; the owner is added as its first member
+   */
+  static async createPool({ name, apiProvider, description = null, ownerId }) {
+    const poolId = generatePoolId();
+
+    const pool = await prisma.keyPool.create({
+      data: {
+        poolId,
+        name,
+        apiProvider,
+        description,
+        ownerId,
+        members: {
+          create: { memberType: 'user', memberId: ownerId, grantedBy: ownerId }
+        }
+      }
+    });
+
+    return pool;
+  }
+
+  /**
+   * Load a pool and check that the requester owns it
+   */
+  static async getOwnedPool(poolId, ownerId) {
+    const pool = await prisma.keyPool.findUnique({
+      where: { poolId }
+    });
+
+    if (!pool) {
+      throw new Error('Key pool not found');
+    }
+
+    if (pool.ownerId !== ownerId) {
+      throw new Error('Not authorized to manage this key pool');
+    }
+
+    return pool;
+  }
+
+  /**
+   * Pool details for the owner: keys (without key material) and members
+   */
+  static async getPoolDetails(poolId, ownerId) {
+    await this.getOwnedPool(poolId, ownerId);
+
+    return await prisma.keyPool.findUnique({
+      where: { poolId },
+      include: {
+        keys: { select: KEY_FIELDS, orderBy: { createdAt: 'asc' } },
+        members: { orderBy: { createdAt: 'asc' } }
+      }
+    });
+  }
+
+  /**
+   * Pools a user owns or can use (directly or through their app)
+   */
+  static async listPools({ userId, appId }) {
+    const pools = await prisma.keyPool.findMany({
+      where: {
+        OR: [
+          { ownerId: userId },
+          { members: { some: { active: true, memberType: 'user', memberId: userId } } },
+          ...(appId ? [{ members: { some: { active: true, memberType: 'app', memberId: appId } } }] : [])
+        ]
+      },
+      select: {
+        poolId: true,
+        name: true,
+        apiProvider: true,
+        description: true,
+        ownerId: true,
+        active: true,
+        createdAt: true,
+        _count: { select: { keys: { where: { active: true } } } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return pools.map(({ _count, ...pool }) => ({
+      ...pool,
+      role: pool.ownerId === userId ? 'owner' : 'member',
+      activeKeys: _count.keys
+    }));
+  }
+
+  /**
+   * Deactivate a pool (requests through it are rejected)
+   */
+  static async deactivatePool(poolId, ownerId) {
+    const pool = await this.getOwnedPool(poolId, ownerId);
+
+    await prisma.keyPool.update({
+      where: { id: pool.id },
+      data: { active: false }
+    });
+
+    return true;
+  }
+
+  /**
+   * Add a provider key to a pool
+   * @returns {Promise<Object>} The stored key without key material
+   */
+  static async addKey(poolId, ownerId, { apiKey, label = null }) {
+    await this.getOwnedPool(poolId, ownerId);
+
+    const id = crypto.randomUUID();
+    const { wrapped, version } = await KeyEncryptionService.wrapSecret(
+      Buffer.from(apiKey, 'utf8').toString('hex'),
+      keyAad(id)
+    );
+
+    return await prisma.keyPoolKey.create({
+      data: {
+        id,
+        poolId,
+        label,
+        encryptedKey: wrapped,
+        keyVersion: version,
+        keyHint: apiKey.slice(-4)
+      },
+      select: KEY_FIELDS
+    });
+  }
+
+  /**
+   * Deactivate a provider key of a pool
+   */
+  static async removeKey(poolId, ownerId, keyId) {
+    await this.getOwnedPool(poolId, ownerId);
+
+    const { count } = await prisma.keyPoolKey.updateMany({
+      where: { id: keyId, poolId },
+      data: { active: false }
+    });
+
+    if (count === 0) {
+      throw new Error('Pool key not found');
+    }
+
+    return true;
+  }
+
+  /**
+   * Grant a user or app access to a pool (re-activates a revoked member)
+   */
+  static async grantMember(poolId, ownerId, { memberType, memberId }) {
+    await this.getOwnedPool(poolId, ownerId);
+
+    return await prisma.keyPoolMember.upsert({
+      where: { poolId_memberType_memberId: { poolId, memberType, memberId } },
+      create: { poolId, memberType, memberId, grantedBy: ownerId },
+      update: { active: true, revokedAt: null, grantedBy: ownerId }
+    });
+  }
+
+  /**
+   * Revoke a member's access; the pool's keys stay as they are
+   */
+  static async revokeMember(poolId, ownerId, { memberType, memberId }) {
+    await this.getOwnedPool(poolId, ownerId);
+
+    const { count } = await prisma.keyPoolMember.updateMany({
+      where: { poolId, memberType, memberId, active: true },
+      data: { active: false, revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      throw new Error('Pool member not found');
+    }
+
+    return true;
+  }
+
+  /**
+   * Per-member usage of a pool
+   */
+  static async getMemberUsage(poolId, ownerId) {
+    await this.getOwnedPool(poolId, ownerId);
+
+    const members = await prisma.keyPoolMember.findMany({
+      where: { poolId },
+      orderBy: { estimatedCost: 'desc' }
+    });
+
+    return {
+      poolId,
+      members,
+      totals: members.reduce((acc, member) => ({
+        requestCount: acc.requestCount + member.requestCount,
+        tokensUsed: acc.tokensUsed + member.tokensUsed,
+        estimatedCost: acc.estimatedCost + member.estimatedCost
+      }), { requestCount: 0, tokensUsed: 0, estimatedCost: 0 })
+    };
+  }
+
+  /**
+   * Pick and decrypt a key of the pool for a proxied request
+   * The caller's user membership is preferred over their app's.
+   * @param {string} poolId - Pool from X-Key-Pool-Id
+   * @param {Object} caller - { userId, appId } from the JWT
+   * @param {string} api - Provider the request is routed to
+   * @returns {Promise<{ apiKey: string, poolId: string, keyId: string, memberId: string }>}
+   */
+  static async acquireKey(poolId, { userId, appId }, api) {
+    const pool = await prisma.keyPool.findUnique({
+      where: { poolId },
+      include: {
+        members: {
+          where: {
+            active: true,
+            OR: [
+              { memberType: 'user', memberId: userId },
+              ...(appId ? [{ memberType: 'app', memberId: appId }] : [])
+            ]
+          }
+        }
+      }
+    });
+
+    if (!pool || !pool.active) {
+      throw poolError(404, 'Key pool not found or inactive');
+    }
+
+    const member = pool.members.find(m => m.memberType === 'user') || pool.members[0];
+    if (!member) {
+      throw poolError(403, 'Not a member of this key pool');
+    }
+
+    if (pool.apiProvider !== api) {
+      throw poolError(400, `Key pool ${poolId} is for ${pool.apiProvider}, but the request is for ${api}`);
+    }
+
+    const key = await prisma.keyPoolKey.findFirst({
+      where: { poolId, active: true },
+      orderBy: [{ lastUsed: { sort: 'asc', nulls: 'first' } }, { createdAt: 'asc' }]
+    });
+
+    if (!key) {
+      throw poolError(503, 'Key pool has no active keys');
+    }
+
+    await prisma.keyPoolKey.update({
+      where: { id: key.id },
+      data: { usageCount: { increment: 1 }, lastUsed: new Date() }
+    });
+
+    const hex = await KeyEncryptionService.unwrapSecret(key.encryptedKey, keyAad(key.id));
+
+    return {
+      apiKey: Buffer.from(hex, 'hex').toString('utf8'),
+      poolId,
+      keyId: key.id,
+      memberId: member.id
+    };
+  }
+
+  /**
+   * Add a request's tokens and cost to the member that made it
+   */
+  static async recordUsage(memberId, { tokensUsed = 0, estimatedCost = 0 } = {}) {
+    if (!memberId) {
+      return;
+    }
+
+    await prisma.keyPoolMember.update({
+      where: { id: memberId },
+      data: {
+        requestCount: { increment: 1 },
+        tokensUsed: { increment: tokensUsed },
+        estimatedCost: { increment: estimatedCost },
+        lastUsed: new Date()
+      }
+    });
+  }
+
+  /**
+   * Re-wrap pool keys not yet wrapped with the given master key version
+   * @returns {Promise<{ wrapped: number, failed: Array }>} Summary
+   */
+  static async rewrapKeys(toVersion) {
+    const summary = { wrapped: 0, failed: [] };
+
+    const keys = await prisma.keyPoolKey.findMany({
+      where: { active: true, NOT: { encryptedKey: { startsWith: `kek:${toVersion}:` } } },
+      select: { id: true, encryptedKey: true }
+    });
+
+    for (const key of keys) {
+      try {
+        const hex = await KeyEncryptionService.unwrapSecret(key.encryptedKey, keyAad(key.id));
+        const { wrapped, version } = await KeyEncryptionService.wrapSecret(hex, keyAad(key.id));
+        await prisma.keyPoolKey.update({
+          where: { id: key.id },
+          data: { encryptedKey: wrapped, keyVersion: version }
+        });
+        summary.wrapped++;
+      } catch (error) {
+        summary.failed.push({ keyId: key.id, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Active pool keys not yet wrapped with the given master key version
+   */
+  static async countKeysToRewrap(toVersion) {
+    return await prisma.keyPoolKey.count({
+      where: { active: true, NOT: { encryptedKey: { startsWith: `kek:${toVersion}:` } } }
+    });
+  }
+}
+
+module.exports = KeyPoolService;
@@ -0,0 +1,221 @@
+const prisma = require('../db/client');
+const splitKeyService = require('./splitKey');
+const KeyPoolService = require('./keyPool');
+const KeyEncryptionService = require('./keyEncryption');
+const auditLogService = require('./auditLog');
+const AppModel = require('../models/App');
+
+/**
+ * Key Rotation Service
+ * Re-wraps split-key decryption secrets, key pool keys and app signing keys under the current master key version
+ *
+ * Rotation flow:
+ * 1. Configure the new master key (MASTER_KEY + MASTER_KEY_VERSION) and keep the
+ *    old one in MASTER_KEY_PREVIOUS so existing rows stay decryptable.
+ * 2. Start a rotation (POST /admin/key-rotations); active split keys are re-wrapped
+ *    in batches in the background, then pool keys and app signing keys, and progress
+ *    is stored in KeyRotation.
+ * 3. Once no active key is left on an old version, the old master key can be removed.
+ */
+
+const MAX_STORED_ERRORS = 100;
+
+/**
+ * Active split keys not yet wrapped with the target version
+ */
+const rotationFilter = (toVersion) => ({
+  active: true,
+  NOT: { decryptionSecret: { startsWith: `kek:${toVersion}:` } }
+});
+
+/**
+ * Active split keys and app signing keys per master key version
+ */
+const countKeyVersions = async () => {
+  const [splitKeys, apps] = await Promise.all([
+    splitKeyService.countByKeyVersion({ active: true }),
+    AppModel.countByKeyVersion()
+  ]);
+
+  return Object.entries(apps).reduce((acc, [version, count]) => {
+    acc[version] = (acc[version] || 0) + count;
+    return acc;
+  }, { ...splitKeys });
+};
+
+const parseRotation = (rotation) => rotation && {
+  ...rotation,
+  errors: rotation.errors ? JSON.parse(rotation.errors) : []
+};
+
+class KeyRotationService {
+  /**
+   * Rotation currently marked as running, if any
+   */
+  static async getRunning() {
+    return await prisma.keyRotation.findFirst({
+      where: { status: 'running' },
+      orderBy: { startedAt: 'desc' }
+    });
+  }
+
+  /**
+   * Start a rotation to the current master key version
+   * Runs in the background; the returned record can be polled with getStatus()
+   */
+  static async start({ adminKeyHash, ip, userAgent = null, batchSize = 100 }) {
+    const toVersion = KeyEncryptionService.getCurrentVersion();
+    const total = await splitKeyService.countSplitKeys(rotationFilter(toVersion)) +
+      await KeyPoolService.countKeysToRewrap(toVersion) +
+      await AppModel.countSigningKeysToRewrap(toVersion);
+
+    const rotation = await prisma.keyRotation.create({
+      data: {
+        toVersion,
+        total,
+        batchSize,
+        startedBy: adminKeyHash,
+        ipAddress: ip
+      }
+    });
+
+    await auditLogService.logKeyRotation('start', adminKeyHash, ip, userAgent, rotation.id, {
+      toVersion,
+      total,
+      batchSize
+    });
+
+    this.run(rotation).catch((error) => {
+      console.error('Key rotation error:', error);
+    });
+
+    return rotation;
+  }
+
+  /**
+   * Re-wrap all matching rows, persisting progress after each batch
+   */
+  static async run(rotation) {
+    const progress = (summary) => ({
+      processed: summary.wrapped + summary.failed.length,
+      failed: summary.failed.length
+    });
+
+    let summary;
+    try {
+      summary = await splitKeyService.rewrapSecrets({
+        where: rotationFilter(rotation.toVersion),
+        batchSize: rotation.batchSize,
+        onBatch: (current) => prisma.keyRotation.update({
+          where: { id: rotation.id },
+          data: progress(current)
+        })
+      });
+
+      // Pool keys and apps are few; they are re-wrapped in one pass each after the split keys
+      for (const rewrap of [
+        () => KeyPoolService.rewrapKeys(rotation.toVersion),
+        () => AppModel.rewrapSigningKeys(rotation.toVersion)
+      ]) {
+        const passSummary = await rewrap();
+        summary = {
+          wrapped: summary.wrapped + passSummary.wrapped,
+          failed: [...summary.failed, ...passSummary.failed]
+        };
+      }
+    } catch (error) {
+      summary = { wrapped: 0, failed: [{ keyId: null, error: error.message }] };
+    }
+
+    const status = summary.failed.length === 0 ? 'completed' : 'failed';
+
+    const completed = await prisma.keyRotation.update({
+      where: { id: rotation.id },
+      data: {
+        ...progress(summary),
+        status,
+        errors: summary.failed.length > 0
+          ? JSON.stringify(summary.failed.slice(0, MAX_STORED_ERRORS))
+          : null,
+        completedAt: new Date()
+      }
+    });
+
+    await auditLogService.logKeyRotation(
+      status === 'completed' ? 'complete' : 'failed',
+      rotation.startedBy,
+      rotation.ipAddress || 'system',
+      null,
+      rotation.id,
+      {
+        toVersion: rotation.toVersion,
+        rewrapped: summary.wrapped,
+        failed: summary.failed.length
+      },
+      status === 'completed'
+    );
+
+    return parseRotation(completed);
+  }
+
+  /**
+   * Mark rotations left running by a crashed process as failed
+   */
+  static async abandonRunning() {
+    const result = await prisma.keyRotation.updateMany({
+      where: { status: 'running' },
+      data: {
+        status: 'failed',
+        errors: JSON.stringify([{ keyId: null, error: 'Rotation abandoned' }]),
+        completedAt: new Date()
+      }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Rotation progress plus remaining active keys (split keys and app signing keys) per master key version
+   */
+  static async getStatus(id) {
+    const rotation = await prisma.keyRotation.findUnique({
+      where: { id }
+    });
+
+    if (!rotation) {
+      return null;
+    }
+
+    return {
+      ...parseRotation(rotation),
+      keyVersions: await countKeyVersions()
+    };
+  }
+
+  /**
+   * Recent rotations
+   */
+  static async list(limit = 20) {
+    const rotations = await prisma.keyRotation.findMany({
+      orderBy: { startedAt: 'desc' },
+      take: limit
+    });
+
+    return rotations.map(parseRotation);
+  }
+
+  /**
+   * Master key versions: current, decryptable and in use by active keys
+   */
+  static async getVersionInfo() {
+    const provider = KeyEncryptionService.getProvider();
+
+    return {
+      currentVersion: provider.version,
+      availableVersions: provider.versions || [provider.version],
+      keyVersions: await countKeyVersions()
+    };
+  }
+}
+
+module.exports = KeyRotationService;
@@ -0,0 +1,63 @@
+const axios = require('axios');
+const config = require('../config/env');
+const { apiHeaders, keyValidationEndpoints } = require('../config/apis');
+
+/**
+ * Key Validation Service
+ * Checks a provider API key with a cheap authenticated call (e.g. GET /models)
+ *
+ * Result status:
+ * - valid:       the provider accepted the key
+ * - invalid:     the provider rejected the key (401/403; Gemini also answers 400)
+ * - error:       the check itself failed (timeout, 429, 5xx) - the key may still be fine
+ * - unsupported: no validation endpoint is configured for the provider
+ */
+
+const VALIDATION_TIMEOUT_MS = 10000;
+const INVALID_KEY_STATUSES = [401, 403];
+
+class KeyValidationService {
+  /**
+   * Validate an API key against its provider
+   * @param {string} apiProvider - Provider name (openai, gemini, ...)
+   * @param {string} apiKey - The plain provider key (never logged or returned)
+   * @returns {Promise<{ status: string, statusCode: number|null, message: string }>}
+   */
+  static async validate(apiProvider, apiKey) {
+    const endpoint = keyValidationEndpoints[apiProvider];
+    const apiConfig = config[apiProvider];
+
+    if (!endpoint || !apiConfig || !apiHeaders[apiProvider]) {
+      return {
+        status: 'unsupported',
+        statusCode: null,
+        message: `Key validation is not supported for ${apiProvider}`
+      };
+    }
+
+    const params = apiProvider === 'gemini' ? { key: apiKey } : undefined;
+
+    try {
+      const response = await axios.get(`${apiConfig.baseUrl}${endpoint}`, {
+        headers: apiHeaders[apiProvider](apiKey),
+        params,
+        timeout: VALIDATION_TIMEOUT_MS,
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        return { status: 'valid', statusCode: response.status, message: 'Key accepted by provider' };
+      }
+
+      if (INVALID_KEY_STATUSES.includes(response.status) || (apiProvider === 'gemini' && response.status === 400)) {
+        return { status: 'invalid', statusCode: response.status, message: `Provider rejected the key (HTTP ${response.status})` };
+      }
+
+      return { status: 'error', statusCode: response.status, message: `Unexpected provider response (HTTP ${response.status})` };
+    } catch (error) {
+      return { status: 'error', statusCode: null, message: `Validation request failed: ${error.code || error.message}` };
+    }
+  }
+}
+
+module.exports = KeyValidationService;
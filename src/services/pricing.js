@@ -0,0 +1,189 @@
+const prisma = require('../db/client');
+const { defaultModelPrices, defaultProviderPrices, matchModelPrice } = require('../config/pricing');
+
+/**
+ * Pricing Service
+ * Resolves per-model input/output token prices for cost estimation
+ * Admin-managed prices (ModelPrice table) take precedence over the built-in catalog
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// provider -> { expiresAt, entries: [{ model, input, output, version }] }
+const cache = new Map();
+
+class PricingService {
+  /**
+   * Resolve the price that applies to a provider/model right now
+   * @returns {{ input: number, output: number, version: number|null, source: string }}
+   */
+  static async getPrice(api, model = null) {
+    const entries = await this.getActivePrices(api);
+    const dbMatch = matchModelPrice(entries, model);
+    if (dbMatch) {
+      return { input: dbMatch.input, output: dbMatch.output, version: dbMatch.version, source: 'catalog' };
+    }
+
+    const defaults = Object.entries(defaultModelPrices[api] || {})
+      .map(([name, price]) => ({ model: name, ...price }));
+    const defaultMatch = matchModelPrice(defaults, model);
+    if (defaultMatch) {
+      return { input: defaultMatch.input, output: defaultMatch.output, version: null, source: 'default' };
+    }
+
+    const providerPrice = defaultProviderPrices[api];
+    if (providerPrice) {
+      return { ...providerPrice, version: null, source: 'provider_default' };
+    }
+
+    return { input: 0, output: 0, version: null, source: 'none' };
+  }
+
+  /**
+   * Active admin-managed prices for a provider (cached)
+   */
+  static async getActivePrices(api) {
+    const cached = cache.get(api);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.entries;
+    }
+
+    let entries = [];
+    try {
+      const rows = await prisma.modelPrice.findMany({
+        where: { provider: api, active: true }
+      });
+      entries = rows.map(row => ({
+        model: row.model,
+        input: row.inputPricePer1K,
+        output: row.outputPricePer1K,
+        version: row.version
+      }));
+    } catch (error) {
+      console.error('Pricing lookup error:', error.message);
+    }
+
+    cache.set(api, { entries, expiresAt: Date.now() + CACHE_TTL_MS });
+    return entries;
+  }
+
+  /**
+   * List the current catalog (admin view)
+   * Includes both database prices and the built-in defaults they override
+   */
+  static async listPrices(api = null) {
+    const rows = await prisma.modelPrice.findMany({
+      where: { active: true, ...(api && { provider: api }) },
+      orderBy: [{ provider: 'asc' }, { model: 'asc' }]
+    });
+
+    const defaults = [];
+    for (const [provider, models] of Object.entries(defaultModelPrices)) {
+      if (api && provider !== api) continue;
+      for (const [model, price] of Object.entries(models)) {
+        defaults.push({
+          provider,
+          model,
+          inputPricePer1K: price.input,
+          outputPricePer1K: price.output
+        });
+      }
+    }
+
+    return { prices: rows, defaults };
+  }
+
+  /**
+   * Set a new price for a provider/model
+   * Creates a new version and deactivates the previous one
+   */
+  static async setPrice(provider, model, { inputPricePer1K, outputPricePer1K, updatedBy = null }) {
+    if (typeof inputPricePer1K !== 'number' || inputPricePer1K < 0 ||
+        typeof outputPricePer1K !== 'number' || outputPricePer1K < 0) {
+      throw new Error('inputPricePer1K and outputPricePer1K must be non-negative numbers');
+    }
+
+    const latest = await prisma.modelPrice.findFirst({
+      where: { provider, model },
+      orderBy: { version: 'desc' }
+    });
+
+    const [, price] = await prisma.$transaction([
+      prisma.modelPrice.updateMany({
+        where: { provider, model, active: true },
+        data: { active: false }
+      }),
+      prisma.modelPrice.create({
+        data: {
+          provider,
+          model,
+          version: latest ? latest.version + 1 : 1,
+          inputPricePer1K,
+          outputPricePer1K,
+          updatedBy
+        }
+      })
+    ]);
+
+    cache.delete(provider);
+    return price;
+  }
+
+  /**
+   * Remove the admin-managed price (falls back to built-in defaults)
+   * Previous versions are kept for history
+   */
+  static async removePrice(provider, model) {
+    const result = await prisma.modelPrice.updateMany({
+      where: { provider, model, active: true },
+      data: { active: false }
+    });
+
+    cache.delete(provider);
+    return result.count;
+  }
+
+  /**
+   * Get version history for a provider/model
+   */
+  static async getHistory(provider, model) {
+    return await prisma.modelPrice.findMany({
+      where: { provider, model },
+      orderBy: { version: 'desc' }
+    });
+  }
+
+  /**
+   * Determine the model for a request
+   * Prefers the request body, then the Gemini-style endpoint path, then the response
+   */
+  static resolveModel(api, endpoint, requestData = {}, responseData = null) {
+    if (requestData && typeof requestData.model === 'string' && requestData.model) {
+      return requestData.model;
+    }
+
+    if (api === 'gemini' && typeof endpoint === 'string') {
+      const match = endpoint.match(/^\/models\/([^:/?]+)/);
+      if (match) return match[1];
+    }
+
+    if (responseData && typeof responseData.model === 'string') {
+      return responseData.model;
+    }
+
+    if (responseData && typeof responseData.modelVersion === 'string') {
+      return responseData.modelVersion;
+    }
+
+    return null;
+  }
+
+  /**
+   * Clear cached prices (used by tests and after bulk changes)
+   */
+  static clearCache() {
+    cache.clear();
+  }
+}
+
+module.exports = PricingService;
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../db/client');
+const config = require('../config/env');
+const AppModel = require('../models/App');
+const UserModel = require('../models/User');
+const tokenBlacklist = require('./tokenBlacklist');
+const { generateToken } = require('../middleware/auth');
+const { logSecurityEvent } = require('../utils/securityLogger');
+
+/**
+ * Refresh Token Service
+ * Short-lived access tokens (JWT_EXPIRES_IN) renewed with rotating refresh tokens
+ *
+ * - /auth/token starts a token family: an access token plus a refresh token (rt_<hex>).
+ *   Only the SHA-256 of the refresh token is stored.
+ * - Every refresh marks the presented token as used and issues a new pair in the same family.
+ * - Presenting a used refresh token again means it was copied: the whole family is revoked,
+ *   including its access tokens that have not expired yet.
+ * - Logout revokes the family of the access token (its `fid` claim).
+ */
+
+const REFRESH_TOKEN_PREFIX = 'rt_';
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Error carrying the HTTP status /auth/refresh answers with
+ */
+const refreshError = (code, message) => Object.assign(new Error(message), { code, status: 401 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => `${REFRESH_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+class RefreshTokenService {
+  /**
+   * Issue an access token and a refresh token
+   * @param {Object} params
+   * @param {string} params.userId
+   * @param {string} [params.appId]
+   * @param {string} [params.familyId] - Existing family when rotating; a new one otherwise
+   * @param {string} [params.ip]
+   * @returns {Promise<{ accessToken, refreshToken, refreshTokenId, familyId, accessExpiresAt, refreshExpiresAt }>}
+   */
+  static async issue({ userId, appId = null, familyId = crypto.randomUUID(), ip = null }) {
+    const accessToken = generateToken({
+      userId,
+      appId,
+      createdAt: Date.now(),
+      fid: familyId
+    });
+    const { jti, exp } = jwt.decode(accessToken);
+
+    const refreshToken = generateRefreshToken();
+    const refreshExpiresAt = new Date(Date.now() + config.refreshToken.ttlDays * 24 * 60 * 60 * 1000);
+
+    const row = await prisma.refreshToken.create({
+      data: {
+        tokenHash: hashToken(refreshToken),
+        familyId,
+        userId,
+        appId,
+        accessTokenId: jti,
+        accessExpiresAt: new Date(exp * 1000),
+        ip,
+        expiresAt: refreshExpiresAt
+      }
+    });
+
+    return {
+      accessToken,
+      refreshToken,
+      refreshTokenId: row.id,
+      familyId,
+      accessExpiresAt: new Date(exp * 1000),
+      refreshExpiresAt
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * @throws {Error} code REFRESH_TOKEN_INVALID | REFRESH_TOKEN_EXPIRED | REFRESH_TOKEN_REVOKED | REFRESH_TOKEN_REUSED (status 401)
+   */
+  static async rotate(refreshToken, ip = null) {
+    if (typeof refreshToken !== 'string' || !refreshToken.startsWith(REFRESH_TOKEN_PREFIX)) {
+      throw refreshError('REFRESH_TOKEN_INVALID', 'Invalid refresh token');
+    }
+
+    const current = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) }
+    });
+
+    if (!current) {
+      throw refreshError('REFRESH_TOKEN_INVALID', 'Invalid refresh token');
+    }
+
+    if (current.usedAt) {
+      await this.handleReuse(current, ip);
+    }
+
+    if (current.revokedAt) {
+      throw refreshError('REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked');
+    }
+
+    if (current.expiresAt <= new Date()) {
+      throw refreshError('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired');
+    }
+
+    await this.assertSubjectValid(current);
+
+    // Claim the token; a concurrent refresh with the same token loses and counts as reuse
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { id: current.id, usedAt: null, revokedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      await this.handleReuse(current, ip);
+    }
+
+    const issued = await this.issue({
+      userId: current.userId,
+      appId: current.appId,
+      familyId: current.familyId,
+      ip
+    });
+
+    await prisma.refreshToken.update({
+      where: { id: current.id },
+      data: { replacedById: issued.refreshTokenId }
+    });
+
+    return issued;
+  }
+
+  /**
+   * A used refresh token was presented again: revoke its family and reject the request
+   */
+  static async handleReuse(token, ip) {
+    logSecurityEvent('REFRESH_TOKEN_REUSE', {
+      userId: token.userId,
+      appId: token.appId,
+      familyId: token.familyId,
+      ip,
+      severity: 'high'
+    });
+
+    await this.revokeFamily(token.familyId, 'reuse', ip);
+    throw refreshError('REFRESH_TOKEN_REUSED', 'Refresh token reuse detected; all sessions of this login were revoked');
+  }
+
+  /**
+   * Refresh tokens of disabled apps, or issued before a user/app revocation, cannot be used
+   */
+  static async assertSubjectValid(token) {
+    if (await tokenBlacklist.isRevokedByCutoff(token, token.createdAt)) {
+      throw refreshError('REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked');
+    }
+
+    if (token.appId) {
+      const app = await AppModel.findCached(token.appId);
+      const valid = app
+        ? AppModel.isTokenValid(app, { iat: Math.floor(new Date(token.createdAt).getTime() / 1000) })
+        : !config.appAuth.required;
+      if (!valid) {
+        throw refreshError('REFRESH_TOKEN_REVOKED', 'Tokens for this app have been revoked');
+      }
+    }
+
+    const user = await UserModel.findByUserId(token.userId);
+    if (!user || user.active === false) {
+      throw refreshError('REFRESH_TOKEN_REVOKED', 'User is disabled');
+    }
+  }
+
+  /**
+   * Revoke every refresh token of a family and its access tokens that have not expired
+   * @returns {Promise<number>} Refresh tokens revoked
+   */
+  static async revokeFamily(familyId, reason, ip = null) {
+    const now = new Date();
+
+    const tokens = await prisma.refreshToken.findMany({
+      where: { familyId }
+    });
+
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt: now, revokeReason: reason }
+    });
+
+    await Promise.all(tokens
+      .filter(token => token.accessTokenId && token.accessExpiresAt > now)
+      .map(token => tokenBlacklist.revokeTokenId(token.accessTokenId, {
+        userId: token.userId,
+        appId: token.appId,
+        ip: ip || 'unknown',
+        reason,
+        expiresAt: token.accessExpiresAt
+      })));
+
+    return count;
+  }
+
+  /**
+   * Revoke the family a refresh token of the user belongs to (logout with the refresh token)
+   * @returns {Promise<number>} Refresh tokens revoked
+   */
+  static async revokeByToken(refreshToken, userId, ip = null) {
+    if (typeof refreshToken !== 'string' || !refreshToken.startsWith(REFRESH_TOKEN_PREFIX)) {
+      return 0;
+    }
+
+    const token = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) }
+    });
+
+    return token && token.userId === userId ? this.revokeFamily(token.familyId, 'logout', ip) : 0;
+  }
+
+  /**
+   * Remove refresh tokens that expired (used ones are kept until then for reuse detection)
+   */
+  static async purgeExpired(now = new Date()) {
+    const { count } = await prisma.refreshToken.deleteMany({
+      where: { expiresAt: { lte: now } }
+    });
+    return count;
+  }
+}
+
+// periodic cleanup
+setInterval(() => {
+  RefreshTokenService.purgeExpired().catch(err => console.error('Refresh token cleanup error:', err));
+}, PURGE_INTERVAL_MS).unref();
+
+module.exports = RefreshTokenService;
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const config = require('../config/env');
+const { getCacheTtl } = require('../config/cache');
+
+/**
+ * Response Cache Service
+ * Caches upstream responses for idempotent calls (embeddings, model listings)
+ *
+ * Entries are keyed on a hash of provider, endpoint, normalized body and key scope.
+ * The backend is pluggable: any object implementing the store interface below
+ * (async get/set/delete/clear/size) can replace the in-memory LRU via setStore().
+ */
+
+/**
+ * In-memory LRU store (default backend)
+ * Map insertion order is used as recency order
+ */
+class MemoryCacheStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Recursively sort object keys so equivalent bodies hash the same
+ */
+const normalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, key) => {
+        if (value[key] !== undefined) {
+          acc[key] = normalize(value[key]);
+        }
+        return acc;
+      }, {});
+  }
+
+  return value;
+};
+
+let store = new MemoryCacheStore({ maxEntries: config.responseCache.maxEntries });
+const stats = { hits: 0, misses: 0, stores: 0 };
+
+class ResponseCacheService {
+  /**
+   * Replace the cache backend (e.g. Redis-backed store)
+   */
+  static setStore(customStore) {
+    store = customStore;
+  }
+
+  static getStore() {
+    return store;
+  }
+
+  /**
+   * Whether a request may be served from / stored in the cache
+   * @returns {number} TTL in seconds, 0 when not cacheable
+   */
+  static getTtl(req, endpoint, wantsStream = false) {
+    if (!config.responseCache.enabled || wantsStream) {
+      return 0;
+    }
+
+    // Clients can opt out per request
+    const cacheControl = req.headers['cache-control'] || '';
+    if (/no-cache|no-store/i.test(cacheControl)) {
+      return 0;
+    }
+
+    return getCacheTtl(endpoint);
+  }
+
+  /**
+   * Build the cache key
+   * @param {string} scope - Key scope (server key, or the split key ID for BYOK) so
+   *   listings that depend on the account never leak across keys
+   */
+  static buildKey(api, endpoint, body, scope = 'server') {
+    const payload = JSON.stringify([api, endpoint, scope, normalize(body || {})]);
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Look up a cached response
+   * @returns {Promise<{ status: number, data: any, api: string, endpoint: string, cachedAt: number }|null>}
+   */
+  static async get(key) {
+    try {
+      const entry = await store.get(key);
+      if (entry) {
+        stats.hits++;
+        return entry;
+      }
+    } catch (error) {
+      console.error('Response cache read error:', error);
+    }
+
+    stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store a successful upstream response
+   */
+  static async set(key, { status, data, api, endpoint }, ttlSeconds) {
+    if (!ttlSeconds || status < 200 || status >= 300) {
+      return false;
+    }
+
+    try {
+      await store.set(key, { status, data, api, endpoint, cachedAt: Date.now() }, ttlSeconds * 1000);
+      stats.stores++;
+      return true;
+    } catch (error) {
+      console.error('Response cache write error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Cache statistics
+   */
+  static async getStats() {
+    const lookups = stats.hits + stats.misses;
+    let entries = null;
+    try {
+      entries = await store.size();
+    } catch (error) {
+      console.error('Response cache size error:', error);
+    }
+
+    return {
+      enabled: config.responseCache.enabled,
+      backend: store instanceof MemoryCacheStore ? 'memory' : (store.constructor && store.constructor.name) || 'custom',
+      entries,
+      hits: stats.hits,
+      misses: stats.misses,
+      stores: stats.stores,
+      hitRate: lookups > 0 ? ((stats.hits / lookups) * 100).toFixed(2) : '0.00'
+    };
+  }
+
+  /**
+   * Drop all cached responses
+   */
+  static async clear() {
+    await store.clear();
+    stats.hits = 0;
+    stats.misses = 0;
+    stats.stores = 0;
+  }
+}
+
+module.exports = ResponseCacheService;
+module.exports.MemoryCacheStore = MemoryCacheStore;
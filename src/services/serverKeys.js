@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const config = require('../config/env');
+const { parseRetryAfter } = require('../utils/upstreamRetry');
+
+/**
+ * Server Key Service
+ * Spreads Server Key requests over several provider keys (<PROVIDER>_API_KEYS)
+ *
+ * - Keys are picked round-robin, or the one rate limited longest ago (least_rate_limited).
+ * - A key answered with 429 is benched for Retry-After (or SERVER_KEY_COOLDOWN_MS);
+ *   benched keys are skipped while another key is available.
+ * - Keys are identified by `<api>-<sha256 prefix>`; health and usage never include the key.
+ * State is kept in-process and starts fresh on restart.
+ */
+
+const STRATEGIES = ['round_robin', 'least_rate_limited'];
+
+// api -> { cursor, stats: Map(keyId -> stats) }
+const providers = new Map();
+
+const toKeyId = (api, apiKey) => `${api}-${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 8)}`;
+
+const getProvider = (api) => {
+  if (!providers.has(api)) {
+    providers.set(api, { cursor: 0, stats: new Map() });
+  }
+  return providers.get(api);
+};
+
+const getStats = (provider, keyId) => {
+  if (!provider.stats.has(keyId)) {
+    provider.stats.set(keyId, {
+      requests: 0,
+      rateLimited: 0,
+      errors: 0,
+      lastUsedAt: null,
+      lastRateLimitedAt: null,
+      benchedUntil: null
+    });
+  }
+  return provider.stats.get(keyId);
+};
+
+class ServerKeyService {
+  static get STRATEGIES() {
+    return STRATEGIES;
+  }
+
+  static getStrategy() {
+    return STRATEGIES.includes(config.serverKeys.strategy) ? config.serverKeys.strategy : 'round_robin';
+  }
+
+  /**
+   * Configured keys of a provider with their ids
+   */
+  static listKeys(api) {
+    const apiConfig = config[api];
+    const apiKeys = (apiConfig && (apiConfig.apiKeys || (apiConfig.apiKey ? [apiConfig.apiKey] : []))) || [];
+
+    return apiKeys.map(apiKey => ({ apiKey, keyId: toKeyId(api, apiKey) }));
+  }
+
+  /**
+   * Pick the server key for the next request to a provider
+   * When every key is benched, the one whose cooldown ends first is used.
+   * @returns {{ apiKey: string, keyId: string } | null} null when the provider has no keys
+   */
+  static selectKey(api, now = Date.now()) {
+    const keys = this.listKeys(api);
+    if (keys.length === 0) {
+      return null;
+    }
+
+    const provider = getProvider(api);
+    const entries = keys.map((key, index) => ({ ...key, index, stats: getStats(provider, key.keyId) }));
+    const available = entries.filter(entry => !(entry.stats.benchedUntil > now));
+
+    let chosen;
+    if (available.length === 0) {
+      chosen = entries.reduce((soonest, entry) =>
+        entry.stats.benchedUntil < soonest.stats.benchedUntil ? entry : soonest);
+    } else if (this.getStrategy() === 'least_rate_limited') {
+      chosen = available.reduce((best, entry) => {
+        const bestLimited = best.stats.lastRateLimitedAt || 0;
+        const entryLimited = entry.stats.lastRateLimitedAt || 0;
+        if (entryLimited !== bestLimited) {
+          return entryLimited < bestLimited ? entry : best;
+        }
+        return (entry.stats.lastUsedAt || 0) < (best.stats.lastUsedAt || 0) ? entry : best;
+      });
+    } else {
+      chosen = available.find(entry => entry.index >= provider.cursor % entries.length) || available[0];
+      provider.cursor = chosen.index + 1;
+    }
+
+    chosen.stats.requests++;
+    chosen.stats.lastUsedAt = now;
+
+    return { apiKey: chosen.apiKey, keyId: chosen.keyId };
+  }
+
+  /**
+   * Whether a provider has a key that is not benched
+   */
+  static hasAvailableKey(api, now = Date.now()) {
+    const provider = getProvider(api);
+    return this.listKeys(api).some(({ keyId }) => !(getStats(provider, keyId).benchedUntil > now));
+  }
+
+  /**
+   * Record the upstream outcome of a request made with a server key
+   * @param {string} api - Provider
+   * @param {string} keyId - Id returned by selectKey
+   * @param {Object|null} response - Upstream response (status, headers); null for network errors
+   */
+  static reportResult(api, keyId, response, now = Date.now()) {
+    const stats = getStats(getProvider(api), keyId);
+
+    if (!response || response.status >= 500) {
+      stats.errors++;
+      return;
+    }
+
+    if (response.status === 429) {
+      const retryAfterMs = parseRetryAfter(response.headers && response.headers['retry-after']);
+      stats.rateLimited++;
+      stats.lastRateLimitedAt = now;
+      stats.benchedUntil = now + (retryAfterMs !== null ? retryAfterMs : config.serverKeys.cooldownMs);
+      console.warn(`⏸️  Server key ${keyId} rate limited, benched until ${new Date(stats.benchedUntil).toISOString()}`);
+    }
+  }
+
+  /**
+   * Health of a provider's server keys (never includes the keys)
+   */
+  static getProviderHealth(api, now = Date.now()) {
+    const provider = getProvider(api);
+
+    return this.listKeys(api).map(({ keyId }, index) => {
+      const stats = getStats(provider, keyId);
+      const benched = stats.benchedUntil > now;
+
+      return {
+        keyId,
+        index: index + 1,
+        status: benched ? 'benched' : 'available',
+        requests: stats.requests,
+        rateLimited: stats.rateLimited,
+        errors: stats.errors,
+        lastUsedAt: stats.lastUsedAt ? new Date(stats.lastUsedAt).toISOString() : null,
+        lastRateLimitedAt: stats.lastRateLimitedAt ? new Date(stats.lastRateLimitedAt).toISOString() : null,
+        benchedUntil: benched ? new Date(stats.benchedUntil).toISOString() : null
+      };
+    });
+  }
+
+  /**
+   * Health of all configured providers' server keys
+   */
+  static getHealth(now = Date.now()) {
+    const health = {};
+
+    Object.keys(config).filter(api => config[api] && Array.isArray(config[api].apiKeys)).forEach(api => {
+      const keys = this.getProviderHealth(api, now);
+      if (keys.length > 0) {
+        health[api] = keys;
+      }
+    });
+
+    return {
+      strategy: this.getStrategy(),
+      cooldownMs: config.serverKeys.cooldownMs,
+      providers: health
+    };
+  }
+
+  /**
+   * Forget all in-process state (tests)
+   */
+  static reset() {
+    providers.clear();
+  }
+}
+
+module.exports = ServerKeyService;
@@ -1,5 +1,40 @@
 const crypto = require('crypto');
-const { PrismaClient } = require('@prisma/client');
+const prisma = require('../db/client');
+const KeyEncryptionService = require('./keyEncryption');
+const { decryptKey, hashClientPart, verifyClientPart, timingSafeCompare } = require('../utils/crypto');
+const { matchesPattern } = require('../models/ModelPolicy');
+const KeyValidationService = require('./keyValidation');
+
+/**
+ * Start of the current UTC day (daily spend caps reset at midnight UTC)
+ */
+const startOfUtcDay = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Error for a split key that is valid but outside its configured limits
+ */
+const limitError = (limit, message) => Object.assign(new Error(message), { code: 'SPLIT_KEY_LIMIT', limit });
+
+// Unknown key or wrong client part: the caller's credentials are wrong (counted towards the lockout)
+const credentialError = (message) => Object.assign(new Error(message), { code: 'SPLIT_KEY_INVALID' });
+
+// Limit fields shared by info and list responses
+const LIMIT_FIELDS = {
+  expiresAt: true,
+  maxUses: true,
+  dailySpendCap: true,
+  spendToday: true,
+  spendDate: true,
+  allowedEndpoints: true
+};
+
+// Upstream validation fields shared by info and list responses
+const VALIDATION_FIELDS = {
+  validationStatus: true,
+  validationMessage: true,
+  validatedAt: true
+};
 
 /**
  * Split Key Service for BYOK (Bring Your Own Key) functionality
@@ -8,7 +43,7 @@ const { PrismaClient } = require('@prisma/client');
 
 class SplitKeyService {
   constructor() {
-    this.prisma = new PrismaClient();
+    this.prisma = prisma;
     this.algorithm = 'aes-256-gcm';
     this.keyLength = 32; // 256 bits
     this.ivLength = 16; // 128 bits
@@ -16,64 +51,103 @@ class SplitKeyService {
   }
 
   /**
-   * Split an API key into two parts for BYOK functionality
-   * @param {string} originalKey - The original API key to split
-   * @param {string} apiProvider - The API provider (openai, gemini, etc.)
-   * @param {string} keyId - Unique identifier for this key
-   * @param {string} createdBy - User who created this key
-   * @returns {Promise<Object>} Split key information
+   * Encrypt an API key under a fresh decryption secret and split the ciphertext
+   * @param {string} originalKey - The original API key
+   * @param {string} apiProvider - The API provider (used as AAD)
+   * @param {string} keyId - Key identifier the wrapped secret is bound to
+   * @returns {Promise<Object>} serverPart, clientPart, clientPartHash, wrapped decryptionSecret and keyVersion
    */
-  async splitApiKey(originalKey, apiProvider, keyId, createdBy, description = null) {
-    try {
-      // Generate a random decryption secret
-      const decryptionSecret = crypto.randomBytes(this.keyLength).toString('hex');
-      const keyBuffer = Buffer.from(decryptionSecret, 'hex');
+  async encryptAndSplit(originalKey, apiProvider, keyId) {
+    // Generate a random decryption secret
+    const decryptionSecret = crypto.randomBytes(this.keyLength).toString('hex');
+    const keyBuffer = Buffer.from(decryptionSecret, 'hex');
+
+    // Generate a random IV
+    const iv = crypto.randomBytes(this.ivLength);
 
-      // Generate a random IV
-      const iv = crypto.randomBytes(this.ivLength);
+    // Create cipher
+    const cipher = crypto.createCipheriv(this.algorithm, keyBuffer, iv);
+    cipher.setAAD(Buffer.from(apiProvider, 'utf8')); // Additional authenticated data
 
-      // Create cipher
-      const cipher = crypto.createCipheriv(this.algorithm, keyBuffer, iv);
-      cipher.setAAD(Buffer.from(apiProvider, 'utf8')); // Additional authenticated data
+    // Encrypt the original key
+    let encrypted = cipher.update(originalKey, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
 
-      // Encrypt the original key
-      let encrypted = cipher.update(originalKey, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
+    // Get the authentication tag
+    const tag = cipher.getAuthTag();
 
-      // Get the authentication tag
-      const tag = cipher.getAuthTag();
+    // Split the encrypted key into two parts
+    const encryptedBuffer = Buffer.from(encrypted, 'hex');
+    const midPoint = Math.floor(encryptedBuffer.length / 2);
 
-      // Split the encrypted key into two parts
-      const encryptedBuffer = Buffer.from(encrypted, 'hex');
-      const midPoint = Math.floor(encryptedBuffer.length / 2);
+    const serverPart = encryptedBuffer.slice(0, midPoint).toString('hex') +
+                     Buffer.from(tag).toString('hex') +
+                     iv.toString('hex');
 
-      const serverPart = encryptedBuffer.slice(0, midPoint).toString('hex') +
-                       Buffer.from(tag).toString('hex') +
-                       iv.toString('hex');
+    const clientPart = encryptedBuffer.slice(midPoint).toString('hex');
 
-      const clientPart = encryptedBuffer.slice(midPoint).toString('hex');
+    // Wrap the decryption secret with the master key before it is stored
+    const { wrapped, version } = await KeyEncryptionService.wrapSecret(decryptionSecret, keyId);
+
+    return {
+      serverPart,
+      clientPart,
+      clientPartHash: hashClientPart(clientPart),
+      decryptionSecret: wrapped,
+      keyVersion: version
+    };
+  }
+
+  /**
+   * Split an API key into two parts for BYOK functionality
+   * @param {string} originalKey - The original API key to split
+   * @param {string} apiProvider - The API provider (openai, gemini, etc.)
+   * @param {string} keyId - Unique identifier for this key
+   * @param {string} createdBy - User who created this key
+   * @param {string} description - Human-readable description
+   * @param {Object} limits - Optional { expiresAt, maxUses, dailySpendCap, allowedEndpoints }
+   * @param {Object} validation - Optional result of KeyValidationService.validate to store with the key
+   * @returns {Promise<Object>} Split key information
+   */
+  async splitApiKey(originalKey, apiProvider, keyId, createdBy, description = null, limits = {}, validation = null) {
+    try {
+      // Only the hash of the client part is stored
+      const { clientPart, ...parts } = await this.encryptAndSplit(originalKey, apiProvider, keyId);
 
       // Store in database
       const splitKey = await this.prisma.splitKey.create({
         data: {
           keyId,
           apiProvider,
-          serverPart,
-          clientPart,
-          decryptionSecret,
+          ...parts,
           algorithm: this.algorithm,
           createdBy,
-          description
+          description,
+          expiresAt: limits.expiresAt || null,
+          maxUses: limits.maxUses || null,
+          dailySpendCap: limits.dailySpendCap ?? null,
+          allowedEndpoints: limits.allowedEndpoints ? JSON.stringify(limits.allowedEndpoints) : null,
+          ...(validation && {
+            validationStatus: validation.status,
+            validationMessage: validation.message,
+            validatedAt: new Date()
+          })
         }
       });
 
       return {
         keyId: splitKey.keyId,
         apiProvider: splitKey.apiProvider,
-        clientPart, // Part B - to be given to client
+        clientPart, // Part B - to be given to client, never stored
         serverPart: null, // Never expose server part
         decryptionSecret: null, // Never expose decryption secret
         algorithm: splitKey.algorithm,
+        expiresAt: splitKey.expiresAt,
+        maxUses: splitKey.maxUses,
+        dailySpendCap: splitKey.dailySpendCap,
+        allowedEndpoints: limits.allowedEndpoints || null,
+        validationStatus: splitKey.validationStatus || null,
+        validatedAt: splitKey.validatedAt || null,
         createdAt: splitKey.createdAt
       };
 
@@ -82,13 +156,300 @@ class SplitKeyService {
     }
   }
 
+  /**
+   * Re-encrypt a stored key under a fresh server/client pair
+   * The server only keeps a hash of the client part, so the caller presents the current one.
+   * The provider key never leaves the server; only the new client part is returned.
+   * @param {string} keyId - The key identifier
+   * @param {string} requestedBy - The user requesting rotation (must be the creator)
+   * @param {string} clientPart - The current client part
+   * @param {number} gracePeriodSeconds - How long the old client part keeps working (0 = revoke now)
+   * @returns {Promise<Object>} New client part and grace period end
+   */
+  async rotateClientPart(keyId, requestedBy, clientPart, gracePeriodSeconds = 0) {
+    try {
+      const splitKey = await this.prisma.splitKey.findUnique({
+        where: { keyId }
+      });
+
+      if (!splitKey) {
+        throw new Error('Split key not found');
+      }
+
+      if (splitKey.createdBy !== requestedBy) {
+        throw new Error('Not authorized to rotate this key');
+      }
+
+      if (!splitKey.active) {
+        throw new Error('Split key is inactive');
+      }
+
+      const current = this.resolveClientPart(splitKey, clientPart);
+      if (!current) {
+        throw new Error('Invalid client part');
+      }
+
+      const originalKey = await this.decryptWithParts(splitKey, current);
+
+      const { clientPart: newClientPart, ...parts } = await this.encryptAndSplit(originalKey, splitKey.apiProvider, keyId);
+      const rotatedAt = new Date();
+      const previousClientPartExpiresAt = gracePeriodSeconds > 0
+        ? new Date(rotatedAt.getTime() + gracePeriodSeconds * 1000)
+        : null;
+
+      // During the grace period the presented part keeps working with the parts it was issued with.
+      // Its secret is re-wrapped so it shares the master key version of the new one.
+      const previous = previousClientPartExpiresAt
+        ? {
+          previousClientPartHash: hashClientPart(current.clientPart),
+          previousServerPart: current.serverPart,
+          previousDecryptionSecret: (await this.rewrapSecret(current.decryptionSecret, keyId)).wrapped
+        }
+        : { previousClientPartHash: null, previousServerPart: null, previousDecryptionSecret: null };
+
+      await this.prisma.splitKey.update({
+        where: { id: splitKey.id },
+        data: {
+          ...parts,
+          ...previous,
+          clientPart: null,
+          previousClientPart: null,
+          previousClientPartExpiresAt,
+          clientPartRotatedAt: rotatedAt
+        }
+      });
+
+      return {
+        keyId,
+        apiProvider: splitKey.apiProvider,
+        clientPart: newClientPart,
+        previousClientPartExpiresAt,
+        rotatedAt
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to rotate split key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check the stored provider key upstream again and record the result
+   * @param {string} keyId - The key identifier
+   * @param {string} requestedBy - The user requesting validation (must be the creator)
+   * @param {string} clientPart - The current client part (needed to decrypt the key)
+   * @returns {Promise<Object>} Validation status, upstream status code and timestamp
+   */
+  async revalidateKey(keyId, requestedBy, clientPart) {
+    try {
+      const splitKey = await this.prisma.splitKey.findUnique({
+        where: { keyId }
+      });
+
+      if (!splitKey) {
+        throw new Error('Split key not found');
+      }
+
+      if (splitKey.createdBy !== requestedBy) {
+        throw new Error('Not authorized to validate this key');
+      }
+
+      if (!splitKey.active) {
+        throw new Error('Split key is inactive');
+      }
+
+      const originalKey = await this.decryptWithClientPart(splitKey, clientPart);
+
+      const validation = await KeyValidationService.validate(splitKey.apiProvider, originalKey);
+      const validatedAt = new Date();
+
+      await this.prisma.splitKey.update({
+        where: { id: splitKey.id },
+        data: {
+          validationStatus: validation.status,
+          validationMessage: validation.message,
+          validatedAt
+        }
+      });
+
+      return {
+        keyId,
+        apiProvider: splitKey.apiProvider,
+        validationStatus: validation.status,
+        validationMessage: validation.message,
+        upstreamStatus: validation.statusCode,
+        validatedAt
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to validate split key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the stored parts a presented client part belongs to
+   * Checks the current client part, then the previous one during its grace period.
+   * Rows created before client parts were hashed still hold them in plaintext.
+   * @param {Object} splitKey - SplitKey row
+   * @param {string} clientPart - Client part from the request
+   * @returns {{ serverPart: string, decryptionSecret: string, clientPart: string }|null} Parts to decrypt with
+   */
+  resolveClientPart(splitKey, clientPart) {
+    if (typeof clientPart !== 'string' || !clientPart) {
+      return null;
+    }
+
+    const current = { serverPart: splitKey.serverPart, decryptionSecret: splitKey.decryptionSecret };
+
+    if (splitKey.clientPartHash ? verifyClientPart(splitKey.clientPartHash, clientPart)
+      : timingSafeCompare(splitKey.clientPart, clientPart)) {
+      return { ...current, clientPart };
+    }
+
+    const inGracePeriod = splitKey.previousClientPartExpiresAt &&
+      new Date(splitKey.previousClientPartExpiresAt) > new Date();
+
+    if (!inGracePeriod) {
+      return null;
+    }
+
+    if (splitKey.previousClientPartHash && verifyClientPart(splitKey.previousClientPartHash, clientPart)) {
+      return {
+        serverPart: splitKey.previousServerPart,
+        decryptionSecret: splitKey.previousDecryptionSecret,
+        clientPart
+      };
+    }
+
+    // Legacy rotation: the previous plaintext part was only an alias for the current one
+    if (splitKey.previousClientPart && splitKey.clientPart &&
+        timingSafeCompare(splitKey.previousClientPart, clientPart)) {
+      return { ...current, clientPart: splitKey.clientPart };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a client part against the current one, or the previous one during its grace period
+   * @param {Object} splitKey - SplitKey row
+   * @param {string} clientPart - Client part from the request
+   * @returns {boolean} Whether the client part is accepted
+   */
+  matchesClientPart(splitKey, clientPart) {
+    return this.resolveClientPart(splitKey, clientPart) !== null;
+  }
+
+  /**
+   * Unwrap the secret and decrypt the provider key from resolved parts
+   */
+  async decryptWithParts(splitKey, parts) {
+    return decryptKey(
+      parts.serverPart,
+      parts.decryptionSecret,
+      splitKey.apiProvider,
+      parts.clientPart,
+      splitKey.keyId
+    );
+  }
+
+  /**
+   * Decrypt the provider key with the client part presented by the caller
+   * @param {Object} splitKey - SplitKey row
+   * @param {string} clientPart - Client part from the request
+   * @returns {Promise<string>} The original API key
+   */
+  async decryptWithClientPart(splitKey, clientPart) {
+    const parts = this.resolveClientPart(splitKey, clientPart);
+    if (!parts) {
+      throw new Error('Invalid client part');
+    }
+    return this.decryptWithParts(splitKey, parts);
+  }
+
+  /**
+   * Check expiry, usage cap, daily spend cap and endpoint allowlist of a split key
+   * @param {Object} splitKey - SplitKey row
+   * @param {Object} options
+   * @param {string} options.endpoint - Upstream endpoint of the request (checked against the allowlist)
+   * @returns {{ allowed: boolean, limit?: string, reason?: string }} Verdict
+   */
+  checkLimits(splitKey, { endpoint = null } = {}, now = new Date()) {
+    if (splitKey.expiresAt && new Date(splitKey.expiresAt) <= now) {
+      return { allowed: false, limit: 'expires_at', reason: `Split key expired at ${new Date(splitKey.expiresAt).toISOString()}` };
+    }
+
+    if (splitKey.maxUses && splitKey.usageCount >= splitKey.maxUses) {
+      return { allowed: false, limit: 'max_uses', reason: `Split key reached its limit of ${splitKey.maxUses} uses` };
+    }
+
+    if (splitKey.dailySpendCap !== null && splitKey.dailySpendCap !== undefined &&
+        this.getSpendToday(splitKey, now) >= splitKey.dailySpendCap) {
+      return { allowed: false, limit: 'daily_spend_cap', reason: `Split key reached its daily spend cap of $${splitKey.dailySpendCap}` };
+    }
+
+    const allowedEndpoints = this.parseAllowedEndpoints(splitKey);
+    if (allowedEndpoints && !(endpoint && allowedEndpoints.some(pattern => matchesPattern(pattern, endpoint)))) {
+      return { allowed: false, limit: 'allowed_endpoints', reason: `Endpoint '${endpoint}' is not allowed for this split key` };
+    }
+
+    return { allowed: true };
+  }
+
+  parseAllowedEndpoints(splitKey) {
+    return splitKey.allowedEndpoints ? JSON.parse(splitKey.allowedEndpoints) : null;
+  }
+
+  /**
+   * Spend recorded for the current UTC day
+   */
+  getSpendToday(splitKey, now = new Date()) {
+    if (!splitKey.spendDate || new Date(splitKey.spendDate).getTime() !== startOfUtcDay(now).getTime()) {
+      return 0;
+    }
+    return splitKey.spendToday || 0;
+  }
+
+  /**
+   * Add the estimated cost of a request to the key's daily spend
+   * @param {string} keyId - The key identifier
+   * @param {number} cost - Estimated cost in USD
+   */
+  async recordSpend(keyId, cost) {
+    if (!keyId || !(cost > 0)) {
+      return;
+    }
+
+    const today = startOfUtcDay();
+    const increment = () => this.prisma.splitKey.updateMany({
+      where: { keyId, spendDate: today },
+      data: { spendToday: { increment: cost } }
+    });
+
+    if ((await increment()).count > 0) {
+      return;
+    }
+
+    // First spend of the day starts a new counter, only while the counter is still from an earlier day
+    const { count } = await this.prisma.splitKey.updateMany({
+      where: { keyId, OR: [{ spendDate: null }, { spendDate: { lt: today } }] },
+      data: { spendToday: cost, spendDate: today }
+    });
+
+    // A concurrent request started today's counter first: add to it
+    if (count === 0) {
+      await increment();
+    }
+  }
+
   /**
    * Reconstruct the original API key from split parts
    * @param {string} keyId - The key identifier
    * @param {string} clientPart - The client part (from request header)
+   * @param {Object} options
+   * @param {string} options.endpoint - Upstream endpoint, checked against the key's allowlist
    * @returns {Promise<string>} The reconstructed original API key
    */
-  async reconstructApiKey(keyId, clientPart) {
+  async reconstructApiKey(keyId, clientPart, { endpoint = null } = {}) {
     try {
       // Retrieve split key from database
       const splitKey = await this.prisma.splitKey.findUnique({
@@ -99,53 +460,68 @@ class SplitKeyService {
       });
 
       if (!splitKey) {
-        throw new Error('Split key not found or inactive');
+        throw credentialError('Split key not found or inactive');
       }
 
-      // Verify client part matches
-      if (splitKey.clientPart !== clientPart) {
-        throw new Error('Invalid client part');
+      // Verify client part matches (or is a rotated-out part still in its grace period)
+      const parts = this.resolveClientPart(splitKey, clientPart);
+      if (!parts) {
+        throw credentialError('Invalid client part');
       }
 
-      // Extract components from server part
-      const serverPartBuffer = Buffer.from(splitKey.serverPart, 'hex');
-      const tagStart = serverPartBuffer.length - this.tagLength - this.ivLength;
-      const ivStart = serverPartBuffer.length - this.ivLength;
-
-      const encryptedPart1 = serverPartBuffer.slice(0, tagStart);
-      const tag = serverPartBuffer.slice(tagStart, ivStart);
-      const iv = serverPartBuffer.slice(ivStart);
-
-      // Combine encrypted parts
-      const encryptedPart2 = Buffer.from(clientPart, 'hex');
-      const fullEncrypted = Buffer.concat([encryptedPart1, encryptedPart2]);
-
-      // Create decipher
-      const keyBuffer = Buffer.from(splitKey.decryptionSecret, 'hex');
-      const decipher = crypto.createDecipheriv(this.algorithm, keyBuffer, iv);
-      decipher.setAAD(Buffer.from(splitKey.apiProvider, 'utf8'));
-      decipher.setAuthTag(tag);
+      // Expiry, usage and spend caps, endpoint allowlist
+      const limits = this.checkLimits(splitKey, { endpoint });
+      if (!limits.allowed) {
+        throw limitError(limits.limit, limits.reason);
+      }
 
-      // Decrypt the key
-      let decrypted = decipher.update(fullEncrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
+      // Unwrap the secret and decrypt the key with the presented client part
+      const decrypted = await this.decryptWithParts(splitKey, parts);
 
-      // Update usage count
-      await this.prisma.splitKey.update({
-        where: { id: splitKey.id },
+      // Update usage count (only while under maxUses, so concurrent requests cannot overshoot it)
+      const { count } = await this.prisma.splitKey.updateMany({
+        where: {
+          id: splitKey.id,
+          ...(splitKey.maxUses && { usageCount: { lt: splitKey.maxUses } })
+        },
         data: {
           usageCount: { increment: 1 },
           lastUsed: new Date()
         }
       });
 
+      if (count === 0) {
+        throw limitError('max_uses', `Split key reached its limit of ${splitKey.maxUses} uses`);
+      }
+
       return decrypted;
 
     } catch (error) {
+      // Limit and credential errors keep their code so callers can answer 403 or 401;
+      // anything else (database, master key) is a server error
+      if (error.code === 'SPLIT_KEY_LIMIT' || error.code === 'SPLIT_KEY_INVALID') {
+        throw error;
+      }
       throw new Error(`Failed to reconstruct API key: ${error.message}`);
     }
   }
 
+  /**
+   * Add parsed limits and their current state to a split key row
+   */
+  withLimitStatus(splitKey) {
+    const { spendDate, ...info } = splitKey;
+    const verdict = this.checkLimits({ ...splitKey, allowedEndpoints: null });
+
+    return {
+      ...info,
+      allowedEndpoints: this.parseAllowedEndpoints(splitKey),
+      spendToday: this.getSpendToday(splitKey),
+      remainingUses: splitKey.maxUses ? Math.max(splitKey.maxUses - splitKey.usageCount, 0) : null,
+      limitReached: verdict.allowed ? null : verdict.limit
+    };
+  }
+
   /**
    * Get split key information without exposing sensitive data
    * @param {string} keyId - The key identifier
@@ -165,6 +541,10 @@ class SplitKeyService {
           createdBy: true,
           usageCount: true,
           lastUsed: true,
+          clientPartRotatedAt: true,
+          previousClientPartExpiresAt: true,
+          ...LIMIT_FIELDS,
+          ...VALIDATION_FIELDS,
           createdAt: true,
           updatedAt: true
         }
@@ -174,7 +554,7 @@ class SplitKeyService {
         throw new Error('Split key not found');
       }
 
-      return splitKey;
+      return this.withLimitStatus(splitKey);
 
     } catch (error) {
       throw new Error(`Failed to get split key info: ${error.message}`);
@@ -199,13 +579,15 @@ class SplitKeyService {
           description: true,
           usageCount: true,
           lastUsed: true,
+          ...LIMIT_FIELDS,
+          ...VALIDATION_FIELDS,
           createdAt: true,
           updatedAt: true
         },
         orderBy: { createdAt: 'desc' }
       });
 
-      return splitKeys;
+      return splitKeys.map(splitKey => this.withLimitStatus(splitKey));
 
     } catch (error) {
       throw new Error(`Failed to list split keys: ${error.message}`);
@@ -237,13 +619,179 @@ class SplitKeyService {
         data: { active: false }
       });
 
-      return true;
+      return { keyId, apiProvider: splitKey.apiProvider };
 
     } catch (error) {
       throw new Error(`Failed to deactivate split key: ${error.message}`);
     }
   }
 
+  /**
+   * Wrap decryption secrets still stored in plaintext (pre envelope encryption rows)
+   * @param {Object} options
+   * @param {number} options.batchSize - Rows loaded per query
+   * @param {boolean} options.dryRun - Only count rows that would be wrapped
+   * @returns {Promise<{ wrapped: number, failed: Array }>} Migration summary
+   */
+  async wrapPlaintextSecrets({ batchSize = 100, dryRun = false } = {}) {
+    return this.rewrapSecrets({
+      where: { NOT: { decryptionSecret: { startsWith: 'kek:' } } },
+      batchSize,
+      dryRun
+    });
+  }
+
+  /**
+   * Replace client parts still stored in plaintext with their salted hash
+   * Rows whose legacy previous client part is still in its grace period are skipped,
+   * since that part can only be resolved through the plaintext current part.
+   * @param {Object} options
+   * @param {number} options.batchSize - Rows loaded per query
+   * @param {boolean} options.dryRun - Only count rows that would be hashed
+   * @returns {Promise<{ hashed: number, skipped: number }>} Migration summary
+   */
+  async hashPlaintextClientParts({ batchSize = 100, dryRun = false } = {}) {
+    const summary = { hashed: 0, skipped: 0 };
+    const now = new Date();
+    let lastId = null;
+
+    while (true) {
+      const rows = await this.prisma.splitKey.findMany({
+        where: {
+          clientPart: { not: null },
+          ...(lastId && { id: { gt: lastId } })
+        },
+        select: { id: true, clientPart: true, previousClientPart: true, previousClientPartExpiresAt: true },
+        orderBy: { id: 'asc' },
+        take: batchSize
+      });
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        if (row.previousClientPart && row.previousClientPartExpiresAt && new Date(row.previousClientPartExpiresAt) > now) {
+          summary.skipped++;
+          continue;
+        }
+
+        if (!dryRun) {
+          await this.prisma.splitKey.update({
+            where: { id: row.id },
+            data: {
+              clientPartHash: hashClientPart(row.clientPart),
+              clientPart: null,
+              previousClientPart: null
+            }
+          });
+        }
+        summary.hashed++;
+      }
+
+      lastId = rows[rows.length - 1].id;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Re-wrap decryption secrets under the current master key version
+   * Rows are unwrapped with whichever version they were stored under, so the
+   * previous master key must stay configured until this has finished.
+   * @param {Object} options
+   * @param {Object} options.where - Prisma filter selecting the rows to re-wrap
+   * @param {number} options.batchSize - Rows loaded per query
+   * @param {boolean} options.dryRun - Only count matching rows
+   * @param {Function} options.onBatch - Called with the running summary after each batch
+   * @returns {Promise<{ wrapped: number, failed: Array }>} Summary
+   */
+  async rewrapSecrets({ where = {}, batchSize = 100, dryRun = false, onBatch = null } = {}) {
+    const summary = { wrapped: 0, failed: [] };
+    let lastId = null;
+
+    while (true) {
+      const rows = await this.prisma.splitKey.findMany({
+        where: {
+          ...where,
+          ...(lastId && { id: { gt: lastId } })
+        },
+        select: { id: true, keyId: true, decryptionSecret: true, previousDecryptionSecret: true },
+        orderBy: { id: 'asc' },
+        take: batchSize
+      });
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        try {
+          if (!dryRun) {
+            const { wrapped, version } = await this.rewrapSecret(row.decryptionSecret, row.keyId);
+            const data = { decryptionSecret: wrapped, keyVersion: version };
+
+            // Secret of a client part still in its rotation grace period
+            if (row.previousDecryptionSecret) {
+              data.previousDecryptionSecret = (await this.rewrapSecret(row.previousDecryptionSecret, row.keyId)).wrapped;
+            }
+
+            await this.prisma.splitKey.update({
+              where: { id: row.id },
+              data
+            });
+          }
+          summary.wrapped++;
+        } catch (error) {
+          summary.failed.push({ keyId: row.keyId, error: error.message });
+        }
+      }
+
+      lastId = rows[rows.length - 1].id;
+
+      if (onBatch) {
+        await onBatch(summary);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Unwrap a stored decryption secret and wrap it under the current master key version
+   * @returns {Promise<{ wrapped: string, version: number }>}
+   */
+  async rewrapSecret(stored, keyId) {
+    const secret = await KeyEncryptionService.unwrapSecret(stored, keyId);
+    return KeyEncryptionService.wrapSecret(secret, keyId);
+  }
+
+  /**
+   * Count split keys matching a filter
+   * @param {Object} where - Prisma filter
+   * @returns {Promise<number>} Number of rows
+   */
+  async countSplitKeys(where = {}) {
+    return this.prisma.splitKey.count({ where });
+  }
+
+  /**
+   * Count split keys per master key version
+   * @returns {Promise<Object>} Map of keyVersion -> count
+   */
+  async countByKeyVersion(where = {}) {
+    const groups = await this.prisma.splitKey.groupBy({
+      by: ['keyVersion'],
+      where,
+      _count: { _all: true }
+    });
+
+    return groups.reduce((acc, group) => {
+      acc[group.keyVersion] = group._count._all;
+      return acc;
+    }, {});
+  }
+
   /**
    * Validate split key headers from request
    * @param {Object} headers - Request headers
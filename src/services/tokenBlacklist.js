@@ -1,70 +1,281 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const config = require('../config/env');
 const { logTokenBlacklist } = require('../utils/securityLogger');
 
 /**
- * Token Blacklist Service (pure in-memory)
- * Stores revoked JWT tokens in-process with TTL cleanup.
+ * Token Blacklist Service
+ * Tracks revoked JWTs (logout, admin revocation) until they would have expired.
+ *
+ * Tokens are identified by their `jti` claim; tokens issued before jti was added fall back to a
+ * SHA-256 of the whole token. All tokens of a user or app issued before a cutoff can be revoked
+ * at once (revokeSubjectTokens).
+ *
+ * The backend is pluggable (TOKEN_REVOCATION_STORE or setStore()):
+ * - memory (default): in-process, lost on restart and not shared between instances
+ * - database: RevokedToken / TokenRevocationCutoff tables, shared by every instance
+ *
+ * Store interface (all async):
+ *   revoke(tokenId, entry)            entry: { userId, appId, ip, reason, revokedAt, expiresAt }
+ *   get(tokenId)                      -> entry | null (expired entries are not returned)
+ *   remove(tokenId)                   -> boolean
+ *   setCutoff(type, id, before, reason)   type: 'user' | 'app'
+ *   getCutoffs(subjects)              subjects: [{ type, id }] -> latest cutoff Date | null
+ *   purgeExpired(now)                 -> number of entries removed
+ *   stats()                           -> { revokedTokens, cutoffs }
  */
 
-const store = new Map(); // key: tokenId -> { userId, ip, expiresAt, blacklistedAt }
 const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+const SUBJECT_TYPES = ['user', 'app'];
 
-const getTokenId = (token) => {
+/**
+ * In-memory store (default backend)
+ */
+class MemoryRevocationStore {
+  constructor() {
+    this.tokens = new Map(); // tokenId -> entry
+    this.cutoffs = new Map(); // `${type}:${id}` -> { before, reason }
+  }
+
+  async revoke(tokenId, entry) {
+    this.tokens.set(tokenId, entry);
+  }
+
+  async get(tokenId) {
+    const entry = this.tokens.get(tokenId);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= new Date()) {
+      this.tokens.delete(tokenId);
+      return null;
+    }
+
+    return entry;
+  }
+
+  async remove(tokenId) {
+    return this.tokens.delete(tokenId);
+  }
+
+  async setCutoff(type, id, before, reason = null) {
+    this.cutoffs.set(`${type}:${id}`, { before, reason });
+  }
+
+  async getCutoffs(subjects) {
+    return subjects.reduce((latest, { type, id }) => {
+      const cutoff = this.cutoffs.get(`${type}:${id}`);
+      return cutoff && (!latest || cutoff.before > latest) ? cutoff.before : latest;
+    }, null);
+  }
+
+  async purgeExpired(now = new Date()) {
+    let removed = 0;
+    for (const [tokenId, entry] of this.tokens.entries()) {
+      if (entry.expiresAt <= now) {
+        this.tokens.delete(tokenId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async stats() {
+    return { revokedTokens: this.tokens.size, cutoffs: this.cutoffs.size };
+  }
+}
+
+/**
+ * Database store (RevokedToken / TokenRevocationCutoff)
+ */
+class PrismaRevocationStore {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  async revoke(tokenId, entry) {
+    await this.prisma.revokedToken.upsert({
+      where: { tokenId },
+      create: { tokenId, ...entry },
+      update: {}
+    });
+  }
+
+  async get(tokenId) {
+    const entry = await this.prisma.revokedToken.findUnique({
+      where: { tokenId }
+    });
+
+    return entry && entry.expiresAt > new Date() ? entry : null;
+  }
+
+  async remove(tokenId) {
+    const { count } = await this.prisma.revokedToken.deleteMany({
+      where: { tokenId }
+    });
+    return count > 0;
+  }
+
+  async setCutoff(type, id, before, reason = null) {
+    await this.prisma.tokenRevocationCutoff.upsert({
+      where: { subjectType_subjectId: { subjectType: type, subjectId: id } },
+      create: { subjectType: type, subjectId: id, before, reason },
+      update: { before, reason }
+    });
+  }
+
+  async getCutoffs(subjects) {
+    if (subjects.length === 0) {
+      return null;
+    }
+
+    const cutoffs = await this.prisma.tokenRevocationCutoff.findMany({
+      where: {
+        OR: subjects.map(({ type, id }) => ({ subjectType: type, subjectId: id }))
+      }
+    });
+
+    return cutoffs.reduce((latest, cutoff) =>
+      !latest || cutoff.before > latest ? cutoff.before : latest, null);
+  }
+
+  async purgeExpired(now = new Date()) {
+    const { count } = await this.prisma.revokedToken.deleteMany({
+      where: { expiresAt: { lte: now } }
+    });
+    return count;
+  }
+
+  async stats() {
+    const [revokedTokens, cutoffs] = await Promise.all([
+      this.prisma.revokedToken.count({ where: { expiresAt: { gt: new Date() } } }),
+      this.prisma.tokenRevocationCutoff.count()
+    ]);
+    return { revokedTokens, cutoffs };
+  }
+}
+
+const createStore = (type) => {
+  if (type === 'database') {
+    return new PrismaRevocationStore(require('../db/client'));
+  }
+  return new MemoryRevocationStore();
+};
+
+let store = createStore(config.tokenRevocation.store);
+
+/**
+ * Replace the revocation backend
+ */
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+const getStore = () => store;
+
+/**
+ * Identifier a token is revoked under: its jti claim, or a hash of the token without one
+ */
+const getTokenId = (token, decoded = jwt.decode(token)) => {
   if (typeof token !== 'string' || token.length < 16) return null;
-  return token.substring(token.length - 16);
+  if (decoded && typeof decoded.jti === 'string' && decoded.jti) return decoded.jti;
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
-const addToBlacklist = async (token, userId, ip = 'unknown') => {
+const addToBlacklist = async (token, userId, ip = 'unknown', reason = 'logout') => {
   try {
     const decoded = jwt.decode(token);
     if (!decoded || !decoded.exp) return false;
 
-    const now = Math.floor(Date.now() / 1000);
-    const ttl = decoded.exp - now;
-    if (ttl <= 0) return true; // already expired
-
-    const tokenId = getTokenId(token);
+    const tokenId = getTokenId(token, decoded);
     if (!tokenId) return false;
 
-    store.set(tokenId, {
-      userId,
+    return await revokeTokenId(tokenId, {
+      userId: userId || decoded.userId || null,
+      appId: decoded.appId || null,
       ip,
-      blacklistedAt: new Date().toISOString(),
-      expiresAt: new Date(decoded.exp * 1000).toISOString(),
-      _expMs: decoded.exp * 1000
+      reason,
+      expiresAt: new Date(decoded.exp * 1000)
     });
-
-    logTokenBlacklist('add', userId, tokenId, ip);
-    return true;
   } catch (e) {
     console.error('Error adding token to blacklist:', e);
     return false;
   }
 };
 
+/**
+ * Revoke a token by its ID when the token itself is not at hand (e.g. access tokens of a refresh token family)
+ * @param {string} tokenId - jti
+ * @param {Object} entry - { userId, appId, ip, reason, expiresAt }
+ */
+const revokeTokenId = async (tokenId, { userId = null, appId = null, ip = 'unknown', reason = null, expiresAt }) => {
+  if (new Date(expiresAt) <= new Date()) return true; // already expired
+
+  await store.revoke(tokenId, {
+    userId,
+    appId,
+    ip,
+    reason,
+    revokedAt: new Date(),
+    expiresAt: new Date(expiresAt)
+  });
+
+  logTokenBlacklist('add', userId, tokenId, ip);
+  return true;
+};
+
+/**
+ * Whether a user/app cutoff (revokeSubjectTokens) covers credentials issued at a given time
+ * Compared in whole seconds, like JWT `iat`, with the cutoff rounded up: credentials issued in the
+ * second of the cutoff are revoked too, since `iat` cannot tell whether they came before it
+ * @param {Object} subject - { userId, appId }
+ * @param {Date|number} issuedAt
+ */
+const isRevokedByCutoff = async ({ userId, appId }, issuedAt) => {
+  const subjects = [
+    userId && { type: 'user', id: userId },
+    appId && { type: 'app', id: appId }
+  ].filter(Boolean);
+
+  if (subjects.length === 0) return false;
+
+  const cutoff = await store.getCutoffs(subjects);
+  return !!cutoff && Math.floor(new Date(issuedAt).getTime() / 1000) < Math.ceil(new Date(cutoff).getTime() / 1000);
+};
+
+/**
+ * Whether a token was revoked, by itself or through a cutoff of its user or app
+ * Store errors are thrown, not treated as "not revoked": callers must fail closed.
+ */
 const isBlacklisted = async (token) => {
-  try {
-    const tokenId = getTokenId(token);
-    if (!tokenId) return false;
-    const entry = store.get(tokenId);
-    if (!entry) return false;
-    if (entry._expMs && Date.now() > entry._expMs) {
-      store.delete(tokenId);
-      return false;
-    }
+  const decoded = jwt.decode(token);
+  const tokenId = getTokenId(token, decoded);
+  if (!tokenId) return false;
+
+  const [entry, cutoffRevoked] = await Promise.all([
+    store.get(tokenId),
+    decoded && decoded.iat ? isRevokedByCutoff(decoded, decoded.iat * 1000) : false
+  ]);
+
+  if (entry) {
     logTokenBlacklist('check', entry.userId || 'unknown', tokenId, entry.ip || 'unknown');
     return true;
-  } catch (e) {
-    console.error('Error checking token blacklist:', e);
-    return false;
   }
+
+  if (cutoffRevoked) {
+    logTokenBlacklist('check', decoded.userId || 'unknown', tokenId, 'cutoff');
+    return true;
+  }
+
+  return false;
 };
 
 const removeFromBlacklist = async (token) => {
   try {
     const tokenId = getTokenId(token);
     if (!tokenId) return false;
-    store.delete(tokenId);
+    await store.remove(tokenId);
     return true;
   } catch (e) {
     console.error('Error removing token from blacklist:', e);
@@ -76,40 +287,78 @@ const getBlacklistInfo = async (token) => {
   try {
     const tokenId = getTokenId(token);
     if (!tokenId) return null;
-    const entry = store.get(tokenId);
+    const entry = await store.get(tokenId);
     if (!entry) return null;
-    const ttlSeconds = entry._expMs ? Math.max(0, Math.floor((entry._expMs - Date.now()) / 1000)) : -1;
-    return { tokenId, ttlSeconds, ...entry };
+    const expiresAt = new Date(entry.expiresAt);
+    return {
+      tokenId,
+      ttlSeconds: Math.max(0, Math.floor((expiresAt.getTime() - Date.now()) / 1000)),
+      userId: entry.userId,
+      appId: entry.appId,
+      ip: entry.ip,
+      reason: entry.reason,
+      blacklistedAt: new Date(entry.revokedAt).toISOString(),
+      expiresAt: expiresAt.toISOString()
+    };
   } catch (e) {
     console.error('Error getting blacklist info:', e);
     return null;
   }
 };
 
-const blacklistUserTokens = async () => {
-  console.warn('blacklistUserTokens not implemented (memory store only)');
-  return false;
+/**
+ * Revoke every token of a user or app issued before a timestamp
+ * @param {string} type - 'user' or 'app'
+ * @param {string} id - userId or appId
+ * @param {Date} [before=now]
+ * @returns {Promise<Date>} The cutoff
+ */
+const revokeSubjectTokens = async (type, id, before = new Date(), reason = null) => {
+  if (!SUBJECT_TYPES.includes(type)) {
+    throw new Error(`Invalid subject type: ${type}`);
+  }
+
+  await store.setCutoff(type, id, before, reason);
+  logTokenBlacklist('revoke_all', type === 'user' ? id : 'unknown', `${type}:${id}`, 'admin');
+  return before;
+};
+
+const blacklistUserTokens = async (userId, before = new Date()) => {
+  try {
+    await revokeSubjectTokens('user', userId, before);
+    return true;
+  } catch (e) {
+    console.error('Error revoking user tokens:', e);
+    return false;
+  }
 };
 
 const getBlacklistStats = async () => {
-  return { type: 'memory', totalBlacklisted: store.size };
+  const type = store instanceof PrismaRevocationStore
+    ? 'database'
+    : store instanceof MemoryRevocationStore ? 'memory' : (store.constructor && store.constructor.name) || 'custom';
+  const { revokedTokens, cutoffs } = await store.stats();
+  return { type, totalBlacklisted: revokedTokens, cutoffs };
 };
 
 // periodic cleanup
 setInterval(() => {
-  const now = Date.now();
-  for (const [tokenId, entry] of store.entries()) {
-    if (entry._expMs && now > entry._expMs) {
-      store.delete(tokenId);
-    }
-  }
-}, CLEANUP_INTERVAL_MS);
+  store.purgeExpired(new Date()).catch(err => console.error('Token blacklist cleanup error:', err));
+}, CLEANUP_INTERVAL_MS).unref();
 
 module.exports = {
   addToBlacklist,
+  revokeTokenId,
   isBlacklisted,
+  isRevokedByCutoff,
   removeFromBlacklist,
   getBlacklistInfo,
+  revokeSubjectTokens,
   blacklistUserTokens,
-  getBlacklistStats
+  getBlacklistStats,
+  getTokenId,
+  setStore,
+  getStore,
+  MemoryRevocationStore,
+  PrismaRevocationStore
 };
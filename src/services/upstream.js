@@ -0,0 +1,122 @@
+const axios = require('axios');
+const config = require('../config/env');
+const { apiHeaders } = require('../config/apis');
+const { sendWithRetry } = require('../utils/upstreamRetry');
+const ServerKeyService = require('./serverKeys');
+const CircuitBreakerService = require('./circuitBreaker');
+
+/**
+ * Upstream Service
+ * Sends a request to a provider for the proxy and unified controllers
+ *
+ * - Requests to a provider whose circuit is open fail fast (CIRCUIT_OPEN).
+ * - Retryable failures are retried within the caller's budget (utils/upstreamRetry.js).
+ * - Server keys are picked again for every retry and provider change, so a benched key is skipped.
+ * - Every attempt is reported to the circuit breaker, and to the server key pool for server keys.
+ */
+
+class UpstreamService {
+  /**
+   * Build the axios config for one upstream attempt
+   * @param {Object} req - Client request (method, query and User-Agent are passed on)
+   * @param {Object} target
+   * @param {string} target.api
+   * @param {string} target.endpoint - May carry a query string (e.g. ?alt=sse)
+   * @param {string} target.apiKey
+   * @param {*} [target.data] - Body (ignored for GET requests)
+   * @param {boolean} [target.isGet] - Pass the client's query parameters through instead of a body
+   * @param {boolean} [target.wantsStream]
+   * @param {string} [target.method=req.method]
+   */
+  static buildAxiosConfig(req, { api, endpoint, apiKey, data, isGet = false, wantsStream = false, method = req.method }) {
+    // Build request URL
+    let targetUrl = `${config[api].baseUrl}${endpoint}`;
+
+    // Special handling for Gemini (API key in query parameter)
+    if (api === 'gemini') {
+      const separator = targetUrl.includes('?') ? '&' : '?';
+      targetUrl = `${targetUrl}${separator}key=${apiKey}`;
+    }
+
+    // Prepare headers
+    const headers = apiHeaders[api](apiKey);
+
+    const timeoutMs = parseInt(process.env.UPSTREAM_TIMEOUT_MS || '0') || (process.env.LIGHT_MODE === 'true' ? 30000 : 60000);
+    const axiosConfig = {
+      method,
+      url: targetUrl,
+      headers: {
+        ...headers,
+        ...(req.headers['user-agent'] && { 'User-Agent': req.headers['user-agent'] })
+      },
+      timeout: timeoutMs,
+      validateStatus: (status) => status < 600,
+      ...(wantsStream && { responseType: 'stream' })
+    };
+
+    // For GET requests, pass remaining query params through (excluding endpoint)
+    if (isGet) {
+      const { endpoint: _ep, ...queryRest } = req.query || {};
+      // For Gemini, API key already appended; include other query params
+      axiosConfig.params = queryRest;
+    } else {
+      axiosConfig.data = data;
+    }
+
+    return axiosConfig;
+  }
+
+  /**
+   * Send a request to a provider, with circuit breaker, retries and server key reselection
+   * @param {Object} req - Client request; req.serverKey is updated when another server key is picked
+   * @param {Object} target - { api, endpoint, data, method? }
+   * @param {Object} options
+   * @param {string} options.apiKey - Key of the first attempt
+   * @param {string} options.keySource - SERVER_KEY, BYOK_SPLIT_KEY or KEY_POOL
+   * @param {Object} options.retryBudget - From createRetryBudget(), shared by all sends of a client request
+   * @param {boolean} [options.isGet]
+   * @param {boolean} [options.wantsStream]
+   * @returns {Promise<{ response: Object|null, error: Error|null, attempts: number }>}
+   */
+  static async send(req, target, { apiKey, keySource, retryBudget, isGet = false, wantsStream = false }) {
+    // Provider circuit open: fail fast (or move on to the next fallback provider)
+    const circuitError = CircuitBreakerService.checkRequest(target.api);
+    if (circuitError) {
+      return { response: null, error: circuitError, attempts: 0 };
+    }
+
+    return sendWithRetry(async (attempt) => {
+      let targetKey = apiKey;
+
+      // Server keys are picked again for every retry and fallback, so a benched key is skipped
+      if (keySource === 'SERVER_KEY' && (attempt > 1 || target.api !== req.serverKey.api)) {
+        const serverKey = ServerKeyService.selectKey(target.api);
+        req.serverKey = { api: target.api, keyId: serverKey.keyId };
+        targetKey = serverKey.apiKey;
+      }
+
+      let upstream = null;
+      try {
+        upstream = await axios(this.buildAxiosConfig(req, {
+          api: target.api,
+          endpoint: target.endpoint,
+          apiKey: targetKey,
+          data: target.data,
+          isGet,
+          wantsStream,
+          ...(target.method && { method: target.method })
+        }));
+        return upstream;
+      } finally {
+        CircuitBreakerService.recordResult(target.api, upstream);
+        if (keySource === 'SERVER_KEY') {
+          ServerKeyService.reportResult(target.api, req.serverKey.keyId, upstream);
+        }
+      }
+    }, retryBudget, {
+      ignoreRetryAfter: () => keySource === 'SERVER_KEY' && ServerKeyService.hasAvailableKey(target.api)
+    });
+  }
+}
+
+module.exports = UpstreamService;
@@ -1,6 +1,14 @@
 const UsageModel = require('../models/Usage');
 const UserModel = require('../models/User');
 const webhookService = require('./webhook');
+const PricingService = require('./pricing');
+const UserRateLimitService = require('./userRateLimit');
+const splitKeyService = require('./splitKey');
+const KeyPoolService = require('./keyPool');
+
+const OPENAI_COMPATIBLE_APIS = [
+  'openai', 'groq', 'mistral', 'zai', 'deepseek', 'perplexity', 'together', 'openrouter', 'fireworks', 'github'
+];
 
 /**
  * Usage Tracking Service
@@ -20,12 +28,17 @@ class UsageTrackingService {
     success,
     responseTime,
     req,
-    responseData = null
+    responseData = null,
+    model = null,
+    cached = false,
+    attempts = 1
   }) {
     try {
       const lightMode = process.env.LIGHT_MODE === 'true';
-      // Estimate tokens and cost (skip in light mode to reduce CPU)
-      const { tokensUsed, estimatedCost } = lightMode ? { tokensUsed: 0, estimatedCost: 0 } : this.estimateCost(api, responseData);
+      // Estimate tokens and cost (skip in light mode to reduce CPU; cache hits cost nothing)
+      const { tokensUsed, inputTokens, outputTokens, estimatedCost, price } = lightMode || cached
+        ? { tokensUsed: 0, inputTokens: 0, outputTokens: 0, estimatedCost: 0, price: null }
+        : await this.estimateCost(api, responseData, model);
 
       if (!lightMode) {
         // Detailed logging only in normal mode
@@ -36,16 +49,42 @@ class UsageTrackingService {
           method,
           statusCode,
           success,
+          model,
           tokensUsed,
+          inputTokens,
+          outputTokens,
           estimatedCost,
+          inputPricePer1K: price ? price.input : null,
+          outputPricePer1K: price ? price.output : null,
+          priceVersion: price ? price.version : null,
+          cached,
+          attempts,
+          serverKeyId: req && req.serverKey && !cached ? req.serverKey.keyId : null,
           responseTime,
           ipAddress: req.ip || req.connection.remoteAddress,
           userAgent: req.headers['user-agent']
         });
       }
 
+      // Count tokens against the per-minute window the request was admitted under
+      UserRateLimitService.recordTokens(req && req.rateLimitKey, tokensUsed);
+
       // Always increment request counters (required for quotas)
-      await UserModel.incrementRequests(userId);
+      await UserModel.incrementRequests(userId, { tokensUsed, estimatedCost });
+
+      try {
+        // BYOK requests count against the split key's daily spend cap
+        if (req && req.authMethod === 'BYOK_SPLIT_KEY' && req.splitKey) {
+          await splitKeyService.recordSpend(req.splitKey.keyId, estimatedCost);
+        }
+
+        // Key pool requests are counted per pool member
+        if (req && req.keyPool) {
+          await KeyPoolService.recordUsage(req.keyPool.memberId, { tokensUsed, estimatedCost });
+        }
+      } catch (error) {
+        console.error('Split key / key pool usage tracking error:', error);
+      }
 
       if (!lightMode) {
         // Update total cost and thresholds only in normal mode
@@ -60,51 +99,82 @@ class UsageTrackingService {
   }
 
   /**
-   * Estimate tokens and cost based on API and response
+   * Extract input/output token counts from a provider response
    */
-  static estimateCost(api, responseData) {
-    let tokensUsed = 0;
-    let estimatedCost = 0;
+  static extractUsage(api, responseData) {
+    const usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
 
     if (!responseData) {
-      return { tokensUsed, estimatedCost };
+      return usage;
+    }
+
+    // Gemini
+    if (api === 'gemini' && responseData.usageMetadata) {
+      const meta = responseData.usageMetadata;
+      usage.inputTokens = meta.promptTokenCount || 0;
+      usage.outputTokens = meta.candidatesTokenCount || 0;
+      usage.totalTokens = meta.totalTokenCount || (usage.inputTokens + usage.outputTokens);
+      return usage;
+    }
+
+    // Claude
+    if (api === 'claude' && responseData.usage) {
+      usage.inputTokens = responseData.usage.input_tokens || 0;
+      usage.outputTokens = responseData.usage.output_tokens || 0;
+      usage.totalTokens = usage.inputTokens + usage.outputTokens;
+      return usage;
+    }
+
+    // OpenAI and OpenAI-like providers
+    if (OPENAI_COMPATIBLE_APIS.includes(api) && responseData.usage) {
+      usage.inputTokens = responseData.usage.prompt_tokens || 0;
+      usage.outputTokens = responseData.usage.completion_tokens || 0;
+      usage.totalTokens = responseData.usage.total_tokens || (usage.inputTokens + usage.outputTokens);
+    }
+
+    return usage;
+  }
+
+  /**
+   * Estimate tokens and cost based on API, model and response
+   * Prices come from the pricing catalog (per-model input/output rates)
+   */
+  static async estimateCost(api, responseData, model = null) {
+    const result = {
+      tokensUsed: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      estimatedCost: 0,
+      price: null
+    };
+
+    if (!responseData) {
+      return result;
     }
 
     try {
-      // OpenAI
-      if (api === 'openai' && responseData.usage) {
-        tokensUsed = responseData.usage.total_tokens || 0;
-        // GPT-3.5: $0.002/1K tokens, GPT-4: $0.03/1K tokens (average estimate)
-        estimatedCost = (tokensUsed / 1000) * 0.01;
+      const { inputTokens, outputTokens, totalTokens } = this.extractUsage(api, responseData);
+      if (totalTokens === 0) {
+        return result;
       }
 
-      // Gemini
-      if (api === 'gemini' && responseData.usageMetadata) {
-        tokensUsed = responseData.usageMetadata.totalTokenCount || 0;
-        // Gemini Pro: ~$0.0005/1K tokens
-        estimatedCost = (tokensUsed / 1000) * 0.0005;
-      }
+      const price = await PricingService.getPrice(api, model);
 
-      // Claude
-      if (api === 'claude' && responseData.usage) {
-        tokensUsed = (responseData.usage.input_tokens || 0) + (responseData.usage.output_tokens || 0);
-        // Claude: ~$0.008/1K tokens (average)
-        estimatedCost = (tokensUsed / 1000) * 0.008;
-      }
+      // Tokens the provider did not attribute to input/output are billed at the input rate
+      const unattributed = Math.max(0, totalTokens - inputTokens - outputTokens);
 
-      // Groq, Mistral and other OpenAI-like providers
-      if (
-        ['groq', 'mistral', 'deepseek', 'perplexity', 'together', 'openrouter', 'fireworks', 'github'].includes(api) &&
-        responseData.usage
-      ) {
-        tokensUsed = responseData.usage.total_tokens || 0;
-        estimatedCost = (tokensUsed / 1000) * 0.001; // Usually cheaper
-      }
+      result.tokensUsed = totalTokens;
+      result.inputTokens = inputTokens;
+      result.outputTokens = outputTokens;
+      result.estimatedCost =
+        ((inputTokens + unattributed) / 1000) * price.input +
+        (outputTokens / 1000) * price.output;
+      result.price = price;
     } catch (error) {
       console.error('Cost estimation error:', error);
     }
 
-    return { tokensUsed, estimatedCost };
+    return result;
   }
 
   /**
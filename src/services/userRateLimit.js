@@ -0,0 +1,181 @@
+/**
+ * User Rate Limit Service
+ * Sliding-window requests-per-minute and tokens-per-minute limits per user and provider
+ *
+ * Limits live on the User record (requestsPerMinute / tokensPerMinute, with per-provider
+ * overrides in providerRateLimits). Windows are kept in-process, keyed on the JWT userId
+ * (plus appId when rateLimitPerApp is set) and the provider.
+ */
+
+const WINDOW_MS = 60 * 1000;
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+// key -> { requests: [timestamp], tokens: [{ at, count }] }
+const windows = new Map();
+
+const parseProviderLimits = (value) => {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.error('Invalid providerRateLimits JSON:', error.message);
+    return {};
+  }
+};
+
+const toLimit = (value) => {
+  if (value === null || value === undefined) return null;
+  const limit = parseInt(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : null;
+};
+
+class UserRateLimitService {
+  /**
+   * Effective limits for a user on a provider (provider override > user default)
+   * @returns {{ rpm: number|null, tpm: number|null }}
+   */
+  static getLimits(user, api) {
+    const override = parseProviderLimits(user && user.providerRateLimits)[api] || {};
+
+    return {
+      rpm: toLimit(override.rpm !== undefined ? override.rpm : user && user.requestsPerMinute),
+      tpm: toLimit(override.tpm !== undefined ? override.tpm : user && user.tokensPerMinute)
+    };
+  }
+
+  /**
+   * Window key for a JWT payload and provider
+   */
+  static getKey(tokenUser, api, perApp = false) {
+    const scope = perApp && tokenUser.appId ? `${tokenUser.userId}:${tokenUser.appId}` : tokenUser.userId;
+    return `${scope}:${api}`;
+  }
+
+  /**
+   * Drop entries that left the sliding window
+   */
+  static prune(key, now = Date.now()) {
+    const window = windows.get(key);
+    if (!window) {
+      return { requests: [], tokens: [] };
+    }
+
+    const cutoff = now - WINDOW_MS;
+    window.requests = window.requests.filter(at => at > cutoff);
+    window.tokens = window.tokens.filter(entry => entry.at > cutoff);
+
+    if (window.requests.length === 0 && window.tokens.length === 0) {
+      windows.delete(key);
+    }
+
+    return window;
+  }
+
+  /**
+   * Current usage in the window
+   */
+  static getUsage(key, now = Date.now()) {
+    const window = this.prune(key, now);
+    const tokens = window.tokens.reduce((sum, entry) => sum + entry.count, 0);
+    const oldest = Math.min(
+      window.requests.length > 0 ? window.requests[0] : Infinity,
+      window.tokens.length > 0 ? window.tokens[0].at : Infinity
+    );
+
+    return {
+      requests: window.requests.length,
+      tokens,
+      resetMs: Number.isFinite(oldest) ? Math.max(0, oldest + WINDOW_MS - now) : 0
+    };
+  }
+
+  /**
+   * Check the limits and count the request when allowed
+   * @returns {{ allowed: boolean, exceeded: 'requests'|'tokens'|null, requests: object|null, tokens: object|null, resetSeconds: number }}
+   */
+  static consume(key, { rpm, tpm }, now = Date.now()) {
+    const usage = this.getUsage(key, now);
+
+    let exceeded = null;
+    if (rpm !== null && usage.requests >= rpm) {
+      exceeded = 'requests';
+    } else if (tpm !== null && usage.tokens >= tpm) {
+      exceeded = 'tokens';
+    }
+
+    if (!exceeded) {
+      const window = windows.get(key) || { requests: [], tokens: [] };
+      window.requests.push(now);
+      windows.set(key, window);
+      usage.requests++;
+      // An empty window starts with this request
+      if (usage.resetMs === 0) {
+        usage.resetMs = WINDOW_MS;
+      }
+    }
+
+    return {
+      allowed: !exceeded,
+      exceeded,
+      requests: rpm !== null ? { limit: rpm, remaining: Math.max(0, rpm - usage.requests) } : null,
+      tokens: tpm !== null ? { limit: tpm, remaining: Math.max(0, tpm - usage.tokens) } : null,
+      resetSeconds: Math.max(1, Math.ceil(usage.resetMs / 1000))
+    };
+  }
+
+  /**
+   * Add tokens used by a completed request to its window
+   */
+  static recordTokens(key, count, now = Date.now()) {
+    if (!key || !count) {
+      return;
+    }
+
+    const window = windows.get(key) || { requests: [], tokens: [] };
+    window.tokens.push({ at: now, count });
+    windows.set(key, window);
+  }
+
+  /**
+   * Clear windows (all, or those of one user)
+   */
+  static reset(userId = null) {
+    if (!userId) {
+      windows.clear();
+      return;
+    }
+
+    for (const key of windows.keys()) {
+      if (key.startsWith(`${userId}:`)) {
+        windows.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Current windows of one user, by key
+   */
+  static getUserUsage(userId) {
+    const usage = {};
+    for (const key of Array.from(windows.keys())) {
+      if (key.startsWith(`${userId}:`)) {
+        const { requests, tokens } = this.getUsage(key);
+        usage[key.slice(userId.length + 1)] = { requests, tokens };
+      }
+    }
+    return usage;
+  }
+}
+
+// periodic cleanup
+setInterval(() => {
+  const now = Date.now();
+  for (const key of Array.from(windows.keys())) {
+    UserRateLimitService.prune(key, now);
+  }
+}, CLEANUP_INTERVAL_MS).unref();
+
+module.exports = UserRateLimitService;
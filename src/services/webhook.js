@@ -1,128 +1,690 @@
 const axios = require('axios');
 const prisma = require('../db/client');
+const config = require('../config/env');
 const { validateURL } = require('../utils/urlValidator');
 const { logSSRFAttempt } = require('../utils/securityLogger');
+const {
+  generateWebhookSecret,
+  generateEventId,
+  buildSignatureHeader
+} = require('../utils/webhookSignature');
 
 /**
  * Webhook Service
  * Handles webhook notifications for various events
  * Now with SSRF protection
+ * Payloads are signed with HMAC-SHA256 (see utils/webhookSignature.js); the secret is never sent
+ *
+ * Deliveries are queued in WebhookDelivery before the first attempt, so a restart does not lose
+ * them. Failed attempts are retried by the dispatcher with exponential backoff
+ * (WEBHOOK_RETRY_BASE_MS, doubled per attempt) up to the webhook's retryCount; deliveries that
+ * run out of attempts are kept as `failed` (dead letter) until an admin redelivers them.
+ *
+ * Webhooks subscribe to event names or patterns (`user.*`, `*`) and can be limited to events
+ * about given users, apps or providers (filters on data.userId / data.appId / data.api).
+ * Webhooks created before subscriptions keep their comma-separated `events` column, which is
+ * honoured until migrateLegacyEvents() (npm run webhooks:migrate-events) has moved it.
  */
 
+// Events webhooks can subscribe to
+const EVENT_TYPES = [
+  'user.created',
+  'user.rate_limited',
+  'usage.high',
+  'quota.reset',
+  'api.error',
+  'provider.down',
+  'provider.recovered',
+  'split_key.created',
+  'split_key.deleted',
+  'ip_rule.changed',
+  'admin.auth_failed'
+];
+
+const FILTER_FIELDS = ['userId', 'appId', 'api'];
+
+const DEFAULT_ROTATION_GRACE_SECONDS = 24 * 60 * 60;
+const MAX_HISTORY = 20;
+const STALE_DELIVERING_MS = 5 * 60 * 1000; // Attempt interrupted by a restart
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let dispatcherTimer = null;
+let dispatching = false;
+let lastPurgeAt = 0;
+
+const parseJSON = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+/**
+ * Whether a subscription pattern covers an event: exact name, `prefix.*` or `*`
+ */
+const matchesPattern = (pattern, eventType) =>
+  pattern === '*' ||
+  pattern === eventType ||
+  (pattern.endsWith('.*') && eventType.startsWith(pattern.slice(0, -1)));
+
+/**
+ * Event names of a legacy comma-separated `events` column
+ */
+const parseLegacyEvents = (events) =>
+  events ? [...new Set(events.split(',').map(event => event.trim()).filter(Boolean))] : [];
+
+/**
+ * Patterns that cover an event, e.g. split_key.created -> *, split_key.*, split_key.created
+ */
+const patternsFor = (eventType) => {
+  const parts = eventType.split('.');
+  return ['*', ...parts.slice(0, -1).map((_, i) => `${parts.slice(0, i + 1).join('.')}.*`), eventType];
+};
+
 class WebhookService {
   /**
    * Trigger webhooks for a specific event
+   * Queues one delivery per webhook and makes the first attempt right away
    */
   static async trigger(eventType, data) {
     try {
-      // Get all active webhooks for this event
-      // SQLite uses comma-separated string for events
-      const webhooks = await prisma.webhook.findMany({
+      // Active webhooks subscribed to the event (or a pattern covering it) whose filters match,
+      // and webhooks whose legacy events list has not been migrated yet
+      const candidates = await prisma.webhook.findMany({
         where: {
           active: true,
-          events: {
-            contains: eventType  // SQLite-compatible: checks if string contains eventType
-          }
-        }
+          OR: [
+            { subscriptions: { some: { pattern: { in: patternsFor(eventType) } } } },
+            { events: { not: null } }
+          ]
+        },
+        include: { subscriptions: true }
       });
+      const webhooks = candidates.filter(webhook =>
+        (webhook.subscriptions.some(subscription => matchesPattern(subscription.pattern, eventType)) ||
+          parseLegacyEvents(webhook.events).includes(eventType)) &&
+        this.matchesFilters(webhook.filters, data)
+      );
 
       if (webhooks.length === 0) {
         return;
       }
 
-      // Send webhooks in parallel
-      const promises = webhooks.map(webhook =>
-        this.sendWebhook(webhook, eventType, data)
-      );
+      // One event ID and body for all receivers
+      const eventId = generateEventId();
+      const payload = this.buildPayload(eventId, eventType, data);
+
+      const deliveries = await Promise.all(webhooks.map(webhook =>
+        prisma.webhookDelivery.create({
+          data: {
+            webhookId: webhook.id,
+            eventId,
+            event: eventType,
+            payload,
+            nextAttemptAt: new Date()
+          }
+        })
+      ));
 
-      await Promise.allSettled(promises);
+      await Promise.allSettled(deliveries.map((delivery, i) =>
+        this.attemptDelivery(delivery, webhooks[i])
+      ));
     } catch (error) {
       console.error('Webhook trigger error:', error);
     }
   }
 
   /**
-   * Send individual webhook with retry logic
-   * Now with SSRF validation on every send
+   * Whether event data passes a webhook's filters
+   * Every filtered field must be present in the data with one of the allowed values.
+   * @param {string|Object|null} filters - { userId?: string[], appId?: string[], api?: string[] }
    */
-  static async sendWebhook(webhook, eventType, data, retryCount = 0) {
-    try {
-      // Double-check URL for SSRF protection (defense in depth)
-      const urlValidation = validateURL(webhook.url, 'webhook-service');
-      if (!urlValidation.valid) {
-        logSSRFAttempt(webhook.url, 'webhook-service', `SSRF attempt in webhook send: ${urlValidation.error}`);
-        console.error(`🚫 SSRF protection blocked webhook URL: ${webhook.url}`);
+  static matchesFilters(filters, data = {}) {
+    const parsed = typeof filters === 'string' ? parseJSON(filters, {}) : (filters || {});
 
-        // Deactivate malicious webhook
-        await prisma.webhook.update({
-          where: { id: webhook.id },
-          data: { active: false }
-        });
+    return FILTER_FIELDS.every(field =>
+      !Array.isArray(parsed[field]) || parsed[field].length === 0 ||
+      (data && data[field] !== undefined && parsed[field].includes(String(data[field])))
+    );
+  }
 
-        throw new Error(`SSRF protection: ${urlValidation.error}`);
+  /**
+   * Validate and normalize subscription input from the admin API
+   * @param {Object} input
+   * @param {string|string[]} input.events - Event names or patterns (array or comma-separated)
+   * @param {Object} [input.filters] - { userId, appId, api }: a string or an array of strings each
+   * @returns {{ patterns?: string[], filters?: Object|null, error?: string }}
+   */
+  static parseSubscription({ events, filters } = {}) {
+    const list = Array.isArray(events)
+      ? events
+      : typeof events === 'string' ? events.split(',') : [];
+    const patterns = [...new Set(list.map(event => String(event).trim()).filter(Boolean))];
+
+    if (patterns.length === 0) {
+      return { error: 'events must list at least one event name or pattern' };
+    }
+
+    const unknown = patterns.filter(pattern => !EVENT_TYPES.some(eventType => matchesPattern(pattern, eventType)));
+    if (unknown.length > 0) {
+      return { error: `Unknown events: ${unknown.join(', ')}` };
+    }
+
+    if (filters === undefined || filters === null) {
+      return { patterns, filters: null };
+    }
+
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      return { error: 'filters must be an object' };
+    }
+
+    const normalized = {};
+    for (const [field, value] of Object.entries(filters)) {
+      if (!FILTER_FIELDS.includes(field)) {
+        return { error: `Unknown filter: ${field} (allowed: ${FILTER_FIELDS.join(', ')})` };
       }
 
-      const payload = {
-        event: eventType,
-        timestamp: new Date().toISOString(),
-        data
-      };
-
-      // Parse headers if it's a JSON string (SQLite stores as string)
-      let parsedHeaders = {};
-      if (webhook.headers) {
-        try {
-          parsedHeaders = typeof webhook.headers === 'string'
-            ? JSON.parse(webhook.headers)
-            : webhook.headers;
-        } catch (e) {
-          console.warn('Failed to parse webhook headers:', e);
-        }
+      const values = Array.isArray(value) ? value : [value];
+      if (values.some(item => typeof item !== 'string' || !item.trim())) {
+        return { error: `filters.${field} must be a string or an array of strings` };
+      }
+      if (values.length > 0) {
+        normalized[field] = [...new Set(values.map(item => item.trim()))];
       }
+    }
+
+    return { patterns, filters: Object.keys(normalized).length > 0 ? normalized : null };
+  }
+
+  /**
+   * Replace a webhook's event subscriptions and filters
+   */
+  static async setSubscriptions(webhookId, { patterns, filters }) {
+    const webhook = await prisma.webhook.findUnique({
+      where: { id: webhookId }
+    });
+
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+
+    return prisma.webhook.update({
+      where: { id: webhookId },
+      data: {
+        filters: filters ? JSON.stringify(filters) : null,
+        events: null,
+        subscriptions: {
+          deleteMany: {},
+          create: patterns.map(pattern => ({ pattern }))
+        }
+      },
+      include: { subscriptions: true }
+    });
+  }
 
-      const headers = {
-        'Content-Type': 'application/json',
-        'User-Agent': 'SafeAPI-Bridge-Webhook/1.0',
-        ...(webhook.secret && { 'X-Webhook-Secret': webhook.secret }),
-        ...parsedHeaders
-      };
-
-      const response = await axios.post(webhook.url, payload, {
-        headers,
-        timeout: webhook.timeout || 5000,
-        maxRedirects: 0 // Prevent redirect-based SSRF
+  /**
+   * Move legacy comma-separated `events` lists into WebhookSubscription rows
+   * Names that are not known events are dropped and reported. Safe to re-run: migrated
+   * webhooks have `events` cleared and existing subscriptions are kept.
+   * @param {Object} options
+   * @param {number} options.batchSize - Rows loaded per query
+   * @param {boolean} options.dryRun - Only count webhooks that would be migrated
+   * @returns {Promise<{ migrated: number, subscriptions: number, dropped: string[] }>} Migration summary
+   */
+  static async migrateLegacyEvents({ batchSize = 100, dryRun = false } = {}) {
+    const summary = { migrated: 0, subscriptions: 0, dropped: [] };
+    let lastId = null;
+
+    while (true) {
+      const webhooks = await prisma.webhook.findMany({
+        where: {
+          events: { not: null },
+          ...(lastId && { id: { gt: lastId } })
+        },
+        include: { subscriptions: true },
+        orderBy: { id: 'asc' },
+        take: batchSize
       });
 
-      // Update stats
+      if (webhooks.length === 0) {
+        break;
+      }
+
+      for (const webhook of webhooks) {
+        const existing = webhook.subscriptions.map(subscription => subscription.pattern);
+        const events = parseLegacyEvents(webhook.events);
+        const patterns = events.filter(event => EVENT_TYPES.includes(event) && !existing.includes(event));
+
+        summary.dropped.push(...events.filter(event => !EVENT_TYPES.includes(event)));
+
+        if (!dryRun) {
+          await prisma.webhook.update({
+            where: { id: webhook.id },
+            data: {
+              events: null,
+              subscriptions: { create: patterns.map(pattern => ({ pattern })) }
+            }
+          });
+        }
+        summary.migrated++;
+        summary.subscriptions += patterns.length;
+      }
+
+      lastId = webhooks[webhooks.length - 1].id;
+    }
+
+    summary.dropped = [...new Set(summary.dropped)];
+    return summary;
+  }
+
+  /**
+   * Webhook as returned by the admin API: events and filters parsed, secrets left out
+   */
+  static formatWebhook(webhook) {
+    const { secret, previousSecret, subscriptions = [], filters, events, ...rest } = webhook;
+
+    return {
+      ...rest,
+      events: [...new Set([...subscriptions.map(subscription => subscription.pattern), ...parseLegacyEvents(events)])],
+      filters: parseJSON(filters, null),
+      signed: !!secret,
+      rotating: !!(previousSecret && webhook.previousSecretExpiresAt > new Date())
+    };
+  }
+
+  /**
+   * JSON body of an event
+   */
+  static buildPayload(eventId, eventType, data) {
+    return JSON.stringify({
+      id: eventId,
+      event: eventType,
+      timestamp: new Date().toISOString(),
+      data
+    });
+  }
+
+  /**
+   * POST a payload to a webhook once
+   * Now with SSRF validation on every send
+   * Signed with a fresh timestamp on every attempt. Throws on network errors and non-2xx
+   * responses; errors for blocked URLs are marked `permanent`.
+   */
+  static async post(webhook, eventId, body) {
+    // Double-check URL for SSRF protection (defense in depth)
+    const urlValidation = validateURL(webhook.url, 'webhook-service');
+    if (!urlValidation.valid) {
+      logSSRFAttempt(webhook.url, 'webhook-service', `SSRF attempt in webhook send: ${urlValidation.error}`);
+      console.error(`🚫 SSRF protection blocked webhook URL: ${webhook.url}`);
+
+      // Deactivate malicious webhook
       await prisma.webhook.update({
         where: { id: webhook.id },
+        data: { active: false }
+      });
+
+      throw Object.assign(new Error(`SSRF protection: ${urlValidation.error}`), { permanent: true });
+    }
+
+    const signedAt = Math.floor(Date.now() / 1000);
+    const secrets = this.getActiveSecrets(webhook);
+
+    // Parse headers if it's a JSON string (SQLite stores as string)
+    let parsedHeaders = {};
+    if (webhook.headers) {
+      try {
+        parsedHeaders = typeof webhook.headers === 'string'
+          ? JSON.parse(webhook.headers)
+          : webhook.headers;
+      } catch (e) {
+        console.warn('Failed to parse webhook headers:', e);
+      }
+    }
+
+    // Custom headers cannot override the signature headers
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'SafeAPI-Bridge-Webhook/1.0',
+      ...parsedHeaders,
+      'X-Webhook-Id': eventId,
+      'X-Webhook-Timestamp': String(signedAt),
+      ...(secrets.length > 0 && { 'X-Webhook-Signature': buildSignatureHeader(secrets, signedAt, body) })
+    };
+
+    return axios.post(webhook.url, body, {
+      headers,
+      timeout: webhook.timeout || 5000,
+      maxRedirects: 0 // Prevent redirect-based SSRF
+    });
+  }
+
+  /**
+   * Send an event to one webhook right away, without queueing or retries
+   */
+  static async sendWebhook(webhook, eventType, data, eventId = generateEventId()) {
+    const response = await this.post(webhook, eventId, this.buildPayload(eventId, eventType, data));
+
+    console.log(`✅ Webhook sent: ${eventType} to ${webhook.url}`);
+    return response.data;
+  }
+
+  /**
+   * Retry delay after a failed attempt: base, 2x base, 4x base, ... up to the cap
+   */
+  static getRetryDelay(attempt) {
+    const { retryBaseMs, retryMaxMs } = config.webhookDelivery;
+    return Math.min(retryBaseMs * Math.pow(2, attempt - 1), retryMaxMs);
+  }
+
+  /**
+   * Make one attempt for a pending delivery
+   * The delivery is claimed first, so a concurrent dispatcher pass cannot send it twice.
+   * @returns {Promise<Object|null>} Updated delivery, or null if it was already claimed
+   */
+  static async attemptDelivery(delivery, webhook = null) {
+    const { count } = await prisma.webhookDelivery.updateMany({
+      where: { id: delivery.id, status: 'pending' },
+      data: { status: 'delivering' }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const target = webhook || await prisma.webhook.findUnique({
+      where: { id: delivery.webhookId }
+    });
+
+    const attempt = delivery.attempts + 1;
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+    let permanent = false;
+
+    if (!target || !target.active) {
+      error = 'Webhook is inactive';
+      permanent = true;
+    } else {
+      try {
+        const response = await this.post(target, delivery.eventId, delivery.payload);
+        statusCode = response.status;
+      } catch (sendError) {
+        statusCode = sendError.response ? sendError.response.status : null;
+        error = sendError.message;
+        permanent = sendError.permanent === true;
+      }
+    }
+
+    const history = [
+      ...parseJSON(delivery.history, []),
+      { attempt, at: new Date(startedAt).toISOString(), statusCode, error, durationMs: Date.now() - startedAt }
+    ].slice(-MAX_HISTORY);
+
+    const maxAttempts = (target ? target.retryCount : 0) + 1;
+    const delivered = !error;
+    const exhausted = !delivered && (permanent || attempt >= maxAttempts);
+
+    const updated = await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: delivered ? 'delivered' : exhausted ? 'failed' : 'pending',
+        attempts: attempt,
+        lastStatusCode: statusCode,
+        lastError: error,
+        history: JSON.stringify(history),
+        nextAttemptAt: delivered || exhausted ? null : new Date(Date.now() + this.getRetryDelay(attempt)),
+        ...(delivered && { deliveredAt: new Date() })
+      }
+    });
+
+    if (delivered) {
+      console.log(`✅ Webhook sent: ${delivery.event} to ${target.url}`);
+      await prisma.webhook.update({
+        where: { id: target.id },
         data: {
           totalCalls: { increment: 1 },
           lastCall: new Date()
         }
       });
+    } else if (exhausted) {
+      console.error(`❌ Webhook failed: ${delivery.event} (${delivery.id}) after ${attempt} attempt(s): ${error}`);
+      if (target) {
+        await prisma.webhook.update({
+          where: { id: target.id },
+          data: {
+            failedCalls: { increment: 1 }
+          }
+        });
+      }
+    } else {
+      console.warn(`⚠️  Webhook attempt ${attempt} failed: ${delivery.event} to ${target.url}, retrying at ${updated.nextAttemptAt.toISOString()}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Send deliveries whose retry is due
+   * Also re-queues attempts interrupted by a restart and removes old delivered rows.
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  static async dispatchDue(now = new Date()) {
+    if (dispatching) {
+      return 0;
+    }
+    dispatching = true;
 
-      console.log(`✅ Webhook sent: ${eventType} to ${webhook.url}`);
-      return response.data;
+    try {
+      await prisma.webhookDelivery.updateMany({
+        where: {
+          status: 'delivering',
+          updatedAt: { lt: new Date(now.getTime() - STALE_DELIVERING_MS) }
+        },
+        data: { status: 'pending', nextAttemptAt: now }
+      });
 
+      const due = await prisma.webhookDelivery.findMany({
+        where: {
+          status: 'pending',
+          nextAttemptAt: { lte: now }
+        },
+        include: { webhook: true },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: config.webhookDelivery.batchSize
+      });
+
+      await Promise.allSettled(due.map(delivery => this.attemptDelivery(delivery, delivery.webhook)));
+
+      if (now.getTime() - lastPurgeAt >= PURGE_INTERVAL_MS) {
+        lastPurgeAt = now.getTime();
+        await prisma.webhookDelivery.deleteMany({
+          where: {
+            status: 'delivered',
+            deliveredAt: { lt: new Date(now.getTime() - config.webhookDelivery.retentionDays * 24 * 60 * 60 * 1000) }
+          }
+        });
+      }
+
+      return due.length;
     } catch (error) {
-      console.error(`❌ Webhook failed: ${eventType} to ${webhook.url}`, error.message);
+      console.error('Webhook dispatch error:', error);
+      return 0;
+    } finally {
+      dispatching = false;
+    }
+  }
+
+  /**
+   * Start the background dispatcher (once per process)
+   */
+  static startDispatcher(intervalMs = config.webhookDelivery.intervalMs) {
+    if (dispatcherTimer) {
+      return;
+    }
+
+    dispatcherTimer = setInterval(() => this.dispatchDue(), intervalMs);
+    dispatcherTimer.unref();
 
-      // Retry with exponential backoff
-      if (retryCount < webhook.retryCount) {
-        const delay = Math.pow(2, retryCount) * 1000; // 1s, 2s, 4s
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this.sendWebhook(webhook, eventType, data, retryCount + 1);
+    // Pick up deliveries left over from before the restart
+    this.dispatchDue();
+  }
+
+  /**
+   * Stop the background dispatcher
+   */
+  static stopDispatcher() {
+    if (dispatcherTimer) {
+      clearInterval(dispatcherTimer);
+      dispatcherTimer = null;
+    }
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} filters - { status, webhookId, event, limit }
+   */
+  static async listDeliveries({ status, webhookId, event, limit = 50 } = {}) {
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: {
+        ...(status && { status }),
+        ...(webhookId && { webhookId }),
+        ...(event && { event })
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+
+    return deliveries.map(delivery => this.formatDelivery(delivery));
+  }
+
+  /**
+   * Get one delivery with its payload and attempt history
+   */
+  static async getDelivery(deliveryId) {
+    const delivery = await prisma.webhookDelivery.findUnique({
+      where: { id: deliveryId }
+    });
+
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+
+    return {
+      ...this.formatDelivery(delivery),
+      payload: JSON.parse(delivery.payload)
+    };
+  }
+
+  /**
+   * Delivery as returned by the admin API (history parsed, payload left out)
+   */
+  static formatDelivery(delivery) {
+    const { payload, history, ...rest } = delivery;
+    return { ...rest, history: parseJSON(history, []) };
+  }
+
+  /**
+   * Queue a failed or delivered delivery again and attempt it right away
+   * It gets a new round of retries; the attempt history is kept.
+   */
+  static async redeliver(deliveryId) {
+    const delivery = await prisma.webhookDelivery.findUnique({
+      where: { id: deliveryId }
+    });
+
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+
+    if (delivery.status === 'pending' || delivery.status === 'delivering') {
+      throw Object.assign(new Error('Delivery is already queued'), { status: 409 });
+    }
+
+    const queued = await prisma.webhookDelivery.update({
+      where: { id: deliveryId },
+      data: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        redeliveredAt: new Date()
       }
+    });
 
-      // Update failed stats
-      await prisma.webhook.update({
-        where: { id: webhook.id },
-        data: {
-          failedCalls: { increment: 1 }
-        }
-      });
+    const updated = await this.attemptDelivery(queued);
+    return this.formatDelivery(updated || queued);
+  }
+
+  /**
+   * Queue all failed deliveries again (optionally of one webhook)
+   * They are sent by the dispatcher.
+   * @returns {Promise<number>} Deliveries queued
+   */
+  static async redeliverFailed({ webhookId } = {}) {
+    const now = new Date();
+    const { count } = await prisma.webhookDelivery.updateMany({
+      where: {
+        status: 'failed',
+        ...(webhookId && { webhookId })
+      },
+      data: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        redeliveredAt: now
+      }
+    });
+
+    if (count > 0) {
+      this.dispatchDue();
+    }
+
+    return count;
+  }
+
+  /**
+   * Secrets payloads are signed with: the current one, plus the previous one during its grace period
+   */
+  static getActiveSecrets(webhook, now = new Date()) {
+    const secrets = webhook.secret ? [webhook.secret] : [];
+
+    if (webhook.previousSecret && webhook.previousSecretExpiresAt && webhook.previousSecretExpiresAt > now) {
+      secrets.push(webhook.previousSecret);
+    }
+
+    return secrets;
+  }
+
+  /**
+   * Replace a webhook's signing secret
+   * Payloads are signed with both secrets until the grace period ends, so receivers can switch over.
+   * @returns {Promise<{ webhook: Object, secret: string }>} The new secret is only returned here
+   */
+  static async rotateSecret(webhookId, gracePeriodSeconds = DEFAULT_ROTATION_GRACE_SECONDS) {
+    const webhook = await prisma.webhook.findUnique({
+      where: { id: webhookId }
+    });
+
+    if (!webhook) {
+      throw new Error('Webhook not found');
     }
+
+    const secret = generateWebhookSecret();
+    const now = new Date();
+    const keepPrevious = webhook.secret && gracePeriodSeconds > 0;
+
+    const updated = await prisma.webhook.update({
+      where: { id: webhookId },
+      data: {
+        secret,
+        previousSecret: keepPrevious ? webhook.secret : null,
+        previousSecretExpiresAt: keepPrevious ? new Date(now.getTime() + gracePeriodSeconds * 1000) : null,
+        secretRotatedAt: now
+      }
+    });
+
+    return { webhook: updated, secret };
   }
 
   /**
@@ -145,3 +707,4 @@ class WebhookService {
 }
 
 module.exports = WebhookService;
+module.exports.EVENT_TYPES = EVENT_TYPES;
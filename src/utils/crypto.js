@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const KeyEncryptionService = require('../services/keyEncryption');
 
 /**
  * Crypto utilities for split-key (BYOK) operations.
@@ -12,6 +13,12 @@ const crypto = require('crypto');
  *   - serverPart: first half of ciphertext + tag + iv (all hex)
  *   - clientPart: second half of ciphertext (hex)
  *
+ * - decryptionSecret is stored wrapped by the master KEK (see src/services/keyEncryption.js)
+ *   and is only unwrapped here, for the lifetime of a single call.
+ *
+ * - Only a salted hash of clientPart is stored (clientPartHash: "<salt hex>:<hmac-sha256 hex>"),
+ *   so decryption always uses the clientPart presented by the caller.
+ *
  * This helper reverses that process and reconstructs the original key.
  */
 
@@ -19,17 +26,78 @@ const ALGORITHM = 'aes-256-gcm';
 const KEY_LENGTH_BYTES = 32; // 256 bits
 const IV_LENGTH_BYTES = 16;  // 128 bits
 const TAG_LENGTH_BYTES = 16; // 128 bits
+const CLIENT_PART_SALT_BYTES = 16;
+
+/**
+ * Hash a client part for storage.
+ *
+ * @param {string} clientPart - Hex client part handed to the key owner.
+ * @returns {string} "<salt hex>:<hmac-sha256 hex>"
+ */
+function hashClientPart(clientPart) {
+  const salt = crypto.randomBytes(CLIENT_PART_SALT_BYTES).toString('hex');
+  const hash = crypto.createHmac('sha256', salt).update(clientPart, 'utf8').digest('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Timing-safe string comparison (admin keys, client parts).
+ * Both values are padded to the same length before comparing.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} Whether the strings are equal.
+ */
+function timingSafeCompare(a, b) {
+  if (!a || !b) return false;
+
+  // Ensure same length (pad shorter one)
+  const maxLen = Math.max(a.length, b.length);
+  const bufferA = Buffer.alloc(maxLen);
+  const bufferB = Buffer.alloc(maxLen);
+
+  bufferA.write(a);
+  bufferB.write(b);
+
+  try {
+    return crypto.timingSafeEqual(bufferA, bufferB);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a presented client part against a stored hash in constant time.
+ *
+ * @param {string} storedHash - Value produced by hashClientPart.
+ * @param {string} clientPart - Client part from the request.
+ * @returns {boolean} Whether the client part matches.
+ */
+function verifyClientPart(storedHash, clientPart) {
+  if (!storedHash || typeof clientPart !== 'string') {
+    return false;
+  }
+
+  const [salt, expected] = storedHash.split(':');
+  if (!salt || !expected) {
+    return false;
+  }
+
+  const actual = crypto.createHmac('sha256', salt).update(clientPart, 'utf8').digest('hex');
+  return timingSafeCompare(actual, expected);
+}
 
 /**
  * Decrypt an API key from split-key components.
  *
  * @param {string} serverPart - Hex string containing first half of ciphertext + tag + iv.
- * @param {string} decryptionSecret - Hex string used as AES-256-GCM key.
+ * @param {string} decryptionSecret - Stored secret: wrapped by the master KEK, or legacy plaintext hex.
  * @param {string} apiProvider - Provider name used as AAD during encryption.
  * @param {string} clientPart - Hex string with second half of ciphertext.
- * @returns {string} The decrypted original API key.
+ * @param {string} keyId - Split key identifier the wrapped secret is bound to.
+ * @returns {Promise<string>} The decrypted original API key.
  */
-function decryptKey(serverPart, decryptionSecret, apiProvider, clientPart) {
+async function decryptKey(serverPart, decryptionSecret, apiProvider, clientPart, keyId) {
   if (!serverPart || !decryptionSecret || !apiProvider || !clientPart) {
     throw new Error('Missing parameters for decryptKey');
   }
@@ -51,7 +119,8 @@ function decryptKey(serverPart, decryptionSecret, apiProvider, clientPart) {
   const encryptedPart2 = Buffer.from(clientPart, 'hex');
   const fullEncrypted = Buffer.concat([encryptedPart1, encryptedPart2]);
 
-  const keyBuffer = Buffer.from(decryptionSecret, 'hex');
+  const secret = await KeyEncryptionService.unwrapSecret(decryptionSecret, keyId);
+  const keyBuffer = Buffer.from(secret, 'hex');
 
   if (keyBuffer.length !== KEY_LENGTH_BYTES) {
     throw new Error('Invalid decryptionSecret length');
@@ -68,6 +137,9 @@ function decryptKey(serverPart, decryptionSecret, apiProvider, clientPart) {
 }
 
 module.exports = {
-  decryptKey
+  timingSafeCompare,
+  decryptKey,
+  hashClientPart,
+  verifyClientPart
 };
 
@@ -7,6 +7,17 @@
  * Handle Axios errors from API requests
  */
 const handleProxyError = (error, api) => {
+  // Provider circuit open: rejected without calling upstream
+  if (error.code === 'CIRCUIT_OPEN') {
+    return {
+      status: 503,
+      error: 'Service Unavailable',
+      message: error.message,
+      retryAfter: error.retryAfter,
+      api
+    };
+  }
+
   // Axios error with response
   if (error.response) {
     return {
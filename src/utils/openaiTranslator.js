@@ -0,0 +1,589 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * OpenAI Schema Translator
+ * Converts OpenAI chat completion requests/responses to and from
+ * Claude /messages and Gemini generateContent (including streaming and tool calls)
+ */
+
+const CLAUDE_DEFAULT_MAX_TOKENS = 4096;
+
+const CLAUDE_FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  pause_turn: 'stop',
+  refusal: 'content_filter'
+};
+
+const GEMINI_FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter'
+};
+
+const generateCallId = () => `call_${crypto.randomBytes(12).toString('hex')}`;
+
+const generateCompletionId = () => `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Parse a tool call `arguments` JSON string (tolerates invalid JSON)
+ */
+const parseArguments = (args) => {
+  if (args && typeof args === 'object') return args;
+  if (!args) return {};
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return { _raw: args };
+  }
+};
+
+/**
+ * Normalize OpenAI message content into a list of parts
+ */
+const contentParts = (content) => {
+  if (content === null || content === undefined) return [];
+  if (typeof content === 'string') return content ? [{ type: 'text', text: content }] : [];
+  if (Array.isArray(content)) return content;
+  return [];
+};
+
+/**
+ * Concatenate the text parts of OpenAI message content
+ */
+const contentText = (content) => contentParts(content)
+  .filter(part => part.type === 'text')
+  .map(part => part.text)
+  .join('\n');
+
+/**
+ * Split a data URL into mime type and base64 payload
+ */
+const parseDataUrl = (url) => {
+  const match = /^data:([^;,]+);base64,(.+)$/.exec(url || '');
+  return match ? { mimeType: match[1], data: match[2] } : null;
+};
+
+/**
+ * Merge consecutive messages with the same role (Claude and Gemini require alternation)
+ */
+const mergeConsecutive = (messages, key) => messages.reduce((merged, message) => {
+  const last = merged[merged.length - 1];
+  if (last && last.role === message.role) {
+    last[key] = last[key].concat(message[key]);
+  } else {
+    merged.push({ ...message, [key]: [...message[key]] });
+  }
+  return merged;
+}, []);
+
+/**
+ * Stop sequences as an array
+ */
+const stopList = (stop) => {
+  if (!stop) return undefined;
+  return Array.isArray(stop) ? stop : [stop];
+};
+
+// ==================== CLAUDE ====================
+
+const toClaudeContent = (content) => contentParts(content).map(part => {
+  if (part.type === 'image_url') {
+    const url = part.image_url && part.image_url.url;
+    const dataUrl = parseDataUrl(url);
+    return dataUrl
+      ? { type: 'image', source: { type: 'base64', media_type: dataUrl.mimeType, data: dataUrl.data } }
+      : { type: 'image', source: { type: 'url', url } };
+  }
+  return { type: 'text', text: part.text || '' };
+});
+
+const toClaudeToolChoice = (toolChoice) => {
+  if (!toolChoice) return undefined;
+  if (toolChoice === 'auto') return { type: 'auto' };
+  if (toolChoice === 'required') return { type: 'any' };
+  if (toolChoice === 'none') return { type: 'none' };
+  if (toolChoice.type === 'function' && toolChoice.function) {
+    return { type: 'tool', name: toolChoice.function.name };
+  }
+  return undefined;
+};
+
+/**
+ * OpenAI chat completion request -> Claude /messages request
+ */
+const toClaudeRequest = (body, model) => {
+  const system = [];
+  const messages = [];
+
+  for (const message of body.messages || []) {
+    if (message.role === 'system' || message.role === 'developer') {
+      system.push(contentText(message.content));
+      continue;
+    }
+
+    if (message.role === 'tool') {
+      messages.push({
+        role: 'user',
+        content: [{
+          type: 'tool_result',
+          tool_use_id: message.tool_call_id,
+          content: contentText(message.content)
+        }]
+      });
+      continue;
+    }
+
+    const content = toClaudeContent(message.content);
+
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls)) {
+      for (const call of message.tool_calls) {
+        content.push({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function.name,
+          input: parseArguments(call.function.arguments)
+        });
+      }
+    }
+
+    messages.push({ role: message.role === 'assistant' ? 'assistant' : 'user', content });
+  }
+
+  const request = {
+    model,
+    messages: mergeConsecutive(messages, 'content'),
+    max_tokens: body.max_completion_tokens || body.max_tokens || CLAUDE_DEFAULT_MAX_TOKENS
+  };
+
+  if (system.length > 0) request.system = system.join('\n\n');
+  if (body.temperature !== undefined) request.temperature = body.temperature;
+  if (body.top_p !== undefined) request.top_p = body.top_p;
+  if (body.stop) request.stop_sequences = stopList(body.stop);
+  if (body.stream === true) request.stream = true;
+  if (body.user) request.metadata = { user_id: String(body.user) };
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    request.tools = body.tools
+      .filter(tool => tool.type === 'function' && tool.function)
+      .map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters || { type: 'object', properties: {} }
+      }));
+
+    const toolChoice = toClaudeToolChoice(body.tool_choice);
+    if (toolChoice) request.tool_choice = toolChoice;
+  }
+
+  return request;
+};
+
+/**
+ * Claude /messages response -> OpenAI chat completion
+ */
+const fromClaudeResponse = (data, model) => {
+  const blocks = Array.isArray(data.content) ? data.content : [];
+  const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+  const toolCalls = blocks
+    .filter(b => b.type === 'tool_use')
+    .map(b => ({
+      id: b.id,
+      type: 'function',
+      function: { name: b.name, arguments: JSON.stringify(b.input || {}) }
+    }));
+
+  const usage = data.usage || {};
+  const promptTokens = usage.input_tokens || 0;
+  const completionTokens = usage.output_tokens || 0;
+
+  return {
+    id: data.id ? `chatcmpl-${data.id}` : generateCompletionId(),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: data.model || model,
+    choices: [{
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: text || null,
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+      },
+      finish_reason: CLAUDE_FINISH_REASONS[data.stop_reason] || 'stop'
+    }],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  };
+};
+
+// ==================== GEMINI ====================
+
+const toGeminiParts = (content) => contentParts(content).map(part => {
+  if (part.type === 'image_url') {
+    const url = part.image_url && part.image_url.url;
+    const dataUrl = parseDataUrl(url);
+    return dataUrl
+      ? { inlineData: { mimeType: dataUrl.mimeType, data: dataUrl.data } }
+      : { fileData: { fileUri: url } };
+  }
+  return { text: part.text || '' };
+});
+
+const toGeminiToolConfig = (toolChoice) => {
+  if (!toolChoice) return undefined;
+  if (toolChoice === 'auto') return { functionCallingConfig: { mode: 'AUTO' } };
+  if (toolChoice === 'required') return { functionCallingConfig: { mode: 'ANY' } };
+  if (toolChoice === 'none') return { functionCallingConfig: { mode: 'NONE' } };
+  if (toolChoice.type === 'function' && toolChoice.function) {
+    return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.function.name] } };
+  }
+  return undefined;
+};
+
+/**
+ * OpenAI chat completion request -> Gemini generateContent request
+ */
+const toGeminiRequest = (body) => {
+  const system = [];
+  const contents = [];
+  const toolNames = {}; // tool_call_id -> function name (Gemini responses are keyed by name)
+
+  for (const message of body.messages || []) {
+    if (message.role === 'system' || message.role === 'developer') {
+      system.push(contentText(message.content));
+      continue;
+    }
+
+    if (message.role === 'tool') {
+      // functionResponse.response must be an object: pass JSON objects through, wrap anything else
+      const text = contentText(message.content);
+      const parsed = parseArguments(text);
+      contents.push({
+        role: 'user',
+        parts: [{
+          functionResponse: {
+            name: toolNames[message.tool_call_id] || message.name || 'tool',
+            response: parsed._raw === undefined && !Array.isArray(parsed) ? parsed : { content: text }
+          }
+        }]
+      });
+      continue;
+    }
+
+    const parts = toGeminiParts(message.content);
+
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls)) {
+      for (const call of message.tool_calls) {
+        toolNames[call.id] = call.function.name;
+        parts.push({
+          functionCall: {
+            name: call.function.name,
+            args: parseArguments(call.function.arguments)
+          }
+        });
+      }
+    }
+
+    contents.push({ role: message.role === 'assistant' ? 'model' : 'user', parts });
+  }
+
+  const generationConfig = {};
+  if (body.temperature !== undefined) generationConfig.temperature = body.temperature;
+  if (body.top_p !== undefined) generationConfig.topP = body.top_p;
+  if (body.max_completion_tokens || body.max_tokens) {
+    generationConfig.maxOutputTokens = body.max_completion_tokens || body.max_tokens;
+  }
+  if (body.stop) generationConfig.stopSequences = stopList(body.stop);
+  if (body.n) generationConfig.candidateCount = body.n;
+  if (body.response_format && body.response_format.type === 'json_object') {
+    generationConfig.responseMimeType = 'application/json';
+  }
+
+  const request = { contents: mergeConsecutive(contents, 'parts') };
+
+  if (system.length > 0) request.systemInstruction = { parts: [{ text: system.join('\n\n') }] };
+  if (Object.keys(generationConfig).length > 0) request.generationConfig = generationConfig;
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    request.tools = [{
+      functionDeclarations: body.tools
+        .filter(tool => tool.type === 'function' && tool.function)
+        .map(tool => ({
+          name: tool.function.name,
+          description: tool.function.description,
+          ...(tool.function.parameters && { parameters: tool.function.parameters })
+        }))
+    }];
+
+    const toolConfig = toGeminiToolConfig(body.tool_choice);
+    if (toolConfig) request.toolConfig = toolConfig;
+  }
+
+  return request;
+};
+
+/**
+ * Gemini candidate -> OpenAI message fields
+ */
+const fromGeminiCandidate = (candidate) => {
+  const parts = (candidate.content && candidate.content.parts) || [];
+  const text = parts.filter(p => typeof p.text === 'string' && !p.thought).map(p => p.text).join('');
+  const toolCalls = parts
+    .filter(p => p.functionCall)
+    .map(p => ({
+      id: generateCallId(),
+      type: 'function',
+      function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) }
+    }));
+
+  let finishReason = candidate.finishReason ? (GEMINI_FINISH_REASONS[candidate.finishReason] || 'stop') : null;
+  if (toolCalls.length > 0 && finishReason === 'stop') {
+    finishReason = 'tool_calls';
+  }
+
+  return { text, toolCalls, finishReason };
+};
+
+/**
+ * Gemini generateContent response -> OpenAI chat completion
+ */
+const fromGeminiResponse = (data, model) => {
+  const candidates = Array.isArray(data.candidates) ? data.candidates : [];
+  const usage = data.usageMetadata || {};
+  const promptTokens = usage.promptTokenCount || 0;
+  const completionTokens = usage.candidatesTokenCount || 0;
+
+  return {
+    id: data.responseId ? `chatcmpl-${data.responseId}` : generateCompletionId(),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: data.modelVersion || model,
+    choices: candidates.map((candidate, index) => {
+      const { text, toolCalls, finishReason } = fromGeminiCandidate(candidate);
+      return {
+        index: candidate.index !== undefined ? candidate.index : index,
+        message: {
+          role: 'assistant',
+          content: text || null,
+          ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+        },
+        finish_reason: finishReason || 'stop'
+      };
+    }),
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: usage.totalTokenCount || promptTokens + completionTokens
+    }
+  };
+};
+
+// ==================== ERRORS ====================
+
+/**
+ * Provider error body -> OpenAI error body
+ */
+const toOpenAIError = (status, data, api) => {
+  const upstream = data && typeof data === 'object' ? data : {};
+  const message =
+    (upstream.error && upstream.error.message) ||
+    upstream.message ||
+    (typeof data === 'string' && data) ||
+    `${api.toUpperCase()} API error`;
+
+  let type = 'api_error';
+  if (status === 400 || status === 404 || status === 422) type = 'invalid_request_error';
+  if (status === 401 || status === 403) type = 'authentication_error';
+  if (status === 429) type = 'rate_limit_error';
+
+  return {
+    error: {
+      message,
+      type,
+      code: (upstream.error && (upstream.error.code || upstream.error.status || upstream.error.type)) || null,
+      provider: api
+    }
+  };
+};
+
+// ==================== STREAMING ====================
+
+/**
+ * Create a Transform that converts a Claude or Gemini SSE stream into
+ * OpenAI `chat.completion.chunk` events terminated by `data: [DONE]`
+ * @param {string} format - 'claude' | 'gemini'
+ * @param {Object} options - { model, includeUsage }
+ */
+const createChunkTranslator = (format, { model, includeUsage = false } = {}) => {
+  const decoder = new StringDecoder('utf8');
+  const id = generateCompletionId();
+  const created = Math.floor(Date.now() / 1000);
+  const state = {
+    model,
+    roleSent: false,
+    done: false,
+    promptTokens: 0,
+    completionTokens: 0,
+    toolIndexByBlock: {},
+    nextToolIndex: 0
+  };
+  let pending = '';
+
+  const chunk = (delta, finishReason = null, extra = {}) => `data: ${JSON.stringify({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model: state.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+    ...extra
+  })}\n\n`;
+
+  const withRole = (delta) => {
+    if (state.roleSent) return delta;
+    state.roleSent = true;
+    return { role: 'assistant', ...delta };
+  };
+
+  const usageChunk = () => `data: ${JSON.stringify({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model: state.model,
+    choices: [],
+    usage: {
+      prompt_tokens: state.promptTokens,
+      completion_tokens: state.completionTokens,
+      total_tokens: state.promptTokens + state.completionTokens
+    }
+  })}\n\n`;
+
+  const end = () => {
+    if (state.done) return '';
+    state.done = true;
+    return (includeUsage ? usageChunk() : '') + 'data: [DONE]\n\n';
+  };
+
+  const translateClaude = (event) => {
+    switch (event.type) {
+      case 'message_start': {
+        const message = event.message || {};
+        if (message.model) state.model = message.model;
+        state.promptTokens = (message.usage && message.usage.input_tokens) || 0;
+        return chunk(withRole({ content: '' }));
+      }
+      case 'content_block_start': {
+        const block = event.content_block || {};
+        if (block.type !== 'tool_use') return '';
+        const index = state.nextToolIndex++;
+        state.toolIndexByBlock[event.index] = index;
+        return chunk(withRole({
+          tool_calls: [{ index, id: block.id, type: 'function', function: { name: block.name, arguments: '' } }]
+        }));
+      }
+      case 'content_block_delta': {
+        const delta = event.delta || {};
+        if (delta.type === 'text_delta') {
+          return chunk(withRole({ content: delta.text }));
+        }
+        if (delta.type === 'input_json_delta') {
+          return chunk(withRole({
+            tool_calls: [{ index: state.toolIndexByBlock[event.index] || 0, function: { arguments: delta.partial_json } }]
+          }));
+        }
+        return '';
+      }
+      case 'message_delta': {
+        if (event.usage && event.usage.output_tokens) state.completionTokens = event.usage.output_tokens;
+        const stopReason = event.delta && event.delta.stop_reason;
+        return stopReason ? chunk({}, CLAUDE_FINISH_REASONS[stopReason] || 'stop') : '';
+      }
+      case 'message_stop':
+        return end();
+      case 'error':
+        return `data: ${JSON.stringify(toOpenAIError(500, event, 'claude'))}\n\n`;
+      default:
+        return '';
+    }
+  };
+
+  const translateGemini = (event) => {
+    if (event.modelVersion) state.model = event.modelVersion;
+    if (event.usageMetadata) {
+      state.promptTokens = event.usageMetadata.promptTokenCount || 0;
+      state.completionTokens = event.usageMetadata.candidatesTokenCount || 0;
+    }
+
+    const candidate = Array.isArray(event.candidates) ? event.candidates[0] : null;
+    if (!candidate) return '';
+
+    const { text, toolCalls, finishReason } = fromGeminiCandidate(candidate);
+    let out = '';
+
+    if (text) {
+      out += chunk(withRole({ content: text }));
+    }
+
+    if (toolCalls.length > 0) {
+      out += chunk(withRole({
+        tool_calls: toolCalls.map(call => ({ index: state.nextToolIndex++, ...call }))
+      }));
+    }
+
+    if (finishReason) {
+      out += chunk(withRole({}), state.nextToolIndex > 0 && finishReason === 'stop' ? 'tool_calls' : finishReason);
+    }
+
+    return out;
+  };
+
+  const translateLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return '';
+
+    const payload = trimmed.slice(5).trim();
+    if (!payload || payload === '[DONE]') return '';
+
+    try {
+      const event = JSON.parse(payload);
+      return format === 'claude' ? translateClaude(event) : translateGemini(event);
+    } catch (error) {
+      return '';
+    }
+  };
+
+  return new Transform({
+    transform(data, encoding, callback) {
+      const text = pending + decoder.write(data);
+      const lines = text.split('\n');
+      pending = lines.pop();
+
+      const out = lines.map(translateLine).join('');
+      callback(null, out || undefined);
+    },
+
+    flush(callback) {
+      const out = (pending ? translateLine(pending) : '') + end();
+      callback(null, out);
+    }
+  });
+};
+
+module.exports = {
+  toClaudeRequest,
+  fromClaudeResponse,
+  toGeminiRequest,
+  fromGeminiResponse,
+  toOpenAIError,
+  createChunkTranslator
+};
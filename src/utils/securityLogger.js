@@ -186,7 +186,7 @@ const logSSRFAttempt = (url, ip, reason) => {
  */
 const logTokenBlacklist = (action, userId, tokenId, ip) => {
   logSecurityEvent('TOKEN_BLACKLIST', {
-    action, // 'add', 'check'
+    action, // 'add', 'check', 'revoke_all'
     userId,
     tokenId,
     ip,
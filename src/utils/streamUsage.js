@@ -0,0 +1,161 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Stream Usage Tap
+ * Inspects SSE responses as they pass through the proxy and collects token usage
+ * Chunks are forwarded to the client immediately; only the current partial line is kept
+ *
+ * Supported formats:
+ * - OpenAI-compatible: final chunk with `usage` (stream_options.include_usage)
+ * - Claude: `message_start` (input tokens) + `message_delta` (cumulative output tokens)
+ * - Gemini: `usageMetadata` on each chunk (last one wins)
+ */
+
+const MAX_LINE_LENGTH = 1024 * 1024; // 1MB, drop anything longer
+
+/**
+ * Merge a parsed SSE event payload into the collected usage state
+ */
+const collectEvent = (api, event, state) => {
+  if (!event || typeof event !== 'object') return;
+
+  if (api === 'claude') {
+    if (event.type === 'message_start' && event.message) {
+      if (event.message.model) state.model = event.message.model;
+      const usage = event.message.usage || {};
+      state.inputTokens = usage.input_tokens || state.inputTokens;
+      state.outputTokens = Math.max(state.outputTokens, usage.output_tokens || 0);
+    } else if (event.type === 'message_delta' && event.usage) {
+      state.outputTokens = Math.max(state.outputTokens, event.usage.output_tokens || 0);
+      if (event.usage.input_tokens) state.inputTokens = event.usage.input_tokens;
+    }
+    return;
+  }
+
+  if (api === 'gemini') {
+    if (event.modelVersion) state.model = event.modelVersion;
+    if (event.usageMetadata) {
+      state.inputTokens = event.usageMetadata.promptTokenCount || 0;
+      state.outputTokens = event.usageMetadata.candidatesTokenCount || 0;
+      state.totalTokens = event.usageMetadata.totalTokenCount || 0;
+    }
+    return;
+  }
+
+  // OpenAI-compatible
+  if (event.model) state.model = event.model;
+  if (event.usage) {
+    state.inputTokens = event.usage.prompt_tokens || 0;
+    state.outputTokens = event.usage.completion_tokens || 0;
+    state.totalTokens = event.usage.total_tokens || 0;
+  }
+};
+
+/**
+ * Convert collected state into the provider's non-streaming response shape
+ * so UsageTrackingService.extractUsage can price it
+ */
+const toResponseData = (api, state) => {
+  if (!state.inputTokens && !state.outputTokens && !state.totalTokens) {
+    return state.model ? { model: state.model } : null;
+  }
+
+  if (api === 'claude') {
+    return {
+      model: state.model,
+      usage: {
+        input_tokens: state.inputTokens,
+        output_tokens: state.outputTokens
+      }
+    };
+  }
+
+  if (api === 'gemini') {
+    return {
+      modelVersion: state.model,
+      usageMetadata: {
+        promptTokenCount: state.inputTokens,
+        candidatesTokenCount: state.outputTokens,
+        totalTokenCount: state.totalTokens || state.inputTokens + state.outputTokens
+      }
+    };
+  }
+
+  return {
+    model: state.model,
+    usage: {
+      prompt_tokens: state.inputTokens,
+      completion_tokens: state.outputTokens,
+      total_tokens: state.totalTokens || state.inputTokens + state.outputTokens
+    }
+  };
+};
+
+/**
+ * Create a pass-through stream that collects usage from SSE events
+ * @param {string} api - Provider name
+ * @param {Function} onFinish - Called once with provider-shaped usage data (or null)
+ * @returns {Transform} Stream with a `finish()` method for early termination (client abort)
+ */
+const createStreamUsageTap = (api, onFinish) => {
+  const state = { model: null, inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let finished = false;
+
+  const processLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+
+    const payload = trimmed.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+
+    try {
+      collectEvent(api, JSON.parse(payload), state);
+    } catch (error) {
+      // Not JSON (or split across chunks in an unexpected way) - ignore
+    }
+  };
+
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    if (pending) {
+      processLine(pending);
+      pending = '';
+    }
+    try {
+      onFinish(toResponseData(api, state));
+    } catch (error) {
+      console.error('Stream usage callback error:', error);
+    }
+  };
+
+  const tap = new Transform({
+    transform(chunk, encoding, callback) {
+      const text = pending + decoder.write(chunk);
+      const lines = text.split('\n');
+      pending = lines.pop();
+
+      if (pending.length > MAX_LINE_LENGTH) {
+        pending = '';
+      }
+
+      lines.forEach(processLine);
+      callback(null, chunk);
+    },
+
+    flush(callback) {
+      finish();
+      callback();
+    }
+  });
+
+  tap.finish = finish;
+  return tap;
+};
+
+module.exports = {
+  createStreamUsageTap
+};
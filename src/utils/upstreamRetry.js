@@ -0,0 +1,135 @@
+const config = require('../config/env');
+
+/**
+ * Upstream Retry
+ * Retries upstream calls that failed in a way that is safe to repeat:
+ * - connection resets / refused connections (no response was received)
+ * - 502, 503 and 529 (overloaded)
+ * - 429 when the provider says when to come back (Retry-After)
+ *
+ * Delays grow exponentially with full jitter; a Retry-After header is honored as given.
+ * Each request gets one budget (retries and total waiting time) shared by all of its
+ * upstream calls, including fallback providers. Enable with UPSTREAM_RETRY_ENABLED=true.
+ */
+
+const RETRYABLE_STATUSES = [502, 503, 529];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retry-After header (seconds or HTTP date) in milliseconds, null when absent or invalid
+ */
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return seconds >= 0 ? seconds * 1000 : null;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Release an upstream response that will not be forwarded (streams keep the socket open)
+ */
+const discardResponse = (response) => {
+  if (response && response.data && typeof response.data.destroy === 'function') {
+    response.data.destroy();
+  }
+};
+
+/**
+ * Network error without a response that is safe to retry (timeouts are not: the call may still run)
+ */
+const isRetryableError = (error) =>
+  !!error && !error.response && RETRYABLE_ERROR_CODES.includes(error.code);
+
+/**
+ * Retry budget for one client request
+ */
+const createRetryBudget = () => ({
+  retriesLeft: config.upstreamRetry.enabled ? config.upstreamRetry.maxRetries : 0,
+  waitMsLeft: config.upstreamRetry.budgetMs
+});
+
+/**
+ * Backoff before retry number `retry` (1-based): random in [0, min(maxDelay, base * 2^(retry - 1))]
+ */
+const getBackoffDelay = (retry) => {
+  const { baseDelayMs, maxDelayMs } = config.upstreamRetry;
+  const cap = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, retry - 1));
+  return Math.floor(Math.random() * cap);
+};
+
+/**
+ * Delay before retrying an attempt's outcome, or null when it must not be retried
+ * @param {Object|null} response - Upstream response
+ * @param {Error|null} error - Network error when there is no response
+ * @param {number} retry - Number of the retry that would follow (1-based)
+ * @param {boolean} ignoreRetryAfter - The retry goes elsewhere (e.g. another server key)
+ */
+const getRetryDelay = (response, error, retry, ignoreRetryAfter = false) => {
+  if (!response) {
+    return isRetryableError(error) ? getBackoffDelay(retry) : null;
+  }
+
+  if (response.status === 429) {
+    if (ignoreRetryAfter) return getBackoffDelay(retry);
+    return parseRetryAfter(response.headers && response.headers['retry-after']);
+  }
+
+  return RETRYABLE_STATUSES.includes(response.status) ? getBackoffDelay(retry) : null;
+};
+
+/**
+ * Send an upstream request, retrying retryable failures while the budget allows
+ * @param {Function} send - async (attempt) => axios response; throws on network errors
+ * @param {Object} budget - From createRetryBudget(), shared by all upstream calls of a request
+ * @param {Object} [options]
+ * @param {Function} [options.ignoreRetryAfter] - () => boolean, true when a 429 retry will not hit the same key
+ * @returns {Promise<{ response: Object|null, error: Error|null, attempts: number }>}
+ */
+const sendWithRetry = async (send, budget, { ignoreRetryAfter = () => false } = {}) => {
+  let attempts = 0;
+
+  for (;;) {
+    attempts++;
+    let response = null;
+    let error = null;
+
+    try {
+      response = await send(attempts);
+    } catch (sendError) {
+      error = sendError;
+    }
+
+    if (budget.retriesLeft <= 0) {
+      return { response, error, attempts };
+    }
+
+    const delay = getRetryDelay(response, error, attempts, response && response.status === 429 && ignoreRetryAfter());
+    if (delay === null || delay > budget.waitMsLeft) {
+      return { response, error, attempts };
+    }
+
+    budget.retriesLeft--;
+    budget.waitMsLeft -= delay;
+    discardResponse(response);
+
+    console.warn(`🔁 Retrying upstream request (${response ? response.status : error.code}) in ${delay}ms, attempt ${attempts + 1}`);
+    await sleep(delay);
+  }
+};
+
+module.exports = {
+  RETRYABLE_STATUSES,
+  parseRetryAfter,
+  discardResponse,
+  isRetryableError,
+  createRetryBudget,
+  getRetryDelay,
+  sendWithRetry
+};
@@ -1,12 +1,44 @@
+const ModelPolicyModel = require('../models/ModelPolicy');
+const AppModel = require('../models/App');
+const config = require('../config/env');
+const PricingService = require('../services/pricing');
+const { getBodyPolicy } = require('../config/apis');
+const { logSecurityEvent, logFailedAuth } = require('./securityLogger');
+
 /**
  * Request Validation Utilities
  * Validates incoming requests for proper format and required fields
  */
 
+/**
+ * Check the requested model against the app/user model policies
+ * Blocked requests are logged; rules are kept on req.modelPolicyRules so later
+ * stages (fallbacks) can reuse them
+ * @returns {Promise<{ allowed: boolean, reason: string|null }>}
+ */
+const checkModelPolicy = async (req, api, model) => {
+  const policy = await ModelPolicyModel.isAllowed(req.user, api, model);
+  req.modelPolicyRules = policy.rules;
+
+  if (!policy.allowed) {
+    logSecurityEvent('MODEL_POLICY_BLOCKED', {
+      userId: req.user.userId,
+      appId: req.user.appId,
+      ip: req.ip,
+      api,
+      model,
+      ruleId: policy.rule ? policy.rule.id : null,
+      severity: 'low'
+    });
+  }
+
+  return { allowed: policy.allowed, reason: policy.reason };
+};
+
 /**
  * Validate API request structure
  */
-const validateProxyRequest = (req, res, next) => {
+const validateProxyRequest = async (req, res, next) => {
   const { body, params, method, query } = req;
   const { api } = params;
 
@@ -48,17 +80,35 @@ const validateProxyRequest = (req, res, next) => {
         message: 'For GET requests, endpoint must be provided in query string as ?endpoint=/path'
       });
     }
-    return next();
-  }
-
-  // For non-GET, require a body
-  if (!body || Object.keys(body).length === 0) {
+  } else if (!body || Object.keys(body).length === 0) {
+    // For non-GET, require a body
     return res.status(400).json({
       error: 'Invalid request',
       message: 'Request body is required'
     });
   }
 
+  // Model allow/deny policies (per app and per user)
+  try {
+    const endpoint = (body && body.endpoint) || query.endpoint;
+    const model = PricingService.resolveModel(api, endpoint, method === 'GET' ? query : body);
+    const policy = await checkModelPolicy(req, api, model);
+    if (!policy.allowed) {
+      return res.status(403).json({
+        error: 'Model Not Allowed',
+        message: policy.reason,
+        model,
+        api
+      });
+    }
+  } catch (error) {
+    console.error('Model policy check error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to check model policy'
+    });
+  }
+
   next();
 };
 
@@ -87,8 +137,10 @@ const validateEndpoint = (endpoint) => {
 
 /**
  * Validate auth request
+ * Registered apps must prove ownership with X-App-Secret, or with
+ * X-App-Timestamp + X-App-Signature (see AppModel.verifySignature)
  */
-const validateAuthRequest = (req, res, next) => {
+const validateAuthRequest = async (req, res, next) => {
   const { userId, appId } = req.body;
 
   if (!userId || !appId) {
@@ -115,7 +167,59 @@ const validateAuthRequest = (req, res, next) => {
     });
   }
 
-  next();
+  const ip = req.clientIp || req.ip || 'unknown';
+
+  try {
+    const app = await AppModel.findByAppId(appId);
+
+    if (!app) {
+      if (config.appAuth.required) {
+        logFailedAuth('app', appId, ip, 'Unregistered app');
+        return res.status(401).json({
+          error: 'Unknown app',
+          message: 'appId is not registered'
+        });
+      }
+      return next();
+    }
+
+    if (!app.active) {
+      logFailedAuth('app', appId, ip, 'App is disabled');
+      return res.status(403).json({
+        error: 'App disabled',
+        message: 'This app has been disabled'
+      });
+    }
+
+    const secret = req.headers['x-app-secret'];
+    const signature = req.headers['x-app-signature'];
+    const authenticated = secret
+      ? AppModel.verifySecret(app, secret)
+      : await AppModel.verifySignature(app, {
+        timestamp: req.headers['x-app-timestamp'],
+        nonce: req.headers['x-app-nonce'],
+        signature,
+        userId,
+        appId
+      }, config.appAuth.signatureToleranceSeconds);
+
+    if (!authenticated) {
+      logFailedAuth('app', appId, ip, secret || signature ? 'Invalid app credentials' : 'Missing app credentials');
+      return res.status(401).json({
+        error: 'Invalid app credentials',
+        message: 'Provide X-App-Secret, or X-App-Timestamp, X-App-Nonce and X-App-Signature'
+      });
+    }
+
+    req.registeredApp = app;
+    next();
+  } catch (error) {
+    console.error('App authentication error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to authenticate app'
+    });
+  }
 };
 
 /**
@@ -133,8 +237,111 @@ const sanitizeBody = (body) => {
   return sanitized;
 };
 
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((acc, key) => acc[key], obj);
+  parent[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Apply the declarative body policy (config/apis.js) for a provider endpoint
+ * Clamped fields are rewritten on a copy of the body; rejections are logged as security events
+ * @returns {{ body: object, clamped: string[], violation: { field: string, message: string, limit: number }|null }}
+ */
+const enforceBodyPolicy = (req, api, endpoint, body) => {
+  const result = { body, clamped: [], violation: null };
+  const policy = getBodyPolicy(api, endpoint);
+  if (!policy || !body) {
+    return result;
+  }
+
+  const reject = (field, message, limit, value) => {
+    result.violation = { field, message, limit };
+    logSecurityEvent('REQUEST_POLICY_VIOLATION', {
+      userId: req.user && req.user.userId,
+      ip: req.ip,
+      api,
+      endpoint,
+      field,
+      value,
+      limit,
+      severity: 'medium'
+    });
+    return result;
+  };
+
+  if (policy.maxPayloadBytes) {
+    const size = Buffer.byteLength(JSON.stringify(body));
+    if (size > policy.maxPayloadBytes) {
+      return reject('payload', `Request body is ${size} bytes; the limit is ${policy.maxPayloadBytes} bytes`, policy.maxPayloadBytes, size);
+    }
+  }
+
+  const clamp = (field, value) => {
+    if (result.body === body) {
+      result.body = structuredClone(body);
+    }
+    setPath(result.body, field, value);
+    result.clamped.push(field);
+  };
+
+  for (const [field, rule] of Object.entries(policy.fields)) {
+    const value = getPath(body, field);
+
+    if (value === undefined) {
+      continue;
+    }
+
+    // Values of the wrong type cannot be checked or clamped (and providers may coerce them)
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    if (rule.maxItems !== undefined && rule.allowString && type === 'string') {
+      continue;
+    }
+
+    if (rule.maxItems !== undefined && !Array.isArray(value)) {
+      return reject(field, `${field} must be an array`, rule.maxItems, type);
+    }
+
+    if ((rule.max !== undefined || rule.min !== undefined) && !Number.isFinite(value)) {
+      return reject(field, `${field} must be a number`, rule.max !== undefined ? rule.max : rule.min, type);
+    }
+
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      if (rule.action !== 'clamp') {
+        return reject(field, `${field} has ${value.length} items; the maximum is ${rule.maxItems}`, rule.maxItems, value.length);
+      }
+      // Keep a leading system message and the most recent items
+      const head = value[0] && value[0].role === 'system' ? [value[0]] : [];
+      clamp(field, [...head, ...value.slice(value.length - (rule.maxItems - head.length))]);
+      continue;
+    }
+
+    if (typeof value !== 'number') {
+      continue;
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+      if (rule.action !== 'clamp') {
+        return reject(field, `${field} must be at most ${rule.max}`, rule.max, value);
+      }
+      clamp(field, rule.max);
+    } else if (rule.min !== undefined && value < rule.min) {
+      if (rule.action !== 'clamp') {
+        return reject(field, `${field} must be at least ${rule.min}`, rule.min, value);
+      }
+      clamp(field, rule.min);
+    }
+  }
+
+  return result;
+};
+
 module.exports = {
   validateProxyRequest,
+  checkModelPolicy,
+  enforceBodyPolicy,
   validateEndpoint,
   validateAuthRequest,
   sanitizeBody
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook Signatures
+ * Outgoing webhooks are signed Stripe-style; receivers verify with verifyWebhookSignature.
+ *
+ *   X-Webhook-Id:        evt_<hex>  (same on every retry, use it to drop duplicates)
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex>[,v1=<hex>]
+ *
+ * v1 = hex(HMAC-SHA256(secret, "<timestamp>.<raw body>")). While a secret is being rotated
+ * the payload is signed with both the new and the previous secret, so a receiver holding
+ * either one accepts it.
+ *
+ * This file only depends on Node's crypto module, so receivers can copy it as is.
+ */
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Generate a webhook signing secret
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * Generate an event ID
+ */
+const generateEventId = () => `evt_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" as hex
+ */
+const computeSignature = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Build the X-Webhook-Signature header value
+ * @param {string[]} secrets - Active secrets (current first)
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Exact request body
+ */
+const buildSignatureHeader = (secrets, timestamp, body) =>
+  [`t=${timestamp}`, ...secrets.map(secret => `v1=${computeSignature(secret, timestamp, body)}`)].join(',');
+
+/**
+ * Parse "t=...,v1=...,v1=..." into { timestamp, signatures }
+ */
+const parseSignatureHeader = (header) => {
+  const parsed = { timestamp: null, signatures: [] };
+  if (typeof header !== 'string') return parsed;
+
+  header.split(',').forEach(part => {
+    const [key, value] = part.trim().split('=');
+    if (key === 't' && /^\d+$/.test(value || '')) parsed.timestamp = parseInt(value, 10);
+    if (key === 'v1' && /^[0-9a-f]{64}$/.test(value || '')) parsed.signatures.push(value);
+  });
+
+  return parsed;
+};
+
+/**
+ * Verify a signed webhook request
+ * @param {Object} params
+ * @param {string|Buffer} params.payload - Raw request body, exactly as received
+ * @param {string} params.header - X-Webhook-Signature value
+ * @param {string|string[]} params.secret - Secret(s) the receiver accepts
+ * @param {number} [params.toleranceSeconds=300] - Max age (and clock skew) of the timestamp
+ * @returns {{ valid: boolean, error?: string, timestamp?: number }}
+ */
+const verifyWebhookSignature = ({ payload, header, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) => {
+  const { timestamp, signatures } = parseSignatureHeader(header);
+
+  if (timestamp === null || signatures.length === 0) {
+    return { valid: false, error: 'Missing or malformed signature header' };
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) {
+    return { valid: false, error: 'Timestamp outside the tolerance window', timestamp };
+  }
+
+  const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload);
+  const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+
+  const matches = secrets.some(candidate => {
+    const expected = Buffer.from(computeSignature(candidate, timestamp, body), 'hex');
+    return signatures.some(signature => crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex')));
+  });
+
+  return matches
+    ? { valid: true, timestamp }
+    : { valid: false, error: 'No signature matches', timestamp };
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  generateWebhookSecret,
+  generateEventId,
+  computeSignature,
+  buildSignatureHeader,
+  parseSignatureHeader,
+  verifyWebhookSignature
+};
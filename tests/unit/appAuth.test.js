@@ -0,0 +1,300 @@
+jest.mock('../../src/db/client', () => ({
+  app: {
+    findUnique: jest.fn(),
+    update: jest.fn()
+  },
+  user: {
+    findUnique: jest.fn()
+  },
+  refreshToken: {
+    create: jest.fn()
+  }
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../../src/db/client');
+const config = require('../../src/config/env');
+const AppModel = require('../../src/models/App');
+const KeyEncryptionService = require('../../src/services/keyEncryption');
+const { validateAuthRequest } = require('../../src/utils/validator');
+const { authenticateToken, generateToken } = require('../../src/middleware/auth');
+const tokenBlacklist = require('../../src/services/tokenBlacklist');
+
+describe('App Registration', () => {
+  const secret = `as_${'ab'.repeat(32)}`;
+  const secretHash = crypto.createHash('sha256').update(secret).digest('hex');
+  const app = {
+    appId: 'mobile-app',
+    active: true,
+    secretHash,
+    tokensValidAfter: null,
+    defaultDailyQuota: 500,
+    defaultMonthlyQuota: 10000,
+    defaultDailyTokenQuota: 100000,
+    defaultMonthlyTokenQuota: null,
+    defaultDailyCostQuota: null,
+    defaultMonthlyCostQuota: 25
+  };
+  const originalRequired = config.appAuth.required;
+
+  const sign = (timestamp, nonce, userId = 'user-1', appId = 'mobile-app') =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${userId}.${appId}`).digest('hex');
+
+  const newNonce = () => crypto.randomBytes(16).toString('hex');
+
+  beforeAll(async () => {
+    app.signingKey = (await KeyEncryptionService.wrapSecret('ab'.repeat(32), 'app:mobile-app')).wrapped;
+  });
+
+  const mockRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const runAuthRequest = async (headers = {}, body = { userId: 'user-1', appId: 'mobile-app' }) => {
+    const req = { body, headers, ip: '127.0.0.1' };
+    const res = mockRes();
+    const next = jest.fn();
+    await validateAuthRequest(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeEach(() => {
+    config.appAuth.required = true;
+    AppModel.clearCache();
+  });
+
+  afterAll(() => {
+    config.appAuth.required = originalRequired;
+  });
+
+  describe('credentials', () => {
+    test('should verify the app secret', () => {
+      expect(AppModel.verifySecret(app, secret)).toBe(true);
+      expect(AppModel.verifySecret(app, 'as_wrong')).toBe(false);
+      expect(AppModel.verifySecret(app, undefined)).toBe(false);
+    });
+
+    test('should verify HMAC signatures within the tolerance window', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const request = { userId: 'user-1', appId: 'mobile-app' };
+      const nonce = newNonce();
+
+      expect(await AppModel.verifySignature(app, { ...request, userId: 'user-2', timestamp: now, nonce, signature: sign(now, nonce) })).toBe(false);
+      expect(await AppModel.verifySignature(app, { ...request, timestamp: now - 600, nonce, signature: sign(now - 600, nonce) })).toBe(false);
+      expect(await AppModel.verifySignature(app, { ...request, timestamp: now, nonce, signature: 'not-hex' })).toBe(false);
+      expect(await AppModel.verifySignature(app, { ...request, timestamp: now, nonce: 'short', signature: sign(now, 'short') })).toBe(false);
+      expect(await AppModel.verifySignature(app, { ...request, timestamp: now, nonce, signature: sign(now, nonce) })).toBe(true);
+    });
+
+    test('should not accept the hash of the secret as signing key', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const nonce = newNonce();
+      const forged = crypto.createHmac('sha256', secretHash).update(`${now}.${nonce}.user-1.mobile-app`).digest('hex');
+
+      expect(await AppModel.verifySignature(app, { userId: 'user-1', appId: 'mobile-app', timestamp: now, nonce, signature: forged })).toBe(false);
+    });
+
+    test('should reject replayed nonces', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const nonce = newNonce();
+      const signed = { userId: 'user-1', appId: 'mobile-app', timestamp: now, nonce, signature: sign(now, nonce) };
+
+      expect(await AppModel.verifySignature(app, signed)).toBe(true);
+      expect(await AppModel.verifySignature(app, signed)).toBe(false);
+    });
+
+    test('should not verify signatures of apps without a signing key', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const nonce = newNonce();
+
+      expect(await AppModel.verifySignature({ ...app, signingKey: null }, {
+        userId: 'user-1', appId: 'mobile-app', timestamp: now, nonce, signature: sign(now, nonce)
+      })).toBe(false);
+    });
+
+    test('should map app defaults to user quotas', () => {
+      expect(AppModel.getUserDefaults(app)).toEqual({
+        dailyQuota: 500,
+        monthlyQuota: 10000,
+        dailyTokenQuota: 100000,
+        monthlyTokenQuota: null,
+        dailyCostQuota: null,
+        monthlyCostQuota: 25
+      });
+      expect(AppModel.getUserDefaults(null)).toEqual({});
+    });
+  });
+
+  describe('validateAuthRequest', () => {
+    test('should accept a valid secret and attach the app', async () => {
+      prisma.app.findUnique.mockResolvedValue(app);
+
+      const { req, next } = await runAuthRequest({ 'x-app-secret': secret });
+
+      expect(next).toHaveBeenCalled();
+      expect(req.registeredApp).toBe(app);
+    });
+
+    test('should accept a valid signature', async () => {
+      prisma.app.findUnique.mockResolvedValue(app);
+      const now = Math.floor(Date.now() / 1000);
+      const nonce = newNonce();
+      const headers = { 'x-app-timestamp': String(now), 'x-app-nonce': nonce, 'x-app-signature': sign(now, nonce) };
+
+      expect((await runAuthRequest(headers)).next).toHaveBeenCalled();
+      expect((await runAuthRequest(headers)).res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should reject missing or wrong credentials', async () => {
+      prisma.app.findUnique.mockResolvedValue(app);
+
+      const missing = await runAuthRequest();
+      expect(missing.next).not.toHaveBeenCalled();
+      expect(missing.res.status).toHaveBeenCalledWith(401);
+
+      const wrong = await runAuthRequest({ 'x-app-secret': 'as_wrong' });
+      expect(wrong.res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should reject disabled apps', async () => {
+      prisma.app.findUnique.mockResolvedValue({ ...app, active: false });
+
+      const { res } = await runAuthRequest({ 'x-app-secret': secret });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should only allow unregistered apps when registration is not required', async () => {
+      prisma.app.findUnique.mockResolvedValue(null);
+
+      expect((await runAuthRequest()).res.status).toHaveBeenCalledWith(401);
+
+      config.appAuth.required = false;
+      expect((await runAuthRequest()).next).toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticateToken', () => {
+    const runToken = async (token) => {
+      const req = { headers: { authorization: `Bearer ${token}` }, ip: '127.0.0.1' };
+      const res = mockRes();
+      await new Promise((resolve) => {
+        res.json = jest.fn(() => { resolve(); return res; });
+        authenticateToken(req, res, resolve);
+      });
+      return { req, res };
+    };
+
+    test('should accept tokens of active apps', async () => {
+      prisma.app.findUnique.mockResolvedValue(app);
+
+      const { req, res } = await runToken(generateToken({ userId: 'user-1', appId: 'mobile-app' }));
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(req.user.appId).toBe('mobile-app');
+    });
+
+    test('should reject tokens issued before the app revoked its tokens', async () => {
+      prisma.app.findUnique.mockResolvedValue({ ...app, tokensValidAfter: new Date(Date.now() + 1000) });
+
+      const { res } = await runToken(generateToken({ userId: 'user-1', appId: 'mobile-app' }));
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error).toBe('Token Revoked');
+    });
+
+    test('should answer 503 when the revocation store is unavailable', async () => {
+      const store = tokenBlacklist.getStore();
+      tokenBlacklist.setStore({ get: jest.fn().mockRejectedValue(new Error('Connection refused')), getCutoffs: jest.fn() });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        const { req, res } = await runToken(generateToken({ userId: 'user-1', appId: 'mobile-app' }));
+
+        expect(res.status).toHaveBeenCalledWith(503);
+        expect(req.user).toBeUndefined();
+      } finally {
+        tokenBlacklist.setStore(store);
+      }
+    });
+
+    test('should reject tokens issued in the same second the app revoked its tokens', () => {
+      const iat = Math.floor(Date.now() / 1000);
+
+      expect(AppModel.isTokenValid({ ...app, tokensValidAfter: new Date(iat * 1000 + 100) }, { iat })).toBe(false);
+      expect(AppModel.isTokenValid({ ...app, tokensValidAfter: new Date(iat * 1000) }, { iat })).toBe(true);
+    });
+
+    test('should reject tokens of disabled apps', async () => {
+      prisma.app.findUnique.mockResolvedValue({ ...app, active: false });
+
+      const { res } = await runToken(generateToken({ userId: 'user-1', appId: 'mobile-app' }));
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('delete', () => {
+    test('should keep rejecting the appId and its tokens after the app is deleted', async () => {
+      const token = generateToken({ userId: 'user-1', appId: 'mobile-app' });
+      prisma.app.update.mockImplementation(async ({ where, data }) => ({ ...app, ...where, ...data }));
+
+      const deleted = await AppModel.delete('mobile-app');
+
+      expect(prisma.app.update.mock.calls[0][0].where).toEqual({ appId: 'mobile-app', deletedAt: null });
+      expect(deleted).toMatchObject({ active: false, signingKey: null });
+      expect(deleted.deletedAt).toBeInstanceOf(Date);
+
+      // Registration not required: a removed row would make the appId an open, unregistered app again
+      config.appAuth.required = false;
+      prisma.app.findUnique.mockResolvedValue(deleted);
+
+      const tokenRequest = await runAuthRequest();
+      expect(tokenRequest.next).not.toHaveBeenCalled();
+      expect(tokenRequest.res.status).toHaveBeenCalledWith(403);
+
+      const req = { headers: { authorization: `Bearer ${token}` }, ip: '127.0.0.1' };
+      const res = mockRes();
+      await new Promise((resolve) => {
+        res.json = jest.fn(() => { resolve(); return res; });
+        authenticateToken(req, res, resolve);
+      });
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(req.user).toBeUndefined();
+    });
+  });
+
+  describe('POST /auth/token', () => {
+    const server = express().use(express.json()).use('/auth', require('../../src/routes/auth'));
+
+    beforeEach(() => {
+      prisma.app.findUnique.mockResolvedValue(app);
+      prisma.refreshToken.create.mockResolvedValue({ id: 'rt-row' });
+    });
+
+    test('should issue tokens for users of the calling app', async () => {
+      prisma.user.findUnique.mockResolvedValue({ userId: 'user-1', appId: 'mobile-app', createdAt: new Date(0) });
+
+      const res = await request(server).post('/auth/token').set('X-App-Secret', secret)
+        .send({ userId: 'user-1', appId: 'mobile-app' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.appId).toBe('mobile-app');
+    });
+
+    test('should not issue tokens for users of another app', async () => {
+      prisma.user.findUnique.mockResolvedValue({ userId: 'user-1', appId: 'other-app', createdAt: new Date(0) });
+
+      const res = await request(server).post('/auth/token').set('X-App-Secret', secret)
+        .send({ userId: 'user-1', appId: 'mobile-app' });
+
+      expect(res.status).toBe(403);
+      expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+    });
+  });
+});
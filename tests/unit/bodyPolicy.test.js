@@ -0,0 +1,94 @@
+jest.mock('../../src/db/client', () => ({}));
+
+jest.mock('../../src/utils/securityLogger', () => ({
+  logSecurityEvent: jest.fn()
+}));
+
+const { logSecurityEvent } = require('../../src/utils/securityLogger');
+const { getBodyPolicy } = require('../../src/config/apis');
+const { enforceBodyPolicy } = require('../../src/utils/validator');
+
+describe('Request Body Policies', () => {
+  const req = { user: { userId: 'policy-user' }, ip: '127.0.0.1' };
+
+  describe('getBodyPolicy', () => {
+    test('should resolve policies by exact and suffix endpoint match', () => {
+      expect(getBodyPolicy('openai', '/chat/completions').fields.n).toEqual({ min: 1, max: 4, action: 'reject' });
+      expect(getBodyPolicy('gemini', '/models/gemini-2.5-flash:generateContent').fields).toHaveProperty('contents');
+      expect(getBodyPolicy('gemini', '/models/gemini-2.5-flash:streamGenerateContent')).not.toBeNull();
+      expect(getBodyPolicy('openai', '/models')).toBeNull();
+      expect(getBodyPolicy('openmeteo', '/forecast')).toBeNull();
+    });
+  });
+
+  describe('enforceBodyPolicy', () => {
+    test('should clamp max_tokens without mutating the original body', () => {
+      const body = { model: 'gpt-4o', max_tokens: 200000, messages: [{ role: 'user', content: 'hi' }] };
+
+      const result = enforceBodyPolicy(req, 'openai', '/chat/completions', body);
+
+      expect(result.violation).toBeNull();
+      expect(result.clamped).toEqual(['max_tokens']);
+      expect(result.body.max_tokens).toBe(16384);
+      expect(body.max_tokens).toBe(200000);
+      expect(logSecurityEvent).not.toHaveBeenCalled();
+    });
+
+    test('should clamp nested Gemini fields', () => {
+      const body = { contents: [], generationConfig: { maxOutputTokens: 100000, temperature: 0.5 } };
+
+      const result = enforceBodyPolicy(req, 'gemini', '/models/gemini-2.5-pro:generateContent', body);
+
+      expect(result.body.generationConfig).toEqual({ maxOutputTokens: 32768, temperature: 0.5 });
+    });
+
+    test('should reject n above the limit and log a security event', () => {
+      const result = enforceBodyPolicy(req, 'openai', '/chat/completions', { model: 'gpt-4o', n: 50, messages: [] });
+
+      expect(result.violation).toEqual({ field: 'n', message: 'n must be at most 4', limit: 4 });
+      expect(logSecurityEvent).toHaveBeenCalledWith('REQUEST_POLICY_VIOLATION', expect.objectContaining({
+        userId: 'policy-user',
+        api: 'openai',
+        field: 'n',
+        value: 50,
+        limit: 4
+      }));
+    });
+
+    test('should reject out-of-range temperature and too many messages', () => {
+      expect(enforceBodyPolicy(req, 'claude', '/messages', { temperature: 1.5, messages: [] }).violation.field)
+        .toBe('temperature');
+
+      const messages = Array.from({ length: 300 }, () => ({ role: 'user', content: 'x' }));
+      expect(enforceBodyPolicy(req, 'groq', '/chat/completions', { messages }).violation.message)
+        .toBe('messages has 300 items; the maximum is 256');
+    });
+
+    test('should reject values of the wrong type instead of skipping their rules', () => {
+      expect(enforceBodyPolicy(req, 'openai', '/chat/completions', { max_tokens: '200000', messages: [] }).violation)
+        .toEqual({ field: 'max_tokens', message: 'max_tokens must be a number', limit: 16384 });
+      expect(enforceBodyPolicy(req, 'openai', '/chat/completions', { max_tokens: [1], messages: [] }).violation.field)
+        .toBe('max_tokens');
+      expect(enforceBodyPolicy(req, 'claude', '/messages', { messages: { 0: { role: 'user' } } }).violation)
+        .toEqual({ field: 'messages', message: 'messages must be an array', limit: 256 });
+
+      expect(enforceBodyPolicy(req, 'openai', '/embeddings', { input: 'hello' }).violation).toBeNull();
+      expect(enforceBodyPolicy(req, 'openai', '/chat/completions', { messages: [] }).violation).toBeNull();
+    });
+
+    test('should reject oversized payloads', () => {
+      const body = { messages: [{ role: 'user', content: 'x'.repeat(1024 * 1024) }] };
+
+      const result = enforceBodyPolicy(req, 'openai', '/chat/completions', body);
+
+      expect(result.violation.field).toBe('payload');
+      expect(result.violation.limit).toBe(1024 * 1024);
+    });
+
+    test('should pass through endpoints without a policy', () => {
+      const body = { n: 50 };
+
+      expect(enforceBodyPolicy(req, 'brave', '/web/search', body)).toEqual({ body, clamped: [], violation: null });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../../src/services/webhook', () => ({
+  trigger: jest.fn()
+}));
+
+const config = require('../../src/config/env');
+const webhookService = require('../../src/services/webhook');
+const CircuitBreakerService = require('../../src/services/circuitBreaker');
+const { handleProxyError } = require('../../src/utils/errorHandler');
+
+describe('Circuit Breaker', () => {
+  let originalBreaker;
+  const ok = { status: 200 };
+  const down = { status: 503 };
+
+  beforeAll(() => {
+    originalBreaker = config.circuitBreaker;
+  });
+
+  afterAll(() => {
+    config.circuitBreaker = originalBreaker;
+  });
+
+  beforeEach(() => {
+    CircuitBreakerService.reset();
+    webhookService.trigger.mockReset();
+    webhookService.trigger.mockResolvedValue();
+    config.circuitBreaker = { enabled: true, windowMs: 60000, minRequests: 4, failureRate: 0.5, openMs: 30000 };
+  });
+
+  const record = (api, outcomes, now) => outcomes.forEach(outcome => CircuitBreakerService.recordResult(api, outcome, now));
+
+  test('should open after the failure rate threshold and fail fast with Retry-After', () => {
+    const now = Date.now();
+    record('openai', [ok, ok, down], now);
+    expect(CircuitBreakerService.checkRequest('openai', now)).toBeNull();
+
+    record('openai', [null], now); // 2 of 4 failed
+    const error = CircuitBreakerService.checkRequest('openai', now + 10000);
+
+    expect(error).toMatchObject({ code: 'CIRCUIT_OPEN', status: 503, retryAfter: 20, api: 'openai' });
+    expect(webhookService.trigger).toHaveBeenCalledWith('provider.down', expect.objectContaining({
+      api: 'openai', requests: 4, failures: 2, failureRate: 0.5
+    }));
+    expect(CircuitBreakerService.getState('openai', now).state).toBe('open');
+
+    // Other providers are unaffected
+    expect(CircuitBreakerService.checkRequest('claude', now)).toBeNull();
+  });
+
+  test('should not count rate limits or client errors as failures', () => {
+    const now = Date.now();
+    record('openai', [{ status: 429 }, { status: 429 }, { status: 400 }, down], now);
+
+    expect(CircuitBreakerService.checkRequest('openai', now)).toBeNull();
+  });
+
+  test('should let one probe through when half-open and close on success', () => {
+    const now = Date.now();
+    record('openai', [down, down, down, down], now);
+
+    const later = now + 31000;
+    expect(CircuitBreakerService.getState('openai', later).state).toBe('half_open');
+    expect(CircuitBreakerService.checkRequest('openai', later)).toBeNull();
+    expect(CircuitBreakerService.checkRequest('openai', later)).toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+    CircuitBreakerService.recordResult('openai', ok, later + 500);
+
+    expect(CircuitBreakerService.getState('openai', later + 500)).toMatchObject({ state: 'closed', requests: 0 });
+    expect(webhookService.trigger).toHaveBeenCalledWith('provider.recovered', expect.objectContaining({
+      api: 'openai', downtimeSeconds: 32
+    }));
+  });
+
+  test('should re-open when the probe fails, without a second provider.down', () => {
+    const now = Date.now();
+    record('openai', [down, down, down, down], now);
+
+    const later = now + 31000;
+    CircuitBreakerService.checkRequest('openai', later);
+    CircuitBreakerService.recordResult('openai', null, later);
+
+    expect(CircuitBreakerService.getState('openai', later + 1000).state).toBe('open');
+    expect(CircuitBreakerService.checkRequest('openai', later + 1000).retryAfter).toBe(29);
+    expect(webhookService.trigger).toHaveBeenCalledTimes(1);
+  });
+
+  test('should forget failures that left the window', () => {
+    const now = Date.now();
+    record('openai', [down, down, down], now);
+    record('openai', [down], now + 61000);
+
+    expect(CircuitBreakerService.checkRequest('openai', now + 61000)).toBeNull();
+  });
+
+  test('should do nothing when disabled', () => {
+    config.circuitBreaker.enabled = false;
+    const now = Date.now();
+    record('openai', [down, down, down, down, down], now);
+
+    expect(CircuitBreakerService.checkRequest('openai', now)).toBeNull();
+    expect(webhookService.trigger).not.toHaveBeenCalled();
+  });
+
+  test('should map an open circuit to 503 with Retry-After', () => {
+    const now = Date.now();
+    record('openai', [down, down, down, down], now);
+
+    const response = handleProxyError(CircuitBreakerService.checkRequest('openai', now), 'openai');
+
+    expect(response).toMatchObject({ status: 503, error: 'Service Unavailable', retryAfter: 30 });
+  });
+});
@@ -0,0 +1,67 @@
+const config = require('../../src/config/env');
+const {
+  getFallbackCandidates,
+  isFallbackStatus,
+  isFallbackError
+} = require('../../src/config/fallbacks');
+
+describe('Provider Fallback Chains', () => {
+  const original = {
+    enabled: config.fallback.enabled,
+    groqKey: config.groq.apiKey,
+    togetherKey: config.together.apiKey
+  };
+
+  beforeEach(() => {
+    config.fallback.enabled = true;
+    config.groq.apiKey = 'gsk-test';
+    config.together.apiKey = 'together-test';
+  });
+
+  afterAll(() => {
+    config.fallback.enabled = original.enabled;
+    config.groq.apiKey = original.groqKey;
+    config.together.apiKey = original.togetherKey;
+  });
+
+  test('should return the rest of the chain with mapped models', () => {
+    const candidates = getFallbackCandidates('openai', '/chat/completions', 'gpt-4o-mini');
+
+    expect(candidates).toEqual([
+      { api: 'groq', endpoint: '/chat/completions', model: 'llama-3.1-8b-instant' },
+      { api: 'together', endpoint: '/chat/completions', model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo' }
+    ]);
+  });
+
+  test('should use the default model for unmapped models', () => {
+    const [groq] = getFallbackCandidates('openai', '/chat/completions', 'gpt-4.1');
+
+    expect(groq.model).toBe('llama-3.3-70b-versatile');
+  });
+
+  test('should skip providers without a server key', () => {
+    config.groq.apiKey = undefined;
+
+    const candidates = getFallbackCandidates('openai', '/chat/completions', 'gpt-4o');
+
+    expect(candidates.map(c => c.api)).toEqual(['together']);
+  });
+
+  test('should return nothing when disabled or for other endpoints', () => {
+    expect(getFallbackCandidates('openai', '/embeddings', 'text-embedding-3-small')).toEqual([]);
+    expect(getFallbackCandidates('groq', '/chat/completions', 'llama')).toEqual([]);
+
+    config.fallback.enabled = false;
+    expect(getFallbackCandidates('openai', '/chat/completions', 'gpt-4o')).toEqual([]);
+  });
+
+  test('should fall back on 5xx and network errors only', () => {
+    expect(isFallbackStatus(503)).toBe(true);
+    expect(isFallbackStatus(429)).toBe(false);
+    expect(isFallbackStatus(200)).toBe(false);
+
+    expect(isFallbackError({ request: {}, code: 'ECONNABORTED' })).toBe(true);
+    expect(isFallbackError({ request: {}, response: { status: 500 } })).toBe(false);
+    expect(isFallbackError(new Error('boom'))).toBe(false);
+  });
+});
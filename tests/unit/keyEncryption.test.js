@@ -0,0 +1,108 @@
+jest.mock('../../src/db/client', () => ({
+  splitKey: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  }
+}));
+
+const crypto = require('crypto');
+const prisma = require('../../src/db/client');
+const KeyEncryptionService = require('../../src/services/keyEncryption');
+const { LocalKeyProvider } = require('../../src/services/keyEncryption');
+const splitKeyService = require('../../src/services/splitKey');
+const { decryptKey } = require('../../src/utils/crypto');
+
+describe('Key Encryption', () => {
+  const masterKey = crypto.randomBytes(32).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  beforeEach(() => {
+    KeyEncryptionService.setProvider(new LocalKeyProvider({ masterKey }));
+  });
+
+  describe('LocalKeyProvider', () => {
+    test('should accept hex and base64 master keys', () => {
+      const base64Key = Buffer.from(masterKey, 'hex').toString('base64');
+
+      expect(new LocalKeyProvider({ masterKey: base64Key }).masterKey.toString('hex')).toBe(masterKey);
+      expect(() => new LocalKeyProvider({ masterKey: 'too-short' })).toThrow('Master key must be 32 bytes');
+    });
+  });
+
+  describe('wrapSecret / unwrapSecret', () => {
+    test('should round-trip a secret without storing it in plaintext', async () => {
+      const { wrapped, version } = await KeyEncryptionService.wrapSecret(secret, 'sk-test-key');
+
+      expect(version).toBe(1);
+      expect(wrapped.startsWith('kek:1:')).toBe(true);
+      expect(wrapped).not.toContain(secret);
+      expect(KeyEncryptionService.getVersion(wrapped)).toBe(1);
+      expect(await KeyEncryptionService.unwrapSecret(wrapped, 'sk-test-key')).toBe(secret);
+    });
+
+    test('should bind the wrapped secret to its keyId', async () => {
+      const { wrapped } = await KeyEncryptionService.wrapSecret(secret, 'sk-test-key');
+
+      await expect(KeyEncryptionService.unwrapSecret(wrapped, 'sk-other-key')).rejects.toThrow();
+    });
+
+    test('should fail with a different master key', async () => {
+      const { wrapped } = await KeyEncryptionService.wrapSecret(secret, 'sk-test-key');
+      KeyEncryptionService.setProvider(new LocalKeyProvider({ masterKey: crypto.randomBytes(32).toString('hex') }));
+
+      await expect(KeyEncryptionService.unwrapSecret(wrapped, 'sk-test-key')).rejects.toThrow();
+    });
+
+    test('should pass legacy plaintext secrets through', async () => {
+      expect(KeyEncryptionService.isWrapped(secret)).toBe(false);
+      expect(await KeyEncryptionService.unwrapSecret(secret, 'sk-test-key')).toBe(secret);
+    });
+  });
+
+  describe('SplitKeyService', () => {
+    test('should store a wrapped secret and reconstruct the original key', async () => {
+      prisma.splitKey.create.mockImplementation(async ({ data }) => ({ ...data, createdAt: new Date() }));
+
+      const result = await splitKeyService.splitApiKey('sk-original-api-key-123', 'openai', 'sk-test-key', 'user1');
+      const { data } = prisma.splitKey.create.mock.calls[0][0];
+
+      expect(KeyEncryptionService.isWrapped(data.decryptionSecret)).toBe(true);
+      expect(data.keyVersion).toBe(1);
+      expect(result.decryptionSecret).toBeNull();
+
+      prisma.splitKey.findUnique.mockResolvedValue({ id: 'row-1', ...data });
+      prisma.splitKey.updateMany.mockResolvedValue({ count: 1 });
+      expect(await splitKeyService.reconstructApiKey('sk-test-key', result.clientPart)).toBe('sk-original-api-key-123');
+      expect(await decryptKey(data.serverPart, data.decryptionSecret, 'openai', result.clientPart, 'sk-test-key'))
+        .toBe('sk-original-api-key-123');
+    });
+
+    test('should wrap plaintext rows in batches', async () => {
+      prisma.splitKey.findMany
+        .mockResolvedValueOnce([{ id: 'a', keyId: 'sk-a', decryptionSecret: secret }, { id: 'b', keyId: 'sk-b', decryptionSecret: secret }])
+        .mockResolvedValueOnce([]);
+
+      const summary = await splitKeyService.wrapPlaintextSecrets({ batchSize: 2 });
+
+      expect(summary.wrapped).toBe(2);
+      expect(prisma.splitKey.update).toHaveBeenCalledTimes(2);
+      const { data } = prisma.splitKey.update.mock.calls[0][0];
+      expect(await KeyEncryptionService.unwrapSecret(data.decryptionSecret, 'sk-a')).toBe(secret);
+      expect(prisma.splitKey.findMany.mock.calls[1][0].where.id).toEqual({ gt: 'b' });
+    });
+
+    test('should only count rows on a dry run', async () => {
+      prisma.splitKey.findMany
+        .mockResolvedValueOnce([{ id: 'a', keyId: 'sk-a', decryptionSecret: secret }])
+        .mockResolvedValueOnce([]);
+
+      const summary = await splitKeyService.wrapPlaintextSecrets({ dryRun: true });
+
+      expect(summary).toEqual({ wrapped: 1, failed: [] });
+      expect(prisma.splitKey.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+jest.mock('../../src/db/client', () => ({
+  keyPool: {
+    create: jest.fn(),
+    findUnique: jest.fn()
+  },
+  keyPoolKey: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn()
+  },
+  keyPoolMember: {
+    updateMany: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+const crypto = require('crypto');
+const prisma = require('../../src/db/client');
+const KeyEncryptionService = require('../../src/services/keyEncryption');
+const { LocalKeyProvider } = require('../../src/services/keyEncryption');
+const KeyPoolService = require('../../src/services/keyPool');
+
+describe('Team Key Pools', () => {
+  const pool = { id: 'pool-row', poolId: 'kp-team', apiProvider: 'openai', ownerId: 'owner1', active: true };
+  let storedKey;
+
+  beforeEach(async () => {
+    KeyEncryptionService.setProvider(new LocalKeyProvider({ masterKey: crypto.randomBytes(32).toString('hex') }));
+    prisma.keyPool.findUnique.mockImplementation(async () => ({ ...pool, members: [] }));
+    prisma.keyPoolKey.create.mockImplementation(async ({ data }) => {
+      storedKey = { ...data, active: true, lastUsed: null };
+      return { id: data.id, keyHint: data.keyHint };
+    });
+    prisma.keyPoolKey.findFirst.mockImplementation(async () => storedKey);
+    prisma.keyPoolKey.update.mockResolvedValue({});
+
+    await KeyPoolService.addKey('kp-team', 'owner1', { apiKey: 'sk-team-key-1234', label: 'primary' });
+  });
+
+  test('should store pool keys wrapped and show only a hint', async () => {
+    expect(storedKey.encryptedKey).toMatch(/^kek:1:/);
+    expect(storedKey.encryptedKey).not.toContain('sk-team-key');
+    expect(storedKey.keyHint).toBe('1234');
+  });
+
+  test('should only let the owner manage the pool', async () => {
+    await expect(KeyPoolService.addKey('kp-team', 'someone-else', { apiKey: 'sk-x' })).rejects.toThrow('Not authorized');
+    await expect(KeyPoolService.grantMember('kp-team', 'someone-else', { memberType: 'user', memberId: 'u2' })).rejects.toThrow('Not authorized');
+  });
+
+  test('should serve members with the least recently used key', async () => {
+    prisma.keyPool.findUnique.mockResolvedValue({
+      ...pool,
+      members: [{ id: 'member-app', memberType: 'app', memberId: 'team-app' }]
+    });
+
+    const result = await KeyPoolService.acquireKey('kp-team', { userId: 'dev1', appId: 'team-app' }, 'openai');
+
+    expect(result).toEqual({ apiKey: 'sk-team-key-1234', poolId: 'kp-team', keyId: storedKey.id, memberId: 'member-app' });
+    expect(prisma.keyPoolKey.findFirst.mock.calls[0][0].orderBy[0]).toEqual({ lastUsed: { sort: 'asc', nulls: 'first' } });
+    expect(prisma.keyPoolKey.update).toHaveBeenCalledWith({
+      where: { id: storedKey.id },
+      data: { usageCount: { increment: 1 }, lastUsed: expect.any(Date) }
+    });
+  });
+
+  test('should reject non-members, other providers and empty pools', async () => {
+    await expect(KeyPoolService.acquireKey('kp-team', { userId: 'stranger' }, 'openai'))
+      .rejects.toMatchObject({ code: 'KEY_POOL', status: 403 });
+
+    prisma.keyPool.findUnique.mockResolvedValue({ ...pool, members: [{ id: 'm1', memberType: 'user', memberId: 'dev1' }] });
+    await expect(KeyPoolService.acquireKey('kp-team', { userId: 'dev1' }, 'claude'))
+      .rejects.toMatchObject({ status: 400 });
+
+    prisma.keyPoolKey.findFirst.mockResolvedValue(null);
+    await expect(KeyPoolService.acquireKey('kp-team', { userId: 'dev1' }, 'openai'))
+      .rejects.toMatchObject({ status: 503 });
+  });
+
+  test('should revoke a member without touching the keys', async () => {
+    prisma.keyPoolMember.updateMany.mockResolvedValue({ count: 1 });
+
+    await KeyPoolService.revokeMember('kp-team', 'owner1', { memberType: 'user', memberId: 'dev1' });
+
+    expect(prisma.keyPoolMember.updateMany).toHaveBeenCalledWith({
+      where: { poolId: 'kp-team', memberType: 'user', memberId: 'dev1', active: true },
+      data: { active: false, revokedAt: expect.any(Date) }
+    });
+    expect(prisma.keyPoolKey.update).not.toHaveBeenCalled();
+  });
+
+  test('should count usage per member', async () => {
+    await KeyPoolService.recordUsage('member-app', { tokensUsed: 120, estimatedCost: 0.002 });
+
+    expect(prisma.keyPoolMember.update).toHaveBeenCalledWith({
+      where: { id: 'member-app' },
+      data: {
+        requestCount: { increment: 1 },
+        tokensUsed: { increment: 120 },
+        estimatedCost: { increment: 0.002 },
+        lastUsed: expect.any(Date)
+      }
+    });
+  });
+});
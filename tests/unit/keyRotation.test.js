@@ -0,0 +1,141 @@
+jest.mock('../../src/db/client', () => ({
+  splitKey: {
+    count: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    groupBy: jest.fn()
+  },
+  keyPoolKey: {
+    count: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn()
+  },
+  app: {
+    count: jest.fn(),
+    findMany: jest.fn(),
+    updateMany: jest.fn()
+  },
+  keyRotation: {
+    create: jest.fn(),
+    update: jest.fn(),
+    findUnique: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/auditLog', () => ({
+  logKeyRotation: jest.fn()
+}));
+
+const crypto = require('crypto');
+const prisma = require('../../src/db/client');
+const auditLogService = require('../../src/services/auditLog');
+const KeyEncryptionService = require('../../src/services/keyEncryption');
+const { LocalKeyProvider } = require('../../src/services/keyEncryption');
+const KeyRotationService = require('../../src/services/keyRotation');
+const AppModel = require('../../src/models/App');
+
+describe('Master Key Rotation', () => {
+  const oldKey = crypto.randomBytes(32).toString('hex');
+  const newKey = crypto.randomBytes(32).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const wrapWithOldKey = async (keyId) => {
+    KeyEncryptionService.setProvider(new LocalKeyProvider({ masterKey: oldKey, version: 1 }));
+    const { wrapped } = await KeyEncryptionService.wrapSecret(secret, keyId);
+    KeyEncryptionService.setProvider(new LocalKeyProvider({ masterKey: newKey, version: 2, previousKeys: { 1: oldKey } }));
+    return wrapped;
+  };
+
+  beforeEach(() => {
+    prisma.keyRotation.update.mockImplementation(async ({ data }) => ({ id: 'rot-1', ...data }));
+    prisma.keyPoolKey.findMany.mockResolvedValue([]);
+    prisma.app.findMany.mockResolvedValue([]);
+  });
+
+  test('should keep previous master key versions decryptable', async () => {
+    const wrapped = await wrapWithOldKey('sk-a');
+
+    expect(KeyEncryptionService.getCurrentVersion()).toBe(2);
+    expect(KeyEncryptionService.getProvider().versions).toEqual([1, 2]);
+    expect(await KeyEncryptionService.unwrapSecret(wrapped, 'sk-a')).toBe(secret);
+  });
+
+  test('should re-wrap active keys under the new version and record progress', async () => {
+    const rows = [
+      { id: 'a', keyId: 'sk-a', decryptionSecret: await wrapWithOldKey('sk-a') },
+      { id: 'b', keyId: 'sk-b', decryptionSecret: await wrapWithOldKey('sk-b') }
+    ];
+    prisma.splitKey.findMany.mockResolvedValueOnce(rows).mockResolvedValueOnce([]);
+
+    const result = await KeyRotationService.run({ id: 'rot-1', toVersion: 2, batchSize: 2, startedBy: 'admin-hash', ipAddress: '127.0.0.1' });
+
+    expect(prisma.splitKey.findMany.mock.calls[0][0].where).toEqual({
+      active: true,
+      NOT: { decryptionSecret: { startsWith: 'kek:2:' } }
+    });
+
+    const updates = prisma.splitKey.update.mock.calls.map(([args]) => args.data);
+    expect(updates.every(data => data.keyVersion === 2 && data.decryptionSecret.startsWith('kek:2:'))).toBe(true);
+    expect(await KeyEncryptionService.unwrapSecret(updates[0].decryptionSecret, 'sk-a')).toBe(secret);
+
+    expect(prisma.keyRotation.update).toHaveBeenCalledWith({ where: { id: 'rot-1' }, data: { processed: 2, failed: 0 } });
+    expect(result.status).toBe('completed');
+    expect(auditLogService.logKeyRotation).toHaveBeenCalledWith(
+      'complete', 'admin-hash', '127.0.0.1', null, 'rot-1',
+      { toVersion: 2, rewrapped: 2, failed: 0 }, true
+    );
+  });
+
+  test('should mark the rotation failed when a key cannot be unwrapped', async () => {
+    const wrapped = await wrapWithOldKey('sk-a');
+    KeyEncryptionService.setProvider(new LocalKeyProvider({ masterKey: newKey, version: 2 }));
+    prisma.splitKey.findMany.mockResolvedValueOnce([{ id: 'a', keyId: 'sk-a', decryptionSecret: wrapped }]).mockResolvedValueOnce([]);
+
+    const result = await KeyRotationService.run({ id: 'rot-1', toVersion: 2, batchSize: 100, startedBy: 'admin-hash' });
+
+    expect(result.status).toBe('failed');
+    expect(result.errors).toEqual([{ keyId: 'sk-a', error: 'Master key version 1 is not available' }]);
+    expect(prisma.splitKey.update).not.toHaveBeenCalled();
+  });
+
+  test('should re-wrap app signing keys so signed token requests still verify', async () => {
+    const appSecret = `as_${secret}`;
+    const signingKey = await wrapWithOldKey('app:mobile-app');
+    prisma.splitKey.findMany.mockResolvedValueOnce([]);
+    prisma.app.findMany.mockResolvedValueOnce([{ appId: 'mobile-app', signingKey }]);
+    prisma.app.updateMany.mockResolvedValue({ count: 1 });
+
+    const result = await KeyRotationService.run({ id: 'rot-1', toVersion: 2, batchSize: 100, startedBy: 'admin-hash' });
+
+    expect(result.status).toBe('completed');
+    expect(result.processed).toBe(1);
+    const [{ where, data }] = prisma.app.updateMany.mock.calls[0];
+    expect(where).toEqual({ appId: 'mobile-app', signingKey });
+    expect(data.signingKey.startsWith('kek:2:')).toBe(true);
+
+    // The old master key can now be removed
+    KeyEncryptionService.setProvider(new LocalKeyProvider({ masterKey: newKey, version: 2 }));
+    const timestamp = Math.floor(Date.now() / 1000);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const signature = crypto.createHmac('sha256', appSecret).update(`${timestamp}.${nonce}.user-1.mobile-app`).digest('hex');
+
+    expect(await AppModel.verifySignature(
+      { appId: 'mobile-app', signingKey: data.signingKey },
+      { userId: 'user-1', appId: 'mobile-app', timestamp, nonce, signature }
+    )).toBe(true);
+  });
+
+  test('should report remaining keys per version', async () => {
+    prisma.keyRotation.findUnique.mockResolvedValue({ id: 'rot-1', status: 'running', errors: null });
+    prisma.splitKey.groupBy.mockResolvedValue([
+      { keyVersion: 1, _count: { _all: 3 } },
+      { keyVersion: 2, _count: { _all: 7 } }
+    ]);
+    prisma.app.findMany.mockResolvedValue([{ signingKey: 'kek:1:abc' }, { signingKey: 'kek:3:def' }]);
+
+    const status = await KeyRotationService.getStatus('rot-1');
+
+    expect(status.keyVersions).toEqual({ 1: 4, 2: 7, 3: 1 });
+    expect(status.errors).toEqual([]);
+  });
+});
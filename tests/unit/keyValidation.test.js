@@ -0,0 +1,120 @@
+jest.mock('../../src/db/client', () => ({
+  splitKey: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const prisma = require('../../src/db/client');
+const config = require('../../src/config/env');
+const KeyEncryptionService = require('../../src/services/keyEncryption');
+const { LocalKeyProvider } = require('../../src/services/keyEncryption');
+const KeyValidationService = require('../../src/services/keyValidation');
+const splitKeyService = require('../../src/services/splitKey');
+
+describe('Provider Key Validation', () => {
+  const VALID_KEY = 'sk-valid-key-123';
+  let server;
+  let originalBaseUrls;
+  let upstreamStatus;
+  let lastRequest;
+
+  // Mock upstream standing in for the providers' /models endpoints
+  beforeAll(async () => {
+    const upstream = express();
+    upstream.get('*', (req, res) => {
+      lastRequest = { path: req.path, query: req.query, headers: req.headers };
+      if (upstreamStatus) {
+        return res.status(upstreamStatus).json({ error: 'upstream' });
+      }
+      const key = req.query.key || (req.headers.authorization || '').replace('Bearer ', '');
+      res.status(key === VALID_KEY ? 200 : 401).json({ data: [] });
+    });
+
+    server = await new Promise(resolve => {
+      const s = upstream.listen(0, '127.0.0.1', () => resolve(s));
+    });
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    originalBaseUrls = { openai: config.openai.baseUrl, gemini: config.gemini.baseUrl };
+    config.openai.baseUrl = `${baseUrl}/v1`;
+    config.gemini.baseUrl = `${baseUrl}/v1beta`;
+  });
+
+  afterAll(async () => {
+    config.openai.baseUrl = originalBaseUrls.openai;
+    config.gemini.baseUrl = originalBaseUrls.gemini;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    upstreamStatus = null;
+    lastRequest = null;
+  });
+
+  test('should report a key accepted by the provider as valid', async () => {
+    const result = await KeyValidationService.validate('openai', VALID_KEY);
+
+    expect(result).toEqual({ status: 'valid', statusCode: 200, message: 'Key accepted by provider' });
+    expect(lastRequest.path).toBe('/v1/models');
+    expect(lastRequest.headers.authorization).toBe(`Bearer ${VALID_KEY}`);
+  });
+
+  test('should report a rejected key as invalid', async () => {
+    const result = await KeyValidationService.validate('openai', 'sk-typo');
+
+    expect(result.status).toBe('invalid');
+    expect(result.statusCode).toBe(401);
+  });
+
+  test('should send the Gemini key as query parameter', async () => {
+    const result = await KeyValidationService.validate('gemini', VALID_KEY);
+
+    expect(result.status).toBe('valid');
+    expect(lastRequest.query.key).toBe(VALID_KEY);
+  });
+
+  test('should not treat upstream outages as invalid keys', async () => {
+    upstreamStatus = 503;
+
+    const result = await KeyValidationService.validate('openai', VALID_KEY);
+
+    expect(result.status).toBe('error');
+    expect(result.statusCode).toBe(503);
+  });
+
+  test('should mark providers without a validation endpoint as unsupported', async () => {
+    const result = await KeyValidationService.validate('openmeteo', 'anything');
+
+    expect(result.status).toBe('unsupported');
+    expect(lastRequest).toBeNull();
+  });
+
+  test('should re-validate a stored key and record the result', async () => {
+    KeyEncryptionService.setProvider(new LocalKeyProvider({ masterKey: crypto.randomBytes(32).toString('hex') }));
+    prisma.splitKey.create.mockImplementation(async ({ data }) => ({ ...data, createdAt: new Date() }));
+    const { clientPart } = await splitKeyService.splitApiKey(VALID_KEY, 'openai', 'sk-validate-key', 'user1', null, {}, { status: 'error', message: 'timeout' });
+
+    const created = prisma.splitKey.create.mock.calls[0][0].data;
+    expect(created.validationStatus).toBe('error');
+    expect(created.validatedAt).toBeInstanceOf(Date);
+
+    prisma.splitKey.findUnique.mockResolvedValue({ id: 'row-1', active: true, createdBy: 'user1', ...created });
+    prisma.splitKey.update.mockResolvedValue({});
+
+    const result = await splitKeyService.revalidateKey('sk-validate-key', 'user1', clientPart);
+
+    expect(result.validationStatus).toBe('valid');
+    expect(result.upstreamStatus).toBe(200);
+    expect(prisma.splitKey.update).toHaveBeenCalledWith({
+      where: { id: 'row-1' },
+      data: expect.objectContaining({ validationStatus: 'valid', validatedAt: expect.any(Date) })
+    });
+
+    await expect(splitKeyService.revalidateKey('sk-validate-key', 'someone-else', clientPart)).rejects.toThrow('Not authorized');
+    await expect(splitKeyService.revalidateKey('sk-validate-key', 'user1', 'ab'.repeat(16))).rejects.toThrow('Invalid client part');
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../src/db/client', () => ({
+  modelPolicy: {
+    findMany: jest.fn()
+  }
+}));
+
+const prisma = require('../../src/db/client');
+const ModelPolicyModel = require('../../src/models/ModelPolicy');
+const { matchesPattern } = require('../../src/models/ModelPolicy');
+const { validateProxyRequest } = require('../../src/utils/validator');
+
+describe('Model Policies', () => {
+  const rule = (scope, type, pattern, provider = null) => ({
+    id: `${scope}-${type}-${pattern}`,
+    scope,
+    subject: scope === 'app' ? 'app1' : 'user1',
+    type,
+    pattern,
+    provider
+  });
+
+  describe('matchesPattern', () => {
+    test('should match exact names and wildcards case-insensitively', () => {
+      expect(matchesPattern('gpt-4o', 'gpt-4o')).toBe(true);
+      expect(matchesPattern('gpt-4o', 'gpt-4o-mini')).toBe(false);
+      expect(matchesPattern('gpt-4o*', 'GPT-4o-mini')).toBe(true);
+      expect(matchesPattern('claude-*-4*', 'claude-opus-4-1')).toBe(true);
+      expect(matchesPattern('meta-llama/*', 'meta-llama/Llama-3.3-70B')).toBe(true);
+    });
+  });
+
+  describe('evaluate', () => {
+    test('should allow everything without rules or without a model', () => {
+      expect(ModelPolicyModel.evaluate([], 'openai', 'gpt-4o').allowed).toBe(true);
+      expect(ModelPolicyModel.evaluate([rule('app', 'deny', '*')], 'openai', null).allowed).toBe(true);
+    });
+
+    test('should block denied models', () => {
+      const result = ModelPolicyModel.evaluate([rule('user', 'deny', 'claude-opus*')], 'claude', 'claude-opus-4');
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe("Model 'claude-opus-4' is denied for this user");
+      expect(result.rule.id).toBe('user-deny-claude-opus*');
+    });
+
+    test('should require a match in each allowlist level', () => {
+      const rules = [rule('app', 'allow', 'gpt-4o*'), rule('user', 'allow', 'gpt-4o-mini')];
+
+      expect(ModelPolicyModel.evaluate(rules, 'openai', 'gpt-4o-mini').allowed).toBe(true);
+      expect(ModelPolicyModel.evaluate(rules, 'openai', 'gpt-4o').reason)
+        .toBe("Model 'gpt-4o' is not in the user allowlist");
+      expect(ModelPolicyModel.evaluate(rules, 'openai', 'o3').reason)
+        .toBe("Model 'o3' is not in the app allowlist");
+    });
+
+    test('should let deny rules win over allow rules', () => {
+      const rules = [rule('app', 'allow', 'gpt-*'), rule('user', 'deny', 'gpt-4o')];
+
+      expect(ModelPolicyModel.evaluate(rules, 'openai', 'gpt-4o').allowed).toBe(false);
+    });
+
+    test('should only apply provider-scoped rules to that provider', () => {
+      const rules = [rule('app', 'deny', '*', 'openrouter')];
+
+      expect(ModelPolicyModel.evaluate(rules, 'openrouter', 'openai/gpt-4o').allowed).toBe(false);
+      expect(ModelPolicyModel.evaluate(rules, 'openai', 'gpt-4o').allowed).toBe(true);
+    });
+  });
+
+  describe('validateProxyRequest', () => {
+    const run = async (body, rules, params = { api: 'openai' }) => {
+      prisma.modelPolicy.findMany.mockResolvedValue(rules);
+      const req = { body, params, method: 'POST', query: {}, user: { userId: 'user1', appId: 'app1' }, ip: '127.0.0.1' };
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      await validateProxyRequest(req, res, next);
+      return { req, res, next };
+    };
+
+    test('should return 403 naming the blocked model', async () => {
+      const { res, next } = await run(
+        { endpoint: '/chat/completions', model: 'gpt-4o', messages: [] },
+        [rule('app', 'deny', 'gpt-4o')]
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Model Not Allowed',
+        message: "Model 'gpt-4o' is denied for this app",
+        model: 'gpt-4o',
+        api: 'openai'
+      });
+    });
+
+    test('should resolve Gemini models from the endpoint', async () => {
+      const { res } = await run(
+        { endpoint: '/models/gemini-2.5-pro:generateContent', contents: [] },
+        [rule('user', 'allow', 'gemini-2.5-flash*')],
+        { api: 'gemini' }
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].model).toBe('gemini-2.5-pro');
+    });
+
+    test('should pass allowed models and keep the rules for fallbacks', async () => {
+      const rules = [rule('app', 'allow', 'gpt-4o*')];
+      const { req, next } = await run({ endpoint: '/chat/completions', model: 'gpt-4o-mini', messages: [] }, rules);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.modelPolicyRules).toBe(rules);
+      expect(prisma.modelPolicy.findMany).toHaveBeenCalledWith({
+        where: {
+          active: true,
+          OR: [{ scope: 'user', subject: 'user1' }, { scope: 'app', subject: 'app1' }]
+        }
+      });
+    });
+  });
+});
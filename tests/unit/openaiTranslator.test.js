@@ -0,0 +1,171 @@
+const {
+  toClaudeRequest,
+  fromClaudeResponse,
+  toGeminiRequest,
+  fromGeminiResponse,
+  toOpenAIError
+} = require('../../src/utils/openaiTranslator');
+const { resolveModelRoute } = require('../../src/config/apis');
+
+describe('OpenAI Schema Translator', () => {
+  const toolConversation = {
+    model: 'claude-sonnet-4',
+    max_tokens: 256,
+    temperature: 0.2,
+    stop: 'END',
+    tools: [{
+      type: 'function',
+      function: {
+        name: 'get_weather',
+        description: 'Get weather',
+        parameters: { type: 'object', properties: { city: { type: 'string' } } }
+      }
+    }],
+    tool_choice: 'required',
+    messages: [
+      { role: 'system', content: 'You are helpful.' },
+      { role: 'user', content: 'Weather in Paris?' },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"temp":21}' }
+    ]
+  };
+
+  describe('resolveModelRoute', () => {
+    test('should route by model prefix', () => {
+      expect(resolveModelRoute('gpt-4o')).toMatchObject({ api: 'openai', format: 'openai', endpoint: '/chat/completions' });
+      expect(resolveModelRoute('claude-sonnet-4')).toMatchObject({ api: 'claude', format: 'claude', endpoint: '/messages' });
+      expect(resolveModelRoute('gemini-2.5-flash', true)).toMatchObject({
+        api: 'gemini',
+        endpoint: '/models/gemini-2.5-flash:streamGenerateContent'
+      });
+    });
+
+    test('should route explicit provider prefixes', () => {
+      expect(resolveModelRoute('groq/llama-3.3-70b-versatile')).toMatchObject({
+        api: 'groq',
+        model: 'llama-3.3-70b-versatile',
+        format: 'openai'
+      });
+      expect(resolveModelRoute('openrouter/openai/gpt-4o')).toMatchObject({ api: 'openrouter', model: 'openai/gpt-4o' });
+    });
+
+    test('should return null for unknown models', () => {
+      expect(resolveModelRoute('unknown-model')).toBeNull();
+      expect(resolveModelRoute(null)).toBeNull();
+    });
+  });
+
+  describe('Claude', () => {
+    test('should translate system prompt, tools and tool results', () => {
+      const request = toClaudeRequest(toolConversation, 'claude-sonnet-4');
+
+      expect(request.system).toBe('You are helpful.');
+      expect(request.max_tokens).toBe(256);
+      expect(request.stop_sequences).toEqual(['END']);
+      expect(request.tool_choice).toEqual({ type: 'any' });
+      expect(request.tools[0]).toEqual({
+        name: 'get_weather',
+        description: 'Get weather',
+        input_schema: { type: 'object', properties: { city: { type: 'string' } } }
+      });
+      expect(request.messages).toEqual([
+        { role: 'user', content: [{ type: 'text', text: 'Weather in Paris?' }] },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '{"temp":21}' }] }
+      ]);
+    });
+
+    test('should default max_tokens', () => {
+      const request = toClaudeRequest({ messages: [{ role: 'user', content: 'hi' }] }, 'claude-3-5-haiku');
+
+      expect(request.max_tokens).toBe(4096);
+    });
+
+    test('should translate tool_use responses', () => {
+      const completion = fromClaudeResponse({
+        id: 'msg_1',
+        model: 'claude-sonnet-4',
+        content: [
+          { type: 'text', text: 'Let me check.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+        ],
+        stop_reason: 'tool_use',
+        usage: { input_tokens: 20, output_tokens: 10 }
+      });
+
+      expect(completion.object).toBe('chat.completion');
+      expect(completion.choices[0].finish_reason).toBe('tool_calls');
+      expect(completion.choices[0].message.content).toBe('Let me check.');
+      expect(completion.choices[0].message.tool_calls).toEqual([{
+        id: 'toolu_1',
+        type: 'function',
+        function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+      }]);
+      expect(completion.usage).toEqual({ prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 });
+    });
+  });
+
+  describe('Gemini', () => {
+    test('should translate roles, tools and function responses', () => {
+      const request = toGeminiRequest(toolConversation);
+
+      expect(request.systemInstruction).toEqual({ parts: [{ text: 'You are helpful.' }] });
+      expect(request.generationConfig).toEqual({ temperature: 0.2, maxOutputTokens: 256, stopSequences: ['END'] });
+      expect(request.toolConfig).toEqual({ functionCallingConfig: { mode: 'ANY' } });
+      expect(request.tools[0].functionDeclarations[0].name).toBe('get_weather');
+      expect(request.contents).toEqual([
+        { role: 'user', parts: [{ text: 'Weather in Paris?' }] },
+        { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+        { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { temp: 21 } } }] }
+      ]);
+    });
+
+    test('should translate inline images', () => {
+      const request = toGeminiRequest({
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: 'What is this?' },
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+          ]
+        }]
+      });
+
+      expect(request.contents[0].parts[1]).toEqual({ inlineData: { mimeType: 'image/png', data: 'AAAA' } });
+    });
+
+    test('should translate function call responses', () => {
+      const completion = fromGeminiResponse({
+        candidates: [{
+          content: { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+          finishReason: 'STOP'
+        }],
+        usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 3, totalTokenCount: 10 },
+        modelVersion: 'gemini-2.5-flash'
+      });
+
+      expect(completion.model).toBe('gemini-2.5-flash');
+      expect(completion.choices[0].finish_reason).toBe('tool_calls');
+      expect(completion.choices[0].message.tool_calls[0].function).toEqual({
+        name: 'get_weather',
+        arguments: '{"city":"Paris"}'
+      });
+      expect(completion.choices[0].message.tool_calls[0].id).toMatch(/^call_/);
+      expect(completion.usage.total_tokens).toBe(10);
+    });
+  });
+
+  describe('toOpenAIError', () => {
+    test('should map provider errors to the OpenAI error shape', () => {
+      const error = toOpenAIError(429, { error: { type: 'rate_limit_error', message: 'Slow down' } }, 'claude');
+
+      expect(error).toEqual({
+        error: { message: 'Slow down', type: 'rate_limit_error', code: 'rate_limit_error', provider: 'claude' }
+      });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../../src/db/client', () => ({
+  modelPrice: {
+    findMany: jest.fn()
+  }
+}));
+
+const prisma = require('../../src/db/client');
+const PricingService = require('../../src/services/pricing');
+const UsageTrackingService = require('../../src/services/usage');
+const UserModel = require('../../src/models/User');
+const KeyPoolService = require('../../src/services/keyPool');
+
+describe('Pricing Service', () => {
+  beforeEach(() => {
+    PricingService.clearCache();
+    prisma.modelPrice.findMany.mockResolvedValue([]);
+  });
+
+  describe('getPrice', () => {
+    test('should match built-in model prices by longest prefix', async () => {
+      const mini = await PricingService.getPrice('openai', 'gpt-4o-mini-2024-07-18');
+      const full = await PricingService.getPrice('openai', 'gpt-4o-2024-08-06');
+
+      expect(mini).toMatchObject({ input: 0.00015, output: 0.0006, source: 'default' });
+      expect(full).toMatchObject({ input: 0.0025, output: 0.01, source: 'default' });
+    });
+
+    test('should prefer admin-managed prices over defaults', async () => {
+      prisma.modelPrice.findMany.mockResolvedValue([
+        { model: 'gpt-4o', inputPricePer1K: 0.002, outputPricePer1K: 0.008, version: 3 }
+      ]);
+
+      const price = await PricingService.getPrice('openai', 'gpt-4o');
+
+      expect(price).toEqual({ input: 0.002, output: 0.008, version: 3, source: 'catalog' });
+    });
+
+    test('should fall back to the provider rate for unknown models', async () => {
+      const price = await PricingService.getPrice('groq', 'llama-3.1-70b');
+
+      expect(price).toMatchObject({ input: 0.001, output: 0.001, source: 'provider_default' });
+    });
+  });
+
+  describe('resolveModel', () => {
+    test('should read the model from the request body', () => {
+      expect(PricingService.resolveModel('openai', '/chat/completions', { model: 'gpt-4o' })).toBe('gpt-4o');
+    });
+
+    test('should read the Gemini model from the endpoint', () => {
+      expect(PricingService.resolveModel('gemini', '/models/gemini-2.5-flash:generateContent', {}))
+        .toBe('gemini-2.5-flash');
+    });
+  });
+
+  describe('UsageTrackingService.estimateCost', () => {
+    test('should price input and output tokens separately', async () => {
+      const result = await UsageTrackingService.estimateCost('claude', {
+        usage: { input_tokens: 1000, output_tokens: 2000 }
+      }, 'claude-sonnet-4-20250514');
+
+      expect(result.tokensUsed).toBe(3000);
+      expect(result.inputTokens).toBe(1000);
+      expect(result.outputTokens).toBe(2000);
+      expect(result.estimatedCost).toBeCloseTo(0.003 + 0.03, 10);
+      expect(result.price.source).toBe('default');
+    });
+
+    test('should return zero cost when there is no usage data', async () => {
+      const result = await UsageTrackingService.estimateCost('openai', null, 'gpt-4o');
+
+      expect(result.tokensUsed).toBe(0);
+      expect(result.estimatedCost).toBe(0);
+    });
+  });
+
+  describe('UsageTrackingService.trackRequest', () => {
+    const originalLightMode = process.env.LIGHT_MODE;
+
+    beforeEach(() => {
+      process.env.LIGHT_MODE = 'true';
+    });
+
+    afterEach(() => {
+      if (originalLightMode === undefined) {
+        delete process.env.LIGHT_MODE;
+      } else {
+        process.env.LIGHT_MODE = originalLightMode;
+      }
+    });
+
+    test('should count the request against the quota when key pool tracking fails', async () => {
+      const incrementRequests = jest.spyOn(UserModel, 'incrementRequests').mockResolvedValue({});
+      jest.spyOn(KeyPoolService, 'recordUsage').mockRejectedValue(new Error('Record to update not found'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await UsageTrackingService.trackRequest({
+        userId: 'user-1',
+        api: 'openai',
+        endpoint: '/chat/completions',
+        method: 'POST',
+        statusCode: 200,
+        success: true,
+        responseTime: 10,
+        req: { ip: '127.0.0.1', headers: {}, keyPool: { memberId: 'missing-member' } }
+      });
+
+      expect(incrementRequests).toHaveBeenCalledWith('user-1', { tokensUsed: 0, estimatedCost: 0 });
+      expect(result).toEqual({ tokensUsed: 0, estimatedCost: 0 });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../../src/db/client', () => ({
+  user: {
+    findUnique: jest.fn()
+  }
+}));
+
+const prisma = require('../../src/db/client');
+const UserModel = require('../../src/models/User');
+
+describe('UserModel.checkQuota', () => {
+  const baseUser = {
+    userId: 'quota-user',
+    active: true,
+    dailyQuota: 100,
+    monthlyQuota: 3000,
+    requestsToday: 0,
+    requestsMonth: 0,
+    dailyTokenQuota: null,
+    monthlyTokenQuota: null,
+    dailyCostQuota: null,
+    monthlyCostQuota: null,
+    tokensToday: 0,
+    tokensMonth: 0,
+    costToday: 0,
+    costMonth: 0
+  };
+
+  const withUser = (overrides) => {
+    prisma.user.findUnique.mockResolvedValue({ ...baseUser, ...overrides });
+  };
+
+  test('should pass when no budget is exhausted', async () => {
+    withUser({ tokensToday: 500000 });
+
+    const result = await UserModel.checkQuota('quota-user');
+
+    expect(result.exceeded).toBe(false);
+    expect(result.user.userId).toBe('quota-user');
+  });
+
+  test('should report exhausted daily request quota', async () => {
+    withUser({ requestsToday: 100 });
+
+    const result = await UserModel.checkQuota('quota-user');
+
+    expect(result.exceeded).toBe(true);
+    expect(result.budget).toBe('requests');
+    expect(result.period).toBe('daily');
+    expect(result.reason).toBe('Daily quota exceeded');
+  });
+
+  test('should report exhausted daily token budget', async () => {
+    withUser({ dailyTokenQuota: 10000, tokensToday: 12000 });
+
+    const result = await UserModel.checkQuota('quota-user');
+
+    expect(result.exceeded).toBe(true);
+    expect(result.budget).toBe('tokens');
+    expect(result.period).toBe('daily');
+    expect(result.reason).toBe('Daily token quota exceeded');
+  });
+
+  test('should report exhausted monthly cost budget', async () => {
+    withUser({ monthlyCostQuota: 5, costMonth: 5.01 });
+
+    const result = await UserModel.checkQuota('quota-user');
+
+    expect(result.exceeded).toBe(true);
+    expect(result.budget).toBe('cost');
+    expect(result.period).toBe('monthly');
+  });
+
+  test('should treat a zero budget as exhausted', async () => {
+    withUser({ dailyCostQuota: 0 });
+
+    const result = await UserModel.checkQuota('quota-user');
+
+    expect(result.exceeded).toBe(true);
+    expect(result.budget).toBe('cost');
+  });
+
+  test('should reject unknown and inactive users', async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+    expect((await UserModel.checkQuota('missing')).reason).toBe('User not found');
+
+    withUser({ active: false });
+    expect((await UserModel.checkQuota('quota-user')).reason).toBe('User is inactive');
+  });
+});
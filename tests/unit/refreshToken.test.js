@@ -0,0 +1,118 @@
+jest.mock('../../src/db/client', () => ({
+  refreshToken: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn()
+  },
+  user: {
+    findUnique: jest.fn()
+  },
+  app: {
+    findUnique: jest.fn()
+  }
+}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../src/config/env');
+const prisma = require('../../src/db/client');
+const tokenBlacklist = require('../../src/services/tokenBlacklist');
+const RefreshTokenService = require('../../src/services/refreshToken');
+
+describe('Refresh Tokens', () => {
+  // In-memory refresh token table
+  let rows;
+
+  const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+  const byHash = (token) => rows.find(row => row.tokenHash === hash(token));
+
+  beforeEach(() => {
+    rows = [];
+    tokenBlacklist.setStore(new tokenBlacklist.MemoryRevocationStore());
+
+    prisma.refreshToken.create.mockImplementation(async ({ data }) => {
+      const row = { id: `rt-${rows.length + 1}`, createdAt: new Date(), usedAt: null, revokedAt: null, ...data };
+      rows.push(row);
+      return row;
+    });
+    prisma.refreshToken.findUnique.mockImplementation(async ({ where }) =>
+      rows.find(row => row.tokenHash === where.tokenHash) || null);
+    prisma.refreshToken.findMany.mockImplementation(async ({ where }) =>
+      rows.filter(row => row.familyId === where.familyId));
+    prisma.refreshToken.update.mockImplementation(async ({ where, data }) =>
+      Object.assign(rows.find(row => row.id === where.id), data));
+    prisma.refreshToken.updateMany.mockImplementation(async ({ where, data }) => {
+      const matches = rows.filter(row => Object.entries(where).every(([key, value]) => row[key] === value));
+      matches.forEach(row => Object.assign(row, data));
+      return { count: matches.length };
+    });
+    prisma.user.findUnique.mockResolvedValue({ userId: 'user1', active: true });
+    prisma.app.findUnique.mockResolvedValue(null);
+  });
+
+  test('should issue a short-lived access token and store only the refresh token hash', async () => {
+    const issued = await RefreshTokenService.issue({ userId: 'user1', appId: 'app1' });
+    const decoded = jwt.decode(issued.accessToken);
+
+    expect(issued.refreshToken).toMatch(/^rt_[0-9a-f]{64}$/);
+    expect(decoded).toMatchObject({ userId: 'user1', appId: 'app1', fid: issued.familyId });
+    expect(decoded.jti).toBeDefined();
+    expect(decoded.exp - decoded.iat).toBe(15 * 60);
+
+    expect(rows[0].tokenHash).toBe(hash(issued.refreshToken));
+    expect(JSON.stringify(rows[0])).not.toContain(issued.refreshToken);
+    expect(rows[0].expiresAt.getTime()).toBeGreaterThan(Date.now() + (config.refreshToken.ttlDays - 1) * 86400000);
+  });
+
+  test('should rotate a refresh token within its family', async () => {
+    const first = await RefreshTokenService.issue({ userId: 'user1', appId: 'app1' });
+
+    const second = await RefreshTokenService.rotate(first.refreshToken);
+
+    expect(second.familyId).toBe(first.familyId);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(byHash(first.refreshToken)).toMatchObject({ replacedById: second.refreshTokenId });
+    expect(byHash(first.refreshToken).usedAt).toBeInstanceOf(Date);
+  });
+
+  test('should revoke the whole family when a used refresh token is presented again', async () => {
+    const first = await RefreshTokenService.issue({ userId: 'user1', appId: 'app1' });
+    const second = await RefreshTokenService.rotate(first.refreshToken);
+
+    await expect(RefreshTokenService.rotate(first.refreshToken))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED', status: 401 });
+
+    expect(rows.every(row => row.revokedAt && row.revokeReason === 'reuse')).toBe(true);
+    await expect(RefreshTokenService.rotate(second.refreshToken))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_REVOKED' });
+
+    // Access tokens of the family stop working too
+    expect(await tokenBlacklist.isBlacklisted(second.accessToken)).toBe(true);
+  });
+
+  test('should reject unknown, expired and revoked refresh tokens', async () => {
+    await expect(RefreshTokenService.rotate('rt_unknown')).rejects.toMatchObject({ code: 'REFRESH_TOKEN_INVALID' });
+    await expect(RefreshTokenService.rotate('not-a-token')).rejects.toMatchObject({ code: 'REFRESH_TOKEN_INVALID' });
+
+    const expired = await RefreshTokenService.issue({ userId: 'user1' });
+    byHash(expired.refreshToken).expiresAt = new Date(Date.now() - 1000);
+    await expect(RefreshTokenService.rotate(expired.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_EXPIRED' });
+
+    const revoked = await RefreshTokenService.issue({ userId: 'user1' });
+    await tokenBlacklist.revokeSubjectTokens('user', 'user1', new Date(Date.now() + 1000));
+    await expect(RefreshTokenService.rotate(revoked.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REVOKED' });
+  });
+
+  test('should revoke the refresh chain on logout', async () => {
+    const first = await RefreshTokenService.issue({ userId: 'user1' });
+    const second = await RefreshTokenService.rotate(first.refreshToken);
+
+    expect(await RefreshTokenService.revokeByToken(second.refreshToken, 'someone-else')).toBe(0);
+    expect(await RefreshTokenService.revokeFamily(second.familyId, 'logout')).toBe(2);
+
+    await expect(RefreshTokenService.rotate(second.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REVOKED' });
+  });
+});
@@ -0,0 +1,117 @@
+const config = require('../../src/config/env');
+const { getCacheTtl } = require('../../src/config/cache');
+const ResponseCacheService = require('../../src/services/responseCache');
+const { MemoryCacheStore } = require('../../src/services/responseCache');
+
+describe('Response Cache', () => {
+  const originalEnabled = config.responseCache.enabled;
+
+  beforeEach(async () => {
+    config.responseCache.enabled = true;
+    ResponseCacheService.setStore(new MemoryCacheStore({ maxEntries: 2 }));
+    await ResponseCacheService.clear();
+  });
+
+  afterAll(() => {
+    config.responseCache.enabled = originalEnabled;
+  });
+
+  describe('TTLs', () => {
+    test('should match cacheable endpoints by suffix', () => {
+      expect(getCacheTtl('/embeddings')).toBe(86400);
+      expect(getCacheTtl('/v1/embeddings')).toBe(86400);
+      expect(getCacheTtl('/models/text-embedding-004:embedContent')).toBe(86400);
+      expect(getCacheTtl('/models')).toBe(3600);
+    });
+
+    test('should not cache other endpoints', () => {
+      expect(getCacheTtl('/chat/completions')).toBe(0);
+      expect(getCacheTtl('/models/gemini-2.5-flash:generateContent')).toBe(0);
+      expect(getCacheTtl(undefined)).toBe(0);
+    });
+
+    test('should skip streams, disabled cache and Cache-Control: no-cache', () => {
+      const req = { headers: {} };
+
+      expect(ResponseCacheService.getTtl(req, '/embeddings')).toBe(86400);
+      expect(ResponseCacheService.getTtl(req, '/embeddings', true)).toBe(0);
+      expect(ResponseCacheService.getTtl({ headers: { 'cache-control': 'no-cache' } }, '/embeddings')).toBe(0);
+
+      config.responseCache.enabled = false;
+      expect(ResponseCacheService.getTtl(req, '/embeddings')).toBe(0);
+    });
+  });
+
+  describe('Keys', () => {
+    test('should ignore body key order', () => {
+      const a = ResponseCacheService.buildKey('openai', '/embeddings', { model: 'm', input: ['x'], dimensions: 256 });
+      const b = ResponseCacheService.buildKey('openai', '/embeddings', { dimensions: 256, input: ['x'], model: 'm' });
+
+      expect(a).toBe(b);
+      expect(a).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    test('should differ by provider, endpoint, body and key scope', () => {
+      const body = { model: 'm', input: 'x' };
+      const base = ResponseCacheService.buildKey('openai', '/embeddings', body);
+
+      expect(ResponseCacheService.buildKey('mistral', '/embeddings', body)).not.toBe(base);
+      expect(ResponseCacheService.buildKey('openai', '/models', body)).not.toBe(base);
+      expect(ResponseCacheService.buildKey('openai', '/embeddings', { ...body, input: 'y' })).not.toBe(base);
+      expect(ResponseCacheService.buildKey('openai', '/embeddings', body, 'byok:sk_1')).not.toBe(base);
+    });
+  });
+
+  describe('Store', () => {
+    test('should only store 2xx responses', async () => {
+      expect(await ResponseCacheService.set('k1', { status: 200, data: { ok: true } }, 60)).toBe(true);
+      expect(await ResponseCacheService.set('k2', { status: 429, data: {} }, 60)).toBe(false);
+
+      const entry = await ResponseCacheService.get('k1');
+      expect(entry.data).toEqual({ ok: true });
+      expect(await ResponseCacheService.get('k2')).toBeNull();
+
+      const stats = await ResponseCacheService.getStats();
+      expect(stats).toMatchObject({ backend: 'memory', entries: 1, hits: 1, misses: 1, stores: 1, hitRate: '50.00' });
+    });
+
+    test('should evict the least recently used entry', async () => {
+      await ResponseCacheService.set('a', { status: 200, data: 'a' }, 60);
+      await ResponseCacheService.set('b', { status: 200, data: 'b' }, 60);
+      await ResponseCacheService.get('a');
+      await ResponseCacheService.set('c', { status: 200, data: 'c' }, 60);
+
+      expect(await ResponseCacheService.get('b')).toBeNull();
+      expect((await ResponseCacheService.get('a')).data).toBe('a');
+      expect((await ResponseCacheService.get('c')).data).toBe('c');
+    });
+
+    test('should expire entries after their TTL', async () => {
+      const now = Date.now();
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await ResponseCacheService.set('k', { status: 200, data: 'v' }, 10);
+      spy.mockReturnValue(now + 11000);
+
+      expect(await ResponseCacheService.get('k')).toBeNull();
+      spy.mockRestore();
+    });
+
+    test('should use a custom store', async () => {
+      const custom = {
+        get: jest.fn().mockResolvedValue({ status: 200, data: 'remote', cachedAt: 0 }),
+        set: jest.fn().mockResolvedValue(),
+        delete: jest.fn(),
+        clear: jest.fn(),
+        size: jest.fn().mockResolvedValue(42)
+      };
+      ResponseCacheService.setStore(custom);
+
+      await ResponseCacheService.set('k', { status: 200, data: 'remote', api: 'openai', endpoint: '/models' }, 5);
+
+      expect(custom.set).toHaveBeenCalledWith('k', expect.objectContaining({ data: 'remote' }), 5000);
+      expect((await ResponseCacheService.get('k')).data).toBe('remote');
+      expect((await ResponseCacheService.getStats()).entries).toBe(42);
+    });
+  });
+});
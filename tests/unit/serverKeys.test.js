@@ -0,0 +1,93 @@
+const config = require('../../src/config/env');
+const ServerKeyService = require('../../src/services/serverKeys');
+
+describe('Server Key Selection', () => {
+  const KEYS = ['sk-org-one', 'sk-org-two', 'sk-org-three'];
+  let originalOpenai;
+  let originalServerKeys;
+
+  beforeAll(() => {
+    originalOpenai = config.openai;
+    originalServerKeys = config.serverKeys;
+  });
+
+  afterAll(() => {
+    config.openai = originalOpenai;
+    config.serverKeys = originalServerKeys;
+  });
+
+  beforeEach(() => {
+    ServerKeyService.reset();
+    config.openai = { ...originalOpenai, apiKey: KEYS[0], apiKeys: KEYS };
+    config.serverKeys = { strategy: 'round_robin', cooldownMs: 60000 };
+  });
+
+  test('should rotate keys round-robin', () => {
+    const picked = [1, 2, 3, 4].map(() => ServerKeyService.selectKey('openai').apiKey);
+
+    expect(picked).toEqual([KEYS[0], KEYS[1], KEYS[2], KEYS[0]]);
+  });
+
+  test('should bench a rate limited key for Retry-After and skip it', () => {
+    const now = Date.now();
+    const first = ServerKeyService.selectKey('openai', now);
+    ServerKeyService.reportResult('openai', first.keyId, { status: 429, headers: { 'retry-after': '30' } }, now);
+
+    const picked = [1, 2, 3].map(() => ServerKeyService.selectKey('openai', now + 1000).apiKey);
+    expect(picked).not.toContain(KEYS[0]);
+
+    const health = ServerKeyService.getProviderHealth('openai', now + 1000);
+    expect(health[0]).toMatchObject({ keyId: first.keyId, status: 'benched', rateLimited: 1 });
+    expect(health[0].benchedUntil).toBe(new Date(now + 30000).toISOString());
+
+    // Cooldown over: the key is back in rotation
+    expect(ServerKeyService.getProviderHealth('openai', now + 31000)[0].status).toBe('available');
+  });
+
+  test('should fall back to the configured cooldown and use the soonest key when all are benched', () => {
+    const now = Date.now();
+    KEYS.forEach((key, index) => {
+      const { keyId } = ServerKeyService.selectKey('openai', now);
+      ServerKeyService.reportResult('openai', keyId, { status: 429, headers: {} }, now + (2 - index) * 1000);
+    });
+
+    // Third key was benched first, so its cooldown ends first
+    expect(ServerKeyService.selectKey('openai', now + 5000).apiKey).toBe(KEYS[2]);
+    expect(ServerKeyService.getProviderHealth('openai', now)[2].benchedUntil)
+      .toBe(new Date(now + 60000).toISOString());
+  });
+
+  test('should prefer the key rate limited longest ago with least_rate_limited', () => {
+    config.serverKeys.strategy = 'least_rate_limited';
+    const now = Date.now();
+    const ids = KEYS.map(() => ServerKeyService.selectKey('openai', now).keyId);
+
+    ServerKeyService.reportResult('openai', ids[0], { status: 429, headers: { 'retry-after': '1' } }, now);
+    ServerKeyService.reportResult('openai', ids[1], { status: 429, headers: { 'retry-after': '1' } }, now - 5000);
+
+    expect(ServerKeyService.selectKey('openai', now + 2000).apiKey).toBe(KEYS[2]);
+
+    ServerKeyService.reportResult('openai', ids[2], { status: 429, headers: { 'retry-after': '0' } }, now + 2000);
+    expect(ServerKeyService.selectKey('openai', now + 2001).apiKey).toBe(KEYS[1]);
+  });
+
+  test('should never expose keys in health output', () => {
+    ServerKeyService.selectKey('openai');
+    const { keyId } = ServerKeyService.selectKey('openai');
+    ServerKeyService.reportResult('openai', keyId, null);
+
+    const health = ServerKeyService.getHealth();
+    const serialized = JSON.stringify(health);
+
+    expect(health.strategy).toBe('round_robin');
+    expect(health.providers.openai).toHaveLength(3);
+    expect(health.providers.openai[1]).toMatchObject({ index: 2, requests: 1, errors: 1 });
+    KEYS.forEach(key => expect(serialized).not.toContain(key));
+  });
+
+  test('should return null for providers without keys', () => {
+    config.openai = { ...originalOpenai, apiKey: undefined, apiKeys: [] };
+
+    expect(ServerKeyService.selectKey('openai')).toBeNull();
+  });
+});
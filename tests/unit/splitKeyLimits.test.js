@@ -0,0 +1,189 @@
+jest.mock('../../src/db/client', () => ({
+  splitKey: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    updateMany: jest.fn()
+  }
+}));
+
+const crypto = require('crypto');
+const prisma = require('../../src/db/client');
+const KeyEncryptionService = require('../../src/services/keyEncryption');
+const { LocalKeyProvider } = require('../../src/services/keyEncryption');
+const splitKeyService = require('../../src/services/splitKey');
+const { reconstructApiKey } = require('../../src/middleware/splitKey');
+const { isLockedOut } = require('../../src/middleware/securityMonitor');
+
+describe('Split Key Limits', () => {
+  const today = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate()));
+  let row;
+
+  const createKey = async (limits) => {
+    const result = await splitKeyService.splitApiKey('sk-original-api-key-123', 'openai', 'sk-limit-key', 'user1', null, limits);
+    row = { id: 'row-1', active: true, usageCount: 0, spendToday: 0, spendDate: null, ...prisma.splitKey.create.mock.calls[0][0].data };
+    return result.clientPart;
+  };
+
+  beforeEach(() => {
+    KeyEncryptionService.setProvider(new LocalKeyProvider({ masterKey: crypto.randomBytes(32).toString('hex') }));
+    prisma.splitKey.create.mockImplementation(async ({ data }) => ({ ...data, createdAt: new Date() }));
+    prisma.splitKey.findUnique.mockImplementation(async () => row);
+    prisma.splitKey.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  describe('checkLimits', () => {
+    test('should allow keys without limits', async () => {
+      await createKey({});
+
+      expect(row.allowedEndpoints).toBeNull();
+      expect(splitKeyService.checkLimits(row, { endpoint: '/anything' })).toEqual({ allowed: true });
+    });
+
+    test('should reject expired keys and keys past maxUses', async () => {
+      await createKey({ expiresAt: new Date(Date.now() + 60000), maxUses: 3 });
+
+      expect(splitKeyService.checkLimits(row, {}, new Date(Date.now() + 120000)).limit).toBe('expires_at');
+      expect(splitKeyService.checkLimits({ ...row, usageCount: 3 }).limit).toBe('max_uses');
+    });
+
+    test('should apply the daily spend cap to today only', async () => {
+      await createKey({ dailySpendCap: 2 });
+
+      expect(splitKeyService.checkLimits({ ...row, spendToday: 2.5, spendDate: today }).limit).toBe('daily_spend_cap');
+      expect(splitKeyService.checkLimits({ ...row, spendToday: 2.5, spendDate: new Date(today - 86400000) }).allowed).toBe(true);
+    });
+
+    test('should match the endpoint allowlist with wildcards', async () => {
+      await createKey({ allowedEndpoints: ['/chat/completions', '/models/*:generateContent'] });
+
+      expect(splitKeyService.checkLimits(row, { endpoint: '/chat/completions' }).allowed).toBe(true);
+      expect(splitKeyService.checkLimits(row, { endpoint: '/models/gemini-2.5-pro:generateContent' }).allowed).toBe(true);
+      expect(splitKeyService.checkLimits(row, { endpoint: '/images/generations' }).limit).toBe('allowed_endpoints');
+      expect(splitKeyService.checkLimits(row, {}).limit).toBe('allowed_endpoints');
+    });
+  });
+
+  describe('reconstructApiKey', () => {
+    test('should not increment past maxUses under concurrency', async () => {
+      const clientPart = await createKey({ maxUses: 1 });
+      prisma.splitKey.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(splitKeyService.reconstructApiKey('sk-limit-key', clientPart)).rejects.toMatchObject({
+        code: 'SPLIT_KEY_LIMIT',
+        limit: 'max_uses'
+      });
+      expect(prisma.splitKey.updateMany.mock.calls[0][0].where).toEqual({ id: 'row-1', usageCount: { lt: 1 } });
+    });
+
+    test('should answer 403 from the middleware with the exceeded limit', async () => {
+      const clientPart = await createKey({ allowedEndpoints: ['/embeddings'] });
+      const req = {
+        authMethod: 'BYOK_SPLIT_KEY',
+        splitKey: { keyId: 'sk-limit-key', clientPart },
+        body: { endpoint: '/chat/completions' },
+        query: {},
+        headers: {},
+        user: { userId: 'user1' },
+        ip: '127.0.0.1'
+      };
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+
+      await reconstructApiKey(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ error: 'Split Key limit reached', limit: 'allowed_endpoints' });
+    });
+
+    const runMiddleware = async (clientPart, ip) => {
+      const req = {
+        authMethod: 'BYOK_SPLIT_KEY',
+        splitKey: { keyId: 'sk-limit-key', clientPart },
+        body: { endpoint: '/chat/completions' },
+        query: {},
+        headers: {},
+        user: { userId: 'user1' },
+        ip
+      };
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      await reconstructApiKey(req, res, jest.fn());
+      return res;
+    };
+
+    test('should count wrong client parts towards a lockout separate from admin auth', async () => {
+      await createKey({});
+
+      for (let i = 0; i < 5; i++) {
+        const res = await runMiddleware('ab'.repeat(16), '10.0.0.5');
+        expect(res.status).toHaveBeenCalledWith(401);
+      }
+
+      expect(isLockedOut('split:10.0.0.5')).toBe(true);
+      expect(isLockedOut('10.0.0.5')).toBe(false);
+    });
+
+    test('should answer 500 without counting a failure when the lookup errors', async () => {
+      const clientPart = await createKey({});
+      prisma.splitKey.findUnique.mockRejectedValue(new Error('Connection refused'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await runMiddleware(clientPart, '10.0.0.6');
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json.mock.calls[0][0]).not.toHaveProperty('attemptsRemaining');
+      await expect(splitKeyService.reconstructApiKey('sk-limit-key', clientPart)).rejects.not.toHaveProperty('code');
+
+      for (let i = 0; i < 5; i++) {
+        await runMiddleware(clientPart, '10.0.0.6');
+      }
+      expect(isLockedOut('split:10.0.0.6')).toBe(false);
+    });
+  });
+
+  describe('recordSpend and info', () => {
+    test('should start a new daily counter when the day changed', async () => {
+      prisma.splitKey.updateMany.mockResolvedValueOnce({ count: 0 }).mockResolvedValueOnce({ count: 1 });
+
+      await splitKeyService.recordSpend('sk-limit-key', 0.25);
+
+      expect(prisma.splitKey.updateMany.mock.calls[0][0]).toEqual({
+        where: { keyId: 'sk-limit-key', spendDate: today },
+        data: { spendToday: { increment: 0.25 } }
+      });
+      expect(prisma.splitKey.updateMany.mock.calls[1][0]).toEqual({
+        where: { keyId: 'sk-limit-key', OR: [{ spendDate: null }, { spendDate: { lt: today } }] },
+        data: { spendToday: 0.25, spendDate: today }
+      });
+      expect(prisma.splitKey.updateMany).toHaveBeenCalledTimes(2);
+    });
+
+    test('should add to the counter a concurrent request started for the day', async () => {
+      prisma.splitKey.updateMany
+        .mockResolvedValueOnce({ count: 0 })
+        .mockResolvedValueOnce({ count: 0 })
+        .mockResolvedValueOnce({ count: 1 });
+
+      await splitKeyService.recordSpend('sk-limit-key', 0.25);
+
+      expect(prisma.splitKey.updateMany).toHaveBeenCalledTimes(3);
+      expect(prisma.splitKey.updateMany.mock.calls[2][0].data).toEqual({ spendToday: { increment: 0.25 } });
+    });
+
+    test('should report limits and their state', async () => {
+      await createKey({ maxUses: 10, dailySpendCap: 1, allowedEndpoints: ['/embeddings'] });
+
+      const info = splitKeyService.withLimitStatus({ ...row, usageCount: 4, spendToday: 1.5, spendDate: today });
+
+      expect(info).toMatchObject({
+        maxUses: 10,
+        remainingUses: 6,
+        dailySpendCap: 1,
+        spendToday: 1.5,
+        allowedEndpoints: ['/embeddings'],
+        limitReached: 'daily_spend_cap'
+      });
+      expect(info).not.toHaveProperty('spendDate');
+    });
+  });
+});
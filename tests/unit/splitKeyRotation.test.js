@@ -0,0 +1,88 @@
+jest.mock('../../src/db/client', () => ({
+  splitKey: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  }
+}));
+
+const crypto = require('crypto');
+const prisma = require('../../src/db/client');
+const KeyEncryptionService = require('../../src/services/keyEncryption');
+const { LocalKeyProvider } = require('../../src/services/keyEncryption');
+const splitKeyService = require('../../src/services/splitKey');
+
+describe('Split Key Client-Part Rotation', () => {
+  const originalKey = 'sk-original-api-key-123';
+  let row;
+  let clientPart;
+
+  beforeEach(async () => {
+    KeyEncryptionService.setProvider(new LocalKeyProvider({ masterKey: crypto.randomBytes(32).toString('hex') }));
+    prisma.splitKey.create.mockImplementation(async ({ data }) => ({ ...data, createdAt: new Date() }));
+    ({ clientPart } = await splitKeyService.splitApiKey(originalKey, 'openai', 'sk-rotate-key', 'user1'));
+    row = { id: 'row-1', active: true, createdBy: 'user1', ...prisma.splitKey.create.mock.calls[0][0].data };
+
+    prisma.splitKey.findUnique.mockImplementation(async () => row);
+    prisma.splitKey.update.mockImplementation(async ({ data }) => {
+      row = { ...row, ...data };
+      return row;
+    });
+    prisma.splitKey.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  test('should store only a salted hash of the client part', async () => {
+    expect(row.clientPart).toBeUndefined();
+    expect(row.clientPartHash).toMatch(/^[0-9a-f]{32}:[0-9a-f]{64}$/);
+    expect(row.clientPartHash).not.toContain(clientPart);
+    expect(splitKeyService.matchesClientPart(row, clientPart)).toBe(true);
+    expect(splitKeyService.matchesClientPart(row, clientPart.slice(0, -1))).toBe(false);
+  });
+
+  test('should still accept legacy rows with a plaintext client part', async () => {
+    const { clientPartHash, ...legacyRow } = row;
+    legacyRow.clientPart = clientPart;
+    prisma.splitKey.findUnique.mockResolvedValue(legacyRow);
+
+    expect(clientPartHash).toBeDefined();
+    expect(await splitKeyService.reconstructApiKey('sk-rotate-key', clientPart)).toBe(originalKey);
+    await expect(splitKeyService.reconstructApiKey('sk-rotate-key', 'ab'.repeat(16))).rejects.toThrow('Invalid client part');
+  });
+
+  test('should issue a new client part for the same key', async () => {
+    const oldClientPart = clientPart;
+    const oldServerPart = row.serverPart;
+
+    const result = await splitKeyService.rotateClientPart('sk-rotate-key', 'user1', clientPart);
+
+    expect(result.clientPart).not.toBe(oldClientPart);
+    expect(row.serverPart).not.toBe(oldServerPart);
+    expect(result.previousClientPartExpiresAt).toBeNull();
+    expect(await splitKeyService.reconstructApiKey('sk-rotate-key', result.clientPart)).toBe(originalKey);
+    await expect(splitKeyService.reconstructApiKey('sk-rotate-key', oldClientPart)).rejects.toThrow('Invalid client part');
+  });
+
+  test('should accept the previous client part during the grace period', async () => {
+    const oldClientPart = clientPart;
+
+    const result = await splitKeyService.rotateClientPart('sk-rotate-key', 'user1', clientPart, 3600);
+
+    expect(result.previousClientPartExpiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(await splitKeyService.reconstructApiKey('sk-rotate-key', oldClientPart)).toBe(originalKey);
+    expect(await splitKeyService.reconstructApiKey('sk-rotate-key', result.clientPart)).toBe(originalKey);
+
+    row.previousClientPartExpiresAt = new Date(Date.now() - 1000);
+    expect(splitKeyService.matchesClientPart(row, oldClientPart)).toBe(false);
+    expect(splitKeyService.matchesClientPart(row, result.clientPart)).toBe(true);
+  });
+
+  test('should only let the creator rotate active keys with the current client part', async () => {
+    await expect(splitKeyService.rotateClientPart('sk-rotate-key', 'someone-else', clientPart)).rejects.toThrow('Not authorized');
+    await expect(splitKeyService.rotateClientPart('sk-rotate-key', 'user1', 'ab'.repeat(16))).rejects.toThrow('Invalid client part');
+
+    row.active = false;
+    await expect(splitKeyService.rotateClientPart('sk-rotate-key', 'user1', clientPart)).rejects.toThrow('inactive');
+    expect(prisma.splitKey.update).not.toHaveBeenCalled();
+  });
+});
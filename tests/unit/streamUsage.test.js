@@ -0,0 +1,93 @@
+const { Readable, Writable } = require('stream');
+const { createStreamUsageTap } = require('../../src/utils/streamUsage');
+
+/**
+ * Pipe SSE chunks through the tap and resolve with { output, usage }
+ */
+const runThroughTap = (api, chunks) => new Promise((resolve) => {
+  let usage;
+  let output = '';
+
+  const tap = createStreamUsageTap(api, (data) => {
+    usage = data;
+  });
+
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      output += chunk.toString();
+      callback();
+    }
+  });
+
+  sink.on('finish', () => resolve({ output, usage }));
+  Readable.from(chunks.map(c => Buffer.from(c))).pipe(tap).pipe(sink);
+});
+
+describe('Stream Usage Tap', () => {
+  test('should pass chunks through unchanged', async () => {
+    const chunks = ['data: {"model":"gpt-4o","choices":[]}\n\n', 'data: [DONE]\n\n'];
+    const { output } = await runThroughTap('openai', chunks);
+
+    expect(output).toBe(chunks.join(''));
+  });
+
+  test('should collect OpenAI usage from the final chunk', async () => {
+    const { usage } = await runThroughTap('openai', [
+      'data: {"model":"gpt-4o-mini","choices":[{"delta":{"content":"Hi"}}]}\n\n',
+      'data: {"model":"gpt-4o-mini","choices":[],"usage":{"prompt_tokens":12,"completion_tokens":30,"total_tokens":42}}\n\n',
+      'data: [DONE]\n\n'
+    ]);
+
+    expect(usage).toEqual({
+      model: 'gpt-4o-mini',
+      usage: { prompt_tokens: 12, completion_tokens: 30, total_tokens: 42 }
+    });
+  });
+
+  test('should collect Claude usage from message_start and message_delta', async () => {
+    const { usage } = await runThroughTap('claude', [
+      'event: message_start\ndata: {"type":"message_start","message":{"model":"claude-sonnet-4","usage":{"input_tokens":25,"output_tokens":1}}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"text":"Hello"}}\n\n',
+      'event: message_delta\ndata: {"type":"message_delta","usage":{"output_tokens":15}}\n\n'
+    ]);
+
+    expect(usage.usage).toEqual({ input_tokens: 25, output_tokens: 15 });
+    expect(usage.model).toBe('claude-sonnet-4');
+  });
+
+  test('should collect Gemini usageMetadata from the last chunk', async () => {
+    const { usage } = await runThroughTap('gemini', [
+      'data: {"candidates":[],"usageMetadata":{"promptTokenCount":8,"candidatesTokenCount":2,"totalTokenCount":10}}\r\n\r\n',
+      'data: {"candidates":[],"usageMetadata":{"promptTokenCount":8,"candidatesTokenCount":20,"totalTokenCount":28},"modelVersion":"gemini-2.5-flash"}\r\n\r\n'
+    ]);
+
+    expect(usage.usageMetadata).toEqual({ promptTokenCount: 8, candidatesTokenCount: 20, totalTokenCount: 28 });
+    expect(usage.modelVersion).toBe('gemini-2.5-flash');
+  });
+
+  test('should handle events split across chunks', async () => {
+    const { usage } = await runThroughTap('openai', [
+      'data: {"choices":[],"usage":{"prompt_',
+      'tokens":5,"completion_tokens":7,"total_tokens":12}}\n\n'
+    ]);
+
+    expect(usage.usage.total_tokens).toBe(12);
+  });
+
+  test('should report null when the stream carries no usage', async () => {
+    const { usage } = await runThroughTap('groq', ['data: {"choices":[]}\n\n']);
+
+    expect(usage).toBeNull();
+  });
+
+  test('should only report once when finished early', async () => {
+    const onFinish = jest.fn();
+    const tap = createStreamUsageTap('openai', onFinish);
+
+    tap.write('data: {"usage":{"prompt_tokens":1,"completion_tokens":1,"total_tokens":2}}\n');
+    tap.finish();
+    tap.finish();
+
+    expect(onFinish).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,9 +1,14 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const tokenBlacklist = require('../../src/services/tokenBlacklist');
 
 describe('Token Blacklist Service', () => {
   const JWT_SECRET = 'test-secret';
 
+  // Tokens carry a jti like the ones from generateToken
+  const sign = (payload, expiresIn = '1h') =>
+    jwt.sign(payload, JWT_SECRET, { expiresIn, jwtid: crypto.randomUUID() });
+
   beforeEach(() => {
     // Reset mocks between tests
     jest.clearAllMocks();
@@ -12,7 +17,7 @@ describe('Token Blacklist Service', () => {
   describe('addToBlacklist', () => {
     test('should blacklist a valid token', async () => {
       const payload = { userId: 'test-user' };
-      const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' });
+      const token = sign(payload);
 
       const result = await tokenBlacklist.addToBlacklist(token, 'test-user', '127.0.0.1');
 
@@ -21,7 +26,7 @@ describe('Token Blacklist Service', () => {
 
     test('should not blacklist an already expired token', async () => {
       const payload = { userId: 'test-user' };
-      const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '-1h' }); // Already expired
+      const token = sign(payload, '-1h'); // Already expired
 
       const result = await tokenBlacklist.addToBlacklist(token, 'test-user', '127.0.0.1');
 
@@ -44,7 +49,7 @@ describe('Token Blacklist Service', () => {
   describe('isBlacklisted', () => {
     test('should return false for non-blacklisted tokens', async () => {
       const payload = { userId: 'test-user' };
-      const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' });
+      const token = sign(payload);
 
       const result = await tokenBlacklist.isBlacklisted(token);
 
@@ -54,7 +59,7 @@ describe('Token Blacklist Service', () => {
 
     test('should return true for blacklisted tokens', async () => {
       const payload = { userId: 'test-user' };
-      const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' });
+      const token = sign(payload);
 
       // Blacklist the token
       await tokenBlacklist.addToBlacklist(token, 'test-user', '127.0.0.1');
@@ -68,7 +73,7 @@ describe('Token Blacklist Service', () => {
     test('should handle invalid tokens gracefully', async () => {
       const result = await tokenBlacklist.isBlacklisted('invalid-token');
 
-      // Should fail-open (return false) for safety
+      // Unknown tokens are not revoked (jwt.verify rejects them afterwards)
       expect(result).toBe(false);
     });
   });
@@ -76,7 +81,7 @@ describe('Token Blacklist Service', () => {
   describe('removeFromBlacklist', () => {
     test('should remove token from blacklist', async () => {
       const payload = { userId: 'test-user' };
-      const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' });
+      const token = sign(payload);
 
       // Blacklist
       await tokenBlacklist.addToBlacklist(token, 'test-user', '127.0.0.1');
@@ -94,7 +99,7 @@ describe('Token Blacklist Service', () => {
   describe('getBlacklistInfo', () => {
     test('should return null for non-blacklisted tokens', async () => {
       const payload = { userId: 'test-user' };
-      const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' });
+      const token = sign(payload);
 
       const info = await tokenBlacklist.getBlacklistInfo(token);
 
@@ -103,7 +108,7 @@ describe('Token Blacklist Service', () => {
 
     test('should return info for blacklisted tokens', async () => {
       const payload = { userId: 'test-user' };
-      const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' });
+      const token = sign(payload);
 
       // Blacklist
       await tokenBlacklist.addToBlacklist(token, 'test-user', '192.168.1.1');
@@ -117,4 +122,110 @@ describe('Token Blacklist Service', () => {
       expect(info.tokenId).toBeDefined();
     });
   });
+
+  describe('getTokenId', () => {
+    test('should use the jti claim and fall back to a hash for tokens without one', () => {
+      const withJti = jwt.sign({ userId: 'test-user' }, JWT_SECRET, { jwtid: 'jti-1' });
+      const withoutJti = jwt.sign({ userId: 'test-user' }, JWT_SECRET);
+
+      expect(tokenBlacklist.getTokenId(withJti)).toBe('jti-1');
+      expect(tokenBlacklist.getTokenId(withoutJti)).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('revokeSubjectTokens', () => {
+    afterEach(() => {
+      tokenBlacklist.setStore(new tokenBlacklist.MemoryRevocationStore());
+    });
+
+    test('should revoke tokens of a user issued before the cutoff only', async () => {
+      const iat = Math.floor(Date.now() / 1000);
+      const older = sign({ userId: 'cutoff-user', iat: iat - 120 });
+      const newer = sign({ userId: 'cutoff-user', iat: iat + 60 });
+      const otherUser = sign({ userId: 'other-user', iat: iat - 120 });
+
+      await tokenBlacklist.revokeSubjectTokens('user', 'cutoff-user', new Date((iat - 60) * 1000));
+
+      expect(await tokenBlacklist.isBlacklisted(older)).toBe(true);
+      expect(await tokenBlacklist.isBlacklisted(newer)).toBe(false);
+      expect(await tokenBlacklist.isBlacklisted(otherUser)).toBe(false);
+    });
+
+    test('should revoke tokens of an app', async () => {
+      const token = sign({ userId: 'test-user', appId: 'cutoff-app', iat: Math.floor(Date.now() / 1000) - 10 });
+
+      await tokenBlacklist.revokeSubjectTokens('app', 'cutoff-app');
+
+      expect(await tokenBlacklist.isBlacklisted(token)).toBe(true);
+      await expect(tokenBlacklist.revokeSubjectTokens('team', 'x')).rejects.toThrow('Invalid subject type');
+    });
+
+    test('should revoke tokens issued in the same second as the cutoff', async () => {
+      const iat = Math.floor(Date.now() / 1000);
+      const token = sign({ userId: 'same-second-user', iat });
+
+      await tokenBlacklist.revokeSubjectTokens('user', 'same-second-user', new Date(iat * 1000 + 500));
+
+      expect(await tokenBlacklist.isBlacklisted(token)).toBe(true);
+      expect(await tokenBlacklist.isRevokedByCutoff({ userId: 'same-second-user' }, (iat + 1) * 1000)).toBe(false);
+    });
+  });
+
+  describe('PrismaRevocationStore', () => {
+    const prisma = {
+      revokedToken: { upsert: jest.fn(), findUnique: jest.fn(), deleteMany: jest.fn(), count: jest.fn() },
+      tokenRevocationCutoff: { upsert: jest.fn(), findMany: jest.fn(), count: jest.fn() }
+    };
+
+    beforeEach(() => {
+      tokenBlacklist.setStore(new tokenBlacklist.PrismaRevocationStore(prisma));
+    });
+
+    afterEach(() => {
+      tokenBlacklist.setStore(new tokenBlacklist.MemoryRevocationStore());
+    });
+
+    test('should persist revoked tokens by jti', async () => {
+      const token = jwt.sign({ userId: 'test-user', appId: 'app-1' }, JWT_SECRET, { expiresIn: '1h', jwtid: 'jti-db' });
+
+      await tokenBlacklist.addToBlacklist(token, 'test-user', '10.0.0.1');
+
+      expect(prisma.revokedToken.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { tokenId: 'jti-db' },
+        create: expect.objectContaining({ tokenId: 'jti-db', userId: 'test-user', appId: 'app-1', ip: '10.0.0.1' })
+      }));
+
+      prisma.revokedToken.findUnique.mockResolvedValue({ tokenId: 'jti-db', expiresAt: new Date(Date.now() + 60000) });
+      prisma.tokenRevocationCutoff.findMany.mockResolvedValue([]);
+
+      expect(await tokenBlacklist.isBlacklisted(token)).toBe(true);
+      expect(prisma.tokenRevocationCutoff.findMany).toHaveBeenCalledWith({
+        where: {
+          OR: [
+            { subjectType: 'user', subjectId: 'test-user' },
+            { subjectType: 'app', subjectId: 'app-1' }
+          ]
+        }
+      });
+    });
+
+    test('should apply the latest cutoff of the user or app', async () => {
+      const token = sign({ userId: 'test-user', appId: 'app-1', iat: Math.floor(Date.now() / 1000) - 30 });
+      prisma.revokedToken.findUnique.mockResolvedValue(null);
+      prisma.tokenRevocationCutoff.findMany.mockResolvedValue([
+        { subjectType: 'user', before: new Date(Date.now() - 60000) },
+        { subjectType: 'app', before: new Date() }
+      ]);
+
+      expect(await tokenBlacklist.isBlacklisted(token)).toBe(true);
+    });
+
+    test('should fail closed when the database is unavailable', async () => {
+      const token = sign({ userId: 'test-user' });
+      prisma.revokedToken.findUnique.mockRejectedValue(new Error('Connection refused'));
+      prisma.tokenRevocationCutoff.findMany.mockResolvedValue([]);
+
+      await expect(tokenBlacklist.isBlacklisted(token)).rejects.toThrow('Connection refused');
+    });
+  });
 });
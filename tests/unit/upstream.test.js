@@ -0,0 +1,103 @@
+jest.mock('../../src/db/client', () => ({}));
+jest.mock('axios');
+
+const axios = require('axios');
+const config = require('../../src/config/env');
+const UpstreamService = require('../../src/services/upstream');
+const ServerKeyService = require('../../src/services/serverKeys');
+const CircuitBreakerService = require('../../src/services/circuitBreaker');
+const { createRetryBudget } = require('../../src/utils/upstreamRetry');
+
+describe('Upstream Service', () => {
+  const KEYS = ['sk-org-one', 'sk-org-two'];
+  let originalOpenai;
+  let originalGroq;
+  let originalRetry;
+
+  const reply = (status) => ({ status, headers: {}, data: {} });
+
+  beforeAll(() => {
+    originalOpenai = config.openai;
+    originalGroq = config.groq;
+    originalRetry = config.upstreamRetry;
+  });
+
+  afterAll(() => {
+    config.openai = originalOpenai;
+    config.groq = originalGroq;
+    config.upstreamRetry = originalRetry;
+  });
+
+  beforeEach(() => {
+    ServerKeyService.reset();
+    CircuitBreakerService.reset();
+    config.openai = { ...originalOpenai, apiKey: KEYS[0], apiKeys: KEYS };
+    config.groq = { ...originalGroq, apiKey: 'gsk-groq', apiKeys: ['gsk-groq'] };
+    config.upstreamRetry = { enabled: true, maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5, budgetMs: 1000 };
+  });
+
+  const serverKeyRequest = (api = 'openai') => {
+    const serverKey = ServerKeyService.selectKey(api);
+    const req = { method: 'POST', headers: {}, serverKey: { api, keyId: serverKey.keyId } };
+    return { req, apiKey: serverKey.apiKey };
+  };
+
+  test('should pick another server key for a retry', async () => {
+    axios.mockResolvedValueOnce(reply(503)).mockResolvedValueOnce(reply(200));
+    const { req, apiKey } = serverKeyRequest();
+
+    const result = await UpstreamService.send(req, { api: 'openai', endpoint: '/chat/completions', data: {} }, {
+      apiKey,
+      keySource: 'SERVER_KEY',
+      retryBudget: createRetryBudget()
+    });
+
+    expect(result.response.status).toBe(200);
+    expect(result.attempts).toBe(2);
+    const [first, second] = axios.mock.calls.map(call => call[0].headers.Authorization);
+    expect(first).toBe(`Bearer ${KEYS[0]}`);
+    expect(second).toBe(`Bearer ${KEYS[1]}`);
+  });
+
+  test('should pick a server key of the fallback provider', async () => {
+    axios.mockResolvedValueOnce(reply(200));
+    const { req, apiKey } = serverKeyRequest();
+
+    await UpstreamService.send(req, { api: 'groq', endpoint: '/chat/completions', data: {} }, {
+      apiKey,
+      keySource: 'SERVER_KEY',
+      retryBudget: createRetryBudget()
+    });
+
+    expect(axios.mock.calls[0][0].headers.Authorization).toBe('Bearer gsk-groq');
+    expect(req.serverKey.api).toBe('groq');
+  });
+
+  test('should fail fast while the provider circuit is open', async () => {
+    const circuitError = Object.assign(new Error('open'), { code: 'CIRCUIT_OPEN' });
+    jest.spyOn(CircuitBreakerService, 'checkRequest').mockReturnValue(circuitError);
+
+    const result = await UpstreamService.send({ method: 'POST', headers: {} }, { api: 'openai', endpoint: '/chat/completions' }, {
+      apiKey: 'sk-byok',
+      keySource: 'BYOK_SPLIT_KEY',
+      retryBudget: createRetryBudget()
+    });
+
+    expect(result).toEqual({ response: null, error: circuitError, attempts: 0 });
+    expect(axios).not.toHaveBeenCalled();
+  });
+
+  test('should put the Gemini key in the query string after existing parameters', () => {
+    const axiosConfig = UpstreamService.buildAxiosConfig({ method: 'GET', headers: {} }, {
+      api: 'gemini',
+      endpoint: '/models/gemini-2.5-flash:streamGenerateContent?alt=sse',
+      apiKey: 'g-key',
+      method: 'POST',
+      wantsStream: true
+    });
+
+    expect(axiosConfig.url).toMatch(/:streamGenerateContent\?alt=sse&key=g-key$/);
+    expect(axiosConfig.method).toBe('POST');
+    expect(axiosConfig.responseType).toBe('stream');
+  });
+});
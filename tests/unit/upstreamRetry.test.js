@@ -0,0 +1,111 @@
+const config = require('../../src/config/env');
+const {
+  parseRetryAfter,
+  createRetryBudget,
+  getRetryDelay,
+  sendWithRetry
+} = require('../../src/utils/upstreamRetry');
+
+describe('Upstream Retry', () => {
+  let originalRetry;
+
+  const reply = (status, headers = {}) => ({ status, headers, data: {} });
+  const networkError = (code) => Object.assign(new Error(code), { code, request: {} });
+
+  // Upstream stand-in answering with the given outcomes in order
+  const upstream = (...outcomes) => jest.fn(async () => {
+    const outcome = outcomes.shift();
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  });
+
+  beforeAll(() => {
+    originalRetry = config.upstreamRetry;
+  });
+
+  afterAll(() => {
+    config.upstreamRetry = originalRetry;
+  });
+
+  beforeEach(() => {
+    config.upstreamRetry = { enabled: true, maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5, budgetMs: 1000 };
+  });
+
+  test('should retry 502/503/529 and return the first good response', async () => {
+    const send = upstream(reply(503), reply(529), reply(200));
+
+    const result = await sendWithRetry(send, createRetryBudget());
+
+    expect(result.response.status).toBe(200);
+    expect(result.attempts).toBe(3);
+    expect(send.mock.calls.map(call => call[0])).toEqual([1, 2, 3]);
+  });
+
+  test('should retry connection resets but not timeouts or other errors', async () => {
+    let result = await sendWithRetry(upstream(networkError('ECONNRESET'), reply(200)), createRetryBudget());
+    expect(result).toMatchObject({ attempts: 2, error: null });
+
+    result = await sendWithRetry(upstream(networkError('ECONNABORTED'), reply(200)), createRetryBudget());
+    expect(result.attempts).toBe(1);
+    expect(result.error.code).toBe('ECONNABORTED');
+
+    result = await sendWithRetry(upstream(reply(500), reply(200)), createRetryBudget());
+    expect(result).toMatchObject({ attempts: 1, response: { status: 500 } });
+  });
+
+  test('should only retry 429 with a Retry-After that fits the budget', async () => {
+    let result = await sendWithRetry(upstream(reply(429, { 'retry-after': '0' }), reply(200)), createRetryBudget());
+    expect(result.attempts).toBe(2);
+
+    result = await sendWithRetry(upstream(reply(429), reply(200)), createRetryBudget());
+    expect(result).toMatchObject({ attempts: 1, response: { status: 429 } });
+
+    result = await sendWithRetry(upstream(reply(429, { 'retry-after': '5' }), reply(200)), createRetryBudget());
+    expect(result).toMatchObject({ attempts: 1, response: { status: 429 } });
+  });
+
+  test('should back off instead of waiting Retry-After when the retry uses another key', async () => {
+    const send = upstream(reply(429, { 'retry-after': '60' }), reply(200));
+
+    const result = await sendWithRetry(send, createRetryBudget(), { ignoreRetryAfter: () => true });
+
+    expect(result).toMatchObject({ attempts: 2, response: { status: 200 } });
+  });
+
+  test('should share one retry budget across upstream calls of a request', async () => {
+    const budget = createRetryBudget();
+
+    const primary = await sendWithRetry(upstream(reply(503), reply(503), reply(503)), budget);
+    const fallback = await sendWithRetry(upstream(reply(503), reply(200)), budget);
+
+    expect(primary.attempts).toBe(3);
+    expect(fallback).toMatchObject({ attempts: 1, response: { status: 503 } });
+  });
+
+  test('should not retry when disabled', async () => {
+    config.upstreamRetry.enabled = false;
+
+    const result = await sendWithRetry(upstream(reply(503), reply(200)), createRetryBudget());
+
+    expect(result.attempts).toBe(1);
+  });
+
+  test('should grow backoff exponentially with jitter up to the cap', () => {
+    config.upstreamRetry = { ...config.upstreamRetry, baseDelayMs: 100, maxDelayMs: 300 };
+    jest.spyOn(Math, 'random').mockReturnValue(0.999);
+
+    expect(getRetryDelay(reply(503), null, 1)).toBe(99);
+    expect(getRetryDelay(reply(503), null, 2)).toBe(199);
+    expect(getRetryDelay(reply(503), null, 3)).toBe(299);
+    expect(getRetryDelay(reply(400), null, 1)).toBeNull();
+
+    Math.random.mockRestore();
+  });
+
+  test('should parse Retry-After seconds and dates', () => {
+    expect(parseRetryAfter('12')).toBe(12000);
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('not a date')).toBeNull();
+    expect(parseRetryAfter(new Date(Date.now() + 10000).toUTCString())).toBeGreaterThan(8000);
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../../src/db/client', () => ({
+  user: {
+    findUnique: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/webhook', () => ({
+  trigger: jest.fn()
+}));
+
+const webhookService = require('../../src/services/webhook');
+const UserRateLimitService = require('../../src/services/userRateLimit');
+const userRateLimit = require('../../src/middleware/userRateLimit');
+
+describe('User Rate Limits', () => {
+  const baseUser = {
+    userId: 'rl-user',
+    requestsPerMinute: null,
+    tokensPerMinute: null,
+    providerRateLimits: null,
+    rateLimitPerApp: false
+  };
+
+  const mockRes = () => {
+    const res = { headers: {} };
+    res.setHeader = jest.fn((name, value) => { res.headers[name] = value; });
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const run = async (user, api = 'openai', tokenUser = { userId: 'rl-user', appId: 'app1' }) => {
+    const req = { params: { api }, body: {}, user: tokenUser, dbUser: user, ip: '127.0.0.1' };
+    const res = mockRes();
+    const next = jest.fn();
+    await userRateLimit(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeEach(() => {
+    UserRateLimitService.reset();
+    webhookService.trigger.mockResolvedValue();
+  });
+
+  describe('getLimits', () => {
+    test('should prefer provider overrides over user defaults', () => {
+      const user = {
+        ...baseUser,
+        requestsPerMinute: 60,
+        tokensPerMinute: 10000,
+        providerRateLimits: JSON.stringify({ openai: { rpm: 5 }, claude: { tpm: null } })
+      };
+
+      expect(UserRateLimitService.getLimits(user, 'openai')).toEqual({ rpm: 5, tpm: 10000 });
+      expect(UserRateLimitService.getLimits(user, 'claude')).toEqual({ rpm: 60, tpm: null });
+      expect(UserRateLimitService.getLimits(user, 'gemini')).toEqual({ rpm: 60, tpm: 10000 });
+      expect(UserRateLimitService.getLimits(baseUser, 'openai')).toEqual({ rpm: null, tpm: null });
+    });
+  });
+
+  describe('sliding window', () => {
+    test('should release requests as they leave the window', () => {
+      const key = 'rl-user:openai';
+      const start = 1000000;
+
+      const first = UserRateLimitService.consume(key, { rpm: 2, tpm: null }, start);
+      expect(first.allowed).toBe(true);
+      expect(first.resetSeconds).toBe(60);
+
+      const second = UserRateLimitService.consume(key, { rpm: 2, tpm: null }, start + 30000);
+      expect(second.allowed).toBe(true);
+      expect(second.resetSeconds).toBe(30);
+
+      const blocked = UserRateLimitService.consume(key, { rpm: 2, tpm: null }, start + 40000);
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.exceeded).toBe('requests');
+      expect(blocked.resetSeconds).toBe(20);
+
+      expect(UserRateLimitService.consume(key, { rpm: 2, tpm: null }, start + 60001).allowed).toBe(true);
+    });
+
+    test('should block once recorded tokens reach the limit', () => {
+      const key = 'rl-user:openai';
+      const now = Date.now();
+
+      UserRateLimitService.consume(key, { rpm: null, tpm: 1000 }, now);
+      UserRateLimitService.recordTokens(key, 1200, now);
+
+      const result = UserRateLimitService.consume(key, { rpm: null, tpm: 1000 }, now + 1000);
+      expect(result.allowed).toBe(false);
+      expect(result.exceeded).toBe('tokens');
+      expect(result.tokens.remaining).toBe(0);
+    });
+  });
+
+  describe('middleware', () => {
+    test('should pass through when the user has no limits', async () => {
+      const { res, next } = await run(baseUser);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.setHeader).not.toHaveBeenCalled();
+    });
+
+    test('should set RateLimit headers and return 429 when exceeded', async () => {
+      const user = { ...baseUser, requestsPerMinute: 1, tokensPerMinute: 5000 };
+
+      const first = await run(user);
+      expect(first.next).toHaveBeenCalled();
+      expect(first.req.rateLimitKey).toBe('rl-user:openai');
+      expect(first.res.headers['RateLimit-Limit']).toBe(1);
+      expect(first.res.headers['RateLimit-Remaining']).toBe(0);
+      expect(first.res.headers['RateLimit-Policy']).toBe('1;w=60, 5000;w=60;comment="tokens"');
+      expect(first.res.headers['X-RateLimit-Remaining-Tokens']).toBe(5000);
+
+      const second = await run(user);
+      expect(second.next).not.toHaveBeenCalled();
+      expect(second.res.status).toHaveBeenCalledWith(429);
+      expect(second.res.headers['Retry-After']).toBeGreaterThan(0);
+      expect(second.res.json.mock.calls[0][0]).toMatchObject({ error: 'Rate Limit Exceeded', api: 'openai', limit: 'requests' });
+      expect(webhookService.trigger).toHaveBeenCalledWith('user.rate_limited', expect.objectContaining({ period: 'minute' }));
+    });
+
+    test('should keep separate windows per provider and per app', async () => {
+      const user = { ...baseUser, requestsPerMinute: 1, rateLimitPerApp: true };
+
+      expect((await run(user, 'openai')).next).toHaveBeenCalled();
+      expect((await run(user, 'claude')).next).toHaveBeenCalled();
+      expect((await run(user, 'openai', { userId: 'rl-user', appId: 'app2' })).next).toHaveBeenCalled();
+      expect((await run(user, 'openai')).next).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../../src/db/client', () => ({
+  webhook: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn()
+  },
+  webhookDelivery: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn()
+  }
+}));
+
+const axios = require('axios');
+const config = require('../../src/config/env');
+const prisma = require('../../src/db/client');
+const webhookService = require('../../src/services/webhook');
+
+describe('Webhook Delivery Queue', () => {
+  const webhook = {
+    id: 'wh-1',
+    url: 'https://hooks.example.com/safeapi',
+    secret: 'whsec_test',
+    active: true,
+    retryCount: 2,
+    timeout: 5000,
+    subscriptions: [{ pattern: '*' }]
+  };
+
+  const queued = (overrides = {}) => ({
+    id: 'del-1',
+    webhookId: 'wh-1',
+    eventId: 'evt_1',
+    event: 'provider.down',
+    payload: JSON.stringify({ id: 'evt_1', event: 'provider.down', data: { api: 'openai' } }),
+    status: 'pending',
+    attempts: 0,
+    history: null,
+    ...overrides
+  });
+
+  const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status }
+  });
+
+  const lastUpdate = () => prisma.webhookDelivery.update.mock.calls.slice(-1)[0][0].data;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(axios, 'post').mockResolvedValue({ status: 200, data: {} });
+    prisma.webhook.update.mockResolvedValue({});
+    prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 1 });
+    prisma.webhookDelivery.update.mockImplementation(async ({ data }) => ({ ...queued(), ...data }));
+    prisma.webhookDelivery.create.mockImplementation(async ({ data }) => queued({ ...data, id: `del-${data.webhookId}` }));
+  });
+
+  afterEach(() => {
+    axios.post.mockRestore();
+  });
+
+  test('should persist one delivery per webhook before sending', async () => {
+    prisma.webhook.findMany.mockResolvedValue([webhook, { ...webhook, id: 'wh-2' }]);
+
+    await webhookService.trigger('provider.down', { api: 'openai' });
+
+    expect(prisma.webhookDelivery.create).toHaveBeenCalledTimes(2);
+    const [first, second] = prisma.webhookDelivery.create.mock.calls.map(call => call[0].data);
+    expect(first).toMatchObject({ webhookId: 'wh-1', event: 'provider.down' });
+    expect(second.eventId).toBe(first.eventId);
+    expect(JSON.parse(first.payload)).toMatchObject({ id: first.eventId, data: { api: 'openai' } });
+
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(lastUpdate()).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 200, nextAttemptAt: null });
+  });
+
+  test('should schedule a retry with exponential backoff and keep the attempt history', async () => {
+    axios.post.mockRejectedValue(httpError(500));
+
+    const before = Date.now();
+    await webhookService.attemptDelivery(queued(), webhook);
+    let data = lastUpdate();
+
+    expect(data).toMatchObject({ status: 'pending', attempts: 1, lastStatusCode: 500 });
+    expect(data.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + config.webhookDelivery.retryBaseMs);
+
+    await webhookService.attemptDelivery(queued({ attempts: 1, history: data.history }), webhook);
+    data = lastUpdate();
+
+    expect(data.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 2 * config.webhookDelivery.retryBaseMs);
+    expect(JSON.parse(data.history).map(entry => [entry.attempt, entry.statusCode])).toEqual([[1, 500], [2, 500]]);
+    expect(prisma.webhook.update).not.toHaveBeenCalled();
+  });
+
+  test('should dead-letter a delivery after the last retry', async () => {
+    axios.post.mockRejectedValue(httpError(503));
+
+    await webhookService.attemptDelivery(queued({ attempts: 2 }), webhook);
+
+    expect(lastUpdate()).toMatchObject({ status: 'failed', attempts: 3, nextAttemptAt: null });
+    expect(prisma.webhook.update).toHaveBeenCalledWith({
+      where: { id: 'wh-1' },
+      data: { failedCalls: { increment: 1 } }
+    });
+  });
+
+  test('should not send a delivery another dispatcher pass already claimed', async () => {
+    prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await webhookService.attemptDelivery(queued(), webhook)).toBeNull();
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('should send due deliveries and re-queue interrupted ones', async () => {
+    prisma.webhookDelivery.findMany.mockResolvedValue([queued({ webhook })]);
+    prisma.webhookDelivery.deleteMany.mockResolvedValue({ count: 0 });
+
+    const now = new Date();
+    expect(await webhookService.dispatchDue(now)).toBe(1);
+
+    expect(prisma.webhookDelivery.updateMany.mock.calls[0][0]).toMatchObject({
+      where: { status: 'delivering' },
+      data: { status: 'pending' }
+    });
+    expect(prisma.webhookDelivery.findMany.mock.calls[0][0].where).toEqual({
+      status: 'pending',
+      nextAttemptAt: { lte: now }
+    });
+    expect(axios.post.mock.calls[0][2].headers['X-Webhook-Id']).toBe('evt_1');
+  });
+
+  test('should redeliver a failed delivery with a new round of retries', async () => {
+    prisma.webhookDelivery.findUnique.mockResolvedValue(queued({ status: 'failed', attempts: 3 }));
+    prisma.webhookDelivery.update
+      .mockResolvedValueOnce(queued({ attempts: 0 }))
+      .mockImplementationOnce(async ({ data }) => ({ ...queued(), ...data }));
+    prisma.webhook.findUnique.mockResolvedValue(webhook);
+
+    const delivery = await webhookService.redeliver('del-1');
+
+    expect(prisma.webhookDelivery.update.mock.calls[0][0].data).toMatchObject({ status: 'pending', attempts: 0 });
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 1 });
+    expect(delivery).not.toHaveProperty('payload');
+
+    prisma.webhookDelivery.findUnique.mockResolvedValue(queued());
+    await expect(webhookService.redeliver('del-1')).rejects.toMatchObject({ status: 409 });
+
+    prisma.webhookDelivery.findUnique.mockResolvedValue(null);
+    await expect(webhookService.redeliver('missing')).rejects.toThrow('Delivery not found');
+  });
+});
@@ -0,0 +1,123 @@
+jest.mock('../../src/db/client', () => ({
+  webhook: {
+    findUnique: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+const axios = require('axios');
+const prisma = require('../../src/db/client');
+const webhookService = require('../../src/services/webhook');
+const {
+  buildSignatureHeader,
+  verifyWebhookSignature
+} = require('../../src/utils/webhookSignature');
+
+describe('Webhook Signatures', () => {
+  const SECRET = 'whsec_current';
+  const OLD_SECRET = 'whsec_previous';
+  const body = JSON.stringify({ id: 'evt_1', event: 'api.error', data: { api: 'openai' } });
+
+  describe('verifyWebhookSignature', () => {
+    const now = Date.now();
+    const timestamp = Math.floor(now / 1000);
+
+    test('should accept a payload signed with the receiver secret', () => {
+      const header = buildSignatureHeader([SECRET], timestamp, body);
+
+      expect(verifyWebhookSignature({ payload: body, header, secret: SECRET, now })).toEqual({ valid: true, timestamp });
+      expect(verifyWebhookSignature({ payload: Buffer.from(body), header, secret: SECRET, now }).valid).toBe(true);
+    });
+
+    test('should reject tampered bodies, wrong secrets and malformed headers', () => {
+      const header = buildSignatureHeader([SECRET], timestamp, body);
+
+      expect(verifyWebhookSignature({ payload: body.replace('openai', 'claude'), header, secret: SECRET, now }).valid).toBe(false);
+      expect(verifyWebhookSignature({ payload: body, header, secret: 'whsec_other', now }).valid).toBe(false);
+      expect(verifyWebhookSignature({ payload: body, header: 'garbage', secret: SECRET, now }))
+        .toEqual({ valid: false, error: 'Missing or malformed signature header' });
+    });
+
+    test('should reject timestamps outside the tolerance window (replays)', () => {
+      const old = timestamp - 301;
+      const header = buildSignatureHeader([SECRET], old, body);
+
+      expect(verifyWebhookSignature({ payload: body, header, secret: SECRET, now }).error)
+        .toBe('Timestamp outside the tolerance window');
+      expect(verifyWebhookSignature({ payload: body, header, secret: SECRET, now, toleranceSeconds: 600 }).valid).toBe(true);
+    });
+
+    test('should accept either secret while one is being rotated', () => {
+      const header = buildSignatureHeader([SECRET, OLD_SECRET], timestamp, body);
+
+      expect(verifyWebhookSignature({ payload: body, header, secret: OLD_SECRET, now }).valid).toBe(true);
+      expect(verifyWebhookSignature({ payload: body, header, secret: SECRET, now }).valid).toBe(true);
+      expect(verifyWebhookSignature({
+        payload: body,
+        header: buildSignatureHeader([SECRET], timestamp, body),
+        secret: ['whsec_other', SECRET],
+        now
+      }).valid).toBe(true);
+    });
+  });
+
+  describe('WebhookService', () => {
+    const webhook = {
+      id: 'wh-1',
+      url: 'https://hooks.example.com/safeapi',
+      secret: SECRET,
+      previousSecret: OLD_SECRET,
+      previousSecretExpiresAt: new Date(Date.now() + 60000),
+      headers: JSON.stringify({ 'X-Webhook-Signature': 'spoofed' }),
+      retryCount: 1,
+      timeout: 5000
+    };
+
+    beforeEach(() => {
+      jest.spyOn(axios, 'post').mockResolvedValue({ data: {} });
+      prisma.webhook.update.mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      axios.post.mockRestore();
+    });
+
+    test('should sign payloads instead of sending the secret', async () => {
+      await webhookService.sendWebhook(webhook, 'provider.down', { api: 'openai' }, 'evt_fixed');
+
+      const [url, sentBody, { headers }] = axios.post.mock.calls[0];
+      expect(url).toBe(webhook.url);
+      expect(JSON.parse(sentBody)).toMatchObject({ id: 'evt_fixed', event: 'provider.down', data: { api: 'openai' } });
+      expect(headers['X-Webhook-Id']).toBe('evt_fixed');
+      expect(headers).not.toHaveProperty('X-Webhook-Secret');
+      expect(JSON.stringify(headers)).not.toContain(SECRET);
+
+      // Both active secrets verify; the custom header cannot override the signature
+      const header = headers['X-Webhook-Signature'];
+      expect(header).not.toBe('spoofed');
+      expect(verifyWebhookSignature({ payload: sentBody, header, secret: SECRET }).valid).toBe(true);
+      expect(verifyWebhookSignature({ payload: sentBody, header, secret: OLD_SECRET }).valid).toBe(true);
+    });
+
+    test('should stop signing with the previous secret after its grace period', () => {
+      const expired = { ...webhook, previousSecretExpiresAt: new Date(Date.now() - 1000) };
+
+      expect(webhookService.getActiveSecrets(expired)).toEqual([SECRET]);
+      expect(webhookService.getActiveSecrets(webhook)).toEqual([SECRET, OLD_SECRET]);
+    });
+
+    test('should rotate the secret and keep the old one for the grace period', async () => {
+      prisma.webhook.findUnique.mockResolvedValue({ id: 'wh-1', secret: SECRET });
+      prisma.webhook.update.mockImplementation(async ({ data }) => ({ id: 'wh-1', ...data }));
+
+      const { secret, webhook: updated } = await webhookService.rotateSecret('wh-1', 3600);
+
+      expect(secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+      expect(updated.previousSecret).toBe(SECRET);
+      expect(updated.previousSecretExpiresAt.getTime()).toBeGreaterThan(Date.now() + 3590 * 1000);
+
+      prisma.webhook.findUnique.mockResolvedValue(null);
+      await expect(webhookService.rotateSecret('missing')).rejects.toThrow('Webhook not found');
+    });
+  });
+});
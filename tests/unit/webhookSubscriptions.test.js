@@ -0,0 +1,156 @@
+jest.mock('../../src/db/client', () => ({
+  webhook: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn()
+  },
+  webhookDelivery: {
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  }
+}));
+
+const axios = require('axios');
+const prisma = require('../../src/db/client');
+const webhookService = require('../../src/services/webhook');
+
+describe('Webhook Subscriptions', () => {
+  describe('trigger', () => {
+    const webhook = (id, filters = null, patterns = ['api.*']) => ({
+      id,
+      url: `https://hooks.example.com/${id}`,
+      active: true,
+      retryCount: 0,
+      filters: filters && JSON.stringify(filters),
+      events: null,
+      subscriptions: patterns.map(pattern => ({ pattern }))
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 200, data: {} });
+      prisma.webhook.update.mockResolvedValue({});
+      prisma.webhookDelivery.create.mockImplementation(async ({ data }) => ({ id: `del-${data.webhookId}`, attempts: 0, ...data }));
+      prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 1 });
+      prisma.webhookDelivery.update.mockImplementation(async ({ data }) => data);
+    });
+
+    afterEach(() => {
+      axios.post.mockRestore();
+    });
+
+    test('should look up subscriptions by the event name and the patterns covering it', async () => {
+      prisma.webhook.findMany.mockResolvedValue([]);
+
+      await webhookService.trigger('split_key.created', { keyId: 'k1' });
+
+      expect(prisma.webhook.findMany).toHaveBeenCalledWith({
+        where: {
+          active: true,
+          OR: [
+            { subscriptions: { some: { pattern: { in: ['*', 'split_key.*', 'split_key.created'] } } } },
+            { events: { not: null } }
+          ]
+        },
+        include: { subscriptions: true }
+      });
+      expect(prisma.webhookDelivery.create).not.toHaveBeenCalled();
+    });
+
+    test('should only deliver to webhooks whose filters match the event data', async () => {
+      prisma.webhook.findMany.mockResolvedValue([
+        webhook('all'),
+        webhook('user1', { userId: ['user1'] }),
+        webhook('user2', { userId: ['user2'] }),
+        webhook('claude', { api: ['claude'] })
+      ]);
+
+      await webhookService.trigger('api.error', { userId: 'user1', api: 'openai' });
+
+      const delivered = prisma.webhookDelivery.create.mock.calls.map(call => call[0].data.webhookId);
+      expect(delivered).toEqual(['all', 'user1']);
+    });
+
+    test('should keep delivering to webhooks with a legacy events list', async () => {
+      prisma.webhook.findMany.mockResolvedValue([
+        { ...webhook('legacy', null, []), events: 'user.created,api.error' },
+        { ...webhook('legacy-other', null, []), events: 'usage.high' },
+        webhook('other', null, ['user.*'])
+      ]);
+
+      await webhookService.trigger('api.error', { api: 'openai' });
+
+      const delivered = prisma.webhookDelivery.create.mock.calls.map(call => call[0].data.webhookId);
+      expect(delivered).toEqual(['legacy']);
+    });
+  });
+
+  describe('migrateLegacyEvents', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      prisma.webhook.update.mockResolvedValue({});
+    });
+
+    test('should move legacy event lists into subscriptions and clear them', async () => {
+      prisma.webhook.findMany
+        .mockResolvedValueOnce([
+          { id: 'wh-1', events: 'user.created, api.error,billing.paid', subscriptions: [] },
+          { id: 'wh-2', events: 'usage.high', subscriptions: [{ pattern: 'usage.high' }] }
+        ])
+        .mockResolvedValueOnce([]);
+
+      const summary = await webhookService.migrateLegacyEvents({ batchSize: 2 });
+
+      expect(summary).toEqual({ migrated: 2, subscriptions: 2, dropped: ['billing.paid'] });
+      expect(prisma.webhook.update).toHaveBeenCalledWith({
+        where: { id: 'wh-1' },
+        data: {
+          events: null,
+          subscriptions: { create: [{ pattern: 'user.created' }, { pattern: 'api.error' }] }
+        }
+      });
+      expect(prisma.webhook.update.mock.calls[1][0].data.subscriptions.create).toEqual([]);
+      expect(prisma.webhook.findMany.mock.calls[1][0].where).toEqual({ events: { not: null }, id: { gt: 'wh-2' } });
+    });
+
+    test('should only count webhooks in a dry run', async () => {
+      prisma.webhook.findMany
+        .mockResolvedValueOnce([{ id: 'wh-1', events: 'user.created', subscriptions: [] }])
+        .mockResolvedValueOnce([]);
+
+      expect(await webhookService.migrateLegacyEvents({ dryRun: true }))
+        .toEqual({ migrated: 1, subscriptions: 1, dropped: [] });
+      expect(prisma.webhook.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('matchesFilters', () => {
+    test('should require every filtered field to be present with an allowed value', () => {
+      const filters = { userId: ['user1', 'user2'], api: ['openai'] };
+
+      expect(webhookService.matchesFilters(filters, { userId: 'user2', api: 'openai' })).toBe(true);
+      expect(webhookService.matchesFilters(filters, { userId: 'user2', api: 'gemini' })).toBe(false);
+      expect(webhookService.matchesFilters(filters, { api: 'openai' })).toBe(false);
+      expect(webhookService.matchesFilters(JSON.stringify({ appId: ['app1'] }), { appId: 'app1' })).toBe(true);
+      expect(webhookService.matchesFilters(null, {})).toBe(true);
+    });
+  });
+
+  describe('parseSubscription', () => {
+    test('should accept event names and wildcard patterns as an array or a list', () => {
+      expect(webhookService.parseSubscription({ events: 'user.*, usage.high,user.*' }))
+        .toEqual({ patterns: ['user.*', 'usage.high'], filters: null });
+      expect(webhookService.parseSubscription({ events: ['*'], filters: { api: 'openai', userId: ['user1'] } }))
+        .toEqual({ patterns: ['*'], filters: { api: ['openai'], userId: ['user1'] } });
+    });
+
+    test('should reject unknown events, patterns and filters', () => {
+      expect(webhookService.parseSubscription({ events: [] }).error).toMatch(/at least one/);
+      expect(webhookService.parseSubscription({ events: 'usage' }).error).toBe('Unknown events: usage');
+      expect(webhookService.parseSubscription({ events: 'billing.*' }).error).toBe('Unknown events: billing.*');
+      expect(webhookService.parseSubscription({ events: '*', filters: { model: 'gpt-4o' } }).error).toMatch(/Unknown filter: model/);
+      expect(webhookService.parseSubscription({ events: '*', filters: { userId: [42] } }).error).toMatch(/filters.userId/);
+    });
+  });
+});